@@ -33,6 +33,13 @@ export default [
       ],
     },
   },
+  // Node scripts (template scaffolding and rendering)
+  {
+    files: ['scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
   // TypeScript specific configuration
   {
     files: ['**/*.{ts,tsx}'],
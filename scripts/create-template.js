@@ -111,7 +111,7 @@ rl.question('Template display name: ', (displayName) => {
           console.log('Next steps:');
           console.log('1. Implement the template component');
           console.log('2. Add template fields in metadata.ts');
-          console.log(`3. Register your template in src/templates/_core/initTemplates.ts`);
+          console.log('It is picked up automatically the next time the app starts.');
           console.log('');
           
           rl.close();
@@ -0,0 +1,389 @@
+#!/usr/bin/env node
+
+/**
+ * Template Render Script
+ *
+ * Renders a template with the given values to a PNG, PDF or HTML file without opening
+ * the app, e.g. to generate cards and invoices from back-office jobs.
+ *
+ * The template's own components (from the TemplateRegistry) are bundled with Vite and
+ * rendered read-only in a local headless Chrome, so no dev server or network is needed.
+ * Chrome is looked up in the usual install locations; set CHROME_PATH or pass --chrome
+ * to use another one.
+ *
+ * Usage:
+ *   node scripts/render-template.js <templateId> [options]
+ *
+ * Options:
+ *   --values <file>     JSON file of field values; image paths are embedded from disk
+ *   --variant <id>      Style variant
+ *   --size <id>         Preview size
+ *   --format <format>   png (default), pdf or html
+ *   --out <file>        Output file (default: <templateId>.<format>)
+ *   --dpi <number>      Resolution of PNGs of templates with print dimensions (default: 300;
+ *                       templates sized in px are always rendered at that many pixels)
+ *   --back              Render the back of a double-sided template (PNG only;
+ *                       PDF and HTML files include both sides)
+ *   --chrome <path>     Chrome or Chromium executable
+ *
+ * Example:
+ *   node scripts/render-template.js standard-business-card --values card.json --format pdf --out card.pdf
+ */
+
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { build } from 'vite';
+
+const rootPath = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const FORMATS = ['png', 'pdf', 'html'];
+const DEFAULT_DPI = 300;
+// Templates without print dimensions are rendered at twice their on-screen size, like in the editor
+const SCREEN_SCALE = 2;
+const CSS_PIXELS_PER_INCH = 96;
+const IMAGE_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+};
+
+/**
+ * Prints an error and exits, for failures while rendering.
+ * @param {string} message - What went wrong.
+ */
+const exitWithError = (message) => {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+};
+
+/**
+ * Prints an error with the usage and exits, for mistakes in the command line.
+ * @param {string} message - What went wrong.
+ */
+const fail = (message) => {
+  console.error(`Error: ${message}`);
+  console.log('Usage: node scripts/render-template.js <templateId> [--values data.json] [--variant id] [--size id]');
+  console.log('         [--format png|pdf|html] [--out file] [--dpi 300] [--back] [--chrome path]');
+  process.exit(1);
+};
+
+/**
+ * Reads the command line arguments.
+ * @param {string[]} args - The arguments after the script name.
+ * @returns {object} The template ID and options.
+ */
+const parseArgs = (args) => {
+  const options = { format: 'png', dpi: DEFAULT_DPI, back: false };
+  const valueOptions = ['values', 'variant', 'size', 'format', 'out', 'dpi', 'chrome'];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--back') {
+      options.back = true;
+    } else if (arg.startsWith('--')) {
+      const name = arg.slice(2);
+      if (!valueOptions.includes(name)) fail(`Unknown option "${arg}".`);
+      if (i + 1 >= args.length) fail(`Missing value for "${arg}".`);
+      options[name] = args[++i];
+    } else if (!options.templateId) {
+      options.templateId = arg;
+    } else {
+      fail(`Unexpected argument "${arg}".`);
+    }
+  }
+
+  if (!options.templateId) fail('Missing required template ID.');
+  if (!FORMATS.includes(options.format)) fail(`Unknown format "${options.format}". Use ${FORMATS.join(', ')}.`);
+  options.dpi = Number(options.dpi);
+  if (!(options.dpi > 0)) fail('--dpi must be a positive number.');
+  if (options.back && options.format !== 'png') fail('--back only applies to PNGs; PDF and HTML files include both sides.');
+  options.out = path.resolve(options.out ?? `${options.templateId}.${options.format}`);
+  return options;
+};
+
+/**
+ * Replaces paths to image files in the values with data URLs, so the page needs no file access.
+ * Paths are relative to the values file; paths starting with "/" are looked up in public/ first.
+ * @param {unknown} value - A value, or an object or array of values.
+ * @param {string} baseDir - Directory of the values file.
+ * @returns {unknown} The value with images embedded.
+ */
+const embedImages = (value, baseDir) => {
+  if (Array.isArray(value)) return value.map(item => embedImages(item, baseDir));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, embedImages(item, baseDir)]));
+  }
+  if (typeof value !== 'string' || /^(data|https?):/.test(value)) return value;
+
+  const mimeType = IMAGE_TYPES[path.extname(value).toLowerCase()];
+  if (!mimeType) return value;
+
+  const candidates = value.startsWith('/')
+    ? [path.join(rootPath, 'public', value), value]
+    : [path.resolve(baseDir, value)];
+  const file = candidates.find(candidate => fs.existsSync(candidate));
+  if (!file) {
+    console.warn(`Warning: Image "${value}" was not found; it is left as is.`);
+    return value;
+  }
+  return `data:${mimeType};base64,${fs.readFileSync(file).toString('base64')}`;
+};
+
+/**
+ * Reads the values file.
+ * @param {string | undefined} valuesPath - Path to a JSON file of field values.
+ * @returns {object} The values, with images embedded.
+ */
+const readValues = (valuesPath) => {
+  if (!valuesPath) return {};
+
+  const file = path.resolve(valuesPath);
+  let values;
+  try {
+    values = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    fail(`Could not read values from "${valuesPath}": ${error.message}`);
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    fail(`"${valuesPath}" must contain a JSON object of field values.`);
+  }
+  return embedImages(values, path.dirname(file));
+};
+
+/**
+ * Finds a Chrome or Chromium executable.
+ * @param {string | undefined} chromePath - Path given with --chrome.
+ * @returns {string} The executable.
+ */
+const findChrome = (chromePath) => {
+  const explicit = chromePath ?? process.env.CHROME_PATH;
+  if (explicit) {
+    if (!fs.existsSync(explicit)) fail(`Chrome was not found at "${explicit}".`);
+    return explicit;
+  }
+
+  const pathDirs = (process.env.PATH ?? '').split(path.delimiter);
+  const names = ['google-chrome', 'google-chrome-stable', 'chromium', 'chromium-browser', 'chrome'];
+  const candidates = [
+    ...pathDirs.flatMap(dir => names.map(name => path.join(dir, name))),
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    '/Applications/Chromium.app/Contents/MacOS/Chromium',
+    'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+    'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
+  ];
+
+  // Browsers downloaded by Puppeteer or Playwright (the headless shell needs the fewest system libraries)
+  const cacheDirs = [
+    path.join(os.homedir(), '.cache', 'puppeteer', 'chrome-headless-shell'),
+    path.join(os.homedir(), '.cache', 'puppeteer', 'chrome'),
+    path.join(os.homedir(), '.cache', 'ms-playwright'),
+  ];
+  const binaries = [
+    'chrome-headless-shell-linux64/chrome-headless-shell',
+    'chrome-headless-shell-mac-x64/chrome-headless-shell',
+    'chrome-headless-shell-mac-arm64/chrome-headless-shell',
+    'chrome-linux64/chrome',
+    'chrome-linux/chrome',
+  ];
+  cacheDirs.filter(dir => fs.existsSync(dir)).forEach(dir => {
+    fs.readdirSync(dir).forEach(version => {
+      binaries.forEach(binary => candidates.push(path.join(dir, version, binary)));
+    });
+  });
+
+  const found = candidates.find(candidate => fs.existsSync(candidate));
+  if (!found) exitWithError('Chrome or Chromium was not found. Install it, or set CHROME_PATH or --chrome.');
+  return found;
+};
+
+/**
+ * Bundles the headless entry point (src/headless.tsx) with the app's Vite config.
+ * @returns {Promise<{ script: string; styles: string }>} The JavaScript and CSS.
+ */
+const bundleRenderer = async () => {
+  const result = await build({
+    root: rootPath,
+    logLevel: 'error',
+    build: {
+      write: false,
+      cssCodeSplit: false,
+      modulePreload: false,
+      // Everything, including images and fonts, is inlined so the page works offline
+      assetsInlineLimit: () => true,
+      rollupOptions: {
+        input: path.join(rootPath, 'src/headless.tsx'),
+        output: { format: 'iife', inlineDynamicImports: true },
+      },
+    },
+  });
+
+  const outputs = (Array.isArray(result) ? result : [result]).flatMap(item => item.output);
+  const script = outputs.find(item => item.type === 'chunk').code;
+  const styles = outputs
+    .filter(item => item.type === 'asset' && item.fileName.endsWith('.css'))
+    .map(item => String(item.source))
+    .join('\n');
+  return { script, styles };
+};
+
+/**
+ * Builds the page that renders the template.
+ * @param {{ script: string; styles: string }} bundle - The bundled renderer.
+ * @param {object} renderOptions - Options read by src/headless.tsx.
+ * @param {string} [extraStyles=''] - CSS added after the app's styles.
+ * @returns {string} The HTML page.
+ */
+const buildPage = (bundle, renderOptions, extraStyles = '') => {
+  // Keep the JSON and script from closing their script elements early
+  const json = JSON.stringify(renderOptions).replace(/</g, '\\u003c');
+  const script = bundle.script.replace(/<\/script/gi, '<\\/script');
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="UTF-8" />',
+    `<style>${bundle.styles}</style>`,
+    `<style>body { margin: 0; }${extraStyles}</style>`,
+    '</head>',
+    '<body>',
+    '<div id="root"></div>',
+    `<script type="application/json" id="render-options">${json}</script>`,
+    `<script>${script}</script>`,
+    '</body>',
+    '</html>',
+  ].join('\n');
+};
+
+/**
+ * Opens a page in headless Chrome.
+ * @param {string} chrome - The executable.
+ * @param {string} pagePath - The HTML file.
+ * @param {string[]} args - What to do with the page (e.g. --dump-dom).
+ * @returns {string} What Chrome printed to stdout.
+ */
+const runChrome = (chrome, pagePath, args) => {
+  const result = spawnSync(
+    chrome,
+    [
+      '--headless',
+      '--disable-gpu',
+      '--hide-scrollbars',
+      '--no-first-run',
+      '--allow-file-access-from-files',
+      // Gives the page time to render before Chrome takes the output
+      '--virtual-time-budget=10000',
+      // Chrome's sandbox can't run as root (e.g. in containers)
+      ...(process.getuid?.() === 0 ? ['--no-sandbox'] : []),
+      ...args,
+      pathToFileURL(pagePath).href,
+    ],
+    { encoding: 'utf8', timeout: 120000, maxBuffer: 256 * 1024 * 1024 }
+  );
+
+  if (result.error) exitWithError(`Could not run Chrome: ${result.error.message}`);
+  if (result.status !== 0) exitWithError(`Chrome exited with code ${result.status}:\n${result.stderr}`);
+  return result.stdout;
+};
+
+/**
+ * Reads the outcome that src/headless.tsx wrote into the page.
+ * @param {string} dom - The page's serialized DOM.
+ * @returns {object} The render result.
+ */
+const readRenderResult = (dom) => {
+  const match = /<body[^>]*\sdata-render-result="([^"]*)"/.exec(dom);
+  if (!match) exitWithError('The template did not finish rendering.');
+
+  const json = match[1]
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+  const result = JSON.parse(json);
+  if (result.error) exitWithError(result.error);
+  return result;
+};
+
+/**
+ * Turns the rendered page into a standalone HTML file, without the renderer's scripts.
+ * @param {string} dom - The page's serialized DOM.
+ * @returns {string} The HTML file.
+ */
+const toStandaloneHtml = (dom) =>
+  `<!DOCTYPE html>\n${dom
+    .replace(/<script\b[\s\S]*?<\/script>/gi, '')
+    .replace(/\sdata-render-result="[^"]*"/, '')
+    .trim()}\n`;
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const values = readValues(options.values);
+  const chrome = findChrome(options.chrome);
+
+  console.log(`Rendering "${options.templateId}"...`);
+  const bundle = await bundleRenderer();
+  const renderOptions = {
+    templateId: options.templateId,
+    values,
+    variant: options.variant,
+    size: options.size,
+    side: options.format === 'png' ? (options.back ? 'back' : 'front') : 'both',
+  };
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'render-template-'));
+  const pagePath = path.join(workDir, 'page.html');
+  // Also cleans up when an error exits part-way
+  process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+  // First pass: render the template and measure it
+  fs.writeFileSync(pagePath, buildPage(bundle, renderOptions));
+  const dom = runChrome(chrome, pagePath, ['--dump-dom']);
+  const result = readRenderResult(dom);
+  if (result.ignoredFields?.length > 0) {
+    console.warn(`Warning: Ignoring values of unknown fields: ${result.ignoredFields.join(', ')}`);
+  }
+
+  fs.mkdirSync(path.dirname(options.out), { recursive: true });
+
+  if (options.format === 'html') {
+    fs.writeFileSync(options.out, toStandaloneHtml(dom));
+  } else if (options.format === 'png') {
+    // Print-sized templates get exactly their print size at the DPI, and
+    // templates sized in pixels exactly that many pixels
+    const scale = result.pixelWidth
+      ? result.pixelWidth / result.width
+      : result.printWidth
+        ? (result.printWidth * options.dpi) / result.width
+        : SCREEN_SCALE;
+    runChrome(chrome, pagePath, [
+      `--screenshot=${options.out}`,
+      `--window-size=${Math.ceil(result.width)},${Math.ceil(result.height)}`,
+      `--force-device-scale-factor=${scale}`,
+      '--default-background-color=00000000',
+    ]);
+  } else {
+    // One side or page per PDF page, scaled to the print size when the template has one
+    const pageWidth = result.printWidth ?? result.pageWidth / CSS_PIXELS_PER_INCH;
+    const pageHeight = result.printHeight ?? result.pageHeight / CSS_PIXELS_PER_INCH;
+    const zoom = (pageWidth * CSS_PIXELS_PER_INCH) / result.pageWidth;
+    const printStyles = `
+      @page { size: ${pageWidth}in ${pageHeight}in; margin: 0; }
+      #render-output { zoom: ${zoom}; }
+      [data-render-side], [data-print-page] { break-after: page; margin: 0 !important; }
+      [data-render-side]:last-child, [data-print-page]:last-child { break-after: auto; }
+    `;
+    fs.writeFileSync(pagePath, buildPage(bundle, renderOptions, printStyles));
+    runChrome(chrome, pagePath, [`--print-to-pdf=${options.out}`, '--no-pdf-header-footer']);
+  }
+
+  if (!fs.existsSync(options.out)) exitWithError(`Chrome did not write "${options.out}".`);
+  console.log(`Saved ${path.relative(process.cwd(), options.out)}`);
+};
+
+main().catch(error => exitWithError(error instanceof Error ? error.message : String(error)));
@@ -1,24 +1,17 @@
 // src/App.tsx
-import React, { useEffect } from "react";
+import React from "react";
 import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 import Navbar from "./components/navigation/Navbar";
 import Home from "./pages/Home";
 import TemplateEditor from "./pages/TemplateEditor";
 import TemplateList from "./pages/TemplateList";
+import DocumentList from "./pages/DocumentList";
+import Search from "./pages/Search";
 import MainLayout from "./components/layouts/MainLayout";
 import { TemplateProvider } from "./templates/_core/TemplateProvider";
-import { initializeTemplates } from "./templates/_core";
 import "./App.css";
 
-// Initialize templates when the app loads
-initializeTemplates();
-
 const App: React.FC = () => {
-  // Ensure templates are initialized
-  useEffect(() => {
-    initializeTemplates();
-  }, []);
-
   return (
     <TemplateProvider>
       <Router>
@@ -28,7 +21,13 @@ const App: React.FC = () => {
             <Route element={<MainLayout />}>
               <Route path="/" element={<Home />} />
               <Route path="/editor/:templateId" element={<TemplateEditor />} />
+              <Route
+                path="/editor/:templateId/:documentId"
+                element={<TemplateEditor />}
+              />
+              <Route path="/documents" element={<DocumentList />} />
               <Route path="/templates/:industry" element={<TemplateList />} />
+              <Route path="/search" element={<Search />} />
             </Route>
           </Routes>
         </div>
@@ -0,0 +1,296 @@
+import React, { useRef, useState } from "react";
+import { TemplateField, TemplateValues } from "../../templates/_core/types";
+import {
+  addArrayItem,
+  canAddArrayItem,
+  canRemoveArrayItem,
+  duplicateArrayItem,
+  getArrayItemFields,
+  getArrayItems,
+  moveArrayItem,
+  removeArrayItem,
+} from "../../utils/arrayField";
+import { pickImage } from "../../utils/pickImage";
+import { useFieldIssues } from "./FieldValidationContext";
+
+interface ArrayRowEditorProps {
+  field: TemplateField;
+  value: any;
+  onValueChange: (id: string, value: any) => void;
+}
+
+interface RowCellProps {
+  subField: TemplateField;
+  value: any;
+  path: string;
+  row: number;
+  onValueChange: (id: string, value: any) => void;
+}
+
+const cellInputClasses =
+  "w-full rounded border border-latte-surface1 bg-white px-1 py-0.5 text-xs text-latte-text focus:outline-none focus:border-latte-pink aria-invalid:border-latte-red aria-invalid:bg-latte-red/10";
+
+const rowButtonClasses =
+  "p-0.5 rounded text-latte-overlay1 hover:bg-gray-100 disabled:opacity-40 disabled:pointer-events-none";
+
+/**
+ * Input for one sub-field of a row, chosen by the sub-field's type
+ */
+const RowCell: React.FC<RowCellProps> = ({ subField, value, path, row, onValueChange }) => {
+  const issues = useFieldIssues(path);
+  const cellProps = {
+    "data-row": row,
+    "data-column": subField.id,
+    "aria-invalid": issues.length > 0 || undefined,
+    title: issues.join("\n") || undefined,
+  };
+
+  switch (subField.type) {
+    case "calculated":
+      return (
+        <span className="block px-1 text-latte-subtext1">
+          {typeof value === "number" ? value.toFixed(2) : String(value ?? "")}
+        </span>
+      );
+    case "number":
+      return (
+        <input
+          {...cellProps}
+          type="number"
+          className={cellInputClasses}
+          value={value ?? ""}
+          aria-label={subField.label}
+          // Empty (or a partial entry like "-") is stored as "", so the cell can be cleared and retyped
+          onChange={(e) => onValueChange(path, e.target.value === "" ? "" : Number(e.target.value))}
+        />
+      );
+    case "color":
+      return (
+        <input
+          {...cellProps}
+          type="color"
+          className="w-8 h-6 rounded border border-latte-surface1"
+          value={typeof value === "string" && value ? value : "#000000"}
+          aria-label={subField.label}
+          onChange={(e) => onValueChange(path, e.target.value)}
+        />
+      );
+    case "image":
+      return (
+        <button
+          {...cellProps}
+          type="button"
+          className="w-8 h-8 rounded border border-latte-surface1 bg-latte-mantle flex items-center justify-center overflow-hidden"
+          title={value ? `Replace ${subField.label}` : `Choose ${subField.label}`}
+          aria-label={subField.label}
+          onClick={() => pickImage((dataUrl) => onValueChange(path, dataUrl))}
+        >
+          {value ? (
+            <img src={value} alt={subField.label} className="max-w-full max-h-full object-contain" />
+          ) : (
+            <span className="text-latte-overlay1">+</span>
+          )}
+        </button>
+      );
+    default:
+      return (
+        <input
+          {...cellProps}
+          type="text"
+          className={cellInputClasses}
+          value={value === null || value === undefined ? "" : String(value)}
+          aria-label={subField.label}
+          onChange={(e) => onValueChange(path, e.target.value)}
+        />
+      );
+  }
+};
+
+/**
+ * Table editor for array fields described by an item schema
+ * Rows can be added, removed, duplicated and reordered by dragging the handle or with Alt+Arrow keys.
+ * Arrow Up/Down move between rows and Enter moves to the next row, adding one at the end.
+ */
+const ArrayRowEditor: React.FC<ArrayRowEditorProps> = ({ field, value, onValueChange }) => {
+  const tableRef = useRef<HTMLTableElement>(null);
+  const [dragIndex, setDragIndex] = useState<number | null>(null);
+  const [dropIndex, setDropIndex] = useState<number | null>(null);
+
+  const rows = getArrayItems(value);
+  const subFields = getArrayItemFields(field, rows);
+  const canAdd = canAddArrayItem(field, rows);
+  const canRemove = canRemoveArrayItem(field, rows);
+
+  const updateRows = (newRows: TemplateValues[]): void => {
+    if (newRows !== rows) onValueChange(field.id, newRows);
+  };
+
+  // Focuses a cell once React has rendered any row changes
+  const focusCell = (row: number, column: string): void => {
+    requestAnimationFrame(() => {
+      const cell = tableRef.current?.querySelector<HTMLElement>(
+        `[data-row="${row}"][data-column="${column}"]`
+      );
+      cell?.focus();
+    });
+  };
+
+  const handleKeyDown = (e: React.KeyboardEvent<HTMLTableElement>): void => {
+    const target = e.target as HTMLElement;
+    if (target.dataset.row === undefined || !target.dataset.column) return;
+
+    const row = Number(target.dataset.row);
+    const column = target.dataset.column;
+    const step = e.key === "ArrowUp" ? -1 : e.key === "ArrowDown" ? 1 : 0;
+
+    if (step !== 0 && e.altKey) {
+      e.preventDefault();
+      const moved = moveArrayItem(rows, row, row + step);
+      if (moved !== rows) {
+        updateRows(moved);
+        focusCell(row + step, column);
+      }
+    } else if (step !== 0 && target.getAttribute("type") !== "number") {
+      e.preventDefault();
+      focusCell(row + step, column);
+    } else if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      if (row === rows.length - 1) {
+        if (!canAdd) return;
+        updateRows(addArrayItem(field, rows));
+      }
+      focusCell(row + 1, column);
+    }
+  };
+
+  const handleDrop = (index: number): void => {
+    if (dragIndex !== null) {
+      updateRows(moveArrayItem(rows, dragIndex, index));
+    }
+    setDragIndex(null);
+    setDropIndex(null);
+  };
+
+  const limits = [
+    field.item?.minItems !== undefined && `min ${field.item.minItems}`,
+    field.item?.maxItems !== undefined && `max ${field.item.maxItems}`,
+  ].filter(Boolean);
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <table ref={tableRef} className="w-full text-xs" onKeyDown={handleKeyDown}>
+          <thead>
+            <tr>
+              <th className="w-4" />
+              {subFields.map((subField) => (
+                <th key={subField.id} className="text-left font-medium text-latte-subtext0 px-1 pb-1">
+                  {subField.label}
+                </th>
+              ))}
+              <th className="w-10" />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr
+                key={index}
+                className={`${dragIndex === index ? "opacity-40" : ""} ${
+                  dropIndex === index && dragIndex !== index ? "outline outline-latte-pink" : ""
+                }`}
+                onDragOver={(e) => {
+                  if (dragIndex === null) return;
+                  e.preventDefault();
+                  setDropIndex(index);
+                }}
+                onDrop={(e) => {
+                  e.preventDefault();
+                  handleDrop(index);
+                }}
+              >
+                <td
+                  className="cursor-grab text-latte-overlay1 select-none text-center"
+                  draggable
+                  title="Drag to reorder (or Alt+Arrow keys)"
+                  onDragStart={(e) => {
+                    e.dataTransfer.effectAllowed = "move";
+                    setDragIndex(index);
+                  }}
+                  onDragEnd={() => {
+                    setDragIndex(null);
+                    setDropIndex(null);
+                  }}
+                >
+                  &#8942;&#8942;
+                </td>
+                {subFields.map((subField) => (
+                  <td key={subField.id} className="px-1 py-0.5">
+                    <RowCell
+                      subField={subField}
+                      value={row[subField.id]}
+                      path={`${field.id}.${index}.${subField.id}`}
+                      row={index}
+                      onValueChange={onValueChange}
+                    />
+                  </td>
+                ))}
+                <td className="whitespace-nowrap text-center">
+                  <button
+                    type="button"
+                    className={rowButtonClasses}
+                    disabled={!canAdd}
+                    onClick={() => updateRows(duplicateArrayItem(field, rows, index))}
+                    title="Duplicate row"
+                    aria-label="Duplicate row"
+                  >
+                    <svg
+                      xmlns="http://www.w3.org/2000/svg"
+                      fill="none"
+                      viewBox="0 0 24 24"
+                      strokeWidth={1.5}
+                      stroke="currentColor"
+                      className="w-3.5 h-3.5"
+                    >
+                      <path
+                        strokeLinecap="round"
+                        strokeLinejoin="round"
+                        d="M15.75 17.25v3.375c0 .621-.504 1.125-1.125 1.125h-9.75a1.125 1.125 0 0 1-1.125-1.125V7.875c0-.621.504-1.125 1.125-1.125H6.75a9.06 9.06 0 0 1 1.5.124m7.5 10.376h3.375c.621 0 1.125-.504 1.125-1.125V11.25c0-4.46-3.243-8.161-7.5-8.876a9.06 9.06 0 0 0-1.5-.124H9.375c-.621 0-1.125.504-1.125 1.125v3.5m7.5 10.375H9.375a1.125 1.125 0 0 1-1.125-1.125v-9.25m12 6.625v-1.875a3.375 3.375 0 0 0-3.375-3.375h-1.5a1.125 1.125 0 0 1-1.125-1.125v-1.5a3.375 3.375 0 0 0-3.375-3.375H9.75"
+                      />
+                    </svg>
+                  </button>
+                  <button
+                    type="button"
+                    className={`${rowButtonClasses} hover:text-latte-red`}
+                    disabled={!canRemove}
+                    onClick={() => updateRows(removeArrayItem(field, rows, index))}
+                    title="Remove row"
+                    aria-label="Remove row"
+                  >
+                    &times;
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex items-center justify-between mt-1">
+        <button
+          type="button"
+          className="px-2 py-1 rounded text-xs text-gray-600 hover:bg-gray-100 hover:text-gray-900 transition-colors duration-150 disabled:opacity-40 disabled:pointer-events-none"
+          disabled={!canAdd}
+          onClick={() => updateRows(addArrayItem(field, rows))}
+        >
+          + Add row
+        </button>
+        {limits.length > 0 && (
+          <span className="text-xs text-latte-overlay1">
+            {rows.length} rows ({limits.join(", ")})
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ArrayRowEditor;
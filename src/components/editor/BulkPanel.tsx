@@ -0,0 +1,454 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { flushSync } from "react-dom";
+import { TemplateDefinition, TemplateValues } from "../../templates/_core/types";
+import { CsvData, parseCsv, toCsv } from "../../utils/csv";
+import {
+  BulkRow,
+  ColumnMapping,
+  createBulkRows,
+  getBulkRowFileName,
+  getMappableFields,
+  suggestColumnMapping,
+} from "../../utils/bulkRows";
+import {
+  ZipEntry,
+  canvasToPngBytes,
+  createZip,
+  downloadBlob,
+  waitForRender,
+} from "../../utils/bulkExport";
+import {
+  ExportElementAsImageOptions,
+  renderElementToCanvas,
+} from "../../utils/exportElementAsImage";
+import { isCancelledError, throwIfCancelled } from "../../utils/exportJob";
+import { addElementToPdf, createTemplatePdf, getPrintPages } from "../../utils/pdfExport";
+import {
+  OffscreenTemplateOptions,
+  renderBothSidesOffscreen,
+} from "../../utils/renderTemplateOffscreen";
+
+interface BulkPanelProps {
+  template: TemplateDefinition;
+  // Values used for fields that aren't mapped to a column
+  baseValues: TemplateValues;
+  // The element that renders the template preview
+  previewRef: React.RefObject<HTMLDivElement | null>;
+  // Shows a row's values in the preview (null restores the editor's values)
+  onPreviewRow: (values: TemplateValues | null) => void;
+  // Removes editor-only markup (e.g. validation highlights) from the captured copy
+  prepareExport?: (root: HTMLElement) => void;
+  // Display settings for rendering both sides of double-sided templates offscreen
+  getRenderOptions: () => OffscreenTemplateOptions;
+  // Size and resolution of exported PNGs
+  getImageOptions: () => ExportElementAsImageOptions;
+  onClose: () => void;
+}
+
+type BulkFormat = "png" | "pdf";
+
+const inputClasses =
+  "w-full rounded border border-latte-surface1 bg-white px-2 py-1 text-sm text-latte-text focus:outline-none focus:border-latte-pink";
+
+const smallButtonClasses =
+  "px-2 py-1 rounded text-xs text-gray-600 hover:bg-gray-100 hover:text-gray-900 transition-colors duration-150 disabled:opacity-40 disabled:pointer-events-none";
+
+/**
+ * Side panel for generating one design per spreadsheet row (mail merge)
+ * Rows are previewed through the editor's preview, so exports look exactly like single exports
+ */
+const BulkPanel: React.FC<BulkPanelProps> = ({
+  template,
+  baseValues,
+  previewRef,
+  onPreviewRow,
+  prepareExport,
+  getRenderOptions,
+  getImageOptions,
+  onClose,
+}) => {
+  const [fileName, setFileName] = useState<string>("");
+  const [csv, setCsv] = useState<CsvData | null>(null);
+  const [mapping, setMapping] = useState<ColumnMapping>({});
+  const [fileNameColumn, setFileNameColumn] = useState<number | undefined>(undefined);
+  const [page, setPage] = useState<number>(0);
+  const [progress, setProgress] = useState<{ done: number; total: number } | null>(null);
+  // Cancels the export that is running
+  const exportController = useRef<AbortController | null>(null);
+
+  const mappableFields = getMappableFields(template.fields);
+  const supportedFormats = template.printConfig?.formats || ["png"];
+
+  const rows = useMemo<BulkRow[]>(
+    () => (csv ? createBulkRows(template.fields, baseValues, csv.rows, mapping) : []),
+    [csv, template, baseValues, mapping]
+  );
+  const problemRows = rows.filter((row) => row.issues.length > 0);
+  const exportableRows = rows.filter((row) => !row.blocked);
+  const currentRow = rows[page];
+
+  // Show the current row in the editor's preview while the panel is open
+  useEffect(() => {
+    onPreviewRow(currentRow ? currentRow.values : null);
+  }, [currentRow, onPreviewRow]);
+
+  useEffect(() => () => onPreviewRow(null), [onPreviewRow]);
+
+  const openFile = async (file: File): Promise<void> => {
+    try {
+      const data = parseCsv(await file.text());
+      setCsv(data);
+      setFileName(file.name);
+      setMapping(suggestColumnMapping(template.fields, data.headers));
+      setFileNameColumn(undefined);
+      setPage(0);
+
+      if (data.rows.length === 0) {
+        window.alert(`"${file.name}" has a header row but no data rows.`);
+      }
+    } catch (error) {
+      console.error("Error reading spreadsheet:", error);
+      window.alert(error instanceof Error ? error.message : "Could not read the file.");
+    }
+  };
+
+  const updateMapping = (fieldId: string, column: string): void => {
+    const updated = { ...mapping };
+    delete updated[fieldId];
+    if (column !== "") updated[fieldId] = Number(column);
+    setMapping(updated);
+  };
+
+  const downloadReport = (): void => {
+    const lines = [
+      ["Row", "Field", "Problem", "Exported"],
+      ...problemRows.flatMap((row) =>
+        row.issues.map((issue) => [
+          String(row.index + 1),
+          issue.label,
+          issue.message,
+          row.blocked ? "No" : "Yes",
+        ])
+      ),
+    ];
+    const slug = fileName.replace(/\.[^.]+$/, "") || template.id;
+    downloadBlob(new Blob([toCsv(lines)], { type: "text/csv" }), `${slug}-problems.csv`);
+  };
+
+  /**
+   * Render every exportable row through the preview and download the results
+   */
+  const exportRows = async (format: BulkFormat): Promise<void> => {
+    const element = previewRef.current;
+    if (!csv || !element) return;
+
+    if (exportableRows.length === 0) {
+      window.alert("No rows can be exported. Fix the problems listed in the report first.");
+      return;
+    }
+
+    const skipped = rows.length - exportableRows.length;
+    if (
+      skipped > 0 &&
+      !window.confirm(
+        `${skipped} of ${rows.length} rows have problems with required fields and will be skipped. Continue?`
+      )
+    ) {
+      return;
+    }
+
+    const imageOptions = getImageOptions();
+    const failedRows: number[] = [];
+    const files: ZipEntry[] = [];
+    let pageCount = 0;
+    const pdf =
+      format === "pdf" && template.printConfig ? createTemplatePdf(template.printConfig) : null;
+
+    const { signal } = (exportController.current = new AbortController());
+    setProgress({ done: 0, total: exportableRows.length });
+
+    try {
+      for (const [position, row] of exportableRows.entries()) {
+        throwIfCancelled(signal);
+        flushSync(() => onPreviewRow(row.values));
+        await waitForRender(element);
+
+        try {
+          // Double-sided templates are also rendered offscreen, so both sides are captured
+          const sides = template.hasBackSide
+            ? await renderBothSidesOffscreen(template, { ...getRenderOptions(), values: row.values })
+            : null;
+          const faces = sides
+            ? [
+                { element: sides[0].element, suffix: "-front" },
+                { element: sides[1].element, suffix: "-back" },
+              ]
+            : [{ element, suffix: "" }];
+
+          try {
+            for (const face of faces) {
+              if (pdf) {
+                for (const page of getPrintPages(face.element)) {
+                  if (pageCount > 0) pdf.addPage();
+                  await addElementToPdf(pdf, page, template.printConfig!, prepareExport);
+                  pageCount++;
+                }
+              } else {
+                const canvas = await renderElementToCanvas(face.element, {
+                  ...imageOptions,
+                  modifyClone: prepareExport,
+                  signal,
+                });
+                const name = getBulkRowFileName(template.id, csv.rows[row.index], row.index, fileNameColumn);
+                files.push({
+                  name: `${name}${face.suffix}.png`,
+                  data: await canvasToPngBytes(canvas, imageOptions.dpi, signal),
+                });
+              }
+            }
+          } finally {
+            sides?.forEach((side) => side.dispose());
+          }
+        } catch (error) {
+          if (isCancelledError(error)) throw error;
+          console.error(`Error exporting row ${row.index + 1}:`, error);
+          failedRows.push(row.index + 1);
+        }
+
+        setProgress({ done: position + 1, total: exportableRows.length });
+      }
+
+      if (pdf && pageCount > 0) {
+        pdf.save(`${template.id}-bulk.pdf`);
+      } else if (files.length > 0) {
+        downloadBlob(createZip(files), `${template.id}-bulk.zip`);
+      }
+
+      if (failedRows.length > 0) {
+        window.alert(`These rows could not be exported: ${failedRows.join(", ")}`);
+      }
+    } catch (error) {
+      // Cancelling discards what was exported so far
+      if (isCancelledError(error)) return;
+      console.error("Error exporting rows:", error);
+      window.alert("The export failed. See the console for details.");
+    } finally {
+      exportController.current = null;
+      setProgress(null);
+      onPreviewRow(currentRow ? currentRow.values : null);
+    }
+  };
+
+  return (
+    <aside className="fixed z-40 top-4 bottom-4 right-24 w-96 flex flex-col bg-white/90 backdrop-blur-md rounded-lg shadow-lg border border-latte-pink">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200/80">
+        <h2 className="font-semibold text-latte-text">Bulk Generate</h2>
+        <button
+          type="button"
+          className="text-latte-overlay1 hover:text-latte-text text-lg leading-none"
+          onClick={onClose}
+          disabled={progress !== null}
+          title="Close bulk mode"
+          aria-label="Close bulk mode"
+        >
+          &times;
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-3 space-y-5 text-sm">
+        <section>
+          <label className="block text-xs font-semibold text-latte-subtext0 mb-1" htmlFor="bulk-file">
+            Spreadsheet (CSV exported from Excel, Sheets or Numbers)
+          </label>
+          <input
+            id="bulk-file"
+            type="file"
+            accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values"
+            className="block w-full text-xs text-latte-subtext1"
+            disabled={progress !== null}
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) openFile(file);
+              e.target.value = "";
+            }}
+          />
+          {csv && (
+            <p className="text-xs text-latte-overlay2 mt-1">
+              {fileName}: {csv.rows.length} rows, {csv.headers.length} columns
+            </p>
+          )}
+        </section>
+
+        {csv && (
+          <section>
+            <h3 className="text-xs font-semibold text-latte-subtext0 mb-2">Map columns to fields</h3>
+            <div className="space-y-2">
+              {mappableFields.map((field) => (
+                <div key={field.id} className="grid grid-cols-2 gap-2 items-center">
+                  <label htmlFor={`bulk-map-${field.id}`} className="text-xs text-latte-text truncate">
+                    {field.label}
+                    {field.validation?.required && <span className="text-latte-red"> *</span>}
+                  </label>
+                  <select
+                    id={`bulk-map-${field.id}`}
+                    className={`${inputClasses} text-xs`}
+                    value={mapping[field.id] ?? ""}
+                    disabled={progress !== null}
+                    onChange={(e) => updateMapping(field.id, e.target.value)}
+                  >
+                    <option value="">Keep current value</option>
+                    {csv.headers.map((header, index) => (
+                      <option key={index} value={index}>
+                        {header}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+              <div className="grid grid-cols-2 gap-2 items-center pt-2 border-t border-gray-200/80">
+                <label htmlFor="bulk-file-name" className="text-xs text-latte-text">
+                  Name PNG files after
+                </label>
+                <select
+                  id="bulk-file-name"
+                  className={`${inputClasses} text-xs`}
+                  value={fileNameColumn ?? ""}
+                  disabled={progress !== null}
+                  onChange={(e) =>
+                    setFileNameColumn(e.target.value === "" ? undefined : Number(e.target.value))
+                  }
+                >
+                  <option value="">Row number</option>
+                  {csv.headers.map((header, index) => (
+                    <option key={index} value={index}>
+                      {header}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </section>
+        )}
+
+        {rows.length > 0 && (
+          <section>
+            <h3 className="text-xs font-semibold text-latte-subtext0 mb-2">Preview</h3>
+            <div className="flex items-center justify-between">
+              <button
+                type="button"
+                className={smallButtonClasses}
+                disabled={page === 0 || progress !== null}
+                onClick={() => setPage(page - 1)}
+              >
+                &larr; Previous
+              </button>
+              <span className="text-xs text-latte-text">
+                Row {page + 1} of {rows.length}
+              </span>
+              <button
+                type="button"
+                className={smallButtonClasses}
+                disabled={page >= rows.length - 1 || progress !== null}
+                onClick={() => setPage(page + 1)}
+              >
+                Next &rarr;
+              </button>
+            </div>
+            {currentRow && currentRow.issues.length > 0 && (
+              <ul className="mt-2 text-xs text-latte-red space-y-0.5">
+                {currentRow.issues.map((issue) => (
+                  <li key={`${issue.fieldId}-${issue.message}`}>
+                    {issue.label}: {issue.message}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        )}
+
+        {problemRows.length > 0 && (
+          <section>
+            <div className="flex items-center justify-between mb-2">
+              <h3 className="text-xs font-semibold text-latte-red">
+                {problemRows.length === 1 ? "1 row has problems" : `${problemRows.length} rows have problems`}
+              </h3>
+              <button type="button" className={smallButtonClasses} onClick={downloadReport}>
+                Download report
+              </button>
+            </div>
+            <ul className="space-y-1 text-xs max-h-48 overflow-y-auto">
+              {problemRows.map((row) => (
+                <li key={row.index}>
+                  <button
+                    type="button"
+                    className="text-left w-full rounded px-1 hover:bg-latte-mantle"
+                    onClick={() => setPage(row.index)}
+                  >
+                    <span className="font-medium text-latte-text">Row {row.index + 1}</span>
+                    {row.blocked && <span className="text-latte-red"> (skipped)</span>}
+                    <span className="block text-latte-subtext1">
+                      {row.issues.map((issue) => `${issue.label}: ${issue.message}`).join("; ")}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+      </div>
+
+      {rows.length > 0 && (
+        <div className="px-4 py-3 border-t border-gray-200/80 space-y-2">
+          {progress ? (
+            <div>
+              <div className="flex items-center justify-between mb-1">
+                <p className="text-xs text-latte-text">
+                  Exporting {progress.done} of {progress.total}...
+                </p>
+                <button
+                  type="button"
+                  className={smallButtonClasses}
+                  onClick={() => exportController.current?.abort()}
+                >
+                  Cancel
+                </button>
+              </div>
+              <div className="h-1.5 rounded bg-latte-surface1 overflow-hidden">
+                <div
+                  className="h-full bg-latte-pink transition-all"
+                  style={{ width: `${(progress.done / progress.total) * 100}%` }}
+                />
+              </div>
+            </div>
+          ) : (
+            <div className="flex gap-2">
+              {supportedFormats.includes("png") && (
+                <button
+                  type="button"
+                  className="flex-1 px-3 py-2 rounded bg-latte-pink text-white text-sm hover:opacity-90"
+                  onClick={() => exportRows("png")}
+                >
+                  Zip of PNGs
+                </button>
+              )}
+              {supportedFormats.includes("pdf") && template.printConfig && (
+                <button
+                  type="button"
+                  className="flex-1 px-3 py-2 rounded bg-latte-pink text-white text-sm hover:opacity-90"
+                  onClick={() => exportRows("pdf")}
+                >
+                  Multi-page PDF
+                </button>
+              )}
+            </div>
+          )}
+          <p className="text-xs text-latte-overlay2">
+            {exportableRows.length} of {rows.length} rows will be exported
+          </p>
+        </div>
+      )}
+    </aside>
+  );
+};
+
+export default BulkPanel;
@@ -1,5 +1,6 @@
 import React, { useState, useRef, useEffect } from "react";
 import { EditableTextProps } from "../../types/components";
+import { useFieldIssues } from "./FieldValidationContext";
 
 /**
  * Component for rendering editable text elements within templates
@@ -14,6 +15,9 @@ const EditableText: React.FC<EditableTextProps> = ({
   const [isHovered, setIsHovered] = useState<boolean>(false);
   const [isFocused, setIsFocused] = useState<boolean>(false);
   const contentRef = useRef<HTMLSpanElement | null>(null);
+  const issues = useFieldIssues(fieldId);
+  // Highlighted via the data-invalid attribute, which exports strip from their copy
+  const isInvalid = issues.length > 0 && !isFocused && !isHovered;
 
   // Only update the inner HTML when the component mounts or value changes while not focused
   useEffect(() => {
@@ -37,6 +41,7 @@ const EditableText: React.FC<EditableTextProps> = ({
             ? "outline-dashed outline-2 outline-black-500 bg-blue-20"
             : ""
         }
+        data-invalid:outline-dashed data-invalid:outline-2 data-invalid:outline-latte-red data-invalid:bg-latte-red/10
       `}
       contentEditable={true}
       suppressContentEditableWarning={true}
@@ -45,11 +50,13 @@ const EditableText: React.FC<EditableTextProps> = ({
       onFocus={() => setIsFocused(true)}
       onBlur={(e: React.FocusEvent<HTMLSpanElement>) => {
         setIsFocused(false);
-        onValueChange(fieldId, e.currentTarget.innerText);
+        // Leaving the field without editing it isn't a change
+        if (e.currentTarget.innerText !== value) onValueChange(fieldId, e.currentTarget.innerText);
       }}
       // Remove the onInput handler to prevent constant updates while typing
       data-field-id={fieldId}
-      title="Click to edit"
+      data-invalid={isInvalid || undefined}
+      title={issues.length > 0 ? issues.join("\n") : "Click to edit"}
     />
   );
 };
@@ -0,0 +1,83 @@
+import React from "react";
+import { ExportJob } from "../../hooks/useExportJobs";
+
+interface ExportToastsProps {
+  jobs: ExportJob[];
+  onCancel: (id: number) => void;
+  onDismiss: (id: number) => void;
+}
+
+const borderClasses: Record<ExportJob["status"], string> = {
+  running: "border-latte-pink",
+  done: "border-latte-green",
+  failed: "border-latte-red",
+  cancelled: "border-latte-surface1",
+};
+
+/**
+ * Toasts for exports: progress and a cancel button while they run,
+ * then whether they succeeded, failed or were cancelled
+ */
+const ExportToasts: React.FC<ExportToastsProps> = ({ jobs, onCancel, onDismiss }) => {
+  if (jobs.length === 0) return null;
+
+  return (
+    <div className="fixed z-50 bottom-4 left-4 w-80 space-y-2" role="status" aria-live="polite">
+      {jobs.map((job) => (
+        <div
+          key={job.id}
+          className={`bg-white/90 backdrop-blur-md rounded-lg shadow-lg border px-4 py-3 text-sm ${borderClasses[job.status]}`}
+        >
+          <div className="flex items-start justify-between gap-2">
+            <p className="text-latte-text">
+              {job.status === "running" && `Exporting ${job.label}...`}
+              {job.status === "done" && (
+                <span className="text-latte-green font-semibold">{job.label} exported</span>
+              )}
+              {job.status === "failed" && (
+                <span className="text-latte-red font-semibold">{job.label} export failed</span>
+              )}
+              {job.status === "cancelled" && `${job.label} export cancelled`}
+            </p>
+            {job.status === "running" ? (
+              <button
+                type="button"
+                className="px-2 py-0.5 rounded text-xs text-gray-600 hover:bg-gray-100 hover:text-gray-900"
+                onClick={() => onCancel(job.id)}
+              >
+                Cancel
+              </button>
+            ) : (
+              <button
+                type="button"
+                className="text-latte-overlay1 hover:text-latte-text text-lg leading-none"
+                onClick={() => onDismiss(job.id)}
+                title="Dismiss"
+                aria-label="Dismiss"
+              >
+                &times;
+              </button>
+            )}
+          </div>
+
+          {job.status === "running" && (
+            <div className="mt-2">
+              <div className="h-1.5 rounded bg-latte-surface1 overflow-hidden">
+                <div
+                  className="h-full bg-latte-pink transition-all"
+                  style={{ width: `${job.progress * 100}%` }}
+                />
+              </div>
+              {job.stage && <p className="text-xs text-latte-overlay2 mt-1">{job.stage}</p>}
+            </div>
+          )}
+          {job.status === "failed" && job.error && (
+            <p className="text-xs text-latte-subtext0 mt-1">{job.error}</p>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ExportToasts;
@@ -0,0 +1,236 @@
+import React from "react";
+import { HexColorPicker, HexColorInput } from "react-colorful";
+import { TemplateField, TemplateValues } from "../../templates/_core/types";
+import { pickImage } from "../../utils/pickImage";
+import ArrayRowEditor from "./ArrayRowEditor";
+import { useFieldIssues } from "./FieldValidationContext";
+
+interface FieldPanelProps {
+  fields: TemplateField[];
+  values: TemplateValues;
+  onValueChange: (id: string, value: any) => void;
+  onClose: () => void;
+}
+
+interface FieldInputProps {
+  field: TemplateField;
+  value: any;
+  onValueChange: (id: string, value: any) => void;
+}
+
+const inputClasses =
+  "w-full rounded border border-latte-surface1 bg-white px-2 py-1 text-sm text-latte-text focus:outline-none focus:border-latte-pink";
+
+const smallButtonClasses =
+  "px-2 py-1 rounded text-xs text-gray-600 hover:bg-gray-100 hover:text-gray-900 transition-colors duration-150";
+
+/**
+ * Text input, or a textarea for long and multi-line defaults, or a select when the field has options
+ */
+const TextFieldInput: React.FC<FieldInputProps> = ({ field, value, onValueChange }) => {
+  const text = value === null || value === undefined ? "" : String(value);
+
+  if (field.options && field.options.length > 0) {
+    return (
+      <select
+        id={`field-${field.id}`}
+        className={inputClasses}
+        value={text}
+        onChange={(e) => onValueChange(field.id, e.target.value)}
+      >
+        {!field.options.includes(text) && <option value={text}>{text}</option>}
+        {field.options.map((option) => (
+          <option key={option} value={option}>
+            {option}
+          </option>
+        ))}
+      </select>
+    );
+  }
+
+  const defaultText = String(field.default ?? "");
+  const isMultiline = defaultText.includes("\n") || defaultText.length > 60;
+
+  if (isMultiline) {
+    return (
+      <textarea
+        id={`field-${field.id}`}
+        className={`${inputClasses} resize-y`}
+        rows={4}
+        value={text}
+        onChange={(e) => onValueChange(field.id, e.target.value)}
+      />
+    );
+  }
+
+  return (
+    <input
+      id={`field-${field.id}`}
+      type="text"
+      className={inputClasses}
+      value={text}
+      onChange={(e) => onValueChange(field.id, e.target.value)}
+    />
+  );
+};
+
+/**
+ * Color picker with a hex input
+ */
+const ColorFieldInput: React.FC<FieldInputProps> = ({ field, value, onValueChange }) => {
+  const color = typeof value === "string" && value ? value : "#000000";
+
+  return (
+    <div className="space-y-2">
+      <HexColorPicker
+        color={color}
+        onChange={(newColor) => onValueChange(field.id, newColor)}
+        style={{ width: "100%", height: 120 }}
+      />
+      <div className="flex items-center gap-2">
+        <span
+          className="w-6 h-6 rounded border border-latte-surface1 shrink-0"
+          style={{ backgroundColor: color }}
+        />
+        <HexColorInput
+          id={`field-${field.id}`}
+          className={inputClasses}
+          color={color}
+          prefixed
+          onChange={(newColor) => onValueChange(field.id, newColor)}
+        />
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Image preview with buttons to choose or remove the image
+ */
+const ImageFieldInput: React.FC<FieldInputProps> = ({ field, value, onValueChange }) => {
+  return (
+    <div className="flex items-center gap-3">
+      <div className="w-16 h-16 rounded border border-latte-surface1 bg-latte-mantle flex items-center justify-center overflow-hidden shrink-0">
+        {value ? (
+          <img src={value} alt={field.label} className="max-w-full max-h-full object-contain" />
+        ) : (
+          <span className="text-xs text-latte-overlay1">None</span>
+        )}
+      </div>
+      <div className="flex flex-col items-start gap-1">
+        <button
+          type="button"
+          id={`field-${field.id}`}
+          className={smallButtonClasses}
+          onClick={() => pickImage((dataUrl) => onValueChange(field.id, dataUrl))}
+        >
+          {value ? "Replace image" : "Choose image"}
+        </button>
+        {value && (
+          <button
+            type="button"
+            className={smallButtonClasses}
+            onClick={() => onValueChange(field.id, "")}
+          >
+            Remove
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Renders the input that matches a field's type
+ */
+const FieldInput: React.FC<FieldInputProps> = (props) => {
+  const { field, value } = props;
+  const issues = useFieldIssues(field.id);
+
+  let input: React.ReactNode;
+  switch (field.type) {
+    case "color":
+      input = <ColorFieldInput {...props} />;
+      break;
+    case "image":
+      input = <ImageFieldInput {...props} />;
+      break;
+    case "array":
+      input = <ArrayRowEditor {...props} />;
+      break;
+    case "number":
+      input = (
+        <input
+          id={`field-${field.id}`}
+          type="number"
+          className={inputClasses}
+          value={value ?? ""}
+          // Empty (or a partial entry like "-") is stored as "", so the field can be cleared and retyped
+          onChange={(e) => props.onValueChange(field.id, e.target.value === "" ? "" : Number(e.target.value))}
+        />
+      );
+      break;
+    case "calculated":
+      input = (
+        <p id={`field-${field.id}`} className="text-sm text-latte-subtext1 px-2 py-1 bg-latte-mantle rounded">
+          {typeof value === "number" ? value.toFixed(2) : String(value ?? "")}
+        </p>
+      );
+      break;
+    default:
+      input = <TextFieldInput {...props} />;
+  }
+
+  return (
+    <div>
+      <label
+        htmlFor={`field-${field.id}`}
+        className="block text-xs font-semibold text-latte-subtext0 mb-1"
+      >
+        {field.label}
+        {field.validation?.required && <span className="text-latte-red"> *</span>}
+      </label>
+      {input}
+      {issues.map((issue) => (
+        <p key={issue} className="text-xs text-latte-red mt-1">
+          {issue}
+        </p>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Side panel with an input for every template field
+ * Edits go through the same onValueChange as inline editing, so both stay in sync
+ */
+const FieldPanel: React.FC<FieldPanelProps> = ({ fields, values, onValueChange, onClose }) => {
+  return (
+    <aside className="fixed z-40 top-4 bottom-4 right-24 w-80 flex flex-col bg-white/90 backdrop-blur-md rounded-lg shadow-lg border border-latte-pink">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200/80">
+        <h2 className="font-semibold text-latte-text">Fields</h2>
+        <button
+          type="button"
+          className="text-latte-overlay1 hover:text-latte-text text-lg leading-none"
+          onClick={onClose}
+          title="Close fields panel"
+          aria-label="Close fields panel"
+        >
+          &times;
+        </button>
+      </div>
+      <div className="flex-1 overflow-y-auto px-4 py-3 space-y-4">
+        {fields.map((field) => (
+          <FieldInput
+            key={field.id}
+            field={field}
+            value={values[field.id]}
+            onValueChange={onValueChange}
+          />
+        ))}
+      </div>
+    </aside>
+  );
+};
+
+export default FieldPanel;
@@ -0,0 +1,17 @@
+import { createContext, useContext } from "react";
+
+/**
+ * Validation messages for each invalid field, keyed by field ID
+ * Provided by the editor so inline fields can highlight themselves
+ */
+const FieldValidationContext = createContext<Record<string, string[]>>({});
+
+/**
+ * Hook returning the validation messages for a field
+ * @param fieldId - The field to look up
+ * @returns The field's messages, or an empty list when it's valid
+ */
+export const useFieldIssues = (fieldId: string): string[] =>
+  useContext(FieldValidationContext)[fieldId] ?? [];
+
+export default FieldValidationContext;
@@ -1,5 +1,6 @@
 import React, { useState } from "react";
 import { ImageUploadOverlayProps } from "../../types/components";
+import { pickImage } from "../../utils/pickImage";
 
 /**
  * Component for adding image upload functionality to template images
@@ -17,21 +18,7 @@ const ImageUploadOverlay: React.FC<ImageUploadOverlayProps> = ({
   if (!isEditMode) return null;
 
   const handleImageClick = (): void => {
-    const input = document.createElement("input");
-    input.type = "file";
-    input.accept = "image/*";
-    input.onchange = (e: Event) => {
-      const target = e.target as HTMLInputElement;
-      const file = target.files?.[0];
-      if (file) {
-        const reader = new FileReader();
-        reader.onload = (event: ProgressEvent<FileReader>) => {
-          onValueChange(fieldId, event.target?.result);
-        };
-        reader.readAsDataURL(file);
-      }
-    };
-    input.click();
+    pickImage((dataUrl) => onValueChange(fieldId, dataUrl));
   };
 
   return (
@@ -41,6 +28,7 @@ const ImageUploadOverlay: React.FC<ImageUploadOverlayProps> = ({
       onMouseEnter={() => setIsHovered(true)}
       onMouseLeave={() => setIsHovered(false)}
       title="Click to change image"
+      data-edit-only
     >
       <div>
         <svg
@@ -0,0 +1,283 @@
+import React, { useMemo, useState } from "react";
+import jsPDF from "jspdf";
+import { TemplateDefinition } from "../../templates/_core/types";
+import {
+  FlipEdge,
+  ImpositionLayout,
+  ImpositionOptions,
+  SHEET_SIZES,
+  SheetSizeId,
+  createImpositionPdf,
+  drawCutMarks,
+  getBackCells,
+  getImpositionLayout,
+} from "../../utils/imposition";
+import { OffscreenTemplateOptions, renderTemplateOffscreen } from "../../utils/renderTemplateOffscreen";
+import { PdfBox, drawElementToPdf } from "../../utils/vectorPdf";
+
+interface ImpositionPanelProps {
+  template: TemplateDefinition;
+  // Values and display settings for rendering the sides offscreen
+  getRenderOptions: () => OffscreenTemplateOptions;
+  onClose: () => void;
+}
+
+// Starting margin and gutter for each sheet, in its unit.
+// The Letter margin matches common 10-up business card stock; A4 leaves room for 2-up A5.
+const DEFAULT_SPACING: Record<SheetSizeId, { margin: number; gutter: number; step: number }> = {
+  letter: { margin: 0.5, gutter: 0, step: 0.0625 },
+  a4: { margin: 0, gutter: 0, step: 1 },
+};
+
+const inputClasses =
+  "w-full rounded border border-latte-surface1 bg-white px-2 py-1 text-sm text-latte-text focus:outline-none focus:border-latte-pink";
+
+/**
+ * Small drawing of the sheet with every piece on it
+ */
+const SheetPreview: React.FC<{ layout: ImpositionLayout }> = ({ layout }) => (
+  <svg
+    viewBox={`0 0 ${layout.sheetWidth} ${layout.sheetHeight}`}
+    className="w-full max-h-56 bg-white border border-latte-surface1 rounded"
+    role="img"
+    aria-label={`${layout.columns} by ${layout.rows} grid on a ${layout.orientation} sheet`}
+  >
+    {layout.cells.map((cell, index) => (
+      <rect
+        key={index}
+        x={cell.x}
+        y={cell.y}
+        width={cell.width}
+        height={cell.height}
+        className="fill-latte-pink/20 stroke-latte-pink"
+        strokeWidth={layout.sheetWidth / 200}
+      />
+    ))}
+  </svg>
+);
+
+/**
+ * Side panel for printing several copies of a template on one sheet (N-up imposition)
+ * For double-sided templates it can add a mirrored back sheet for duplex printing
+ */
+const ImpositionPanel: React.FC<ImpositionPanelProps> = ({
+  template,
+  getRenderOptions,
+  onClose,
+}) => {
+  const [options, setOptions] = useState<ImpositionOptions>({
+    sheet: "letter",
+    orientation: "auto",
+    margin: DEFAULT_SPACING.letter.margin,
+    gutter: DEFAULT_SPACING.letter.gutter,
+    cutMarks: true,
+    flipEdge: "long",
+  });
+  const [includeBack, setIncludeBack] = useState<boolean>(!!template.hasBackSide);
+  const [isExporting, setIsExporting] = useState<boolean>(false);
+
+  const printConfig = template.printConfig!;
+  const unit = SHEET_SIZES[options.sheet].unit;
+
+  const { layout, error } = useMemo(() => {
+    try {
+      return { layout: getImpositionLayout(printConfig, options), error: null };
+    } catch (layoutError) {
+      return { layout: null, error: (layoutError as Error).message };
+    }
+  }, [printConfig, options]);
+
+  const updateOptions = (changes: Partial<ImpositionOptions>): void => {
+    setOptions({ ...options, ...changes });
+  };
+
+  const changeSheet = (sheet: SheetSizeId): void => {
+    const { margin, gutter } = DEFAULT_SPACING[sheet];
+    updateOptions({ sheet, margin, gutter });
+  };
+
+  /**
+   * Renders one side offscreen and draws it once per cell on the current page
+   */
+  const drawSheet = async (pdf: jsPDF, showBackSide: boolean, cells: PdfBox[]): Promise<void> => {
+    const side = await renderTemplateOffscreen(template, { ...getRenderOptions(), showBackSide });
+    try {
+      for (const cell of cells) {
+        await drawElementToPdf(pdf, side.element, cell, { fonts: printConfig.fonts });
+      }
+    } finally {
+      side.dispose();
+    }
+    if (options.cutMarks) drawCutMarks(pdf, cells);
+  };
+
+  const exportSheets = async (): Promise<void> => {
+    if (!layout) return;
+    setIsExporting(true);
+
+    try {
+      const pdf = createImpositionPdf(layout);
+      await drawSheet(pdf, false, layout.cells);
+
+      if (template.hasBackSide && includeBack) {
+        pdf.addPage();
+        await drawSheet(pdf, true, getBackCells(layout, options.flipEdge));
+      }
+
+      pdf.save(`${template.id}-${layout.cells.length}-up.pdf`);
+    } catch (exportError) {
+      console.error("Error exporting imposed sheet:", exportError);
+      window.alert("The export failed. See the console for details.");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <aside className="fixed z-40 top-4 bottom-4 right-24 w-80 flex flex-col bg-white/90 backdrop-blur-md rounded-lg shadow-lg border border-latte-pink">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200/80">
+        <h2 className="font-semibold text-latte-text">Print Sheet</h2>
+        <button
+          type="button"
+          className="text-latte-overlay1 hover:text-latte-text text-lg leading-none"
+          onClick={onClose}
+          disabled={isExporting}
+          title="Close print sheet"
+          aria-label="Close print sheet"
+        >
+          &times;
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-3 space-y-4 text-sm">
+        <div className="grid grid-cols-2 gap-2 items-center">
+          <label htmlFor="imposition-sheet" className="text-xs text-latte-text">
+            Paper
+          </label>
+          <select
+            id="imposition-sheet"
+            className={`${inputClasses} text-xs`}
+            value={options.sheet}
+            disabled={isExporting}
+            onChange={(e) => changeSheet(e.target.value as SheetSizeId)}
+          >
+            {Object.entries(SHEET_SIZES).map(([id, sheet]) => (
+              <option key={id} value={id}>
+                {sheet.name}
+              </option>
+            ))}
+          </select>
+
+          <label htmlFor="imposition-orientation" className="text-xs text-latte-text">
+            Orientation
+          </label>
+          <select
+            id="imposition-orientation"
+            className={`${inputClasses} text-xs`}
+            value={options.orientation}
+            disabled={isExporting}
+            onChange={(e) =>
+              updateOptions({ orientation: e.target.value as ImpositionOptions["orientation"] })
+            }
+          >
+            <option value="auto">Fit the most</option>
+            <option value="portrait">Portrait</option>
+            <option value="landscape">Landscape</option>
+          </select>
+
+          <label htmlFor="imposition-margin" className="text-xs text-latte-text">
+            Sheet margin ({unit})
+          </label>
+          <input
+            id="imposition-margin"
+            type="number"
+            min={0}
+            step={DEFAULT_SPACING[options.sheet].step}
+            className={inputClasses}
+            value={options.margin}
+            disabled={isExporting}
+            onChange={(e) => updateOptions({ margin: Math.max(0, Number(e.target.value) || 0) })}
+          />
+
+          <label htmlFor="imposition-gutter" className="text-xs text-latte-text">
+            Gutter ({unit})
+          </label>
+          <input
+            id="imposition-gutter"
+            type="number"
+            min={0}
+            step={DEFAULT_SPACING[options.sheet].step}
+            className={inputClasses}
+            value={options.gutter}
+            disabled={isExporting}
+            onChange={(e) => updateOptions({ gutter: Math.max(0, Number(e.target.value) || 0) })}
+          />
+        </div>
+
+        <label className="flex items-center gap-2 text-xs text-latte-text">
+          <input
+            type="checkbox"
+            checked={options.cutMarks}
+            disabled={isExporting}
+            onChange={(e) => updateOptions({ cutMarks: e.target.checked })}
+          />
+          Cut marks in the margin
+        </label>
+
+        {template.hasBackSide && (
+          <div className="space-y-2">
+            <label className="flex items-center gap-2 text-xs text-latte-text">
+              <input
+                type="checkbox"
+                checked={includeBack}
+                disabled={isExporting}
+                onChange={(e) => setIncludeBack(e.target.checked)}
+              />
+              Add a back sheet for double-sided printing
+            </label>
+            {includeBack && (
+              <div className="grid grid-cols-2 gap-2 items-center">
+                <label htmlFor="imposition-flip" className="text-xs text-latte-text">
+                  Printer flips on
+                </label>
+                <select
+                  id="imposition-flip"
+                  className={`${inputClasses} text-xs`}
+                  value={options.flipEdge}
+                  disabled={isExporting}
+                  onChange={(e) => updateOptions({ flipEdge: e.target.value as FlipEdge })}
+                >
+                  <option value="long">Long edge</option>
+                  <option value="short">Short edge</option>
+                </select>
+              </div>
+            )}
+          </div>
+        )}
+
+        {layout && (
+          <section>
+            <SheetPreview layout={layout} />
+            <p className="text-xs text-latte-overlay2 mt-1">
+              {layout.cells.length} per sheet ({layout.columns} &times; {layout.rows}), {layout.orientation}
+            </p>
+          </section>
+        )}
+        {error && <p className="text-xs text-latte-red">{error}</p>}
+      </div>
+
+      <div className="px-4 py-3 border-t border-gray-200/80">
+        <button
+          type="button"
+          className="w-full px-3 py-2 rounded bg-latte-pink text-white text-sm hover:opacity-90 disabled:opacity-40"
+          disabled={!layout || isExporting}
+          onClick={exportSheets}
+        >
+          {isExporting ? "Exporting..." : "Download Sheet PDF"}
+        </button>
+      </div>
+    </aside>
+  );
+};
+
+export default ImpositionPanel;
@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from "react";
+import { PrintConfig } from "../../templates/_core/types";
+import { getTrimSize } from "../../utils/pdfExport";
+
+interface PrintGuidesProps {
+  printConfig: PrintConfig;
+  // The rendered template; guides are drawn over it
+  targetRef: React.RefObject<HTMLElement | null>;
+}
+
+interface GuideBox {
+  left: number;
+  top: number;
+  width: number;
+  height: number;
+}
+
+interface GuideLayout {
+  trim: GuideBox;
+  bleed: number;
+  safe: GuideBox | null;
+  // Text that extends past the safe area, as boxes relative to the guides
+  unsafeText: GuideBox[];
+}
+
+/**
+ * Works out where the trim line, bleed and safe area are on screen,
+ * and which text runs past the safe area.
+ * Sizes come from the print config, scaled to the template's on-screen width.
+ */
+const measureGuides = (element: HTMLElement, printConfig: PrintConfig): GuideLayout => {
+  const { width: trimWidth } = getTrimSize(printConfig);
+  const margins = printConfig.margins || { top: 0, right: 0, bottom: 0, left: 0 };
+  const pixelsPerUnit = element.offsetWidth / (trimWidth - margins.left - margins.right);
+
+  // Position in the shared offset parent, so the guides line up with the template
+  const trim = {
+    left: element.offsetLeft - margins.left * pixelsPerUnit,
+    top: element.offsetTop - margins.top * pixelsPerUnit,
+    width: element.offsetWidth + (margins.left + margins.right) * pixelsPerUnit,
+    height: element.offsetHeight + (margins.top + margins.bottom) * pixelsPerUnit,
+  };
+
+  const safeInset = (printConfig.safeZone || 0) * pixelsPerUnit;
+  const safe = printConfig.safeZone
+    ? {
+        left: trim.left + safeInset,
+        top: trim.top + safeInset,
+        width: trim.width - 2 * safeInset,
+        height: trim.height - 2 * safeInset,
+      }
+    : null;
+
+  const unsafeText: GuideBox[] = [];
+  if (safe) {
+    const elementRect = element.getBoundingClientRect();
+    const range = document.createRange();
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      if (!node.textContent?.trim()) continue;
+
+      range.selectNodeContents(node);
+      const rect = range.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+
+      const box = {
+        left: rect.left - elementRect.left + element.offsetLeft,
+        top: rect.top - elementRect.top + element.offsetTop,
+        width: rect.width,
+        height: rect.height,
+      };
+      const isOutside =
+        box.left < safe.left - 0.5 ||
+        box.top < safe.top - 0.5 ||
+        box.left + box.width > safe.left + safe.width + 0.5 ||
+        box.top + box.height > safe.top + safe.height + 0.5;
+      if (isOutside) unsafeText.push(box);
+    }
+  }
+
+  return { trim, bleed: (printConfig.bleed || 0) * pixelsPerUnit, safe, unsafeText };
+};
+
+/**
+ * Overlay showing the bleed, trim line and safe area over the template preview,
+ * with text that sits too close to the edge outlined.
+ * Render it next to the template, inside the same positioned container.
+ *
+ * @param props - Component props
+ * @returns The guides, or null until the template has been measured
+ */
+const PrintGuides: React.FC<PrintGuidesProps> = ({ printConfig, targetRef }) => {
+  const [layout, setLayout] = useState<GuideLayout | null>(null);
+
+  // Re-measure whenever the template's size or content changes
+  useEffect(() => {
+    const element = targetRef.current;
+    if (!element) return;
+
+    let frame = 0;
+    const measure = (): void => {
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(() => setLayout(measureGuides(element, printConfig)));
+    };
+
+    const resizeObserver = new ResizeObserver(measure);
+    const mutationObserver = new MutationObserver(measure);
+    resizeObserver.observe(element);
+    mutationObserver.observe(element, { subtree: true, childList: true, characterData: true });
+    window.addEventListener("resize", measure);
+    measure();
+
+    return () => {
+      cancelAnimationFrame(frame);
+      resizeObserver.disconnect();
+      mutationObserver.disconnect();
+      window.removeEventListener("resize", measure);
+    };
+  }, [targetRef, printConfig]);
+
+  if (!layout) return null;
+
+  const { trim, bleed, safe, unsafeText } = layout;
+
+  return (
+    <div className="pointer-events-none absolute inset-0 z-10" aria-hidden="true">
+      {bleed > 0 && (
+        <div
+          className="absolute border-latte-red/20"
+          style={{
+            left: trim.left - bleed,
+            top: trim.top - bleed,
+            width: trim.width + 2 * bleed,
+            height: trim.height + 2 * bleed,
+            borderWidth: bleed,
+          }}
+          title="Bleed"
+        />
+      )}
+      <div
+        className="absolute border border-latte-red"
+        style={{ left: trim.left, top: trim.top, width: trim.width, height: trim.height }}
+      />
+      {safe && (
+        <div
+          className="absolute border border-dashed border-latte-green"
+          style={{ left: safe.left, top: safe.top, width: safe.width, height: safe.height }}
+        />
+      )}
+      {unsafeText.map((box, index) => (
+        <div
+          key={index}
+          className="absolute rounded-sm bg-latte-red/15 outline outline-1 outline-latte-red"
+          style={box}
+        />
+      ))}
+      <div
+        className="absolute text-xs text-latte-subtext0 whitespace-nowrap"
+        style={{ left: trim.left - bleed, top: trim.top + trim.height + bleed + 8 }}
+      >
+        <span className="text-latte-red">Trim</span>
+        {bleed > 0 && <span className="ml-3 text-latte-red/60">Bleed</span>}
+        {safe && <span className="ml-3 text-latte-green">Safe area</span>}
+        {unsafeText.length > 0 && (
+          <span className="ml-3 font-medium text-latte-red">
+            {unsafeText.length === 1
+              ? "1 text item is outside the safe area"
+              : `${unsafeText.length} text items are outside the safe area`}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PrintGuides;
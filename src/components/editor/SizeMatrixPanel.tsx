@@ -0,0 +1,244 @@
+import React, { useRef, useState } from "react";
+import { TemplateDefinition } from "../../templates/_core/types";
+import { createZip, downloadBlob } from "../../utils/bulkExport";
+import { isCancelledError } from "../../utils/exportJob";
+import { OffscreenTemplateOptions } from "../../utils/renderTemplateOffscreen";
+import { MatrixCell, renderMatrixImages } from "../../utils/sizeMatrix";
+
+interface MatrixOption {
+  id: string;
+  name: string;
+}
+
+interface SizeMatrixPanelProps {
+  template: TemplateDefinition;
+  variantOptions: MatrixOption[];
+  sizeOptions: MatrixOption[];
+  // Variant shown in the editor, selected for every size when the panel opens
+  currentVariant: string;
+  // Values and display settings for rendering offscreen
+  getRenderOptions: () => OffscreenTemplateOptions;
+  // Checks the field values before exporting; false cancels the export
+  confirmExport: () => boolean;
+  onClose: () => void;
+}
+
+const smallButtonClasses =
+  "px-2 py-1 rounded text-xs text-gray-600 hover:bg-gray-100 hover:text-gray-900 transition-colors duration-150 disabled:opacity-40 disabled:pointer-events-none";
+
+/**
+ * Key of a variant and size in the selection
+ */
+const getCellKey = (variant: string, size: string): string => `${variant}|${size}`;
+
+/**
+ * Side panel for exporting a template at several sizes and styles at once
+ * Any combination of variants × sizes can be picked; the images are downloaded as one zip
+ */
+const SizeMatrixPanel: React.FC<SizeMatrixPanelProps> = ({
+  template,
+  variantOptions,
+  sizeOptions,
+  currentVariant,
+  getRenderOptions,
+  confirmExport,
+  onClose,
+}) => {
+  const [selected, setSelected] = useState<Set<string>>(
+    () => new Set(sizeOptions.map((size) => getCellKey(currentVariant, size.id)))
+  );
+  const [progress, setProgress] = useState<{ done: number; total: number } | null>(null);
+  // Cancels the export that is running
+  const exportController = useRef<AbortController | null>(null);
+
+  const isExporting = progress !== null;
+  const cells: MatrixCell[] = variantOptions.flatMap((variant) =>
+    sizeOptions
+      .filter((size) => selected.has(getCellKey(variant.id, size.id)))
+      .map((size) => ({ variant: variant.id, size: size.id }))
+  );
+
+  /**
+   * Selects the given cells, or clears them when they are all selected already
+   */
+  const toggleCells = (keys: string[]): void => {
+    const updated = new Set(selected);
+    const allSelected = keys.every((key) => selected.has(key));
+    keys.forEach((key) => (allSelected ? updated.delete(key) : updated.add(key)));
+    setSelected(updated);
+  };
+
+  const exportCells = async (): Promise<void> => {
+    if (!confirmExport()) return;
+    const { signal } = (exportController.current = new AbortController());
+    setProgress({ done: 0, total: cells.length });
+
+    try {
+      const { files, failed } = await renderMatrixImages(
+        template,
+        cells,
+        getRenderOptions(),
+        (done, total) => setProgress({ done, total }),
+        signal
+      );
+
+      if (files.length > 0) {
+        downloadBlob(createZip(files), `${template.id}-sizes.zip`);
+      }
+      if (failed.length > 0) {
+        window.alert(`These images could not be exported: ${failed.join(", ")}`);
+      }
+    } catch (error) {
+      if (isCancelledError(error)) return;
+      console.error("Error exporting sizes:", error);
+      window.alert("The export failed. See the console for details.");
+    } finally {
+      exportController.current = null;
+      setProgress(null);
+    }
+  };
+
+  const imageCount = cells.length * (template.hasBackSide ? 2 : 1);
+
+  return (
+    <aside className="fixed z-40 top-4 bottom-4 right-24 w-96 flex flex-col bg-white/90 backdrop-blur-md rounded-lg shadow-lg border border-latte-pink">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200/80">
+        <h2 className="font-semibold text-latte-text">Export Sizes</h2>
+        <button
+          type="button"
+          className="text-latte-overlay1 hover:text-latte-text text-lg leading-none"
+          onClick={onClose}
+          disabled={isExporting}
+          title="Close size export"
+          aria-label="Close size export"
+        >
+          &times;
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-4 py-3 space-y-3 text-sm">
+        <div className="flex items-center justify-between">
+          <p className="text-xs text-latte-subtext0">Pick the sizes and styles to export.</p>
+          <div className="flex gap-1">
+            <button
+              type="button"
+              className={smallButtonClasses}
+              disabled={isExporting}
+              onClick={() =>
+                setSelected(
+                  new Set(
+                    variantOptions.flatMap((variant) =>
+                      sizeOptions.map((size) => getCellKey(variant.id, size.id))
+                    )
+                  )
+                )
+              }
+            >
+              All
+            </button>
+            <button
+              type="button"
+              className={smallButtonClasses}
+              disabled={isExporting}
+              onClick={() => setSelected(new Set())}
+            >
+              None
+            </button>
+          </div>
+        </div>
+
+        <table className="w-full text-xs">
+          <thead>
+            <tr>
+              <th className="text-left font-semibold text-latte-subtext0 pb-1">Size</th>
+              {variantOptions.map((variant) => (
+                <th key={variant.id} className="font-semibold text-latte-subtext0 pb-1 px-1">
+                  <button
+                    type="button"
+                    className="hover:text-latte-text disabled:pointer-events-none"
+                    disabled={isExporting}
+                    title={`Select every size in ${variant.name}`}
+                    onClick={() =>
+                      toggleCells(sizeOptions.map((size) => getCellKey(variant.id, size.id)))
+                    }
+                  >
+                    {variant.name}
+                  </button>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {sizeOptions.map((size) => (
+              <tr key={size.id} className="border-t border-gray-200/80">
+                <td className="py-1.5">
+                  <button
+                    type="button"
+                    className="text-left text-latte-text hover:text-latte-pink disabled:pointer-events-none"
+                    disabled={isExporting}
+                    title={`Select ${size.name} in every style`}
+                    onClick={() =>
+                      toggleCells(variantOptions.map((variant) => getCellKey(variant.id, size.id)))
+                    }
+                  >
+                    {size.name}
+                  </button>
+                </td>
+                {variantOptions.map((variant) => (
+                  <td key={variant.id} className="py-1.5 px-1 text-center">
+                    <input
+                      type="checkbox"
+                      aria-label={`${size.name}, ${variant.name}`}
+                      checked={selected.has(getCellKey(variant.id, size.id))}
+                      disabled={isExporting}
+                      onChange={() => toggleCells([getCellKey(variant.id, size.id)])}
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="px-4 py-3 border-t border-gray-200/80 space-y-2">
+        {progress ? (
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <p className="text-xs text-latte-text">
+                Exporting {progress.done} of {progress.total}...
+              </p>
+              <button
+                type="button"
+                className={smallButtonClasses}
+                onClick={() => exportController.current?.abort()}
+              >
+                Cancel
+              </button>
+            </div>
+            <div className="h-1.5 rounded bg-latte-surface1 overflow-hidden">
+              <div
+                className="h-full bg-latte-pink transition-all"
+                style={{ width: `${(progress.done / progress.total) * 100}%` }}
+              />
+            </div>
+          </div>
+        ) : (
+          <button
+            type="button"
+            className="w-full px-3 py-2 rounded bg-latte-pink text-white text-sm hover:opacity-90 disabled:opacity-40"
+            disabled={cells.length === 0}
+            onClick={exportCells}
+          >
+            Download Zip of PNGs
+          </button>
+        )}
+        <p className="text-xs text-latte-overlay2">
+          {imageCount === 1 ? "1 image" : `${imageCount} images`} will be exported
+        </p>
+      </div>
+    </aside>
+  );
+};
+
+export default SizeMatrixPanel;
@@ -0,0 +1,228 @@
+import React, { useEffect, useState } from "react";
+import { ExportFormat } from "../../templates/_core/types";
+import {
+  EXPORT_FORMATS,
+  ExportSettings,
+  isFormatSupported,
+  isRasterFormat,
+} from "../../utils/exportFormats";
+
+interface ExportDialogProps {
+  // Formats the template allows
+  formats: ExportFormat[];
+  initialSettings: ExportSettings;
+  // Resolutions to offer for raster formats; left out for templates without a print size
+  dpiOptions?: number[];
+  onExport: (settings: ExportSettings) => void;
+  onClose: () => void;
+}
+
+const inputClasses =
+  "w-full rounded border border-latte-surface1 bg-white px-2 py-1 text-sm text-latte-text focus:outline-none focus:border-latte-pink";
+
+/**
+ * Dialog for choosing the file format, quality, background and file name of an export
+ * @param props - Component props
+ */
+const ExportDialog: React.FC<ExportDialogProps> = ({
+  formats,
+  initialSettings,
+  dpiOptions,
+  onExport,
+  onClose,
+}) => {
+  const [settings, setSettings] = useState<ExportSettings>(initialSettings);
+
+  const formatInfo = EXPORT_FORMATS[settings.format];
+  const isRaster = isRasterFormat(settings.format);
+  // JPEG has no transparency, so its background is always filled
+  const background = formatInfo.transparency ? settings.background : "filled";
+
+  // Close on Escape, like other dialogs
+  useEffect(() => {
+    const handleKeyDown = (event: KeyboardEvent) => {
+      if (event.key === "Escape") onClose();
+    };
+    document.addEventListener("keydown", handleKeyDown);
+    return () => document.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const updateSettings = (changes: Partial<ExportSettings>): void => {
+    setSettings({ ...settings, ...changes });
+  };
+
+  const submit = (event: React.FormEvent): void => {
+    event.preventDefault();
+    onExport({
+      ...settings,
+      background,
+      filename: settings.filename.trim() || initialSettings.filename,
+    });
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center bg-latte-text/30"
+      onMouseDown={(event) => {
+        if (event.target === event.currentTarget) onClose();
+      }}
+    >
+      <form
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="export-dialog-title"
+        className="w-96 bg-white rounded-lg shadow-lg border border-latte-pink"
+        onSubmit={submit}
+      >
+        <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200/80">
+          <h2 id="export-dialog-title" className="font-semibold text-latte-text">
+            Export
+          </h2>
+          <button
+            type="button"
+            className="text-latte-overlay1 hover:text-latte-text text-lg leading-none"
+            onClick={onClose}
+            title="Close export"
+            aria-label="Close export"
+          >
+            &times;
+          </button>
+        </div>
+
+        <div className="px-4 py-3 space-y-4 text-sm">
+          <div className="grid grid-cols-3 gap-2 items-center">
+            <label htmlFor="export-format" className="text-xs text-latte-text">
+              Format
+            </label>
+            <select
+              id="export-format"
+              className={`${inputClasses} col-span-2`}
+              value={settings.format}
+              onChange={(e) => updateSettings({ format: e.target.value as ExportFormat })}
+            >
+              {formats.map((format) => (
+                <option key={format} value={format} disabled={!isFormatSupported(format)}>
+                  {EXPORT_FORMATS[format].name}
+                  {!isFormatSupported(format) && " (not supported by this browser)"}
+                </option>
+              ))}
+            </select>
+
+            {formatInfo.lossy && (
+              <>
+                <label htmlFor="export-quality" className="text-xs text-latte-text">
+                  Quality
+                </label>
+                <div className="col-span-2 flex items-center gap-2">
+                  <input
+                    id="export-quality"
+                    type="range"
+                    min={10}
+                    max={100}
+                    className="flex-1 accent-latte-pink"
+                    value={Math.round(settings.quality * 100)}
+                    onChange={(e) => updateSettings({ quality: Number(e.target.value) / 100 })}
+                  />
+                  <span className="w-10 text-right text-xs text-latte-subtext1">
+                    {Math.round(settings.quality * 100)}%
+                  </span>
+                </div>
+              </>
+            )}
+
+            {isRaster && dpiOptions && dpiOptions.length > 0 && (
+              <>
+                <label htmlFor="export-dpi" className="text-xs text-latte-text">
+                  Resolution
+                </label>
+                <select
+                  id="export-dpi"
+                  className={`${inputClasses} col-span-2`}
+                  value={settings.dpi}
+                  onChange={(e) => updateSettings({ dpi: Number(e.target.value) })}
+                >
+                  {dpiOptions.map((dpi) => (
+                    <option key={dpi} value={dpi}>
+                      {dpi} DPI
+                    </option>
+                  ))}
+                </select>
+              </>
+            )}
+          </div>
+
+          {isRaster && (
+            <fieldset className="space-y-1">
+              <legend className="text-xs text-latte-text mb-1">Background</legend>
+              <label className="flex items-center gap-2 text-xs text-latte-text">
+                <input
+                  type="radio"
+                  name="export-background"
+                  checked={background === "transparent"}
+                  disabled={!formatInfo.transparency}
+                  onChange={() => updateSettings({ background: "transparent" })}
+                />
+                Transparent
+                {!formatInfo.transparency && (
+                  <span className="text-latte-overlay2">({formatInfo.name} has no transparency)</span>
+                )}
+              </label>
+              <label className="flex items-center gap-2 text-xs text-latte-text">
+                <input
+                  type="radio"
+                  name="export-background"
+                  checked={background === "filled"}
+                  onChange={() => updateSettings({ background: "filled" })}
+                />
+                Filled with
+                <input
+                  type="color"
+                  aria-label="Background color"
+                  className="w-8 h-5 rounded border border-latte-surface1"
+                  value={settings.backgroundColor}
+                  onChange={(e) =>
+                    updateSettings({ background: "filled", backgroundColor: e.target.value })
+                  }
+                />
+              </label>
+            </fieldset>
+          )}
+
+          <div>
+            <label htmlFor="export-filename" className="block text-xs text-latte-text mb-1">
+              File name
+            </label>
+            <div className="flex items-center gap-1">
+              <input
+                id="export-filename"
+                type="text"
+                className={inputClasses}
+                value={settings.filename}
+                onChange={(e) => updateSettings({ filename: e.target.value })}
+              />
+              <span className="text-xs text-latte-overlay2">.{formatInfo.extension}</span>
+            </div>
+          </div>
+        </div>
+
+        <div className="flex justify-end gap-2 px-4 py-3 border-t border-gray-200/80">
+          <button
+            type="button"
+            className="px-3 py-2 rounded text-sm text-gray-600 hover:bg-gray-100"
+            onClick={onClose}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="px-3 py-2 rounded bg-latte-pink text-white text-sm hover:opacity-90"
+          >
+            Export
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ExportDialog;
@@ -1,11 +1,20 @@
-import React from "react";
-import { Link } from "react-router-dom";
+import React, { useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
 import NavbarLink from "./NavbarLink";
 
 /**
  * Horizontal navbar component displayed at the top of the page for non-editor routes
  */
 const HorizontalNavbar: React.FC = () => {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState<string>("");
+
+  const handleSearch = (event: React.FormEvent<HTMLFormElement>): void => {
+    event.preventDefault();
+    navigate(query.trim() ? `/search?q=${encodeURIComponent(query.trim())}` : "/search");
+    setQuery("");
+  };
+
   // SVG icons for the navbar links - needed for the NavbarLink component even if not shown
   const homeIcon = (
     <svg
@@ -24,24 +33,7 @@ const HorizontalNavbar: React.FC = () => {
     </svg>
   );
 
-  const businessIcon = (
-    <svg
-      xmlns="http://www.w3.org/2000/svg"
-      fill="none"
-      viewBox="0 0 24 24"
-      strokeWidth={1.5}
-      stroke="currentColor"
-      className="size-6"
-    >
-      <path
-        strokeLinecap="round"
-        strokeLinejoin="round"
-        d="M20.25 14.15v4.25c0 1.094-.787 2.036-1.872 2.18-2.087.277-4.216.42-6.378.42s-4.291-.143-6.378-.42c-1.085-.144-1.872-1.086-1.872-2.18v-4.25m16.5 0a2.18 2.18 0 0 0 .75-1.661V8.706c0-1.081-.768-2.015-1.837-2.175a48.114 48.114 0 0 0-3.413-.387m4.5 8.006c-.194.165-.42.295-.673.38A23.978 23.978 0 0 1 12 15.75c-2.648 0-5.195-.429-7.577-1.22a2.016 2.016 0 0 1-.673-.38m0 0A2.18 2.18 0 0 1 3 12.489V8.706c0-1.081.768-2.015 1.837-2.175a48.111 48.111 0 0 1 3.413-.387m7.5 0V5.25A2.25 2.25 0 0 0 13.5 3h-3a2.25 2.25 0 0 0-2.25 2.25v.894m7.5 0a48.667 48.667 0 0 0-7.5 0M12 12.75h.008v.008H12v-.008Z"
-      />
-    </svg>
-  );
-
-  const marketingIcon = (
+  const searchIcon = (
     <svg
       xmlns="http://www.w3.org/2000/svg"
       fill="none"
@@ -53,12 +45,12 @@ const HorizontalNavbar: React.FC = () => {
       <path
         strokeLinecap="round"
         strokeLinejoin="round"
-        d="M2.25 18.75a60.07 60.07 0 0 1 15.797 2.101c.727.198 1.453-.342 1.453-1.096V18.75M3.75 4.5v.75A.75.75 0 0 1 3 6h-.75m0 0v-.375c0-.621.504-1.125 1.125-1.125H20.25M2.25 6v9m18-10.5v.75c0 .414.336.75.75.75h.75m-1.5-1.5h.375c.621 0 1.125.504 1.125 1.125v9.75c0 .621-.504 1.125-1.125 1.125h-.375m1.5-1.5H21a.75.75 0 0 0-.75.75v.75m0 0H3.75m0 0h-.375a1.125 1.125 0 0 1-1.125-1.125V15m1.5 1.5v-.75A.75.75 0 0 0 3 15h-.75M15 10.5a3 3 0 1 1-6 0 3 3 0 0 1 6 0Zm3 0h.008v.008H18V10.5Zm-12 0h.008v.008H6V10.5Z"
+        d="m21 21-5.197-5.197m0 0A7.5 7.5 0 1 0 5.196 5.196a7.5 7.5 0 0 0 10.607 10.607Z"
       />
     </svg>
   );
 
-  const educationIcon = (
+  const documentsIcon = (
     <svg
       xmlns="http://www.w3.org/2000/svg"
       fill="none"
@@ -70,7 +62,7 @@ const HorizontalNavbar: React.FC = () => {
       <path
         strokeLinecap="round"
         strokeLinejoin="round"
-        d="M12 6.042A8.967 8.967 0 0 0 6 3.75c-1.052 0-2.062.18-3 .512v14.25A8.987 8.987 0 0 1 6 18c2.305 0 4.408.867 6 2.292m0-14.25a8.966 8.966 0 0 1 6-2.292c1.052 0 2.062.18 3 .512v14.25A8.987 8.987 0 0 0 18 18a8.967 8.967 0 0 0-6 2.292m0-14.25v14.25"
+        d="M2.25 12.75V12A2.25 2.25 0 0 1 4.5 9.75h15A2.25 2.25 0 0 1 21.75 12v.75m-8.69-6.44-2.12-2.12a1.5 1.5 0 0 0-1.061-.44H4.5A2.25 2.25 0 0 0 2.25 6v12a2.25 2.25 0 0 0 2.25 2.25h15A2.25 2.25 0 0 0 21.75 18V9a2.25 2.25 0 0 0-2.25-2.25h-5.379a1.5 1.5 0 0 1-1.06-.44Z"
       />
     </svg>
   );
@@ -89,11 +81,21 @@ const HorizontalNavbar: React.FC = () => {
         <div className="flex justify-start">
           <ul className="flex items-center flex-row space-x-1">
             <NavbarLink to="/" isVertical={false} icon={homeIcon} text="Home" />
-            <NavbarLink to="/templates/business" isVertical={false} icon={businessIcon} text="Business" />
-            <NavbarLink to="/templates/marketing" isVertical={false} icon={marketingIcon} text="Marketing" />
-            <NavbarLink to="/templates/education" isVertical={false} icon={educationIcon} text="Education" />
+            <NavbarLink to="/search" isVertical={false} icon={searchIcon} text="Search" />
+            <NavbarLink to="/documents" isVertical={false} icon={documentsIcon} text="My Documents" />
           </ul>
         </div>
+
+        <form className="pl-2 pr-1" role="search" onSubmit={handleSearch}>
+          <input
+            type="search"
+            className="w-40 rounded border border-latte-surface1 bg-white px-2 py-1 text-sm text-latte-text focus:outline-none focus:border-latte-pink"
+            placeholder="Search templates"
+            aria-label="Search templates"
+            value={query}
+            onChange={(event) => setQuery(event.target.value)}
+          />
+        </form>
       </nav>
     </div>
   );
@@ -1,20 +1,25 @@
 import React from "react";
+import ExportDialog from "./ExportDialog";
+import { ExportFormat } from "../../templates/_core/types";
+import { ExportSettings } from "../../utils/exportFormats";
 
 interface ControlButtonProps {
   icon: React.ReactNode;
   label: string;
   onClick: () => void;
+  disabled?: boolean;
 }
 
 /**
  * Reusable control button component for the template editor controls
  */
-const ControlButton: React.FC<ControlButtonProps> = ({ icon, label, onClick }) => {
+const ControlButton: React.FC<ControlButtonProps> = ({ icon, label, onClick, disabled = false }) => {
   return (
     <li>
       <button
         onClick={onClick}
-        className="flex items-center justify-center w-10 h-10 rounded-full bg-white text-latte-text shadow-md hover:bg-blue-100/60 hover:text-blue-700 transition-colors duration-150 text-sm"
+        disabled={disabled}
+        className="flex items-center justify-center w-10 h-10 rounded-full bg-white text-latte-text shadow-md hover:bg-blue-100/60 hover:text-blue-700 transition-colors duration-150 text-sm disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-white disabled:hover:text-latte-text"
         title={label}
         aria-label={label}
       >
@@ -31,11 +36,24 @@ interface PreviewOption {
 
 interface TemplateControlsProps {
   onDownload: any | undefined;
+  // For double-sided templates: download both sides as a zip, or as one side-by-side image
+  onDownloadBothSides?: (layout: "zip" | "composite") => void;
   onDownloadPdf: (() => void) | undefined;
+  // Resolution of PNGs, for templates with a print size
+  exportDpi?: number;
+  dpiOptions?: number[];
+  onExportDpiChange?: (dpi: number) => void;
+  onDownloadSvg?: () => void;
+  // Export dialog: the template's formats, the settings it opens with, and the export itself
+  exportFormats?: ExportFormat[];
+  exportSettings?: ExportSettings;
+  onExport?: (settings: ExportSettings) => void;
   showSizeOptions?: boolean;
   previewSize?: string;
   previewOptions?: PreviewOption[];
   onPreviewSizeChange?: (size: string) => void;
+  // Downloads every preview size as one zip
+  onExportAllSizes?: () => void;
   showVariantOptions?: boolean;
   variant?: string;
   variantOptions?: PreviewOption[];
@@ -43,6 +61,26 @@ interface TemplateControlsProps {
   showBackSide?: boolean;
   onFlipCard?: () => void;
   canFlip?: boolean;
+  onSave?: () => void;
+  saveLabel?: string;
+  onUndo?: () => void;
+  onRedo?: () => void;
+  canUndo?: boolean;
+  canRedo?: boolean;
+  onExportProject?: () => void;
+  onOpenProject?: (file: File) => void;
+  onShare?: () => void;
+  shareLabel?: string;
+  onToggleFields?: () => void;
+  showFields?: boolean;
+  onToggleBulk?: () => void;
+  showBulk?: boolean;
+  onToggleGuides?: () => void;
+  showGuides?: boolean;
+  onToggleImposition?: () => void;
+  showImposition?: boolean;
+  onToggleSizeMatrix?: () => void;
+  showSizeMatrix?: boolean;
 }
 
 /**
@@ -50,18 +88,47 @@ interface TemplateControlsProps {
  */
 const TemplateControls: React.FC<TemplateControlsProps> = ({ 
   onDownload,
+  onDownloadBothSides,
   onDownloadPdf,
+  exportDpi,
+  dpiOptions = [],
+  onExportDpiChange,
+  onDownloadSvg,
+  exportFormats = [],
+  exportSettings,
+  onExport,
   showSizeOptions = false,
   previewSize = "default",
   previewOptions = [],
   onPreviewSizeChange = () => {},
+  onExportAllSizes,
   showVariantOptions = false,
   variant = "standard",
   variantOptions = [],
   onVariantChange = () => {},
   showBackSide = false,
   onFlipCard = () => {},
-  canFlip = false
+  canFlip = false,
+  onSave,
+  saveLabel = "Save Document",
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
+  onExportProject,
+  onOpenProject,
+  onShare,
+  shareLabel = "Copy Share Link",
+  onToggleFields,
+  showFields = false,
+  onToggleBulk,
+  showBulk = false,
+  onToggleGuides,
+  showGuides = false,
+  onToggleImposition,
+  showImposition = false,
+  onToggleSizeMatrix,
+  showSizeMatrix = false
 }) => {
   // Icons for control buttons
   const downloadPngIcon = (
@@ -98,6 +165,40 @@ const TemplateControls: React.FC<TemplateControlsProps> = ({
     </svg>
   );
   
+  const downloadSvgIcon = (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      fill="none"
+      viewBox="0 0 24 24"
+      strokeWidth={1.5}
+      stroke="currentColor"
+      className="w-6 h-6"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        d="M17.25 6.75L22.5 12l-5.25 5.25m-10.5 0L1.5 12l5.25-5.25m7.5-3l-4.5 16.5"
+      />
+    </svg>
+  );
+
+  const exportIcon = (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      fill="none"
+      viewBox="0 0 24 24"
+      strokeWidth={1.5}
+      stroke="currentColor"
+      className="w-6 h-6"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        d="M3 16.5v2.25A2.25 2.25 0 0 0 5.25 21h13.5A2.25 2.25 0 0 0 21 18.75V16.5m-13.5-9L12 3m0 0 4.5 4.5M12 3v13.5"
+      />
+    </svg>
+  );
+
   const flipCardIcon = (
     <svg
       xmlns="http://www.w3.org/2000/svg"
@@ -115,6 +216,193 @@ const TemplateControls: React.FC<TemplateControlsProps> = ({
     </svg>
   );
 
+  const saveIcon = (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      fill="none"
+      viewBox="0 0 24 24"
+      strokeWidth={1.5}
+      stroke="currentColor"
+      className="w-6 h-6"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        d="m9 13.5 3 3m0 0 3-3m-3 3v-6m1.06-4.19-2.12-2.12a1.5 1.5 0 0 0-1.061-.44H4.5A2.25 2.25 0 0 0 2.25 6v12a2.25 2.25 0 0 0 2.25 2.25h15A2.25 2.25 0 0 0 21.75 18V9a2.25 2.25 0 0 0-2.25-2.25h-5.379a1.5 1.5 0 0 1-1.06-.44Z"
+      />
+    </svg>
+  );
+
+  const undoIcon = (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      fill="none"
+      viewBox="0 0 24 24"
+      strokeWidth={1.5}
+      stroke="currentColor"
+      className="w-6 h-6"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        d="M9 15 3 9m0 0 6-6M3 9h12a6 6 0 0 1 0 12h-3"
+      />
+    </svg>
+  );
+
+  const redoIcon = (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      fill="none"
+      viewBox="0 0 24 24"
+      strokeWidth={1.5}
+      stroke="currentColor"
+      className="w-6 h-6"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        d="m15 15 6-6m0 0-6-6m6 6H9a6 6 0 0 0 0 12h3"
+      />
+    </svg>
+  );
+
+  const exportProjectIcon = (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      fill="none"
+      viewBox="0 0 24 24"
+      strokeWidth={1.5}
+      stroke="currentColor"
+      className="w-6 h-6"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        d="M9 8.25H7.5a2.25 2.25 0 0 0-2.25 2.25v9a2.25 2.25 0 0 0 2.25 2.25h9a2.25 2.25 0 0 0 2.25-2.25v-9a2.25 2.25 0 0 0-2.25-2.25H15m0-3-3-3m0 0-3 3m3-3V15"
+      />
+    </svg>
+  );
+
+  const openProjectIcon = (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      fill="none"
+      viewBox="0 0 24 24"
+      strokeWidth={1.5}
+      stroke="currentColor"
+      className="w-6 h-6"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        d="M3.75 9.776c.112-.017.227-.026.344-.026h15.812c.117 0 .232.009.344.026m-16.5 0a2.25 2.25 0 0 0-1.883 2.542l.857 6a2.25 2.25 0 0 0 2.227 1.932H19.05a2.25 2.25 0 0 0 2.227-1.932l.857-6a2.25 2.25 0 0 0-1.883-2.542m-16.5 0V6A2.25 2.25 0 0 1 6 3.75h3.879a1.5 1.5 0 0 1 1.06.44l2.122 2.12a1.5 1.5 0 0 0 1.06.44H18A2.25 2.25 0 0 1 20.25 9v.776"
+      />
+    </svg>
+  );
+
+  const fieldsIcon = (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      fill="none"
+      viewBox="0 0 24 24"
+      strokeWidth={1.5}
+      stroke="currentColor"
+      className="w-6 h-6"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        d="M10.5 6h9.75M10.5 6a1.5 1.5 0 1 1-3 0m3 0a1.5 1.5 0 1 0-3 0M3.75 6H7.5m3 12h9.75m-9.75 0a1.5 1.5 0 0 1-3 0m3 0a1.5 1.5 0 0 0-3 0m-3.75 0H7.5m9-6h3.75m-3.75 0a1.5 1.5 0 0 1-3 0m3 0a1.5 1.5 0 0 0-3 0m-9.75 0h9.75"
+      />
+    </svg>
+  );
+
+  const bulkIcon = (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      fill="none"
+      viewBox="0 0 24 24"
+      strokeWidth={1.5}
+      stroke="currentColor"
+      className="w-6 h-6"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        d="M3.375 19.5h17.25m-17.25 0a1.125 1.125 0 0 1-1.125-1.125M3.375 19.5h7.5c.621 0 1.125-.504 1.125-1.125m-9.75 0V5.625m0 12.75v-1.5c0-.621.504-1.125 1.125-1.125m18.375 2.625V5.625m0 12.75c0 .621-.504 1.125-1.125 1.125m1.125-1.125v-1.5c0-.621-.504-1.125-1.125-1.125m0 3.75h-7.5A1.125 1.125 0 0 1 12 18.375m9.75-12.75c0-.621-.504-1.125-1.125-1.125H3.375c-.621 0-1.125.504-1.125 1.125m19.5 0v1.5c0 .621-.504 1.125-1.125 1.125M2.25 5.625v1.5c0 .621.504 1.125 1.125 1.125m0 0h17.25m-17.25 0h7.5c.621 0 1.125.504 1.125 1.125M3.375 8.25c-.621 0-1.125.504-1.125 1.125v1.5c0 .621.504 1.125 1.125 1.125m17.25-3.75h-7.5c-.621 0-1.125.504-1.125 1.125m8.625-1.125c.621 0 1.125.504 1.125 1.125v1.5c0 .621-.504 1.125-1.125 1.125m-17.25 0h7.5m-7.5 0c-.621 0-1.125.504-1.125 1.125v1.5c0 .621.504 1.125 1.125 1.125M12 10.875v-1.5m0 1.5c0 .621-.504 1.125-1.125 1.125M12 10.875c0 .621.504 1.125 1.125 1.125m-2.25 0c.621 0 1.125.504 1.125 1.125M13.125 12h7.5m-7.5 0c-.621 0-1.125.504-1.125 1.125M20.625 12c.621 0 1.125.504 1.125 1.125v1.5c0 .621-.504 1.125-1.125 1.125m-17.25 0h7.5M12 14.625v-1.5m0 1.5c0 .621-.504 1.125-1.125 1.125M12 14.625c0 .621.504 1.125 1.125 1.125m-2.25 0c.621 0 1.125.504 1.125 1.125m0 1.5v-1.5m0 0c0-.621.504-1.125 1.125-1.125m0 0h7.5"
+      />
+    </svg>
+  );
+
+  const guidesIcon = (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      fill="none"
+      viewBox="0 0 24 24"
+      strokeWidth={1.5}
+      stroke="currentColor"
+      className="w-6 h-6"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        d="M7.5 3.75H6A2.25 2.25 0 0 0 3.75 6v1.5M16.5 3.75H18A2.25 2.25 0 0 1 20.25 6v1.5m0 9V18A2.25 2.25 0 0 1 18 20.25h-1.5m-9 0H6A2.25 2.25 0 0 1 3.75 18v-1.5M15 12a3 3 0 1 1-6 0 3 3 0 0 1 6 0Z"
+      />
+    </svg>
+  );
+
+  const impositionIcon = (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      fill="none"
+      viewBox="0 0 24 24"
+      strokeWidth={1.5}
+      stroke="currentColor"
+      className="w-6 h-6"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        d="M3.75 6A2.25 2.25 0 0 1 6 3.75h2.25A2.25 2.25 0 0 1 10.5 6v2.25a2.25 2.25 0 0 1-2.25 2.25H6a2.25 2.25 0 0 1-2.25-2.25V6ZM3.75 15.75A2.25 2.25 0 0 1 6 13.5h2.25a2.25 2.25 0 0 1 2.25 2.25V18a2.25 2.25 0 0 1-2.25 2.25H6A2.25 2.25 0 0 1 3.75 18v-2.25ZM13.5 6a2.25 2.25 0 0 1 2.25-2.25H18A2.25 2.25 0 0 1 20.25 6v2.25A2.25 2.25 0 0 1 18 10.5h-2.25a2.25 2.25 0 0 1-2.25-2.25V6ZM13.5 15.75a2.25 2.25 0 0 1 2.25-2.25H18a2.25 2.25 0 0 1 2.25 2.25V18A2.25 2.25 0 0 1 18 20.25h-2.25A2.25 2.25 0 0 1 13.5 18v-2.25Z"
+      />
+    </svg>
+  );
+
+  const sizeMatrixIcon = (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      fill="none"
+      viewBox="0 0 24 24"
+      strokeWidth={1.5}
+      stroke="currentColor"
+      className="w-6 h-6"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        d="M3.75 6A2.25 2.25 0 016 3.75h2.25A2.25 2.25 0 0110.5 6v2.25a2.25 2.25 0 01-2.25 2.25H6a2.25 2.25 0 01-2.25-2.25V6zM3.75 15.75A2.25 2.25 0 016 13.5h2.25a2.25 2.25 0 012.25 2.25V18a2.25 2.25 0 01-2.25 2.25H6A2.25 2.25 0 013.75 18v-2.25zM13.5 6a2.25 2.25 0 012.25-2.25H18A2.25 2.25 0 0120.25 6v2.25A2.25 2.25 0 0118 10.5h-2.25a2.25 2.25 0 01-2.25-2.25V6zM13.5 15.75a2.25 2.25 0 012.25-2.25H18a2.25 2.25 0 012.25 2.25V18A2.25 2.25 0 0118 20.25h-2.25A2.25 2.25 0 0113.5 18v-2.25z"
+      />
+    </svg>
+  );
+
+  const shareIcon = (
+    <svg
+      xmlns="http://www.w3.org/2000/svg"
+      fill="none"
+      viewBox="0 0 24 24"
+      strokeWidth={1.5}
+      stroke="currentColor"
+      className="w-6 h-6"
+    >
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        d="M13.19 8.688a4.5 4.5 0 0 1 1.242 7.244l-4.5 4.5a4.5 4.5 0 0 1-6.364-6.364l1.757-1.757m13.35-.622 1.757-1.757a4.5 4.5 0 0 0-6.364-6.364l-4.5 4.5a4.5 4.5 0 0 0 1.242 7.244"
+      />
+    </svg>
+  );
+
   const sizeIcon = (
     <svg
       xmlns="http://www.w3.org/2000/svg"
@@ -152,10 +440,16 @@ const TemplateControls: React.FC<TemplateControlsProps> = ({
   // State for dropdowns
   const [showSizeDropdown, setShowSizeDropdown] = React.useState(false);
   const [showStyleDropdown, setShowStyleDropdown] = React.useState(false);
+  const [showPngDropdown, setShowPngDropdown] = React.useState(false);
+  const [showExportDialog, setShowExportDialog] = React.useState(false);
   
+  // Hidden file input used by the "Open project" button
+  const projectInputRef = React.useRef<HTMLInputElement | null>(null);
+
   // Refs for handling clicks outside of dropdowns
   const sizeDropdownRef = React.useRef<HTMLDivElement | null>(null);
   const styleDropdownRef = React.useRef<HTMLDivElement | null>(null);
+  const pngDropdownRef = React.useRef<HTMLDivElement | null>(null);
   
   // Effect to add click outside handler for size dropdown
   React.useEffect(() => {
@@ -195,17 +489,175 @@ const TemplateControls: React.FC<TemplateControlsProps> = ({
     };
   }, [showStyleDropdown]);
 
+  // Effect to add click outside handler for PNG download dropdown
+  React.useEffect(() => {
+    function handleClickOutside(event: MouseEvent) {
+      if (pngDropdownRef.current && !pngDropdownRef.current.contains(event.target as Node)) {
+        setShowPngDropdown(false);
+      }
+    }
+
+    if (showPngDropdown) {
+      document.addEventListener('mousedown', handleClickOutside);
+    }
+
+    return () => {
+      document.removeEventListener('mousedown', handleClickOutside);
+    };
+  }, [showPngDropdown]);
+
+  // PNG download choices: which sides, for double-sided templates
+  const pngOptions = onDownloadBothSides
+    ? [
+        { label: showBackSide ? "Back side only" : "Front side only", onClick: () => onDownload() },
+        { label: "Front and back (zip)", onClick: () => onDownloadBothSides("zip") },
+        { label: "Front and back side by side", onClick: () => onDownloadBothSides("composite") },
+      ]
+    : [{ label: "Download", onClick: () => onDownload() }];
+
+  // The PNG button opens a menu when there is a choice of sides or resolution
+  const hasPngMenu = !!onDownloadBothSides || !!onExportDpiChange;
+
   return (
     <div className="controls-wrapper fixed z-50 flex items-center h-full right-0">
       <div className="m-4 bg-white/90 backdrop-blur-md rounded-lg shadow-lg border border-latte-pink transition-all duration-300 ease-in-out flex flex-col p-3">
         <ul className="flex flex-col space-y-4 py-2">
-          {onDownload && (
+          {onToggleFields && (
+            <ControlButton 
+              icon={fieldsIcon} 
+              label={showFields ? "Hide Fields" : "Edit Fields"} 
+              onClick={onToggleFields} 
+            />
+          )}
+
+          {onToggleBulk && (
+            <ControlButton 
+              icon={bulkIcon} 
+              label={showBulk ? "Close Bulk Mode" : "Bulk Generate from CSV"} 
+              onClick={onToggleBulk} 
+            />
+          )}
+
+          {onSave && (
+            <ControlButton 
+              icon={saveIcon} 
+              label={saveLabel} 
+              onClick={onSave} 
+            />
+          )}
+
+          {onShare && (
+            <ControlButton 
+              icon={shareIcon} 
+              label={shareLabel} 
+              onClick={onShare} 
+            />
+          )}
+
+          {onExportProject && (
+            <ControlButton 
+              icon={exportProjectIcon} 
+              label="Export Project" 
+              onClick={onExportProject} 
+            />
+          )}
+
+          {onOpenProject && (
+            <ControlButton 
+              icon={openProjectIcon} 
+              label="Open Project" 
+              onClick={() => projectInputRef.current?.click()} 
+            />
+          )}
+
+          {onUndo && (
+            <ControlButton 
+              icon={undoIcon} 
+              label="Undo" 
+              onClick={onUndo} 
+              disabled={!canUndo}
+            />
+          )}
+
+          {onRedo && (
+            <ControlButton 
+              icon={redoIcon} 
+              label="Redo" 
+              onClick={onRedo} 
+              disabled={!canRedo}
+            />
+          )}
+
+          {onDownload && !hasPngMenu && (
             <ControlButton 
               icon={downloadPngIcon} 
               label="Download as PNG" 
               onClick={onDownload} 
             />
           )}
+
+          {/* PNG download with a choice of sides and resolution */}
+          {onDownload && hasPngMenu && (
+            <li className="relative">
+              <button
+                onClick={() => {
+                  setShowPngDropdown(!showPngDropdown);
+                  setShowSizeDropdown(false);
+                  setShowStyleDropdown(false);
+                }}
+                className="flex items-center justify-center w-10 h-10 rounded-full bg-white text-latte-text shadow-md hover:bg-blue-100/60 hover:text-blue-700 transition-colors duration-150 text-sm"
+                title="Download as PNG"
+                aria-label="Download as PNG"
+              >
+                {downloadPngIcon}
+              </button>
+
+              {showPngDropdown && (
+                <div ref={pngDropdownRef} className="absolute top-0 right-12 bg-white shadow-lg rounded-lg p-2 min-w-52 z-50">
+                  {onExportDpiChange && (
+                    <>
+                      <div className="text-sm font-medium mb-2 text-latte-text px-2">
+                        Resolution:
+                      </div>
+                      <div className="flex gap-1 mb-2 px-1">
+                        {dpiOptions.map((dpi) => (
+                          <button
+                            key={dpi}
+                            onClick={() => onExportDpiChange(dpi)}
+                            className={`flex-1 px-2 py-1.5 rounded text-sm ${
+                              exportDpi === dpi
+                                ? "bg-blue-100/60 text-blue-700 font-semibold"
+                                : "hover:bg-gray-100 text-gray-600"
+                            }`}
+                          >
+                            {dpi} DPI
+                          </button>
+                        ))}
+                      </div>
+                    </>
+                  )}
+                  <div className="text-sm font-medium mb-2 text-latte-text px-2">
+                    Download PNG:
+                  </div>
+                  <ul className="space-y-1">
+                    {pngOptions.map((option) => (
+                      <li key={option.label}>
+                        <button
+                          onClick={() => {
+                            option.onClick();
+                            setShowPngDropdown(false);
+                          }}
+                          className="w-full text-left px-2 py-1.5 rounded text-sm hover:bg-gray-100 text-gray-600"
+                        >
+                          {option.label}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </li>
+          )}
           
           {onDownloadPdf && (
             <ControlButton 
@@ -214,6 +666,22 @@ const TemplateControls: React.FC<TemplateControlsProps> = ({
               onClick={onDownloadPdf} 
             />
           )}
+
+          {onDownloadSvg && (
+            <ControlButton
+              icon={downloadSvgIcon}
+              label="Download as SVG"
+              onClick={onDownloadSvg}
+            />
+          )}
+
+          {onExport && exportSettings && exportFormats.length > 0 && (
+            <ControlButton
+              icon={exportIcon}
+              label="Export..."
+              onClick={() => setShowExportDialog(true)}
+            />
+          )}
           
           {/* Size selector button and dropdown */}
           {showSizeOptions && (
@@ -255,6 +723,17 @@ const TemplateControls: React.FC<TemplateControlsProps> = ({
                       </li>
                     ))}
                   </ul>
+                  {onExportAllSizes && (
+                    <button
+                      onClick={() => {
+                        onExportAllSizes();
+                        setShowSizeDropdown(false);
+                      }}
+                      className="w-full text-left px-2 py-1.5 mt-1 rounded text-sm border-t border-gray-200/80 hover:bg-gray-100 text-gray-600"
+                    >
+                      Export all sizes (zip)
+                    </button>
+                  )}
                 </div>
               )}
             </li>
@@ -305,6 +784,30 @@ const TemplateControls: React.FC<TemplateControlsProps> = ({
             </li>
           )}
           
+          {onToggleImposition && (
+            <ControlButton 
+              icon={impositionIcon} 
+              label={showImposition ? "Close Print Sheet" : "Print Several per Sheet"} 
+              onClick={onToggleImposition} 
+            />
+          )}
+
+          {onToggleSizeMatrix && (
+            <ControlButton
+              icon={sizeMatrixIcon}
+              label={showSizeMatrix ? "Close Size Export" : "Export Several Sizes and Styles"}
+              onClick={onToggleSizeMatrix}
+            />
+          )}
+
+          {onToggleGuides && (
+            <ControlButton 
+              icon={guidesIcon} 
+              label={showGuides ? "Hide Print Guides" : "Show Print Guides"} 
+              onClick={onToggleGuides} 
+            />
+          )}
+
           {/* Flip card button */}
           {canFlip && (
             <ControlButton 
@@ -314,7 +817,35 @@ const TemplateControls: React.FC<TemplateControlsProps> = ({
             />
           )}
         </ul>
+
+        {onOpenProject && (
+          <input
+            ref={projectInputRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) onOpenProject(file);
+              e.target.value = "";
+            }}
+          />
+        )}
       </div>
+
+      {/* Rendered outside the blurred panel, which would otherwise contain the fixed backdrop */}
+      {showExportDialog && onExport && exportSettings && (
+        <ExportDialog
+          formats={exportFormats}
+          initialSettings={exportSettings}
+          dpiOptions={onExportDpiChange ? dpiOptions : undefined}
+          onExport={(settings) => {
+            setShowExportDialog(false);
+            onExport(settings);
+          }}
+          onClose={() => setShowExportDialog(false)}
+        />
+      )}
     </div>
   );
 };
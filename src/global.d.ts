@@ -1,6 +1,15 @@
 // import { text } from "stream/consumers";
 import React from "react";
 
+/**
+ * Attributes shared by the custom elements in src/components/web-components
+ */
+interface WebComponentAttributes
+  extends React.DetailedHTMLProps<React.HTMLAttributes<HTMLElement>, HTMLElement> {
+  persist?: boolean;
+  disabled?: boolean;
+}
+
 declare global {
   namespace JSX {
     interface IntrinsicElements {
@@ -14,5 +23,29 @@ declare global {
   }
 }
 
+// React 19 reads intrinsic elements from React.JSX rather than the global namespace
+declare module "react" {
+  namespace JSX {
+    interface IntrinsicElements {
+      "editable-text": WebComponentAttributes & {
+        value?: string;
+        placeholder?: string;
+        toolbar?: boolean;
+        readonly?: boolean;
+        "auto-color"?: boolean;
+      };
+      "editable-image": WebComponentAttributes & {
+        src?: string;
+        alt?: string;
+        readonly?: boolean;
+        preview?: boolean;
+      };
+      "color-changer": WebComponentAttributes & {
+        color?: string;
+      };
+    }
+  }
+}
+
 // This is necessary to make the declaration file a module if it only contains declarations
 export {};
@@ -0,0 +1,176 @@
+import React from "react";
+import { flushSync } from "react-dom";
+import { createRoot } from "react-dom/client";
+import TemplateRenderer from "./components/TemplateRenderer";
+import { FormulaEngine } from "./templates/_core/FormulaEngine";
+import { loadTemplateValues } from "./templates/_core/TemplateValueLoader";
+import { templateRegistry } from "./templates/_core/TemplateRegistry";
+import { initializeTemplates } from "./templates/_core/initTemplates";
+import { TemplateDefinition, TemplateValues } from "./templates/_core/types";
+import { convertLength, getTrimSize } from "./utils/pdfExport";
+import "./components/web-components/color-changer.js";
+import "./components/web-components/editable-text.js";
+import "./components/web-components/editable-image.js";
+import "./styles.css";
+import "./App.css";
+
+// Entry point for scripts/render-template.js, which bundles it into a page and opens
+// that page in a headless browser. The template is rendered read-only from the options
+// in the page, and the outcome is written to <body data-render-result> for the script.
+
+interface HeadlessRenderOptions {
+  templateId: string;
+  values: TemplateValues;
+  variant?: string;
+  size?: string;
+  // "both" renders the back of double-sided templates after the front
+  side: "front" | "back" | "both";
+}
+
+interface HeadlessRenderResult {
+  error?: string;
+  // Size of everything rendered, in CSS pixels
+  width?: number;
+  height?: number;
+  // Size of one printed page (a side, or a page of a multi-page template), in CSS pixels
+  pageWidth?: number;
+  pageHeight?: number;
+  // Trim size in inches, for templates with print dimensions
+  printWidth?: number;
+  printHeight?: number;
+  // Exact image width, for templates sized in pixels
+  pixelWidth?: number;
+  // Values of fields the template doesn't define
+  ignoredFields?: string[];
+}
+
+/**
+ * Checks the requested variant and size against what the template offers.
+ * @param template - The template.
+ * @param options - The render options.
+ * @returns An error message, or null when they're valid.
+ */
+const validateOptions = (template: TemplateDefinition, options: HeadlessRenderOptions): string | null => {
+  const variants = Object.keys(template.variants ?? {});
+  if (options.variant && !variants.includes(options.variant)) {
+    return `"${template.id}" has no variant "${options.variant}". Variants: ${variants.join(", ") || "none"}.`;
+  }
+
+  const sizes = (template.previewSizes ?? []).map((size) => size.id);
+  if (options.size && !sizes.includes(options.size)) {
+    return `"${template.id}" has no size "${options.size}". Sizes: ${sizes.join(", ") || "none"}.`;
+  }
+
+  if (options.side === "back" && !template.hasBackSide) {
+    return `"${template.id}" has no back side.`;
+  }
+  return null;
+};
+
+/**
+ * Waits until fonts and images have loaded and layout effects (e.g. pagination) have settled.
+ * @param element - The rendered element.
+ */
+const waitForLayout = async (element: HTMLElement): Promise<void> => {
+  await document.fonts.ready;
+  const images = Array.from(element.querySelectorAll("img")).filter((image) => !image.complete);
+  await Promise.all(
+    images.map(
+      (image) =>
+        new Promise((resolve) => {
+          image.addEventListener("load", resolve, { once: true });
+          image.addEventListener("error", resolve, { once: true });
+        })
+    )
+  );
+  for (let frame = 0; frame < 4; frame++) {
+    await new Promise((resolve) => requestAnimationFrame(resolve));
+  }
+};
+
+/**
+ * Renders the template described in the page and reports its size.
+ * @returns The outcome for the render script.
+ */
+const render = async (): Promise<HeadlessRenderResult> => {
+  const options: HeadlessRenderOptions = JSON.parse(
+    document.getElementById("render-options")?.textContent ?? "{}"
+  );
+
+  initializeTemplates();
+  if (!templateRegistry.getTemplateById(options.templateId)) {
+    const ids = templateRegistry.getAllTemplates().map((item) => item.id);
+    return { error: `Unknown template "${options.templateId}". Templates: ${ids.join(", ")}.` };
+  }
+  const template = await templateRegistry.loadTemplate(options.templateId);
+  const problem = validateOptions(template, options);
+  if (problem) return { error: problem };
+
+  // Provided values go on top of the defaults, upgraded and recalculated like in the editor
+  const defaults: TemplateValues = {};
+  template.fields.forEach((field) => {
+    defaults[field.id] = field.default;
+  });
+  const loaded = loadTemplateValues(template, { values: options.values ?? {} });
+  const values = new FormulaEngine(template.fields).recalculate({ ...defaults, ...loaded.values });
+
+  const printConfig = template.printConfig;
+  const trimSize = printConfig?.dimensions ? getTrimSize(printConfig) : null;
+  const sides =
+    options.side === "both" ? (template.hasBackSide ? [false, true] : [false]) : [options.side === "back"];
+
+  const container = document.getElementById("root")!;
+  flushSync(() =>
+    createRoot(container).render(
+      <div id="render-output" style={{ display: "inline-flex", flexDirection: "column" }}>
+        {sides.map((showBackSide) => (
+          <div
+            key={String(showBackSide)}
+            className="relative print"
+            style={trimSize ? { aspectRatio: `${trimSize.width} / ${trimSize.height}` } : undefined}
+            data-render-side
+          >
+            <TemplateRenderer
+              template={template}
+              values={values}
+              onValueChange={() => {}}
+              isEditMode={false}
+              variant={options.variant}
+              size={options.size}
+              showBackSide={showBackSide}
+            />
+          </div>
+        ))}
+      </div>
+    )
+  );
+
+  const output = document.getElementById("render-output")!;
+  await waitForLayout(output);
+
+  const outputRect = output.getBoundingClientRect();
+  const page = output.querySelector("[data-print-page]") ?? output.querySelector("[data-render-side]")!;
+  const pageRect = page.getBoundingClientRect();
+  return {
+    width: outputRect.width,
+    height: outputRect.height,
+    pageWidth: pageRect.width,
+    pageHeight: pageRect.height,
+    ...(trimSize && {
+      printWidth: convertLength(trimSize.width, trimSize.unit, "in"),
+      printHeight: convertLength(trimSize.height, trimSize.unit, "in"),
+    }),
+    ...(trimSize?.unit === "px" && { pixelWidth: trimSize.width }),
+    ignoredFields: Object.keys(loaded.quarantine),
+  };
+};
+
+render()
+  .catch((error): HeadlessRenderResult => ({
+    error: error instanceof Error ? error.message : String(error),
+  }))
+  .then((result) => {
+    document.body.dataset.renderResult = JSON.stringify(result);
+  });
+
+export type { HeadlessRenderOptions, HeadlessRenderResult };
@@ -0,0 +1,69 @@
+import { useEffect, useRef, useState } from 'react';
+import { EditorState, TemplateDocument, TemplateValues } from '../templates/_core/types';
+import { updateDocument } from '../utils/documentStore';
+
+const AUTOSAVE_DELAY = 800;
+
+type SaveStatus = 'idle' | 'saving' | 'saved' | 'error';
+
+/**
+ * Serializes the parts of a document that the editor can change
+ */
+const serializeSnapshot = (values: TemplateValues, editorState: EditorState): string =>
+  JSON.stringify({ values, ...editorState });
+
+/**
+ * Custom hook that saves editor changes back to an open document
+ * @param document - The document being edited, or null when editing an unsaved template
+ * @param values - Current template values
+ * @param editorState - Current variant, preview size and back-side state
+ * @returns The current save status
+ */
+const useDocumentAutosave = (
+  document: TemplateDocument | null,
+  values: TemplateValues,
+  editorState: EditorState
+): SaveStatus => {
+  const [status, setStatus] = useState<SaveStatus>('idle');
+  const lastSavedRef = useRef<string | null>(null);
+  const { variant, size, showBackSide } = editorState;
+
+  // Remember what was loaded so that opening a document doesn't count as an edit
+  useEffect(() => {
+    lastSavedRef.current = document
+      ? serializeSnapshot(document.values, {
+          variant: document.variant,
+          size: document.size,
+          showBackSide: document.showBackSide,
+        })
+      : null;
+    setStatus('idle');
+  }, [document]);
+
+  useEffect(() => {
+    if (!document) return;
+
+    const timeout = setTimeout(() => {
+      const snapshot = serializeSnapshot(values, { variant, size, showBackSide });
+      if (snapshot === lastSavedRef.current) return;
+
+      setStatus('saving');
+      updateDocument(document.id, { values, variant, size, showBackSide })
+        .then(() => {
+          lastSavedRef.current = snapshot;
+          setStatus('saved');
+        })
+        .catch(err => {
+          console.error('Failed to save document:', err);
+          setStatus('error');
+        });
+    }, AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timeout);
+  }, [document, values, variant, size, showBackSide]);
+
+  return status;
+};
+
+export type { SaveStatus };
+export default useDocumentAutosave;
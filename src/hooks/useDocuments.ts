@@ -0,0 +1,72 @@
+import { useState, useEffect, useCallback } from 'react';
+import { TemplateDocument } from '../templates/_core/types';
+import {
+  listDocuments,
+  duplicateDocument,
+  renameDocument,
+  deleteDocument,
+} from '../utils/documentStore';
+
+interface UseDocumentsReturn {
+  documents: TemplateDocument[];
+  loading: boolean;
+  error: string | null;
+  refresh: () => Promise<void>;
+  duplicate: (id: string) => Promise<TemplateDocument>;
+  rename: (id: string, name: string) => Promise<void>;
+  remove: (id: string) => Promise<void>;
+}
+
+/**
+ * Custom hook to list saved documents and manage them
+ * @returns Saved documents and actions that keep the list up to date
+ */
+const useDocuments = (): UseDocumentsReturn => {
+  const [documents, setDocuments] = useState<TemplateDocument[]>([]);
+  const [loading, setLoading] = useState<boolean>(true);
+  const [error, setError] = useState<string | null>(null);
+
+  const refresh = useCallback(async (): Promise<void> => {
+    try {
+      setDocuments(await listDocuments());
+      setError(null);
+    } catch (err) {
+      console.error('Failed to load documents:', err);
+      setError('Failed to load your documents. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const duplicate = async (id: string): Promise<TemplateDocument> => {
+    const copy = await duplicateDocument(id);
+    await refresh();
+    return copy;
+  };
+
+  const rename = async (id: string, name: string): Promise<void> => {
+    await renameDocument(id, name);
+    await refresh();
+  };
+
+  const remove = async (id: string): Promise<void> => {
+    await deleteDocument(id);
+    await refresh();
+  };
+
+  return {
+    documents,
+    loading,
+    error,
+    refresh,
+    duplicate,
+    rename,
+    remove
+  };
+};
+
+export default useDocuments;
@@ -0,0 +1,116 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { ExportProgressCallback, isCancelledError } from '../utils/exportJob';
+
+type ExportJobStatus = 'running' | 'done' | 'failed' | 'cancelled';
+
+interface ExportJob {
+  id: number;
+  // What is being exported, e.g. "PNG"
+  label: string;
+  status: ExportJobStatus;
+  // Between 0 and 1
+  progress: number;
+  // What the job is doing, e.g. "Rendering"
+  stage?: string;
+  // Why a failed job failed
+  error?: string;
+}
+
+// Handed to each job's task
+interface ExportJobContext {
+  // Aborted when the user cancels the job
+  signal: AbortSignal;
+  onProgress: ExportProgressCallback;
+}
+
+interface UseExportJobsReturn {
+  jobs: ExportJob[];
+  runJob: (label: string, task: (job: ExportJobContext) => Promise<void>) => Promise<void>;
+  cancelJob: (id: number) => void;
+  dismissJob: (id: number) => void;
+}
+
+// How long finished jobs stay on screen; failures stay longer so they can be read
+const FINISHED_JOB_DURATION = 4000;
+const FAILED_JOB_DURATION = 10000;
+
+/**
+ * Custom hook that runs exports as jobs with progress, cancellation and a result to show the user
+ * Errors are caught and kept on the job, so a failed export is reported instead of failing silently
+ * @returns The current jobs, and functions to start, cancel and dismiss them
+ */
+const useExportJobs = (): UseExportJobsReturn => {
+  const [jobs, setJobs] = useState<ExportJob[]>([]);
+  const nextJobId = useRef(0);
+  const controllers = useRef(new Map<number, AbortController>());
+  const timers = useRef(new Map<number, ReturnType<typeof setTimeout>>());
+
+  const updateJob = useCallback((id: number, changes: Partial<ExportJob>): void => {
+    setJobs(current => current.map(job => (job.id === id ? { ...job, ...changes } : job)));
+  }, []);
+
+  const dismissJob = useCallback((id: number): void => {
+    clearTimeout(timers.current.get(id));
+    timers.current.delete(id);
+    setJobs(current => current.filter(job => job.id !== id));
+  }, []);
+
+  const runJob = useCallback(
+    async (label: string, task: (job: ExportJobContext) => Promise<void>): Promise<void> => {
+      const id = nextJobId.current++;
+      const controller = new AbortController();
+      controllers.current.set(id, controller);
+      setJobs(current => [...current, { id, label, status: 'running', progress: 0 }]);
+
+      const onProgress: ExportProgressCallback = (progress, stage) => {
+        if (controller.signal.aborted) return;
+        updateJob(id, { progress: Math.min(Math.max(progress, 0), 1), ...(stage && { stage }) });
+      };
+
+      let result: Partial<ExportJob>;
+      try {
+        await task({ signal: controller.signal, onProgress });
+        result = { status: 'done', progress: 1 };
+      } catch (error) {
+        if (isCancelledError(error)) {
+          result = { status: 'cancelled' };
+        } else {
+          console.error(`Error exporting ${label}:`, error);
+          result = { status: 'failed', error: error instanceof Error ? error.message : String(error) };
+        }
+      } finally {
+        controllers.current.delete(id);
+      }
+
+      updateJob(id, result);
+      timers.current.set(
+        id,
+        setTimeout(() => dismissJob(id), result.status === 'failed' ? FAILED_JOB_DURATION : FINISHED_JOB_DURATION)
+      );
+    },
+    [updateJob, dismissJob]
+  );
+
+  const cancelJob = useCallback(
+    (id: number): void => {
+      controllers.current.get(id)?.abort();
+      updateJob(id, { stage: 'Cancelling...' });
+    },
+    [updateJob]
+  );
+
+  // Leaving the editor cancels running jobs
+  useEffect(() => {
+    const runningControllers = controllers.current;
+    const pendingTimers = timers.current;
+    return () => {
+      runningControllers.forEach(controller => controller.abort());
+      pendingTimers.forEach(timer => clearTimeout(timer));
+    };
+  }, []);
+
+  return { jobs, runJob, cancelJob, dismissJob };
+};
+
+export type { ExportJob, ExportJobContext };
+export default useExportJobs;
@@ -0,0 +1,37 @@
+import { useMemo } from 'react';
+import { TemplateDefinition, TemplateValues } from '../templates/_core/types';
+import { FieldIssue, validateValues } from '../utils/fieldValidation';
+
+interface UseFieldValidationReturn {
+  issues: FieldIssue[];
+  issuesByField: Record<string, string[]>;
+  hasBlockingIssues: boolean;
+}
+
+/**
+ * Custom hook that checks template values against the fields' validation rules
+ * @param template - The template whose fields define the rules
+ * @param values - Current template values
+ * @returns All problems, the messages for each field, and whether export should be blocked
+ */
+const useFieldValidation = (
+  template: TemplateDefinition | null,
+  values: TemplateValues
+): UseFieldValidationReturn => {
+  return useMemo(() => {
+    const issues = template ? validateValues(template.fields, values) : [];
+    const issuesByField: Record<string, string[]> = {};
+
+    issues.forEach(issue => {
+      issuesByField[issue.fieldId] = [...(issuesByField[issue.fieldId] || []), issue.message];
+    });
+
+    return {
+      issues,
+      issuesByField,
+      hasBlockingIssues: issues.some(issue => issue.blocking)
+    };
+  }, [template, values]);
+};
+
+export default useFieldValidation;
@@ -0,0 +1,90 @@
+import { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { isSamePagination, PageRange, paginateRows } from '../utils/pagination';
+
+interface UsePaginationReturn {
+  // Attach to the element that contains the pages
+  containerRef: React.RefObject<HTMLDivElement | null>;
+  // The rows on each page
+  pages: PageRange[];
+}
+
+// Allowance for table borders and rounding, so the last row on a page is never clipped
+const PAGE_SAFETY_MARGIN = 4;
+
+/**
+ * Makes sure the pages cover every row, e.g. straight after a row has been added or removed
+ * and before the pages have been measured again
+ */
+const coverRows = (pages: PageRange[], rowCount: number): PageRange[] => {
+  const covered = pages
+    .map(page => ({ start: Math.min(page.start, rowCount), end: Math.min(page.end, rowCount) }))
+    .filter((page, index) => index === 0 || page.end > page.start);
+  covered[covered.length - 1].end = rowCount;
+  return covered;
+};
+
+/**
+ * Custom hook that splits a table's rows across fixed-height pages, by measuring the rendered pages.
+ * The markup inside the container is marked with data attributes:
+ * - `data-page-body` on each page's content area, which has a fixed height and is positioned
+ * - `data-page-table` on each page's table, whose `thead` is repeated on every page
+ * - `data-page-row` on each row, in order
+ * - `data-page-carry` on the running subtotal rows shown at page breaks
+ * - `data-page-end` on what follows the table on the last page, e.g. totals (no outer margins)
+ * @param rowCount - Number of rows in the table
+ * @returns The container ref and the rows on each page
+ */
+const usePagination = (rowCount: number): UsePaginationReturn => {
+  const containerRef = useRef<HTMLDivElement | null>(null);
+  const [pages, setPages] = useState<PageRange[]>([{ start: 0, end: rowCount }]);
+  // Bumped when the content changes size (e.g. an image or font loads), to measure again
+  const [layoutVersion, setLayoutVersion] = useState(0);
+
+  const coveredPages = useMemo(() => coverRows(pages, rowCount), [pages, rowCount]);
+
+  // Measure whenever the rows or pages change, before the browser paints
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    const body = container?.querySelector<HTMLElement>('[data-page-body]');
+    const tables = container ? Array.from(container.querySelectorAll<HTMLTableElement>('[data-page-table]')) : [];
+    const end = container?.querySelector<HTMLElement>('[data-page-end]');
+    if (!container || !body || tables.length === 0 || !end) return;
+
+    const rowHeights = Array.from(container.querySelectorAll<HTMLElement>('[data-page-row]')).map(
+      row => row.offsetHeight
+    );
+    if (rowHeights.length !== rowCount) return;
+
+    const headerHeight = tables[0].tHead?.offsetHeight ?? 0;
+    const carryHeight = container.querySelector<HTMLElement>('[data-page-carry]')?.offsetHeight ?? headerHeight;
+    const firstTop = tables[0].offsetTop;
+    // Until a second page exists, assume later pages start as low as the first
+    const otherTop = tables[1]?.offsetTop ?? firstTop;
+    const pageHeight = body.clientHeight - PAGE_SAFETY_MARGIN;
+
+    const measured = paginateRows(rowHeights, {
+      firstPage: pageHeight - firstTop - headerHeight,
+      otherPages: pageHeight - otherTop - headerHeight - carryHeight,
+      breakSpace: carryHeight,
+      endSpace: end.offsetHeight,
+    });
+
+    if (!isSamePagination(measured, coveredPages)) {
+      setPages(measured);
+    }
+  }, [rowCount, coveredPages, layoutVersion]);
+
+  // Content that changes size, such as edited text or a loading logo, triggers a new measurement
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container || typeof ResizeObserver === 'undefined') return;
+
+    const observer = new ResizeObserver(() => setLayoutVersion(version => version + 1));
+    container.querySelectorAll('[data-page-body] > *').forEach(element => observer.observe(element));
+    return () => observer.disconnect();
+  }, [coveredPages.length]);
+
+  return { containerRef, pages: coveredPages };
+};
+
+export default usePagination;
@@ -0,0 +1,44 @@
+import { useCallback, useEffect } from 'react';
+import { useTemplates } from '../templates/_core/TemplateProvider';
+import { TemplateDefinition } from '../templates/_core/types';
+
+interface UseTemplateReturn {
+  template: TemplateDefinition | null;
+  loading: boolean;
+  error: string | null;
+  // Try loading again after an error
+  retry: () => void;
+}
+
+/**
+ * Custom hook that loads a template's component and styles on demand
+ * Templates are only loaded once; later calls return the cached definition
+ * @param templateId - The ID of the template to load
+ * @returns The template once loaded, with its loading and error state
+ */
+const useTemplate = (templateId: string): UseTemplateReturn => {
+  const { loading: templatesLoading, templateLoads, loadTemplate } = useTemplates();
+  const state = templateLoads[templateId];
+  const requested = state !== undefined;
+
+  // Wait for the templates to be discovered before asking for one
+  useEffect(() => {
+    if (!templatesLoading && !requested) {
+      loadTemplate(templateId);
+    }
+  }, [templateId, templatesLoading, requested, loadTemplate]);
+
+  const retry = useCallback((): void => {
+    loadTemplate(templateId);
+  }, [templateId, loadTemplate]);
+
+  return {
+    template: state?.template ?? null,
+    loading: state ? state.loading : true,
+    error: state?.error ?? null,
+    retry
+  };
+};
+
+export type { UseTemplateReturn };
+export default useTemplate;
@@ -1,86 +1,264 @@
-import { useState, useEffect } from 'react';
-import { useTemplates } from '../templates/_core/TemplateProvider';
-import { TemplateDefinition, TemplateValues } from '../templates/_core/types';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import useTemplate from './useTemplate';
+import { FormulaEngine } from '../templates/_core/FormulaEngine';
+import { loadTemplateValues } from '../templates/_core/TemplateValueLoader';
+import {
+  SharedEditorState,
+  TemplateDefinition,
+  TemplateDocument,
+  TemplateValues
+} from '../templates/_core/types';
+import { getDocument, updateDocument } from '../utils/documentStore';
+import { decodeSharedState } from '../utils/shareLink';
+import { getValueAtPath, setValueAtPath } from '../utils/valuePath';
+
+// Maximum number of undo steps kept in memory
+const MAX_HISTORY = 100;
+
+// Repeated edits of the same field within this window become a single undo step
+const COALESCE_WINDOW = 1000;
+
+// Edits that follow each other this closely (e.g. several fields set by one
+// handler) are treated as one change, whichever fields they touch
+const BATCH_WINDOW = 50;
+
+interface ValueHistory {
+  past: TemplateValues[];
+  present: TemplateValues;
+  future: TemplateValues[];
+}
 
 interface UseTemplateValuesReturn {
   template: TemplateDefinition | null;
+  document: TemplateDocument | null;
+  shared: SharedEditorState | null;
   values: TemplateValues;
+  // Loaded values of fields the template no longer defines
+  quarantine: TemplateValues;
   updateValue: (id: string, value: any) => void;
+  undo: () => void;
+  redo: () => void;
+  canUndo: boolean;
+  canRedo: boolean;
   loading: boolean;
   error: string | null;
+  // Set when the template itself couldn't be loaded, e.g. while offline
+  templateError: string | null;
+  retryTemplate: () => void;
 }
 
 /**
  * Custom hook to manage template values and their updates
+ * The template's component is loaded on demand (see useTemplate) before its values are set up
+ * Stored values are upgraded to the template's current schema version, and values of
+ * fields the template no longer defines are returned separately as the quarantine
  * @param templateId - The ID of the template to load
- * @returns Template data, values, and update function
+ * @param documentId - Optional ID of a saved document whose values should be restored
+ * @param sharedState - Optional encoded state from a share link, used when no document is open
+ * @returns Template data, the loaded document or shared state, values, and update function
  */
-const useTemplateValues = (templateId: string): UseTemplateValuesReturn => {
-  const { getTemplateById } = useTemplates();
+const useTemplateValues = (
+  templateId: string,
+  documentId?: string,
+  sharedState?: string | null
+): UseTemplateValuesReturn => {
+  const {
+    template: loadedTemplate,
+    error: templateError,
+    retry: retryTemplate
+  } = useTemplate(templateId);
   const [template, setTemplate] = useState<TemplateDefinition | null>(null);
-  const [values, setValues] = useState<TemplateValues>({});
+  const [document, setDocument] = useState<TemplateDocument | null>(null);
+  const [shared, setShared] = useState<SharedEditorState | null>(null);
+  const [history, setHistory] = useState<ValueHistory>({ past: [], present: {}, future: [] });
+  const [quarantine, setQuarantine] = useState<TemplateValues>({});
+  const lastEditRef = useRef<{ id: string; time: number } | null>(null);
+  const formulasRef = useRef<FormulaEngine | null>(null);
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
 
+  /**
+   * Replace all values and start a fresh history
+   * Calculated fields are recomputed so they match the loaded values
+   */
+  const resetValues = useCallback((newValues: TemplateValues): void => {
+    lastEditRef.current = null;
+    const present = formulasRef.current ? formulasRef.current.recalculate(newValues) : newValues;
+    setHistory({ past: [], present, future: [] });
+  }, []);
+
   useEffect(() => {
-    // Fetch the template
-    const fetchedTemplate = getTemplateById(templateId);
-    
-    if (fetchedTemplate) {
+    let cancelled = false;
+    setError(null);
+
+    // Wait for the template's component to load
+    const fetchedTemplate = loadedTemplate?.id === templateId ? loadedTemplate : null;
+
+    if (templateError) {
+      setError(templateError);
+      setLoading(false);
+    } else if (!fetchedTemplate) {
+      setLoading(true);
+    } else {
       setTemplate(fetchedTemplate);
+      formulasRef.current = new FormulaEngine(fetchedTemplate.fields);
       
       // Initialize form values with defaults
       const initialValues: TemplateValues = {};
       fetchedTemplate.fields.forEach(field => {
         initialValues[field.id] = field.default;
       });
-      
-      setValues(initialValues);
-      setLoading(false);
-    } else {
-      setError(`Template with ID "${templateId}" not found`);
-      setLoading(false);
+
+      if (!documentId && sharedState) {
+        // Apply the values from a share link on top of the defaults
+        setDocument(null);
+        setLoading(true);
+        decodeSharedState(sharedState)
+          .then(decoded => {
+            if (cancelled) return;
+            const loaded = loadTemplateValues(fetchedTemplate, decoded);
+            setShared(decoded);
+            setQuarantine(loaded.quarantine);
+            resetValues({ ...initialValues, ...loaded.values });
+            setLoading(false);
+          })
+          .catch(err => {
+            if (cancelled) return;
+            console.error('Failed to read share link:', err);
+            setError(err instanceof Error ? err.message : 'Failed to read the share link.');
+            setLoading(false);
+          });
+      } else if (!documentId) {
+        setDocument(null);
+        setShared(null);
+        setQuarantine({});
+        resetValues(initialValues);
+        setLoading(false);
+      } else {
+        // Restore the saved document on top of the defaults
+        setShared(null);
+        setLoading(true);
+        getDocument(documentId)
+          .then(async savedDocument => {
+            if (cancelled) return;
+
+            if (savedDocument && savedDocument.templateId === templateId) {
+              const loaded = loadTemplateValues(fetchedTemplate, savedDocument);
+
+              // Store upgraded values right away so migrations only run once
+              const upgradedDocument = loaded.changed
+                ? await updateDocument(savedDocument.id, {
+                    values: loaded.values,
+                    templateVersion: loaded.templateVersion,
+                    quarantine: loaded.quarantine
+                  })
+                : savedDocument;
+              if (cancelled) return;
+
+              setDocument(upgradedDocument);
+              setQuarantine(loaded.quarantine);
+              resetValues({ ...initialValues, ...loaded.values });
+            } else {
+              setError(`Document with ID "${documentId}" not found`);
+            }
+            setLoading(false);
+          })
+          .catch(err => {
+            if (cancelled) return;
+            console.error('Failed to load document:', err);
+            setError('Failed to load the saved document.');
+            setLoading(false);
+          });
+      }
     }
-  }, [templateId, getTemplateById]);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [templateId, documentId, sharedState, loadedTemplate, templateError, resetValues]);
 
   /**
    * Update a template value by field ID
    * Handles both simple values and nested paths (e.g., 'items.0.description')
+   * Calculated fields that depend on the change are recomputed in the same step,
+   * and every update is recorded in the undo history. Setting a value to what it
+   * already is changes nothing, so it doesn't add an undo step or clear redo
    */
-  const updateValue = (id: string, value: any): void => {
-    // Handle nested object paths like 'items.0.description'
-    if (id.includes('.')) {
-      const parts = id.split('.');
-      const newValues = { ...values };
-      
-      let current = newValues;
-      for (let i = 0; i < parts.length - 1; i++) {
-        const part = parts[i];
-        if (!current[part]) {
-          // Create the missing object/array
-          current[part] = isNaN(Number(parts[i + 1])) ? {} : [];
-        }
-        current = current[part];
+  const updateValue = useCallback((id: string, value: any): void => {
+    const now = Date.now();
+    const lastEdit = lastEditRef.current;
+    const coalesce =
+      lastEdit !== null &&
+      (now - lastEdit.time < BATCH_WINDOW ||
+        (lastEdit.id === id && now - lastEdit.time < COALESCE_WINDOW));
+    lastEditRef.current = { id, time: now };
+
+    setHistory(current => {
+      if (Object.is(getValueAtPath(current.present, id), value)) return current;
+
+      const updated = setValueAtPath(current.present, id, value);
+      const present = formulasRef.current ? formulasRef.current.recalculate(updated, id) : updated;
+
+      if (coalesce && current.past.length > 0) {
+        return { ...current, present, future: [] };
       }
-      
-      current[parts[parts.length - 1]] = value;
-      setValues(newValues);
-    } else {
-      // Handle simple paths
-      setValues({
-        ...values,
-        [id]: value
-      });
-    }
-  };
+
+      return {
+        past: [...current.past, current.present].slice(-MAX_HISTORY),
+        present,
+        future: []
+      };
+    });
+  }, []);
+
+  /**
+   * Restore the values from before the last change
+   */
+  const undo = useCallback((): void => {
+    lastEditRef.current = null;
+    setHistory(current => {
+      if (current.past.length === 0) return current;
+
+      return {
+        past: current.past.slice(0, -1),
+        present: current.past[current.past.length - 1],
+        future: [current.present, ...current.future]
+      };
+    });
+  }, []);
+
+  /**
+   * Re-apply the last undone change
+   */
+  const redo = useCallback((): void => {
+    lastEditRef.current = null;
+    setHistory(current => {
+      if (current.future.length === 0) return current;
+
+      return {
+        past: [...current.past, current.present],
+        present: current.future[0],
+        future: current.future.slice(1)
+      };
+    });
+  }, []);
 
   return {
     template,
-    values,
+    document,
+    shared,
+    values: history.present,
+    quarantine,
     updateValue,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
     loading,
-    error
+    error,
+    templateError,
+    retryTemplate
   };
 };
 
-export default useTemplateValues;
\ No newline at end of file
+export default useTemplateValues;
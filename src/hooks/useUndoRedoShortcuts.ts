@@ -0,0 +1,55 @@
+import { useEffect } from 'react';
+
+/**
+ * Checks whether a keyboard event comes from a native text input, where the
+ * browser's own undo should win over the editor history
+ */
+const isNativeTextInput = (target: EventTarget | null): boolean => {
+  if (!(target instanceof HTMLElement)) return false;
+
+  const tagName = target.tagName.toLowerCase();
+  return tagName === 'input' || tagName === 'textarea' || tagName === 'select';
+};
+
+/**
+ * Custom hook that binds Ctrl/Cmd+Z to undo and Ctrl/Cmd+Shift+Z (or Ctrl+Y) to redo
+ * @param undo - Called when the undo shortcut is pressed
+ * @param redo - Called when the redo shortcut is pressed
+ * @param enabled - Whether the shortcuts are active
+ */
+const useUndoRedoShortcuts = (
+  undo: () => void,
+  redo: () => void,
+  enabled: boolean = true
+): void => {
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (event: KeyboardEvent): void => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      if (isNativeTextInput(event.target)) return;
+
+      const key = event.key.toLowerCase();
+
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        // Commit any in-progress inline edit first so it can be undone as a step
+        if (document.activeElement instanceof HTMLElement) {
+          document.activeElement.blur();
+        }
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || (key === 'y' && !event.metaKey)) {
+        event.preventDefault();
+        if (document.activeElement instanceof HTMLElement) {
+          document.activeElement.blur();
+        }
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo, enabled]);
+};
+
+export default useUndoRedoShortcuts;
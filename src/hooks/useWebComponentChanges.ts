@@ -0,0 +1,43 @@
+import { useEffect, RefObject } from 'react';
+
+/**
+ * Reads the new value from a web component `change` event
+ * editable-text sends `{ value }`, editable-image `{ src }` and color-changer `{ color }`
+ */
+const getChangedValue = (detail: any): any => {
+  if (!detail) return undefined;
+  return detail.value ?? detail.src ?? detail.color;
+};
+
+/**
+ * Custom hook that forwards edits made inside web components to the template values
+ * Components opt in with a `data-field-id` attribute naming the field they edit
+ * @param containerRef - Element that contains the web components
+ * @param onValueChange - Called with the field ID and the new value
+ */
+const useWebComponentChanges = (
+  containerRef: RefObject<HTMLElement | null>,
+  onValueChange: (id: string, value: any) => void
+): void => {
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const handleChange = (event: Event): void => {
+      if (!(event instanceof CustomEvent) || !(event.target instanceof HTMLElement)) {
+        return;
+      }
+
+      const fieldId = event.target.dataset.fieldId;
+      const value = getChangedValue(event.detail);
+      if (!fieldId || value === undefined) return;
+
+      onValueChange(fieldId, value);
+    };
+
+    container.addEventListener('change', handleChange);
+    return () => container.removeEventListener('change', handleChange);
+  }, [containerRef, onValueChange]);
+};
+
+export default useWebComponentChanges;
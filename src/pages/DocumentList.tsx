@@ -0,0 +1,150 @@
+import React from "react";
+import { Link, useNavigate } from "react-router-dom";
+import useDocuments from "../hooks/useDocuments";
+import { useTemplates } from "../templates/_core/TemplateProvider";
+import { TemplateDocument } from "../templates/_core/types";
+
+/**
+ * "My documents" page listing every saved document
+ * Lets users open, duplicate, rename and delete their documents
+ */
+const DocumentList: React.FC = () => {
+  const navigate = useNavigate();
+  const { getTemplateById } = useTemplates();
+  const { documents, loading, error, duplicate, rename, remove } =
+    useDocuments();
+
+  const handleDuplicate = async (document: TemplateDocument): Promise<void> => {
+    try {
+      await duplicate(document.id);
+    } catch (err) {
+      console.error("Error duplicating document:", err);
+    }
+  };
+
+  const handleRename = async (document: TemplateDocument): Promise<void> => {
+    const name = window.prompt("Rename document", document.name);
+    if (name === null || !name.trim() || name.trim() === document.name) return;
+
+    try {
+      await rename(document.id, name.trim());
+    } catch (err) {
+      console.error("Error renaming document:", err);
+    }
+  };
+
+  const handleDelete = async (document: TemplateDocument): Promise<void> => {
+    if (!window.confirm(`Delete "${document.name}"? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await remove(document.id);
+    } catch (err) {
+      console.error("Error deleting document:", err);
+    }
+  };
+
+  const formatDate = (timestamp: number): string =>
+    new Date(timestamp).toLocaleString(undefined, {
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+
+  const actionClasses =
+    "px-2 py-1 rounded text-xs text-gray-600 hover:bg-gray-100 hover:text-gray-900 transition-colors duration-150";
+  const deleteClasses =
+    "px-2 py-1 rounded text-xs text-gray-600 hover:bg-red-50 hover:text-red-600 transition-colors duration-150";
+
+  return (
+    <div className="container mx-auto">
+      <h1 className="text-3xl font-bold mb-6">My Documents</h1>
+
+      {loading ? (
+        <div className="flex justify-center">
+          <p>Loading documents...</p>
+        </div>
+      ) : error ? (
+        <div className="text-center py-8">
+          <p className="text-xl text-gray-600">{error}</p>
+        </div>
+      ) : documents.length === 0 ? (
+        <div className="text-center py-8">
+          <p className="text-xl text-gray-600">
+            You haven't saved any documents yet.
+          </p>
+          <Link
+            to="/"
+            className="mt-4 inline-block text-indigo-600 hover:underline"
+          >
+            Browse templates
+          </Link>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {documents.map((document) => {
+            const template = getTemplateById(document.templateId);
+
+            return (
+              <div
+                key={document.id}
+                className="bg-white rounded-lg overflow-hidden shadow-md hover:shadow-lg transition-shadow"
+              >
+                <button
+                  type="button"
+                  onClick={() =>
+                    navigate(`/editor/${document.templateId}/${document.id}`)
+                  }
+                  className="w-full h-32 bg-gray-200 flex items-center justify-center"
+                  title="Open document"
+                >
+                  <span className="text-4xl">{template?.icon ?? "📄"}</span>
+                </button>
+                <div className="p-4">
+                  <h3 className="font-semibold truncate">{document.name}</h3>
+                  <p className="text-gray-600 text-sm">
+                    {template?.name ?? "Unknown template"}
+                  </p>
+                  <p className="text-gray-400 text-xs mt-1">
+                    Last edited {formatDate(document.updatedAt)}
+                  </p>
+                  <div className="mt-3 flex flex-wrap gap-1">
+                    <Link
+                      to={`/editor/${document.templateId}/${document.id}`}
+                      className={actionClasses}
+                    >
+                      Open
+                    </Link>
+                    <button
+                      type="button"
+                      className={actionClasses}
+                      onClick={() => handleDuplicate(document)}
+                    >
+                      Duplicate
+                    </button>
+                    <button
+                      type="button"
+                      className={actionClasses}
+                      onClick={() => handleRename(document)}
+                    >
+                      Rename
+                    </button>
+                    <button
+                      type="button"
+                      className={deleteClasses}
+                      onClick={() => handleDelete(document)}
+                    >
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DocumentList;
@@ -1,6 +1,8 @@
 import React from "react";
 import { Link } from "react-router-dom";
 import { useTemplates } from "../templates/_core/TemplateProvider";
+import { INDUSTRY_NAMES } from "../templates/_core/TemplateSearch";
+import { IndustryType } from "../templates/_core/types";
 
 function Home() {
   // Use our template context to get all templates
@@ -15,6 +17,24 @@ function Home() {
         </p>
       </section>
 
+      <section className="mb-8">
+        <h2 className="text-xl font-semibold mb-4">Browse by Industry</h2>
+        <div className="flex flex-wrap gap-2">
+          {(Object.keys(INDUSTRY_NAMES) as IndustryType[]).map((industry) => (
+            <Link
+              key={industry}
+              to={`/search?industry=${industry}`}
+              className="bg-white rounded-full border border-gray-200 px-3 py-1 text-sm text-gray-700 shadow-sm hover:shadow transition-shadow"
+            >
+              {INDUSTRY_NAMES[industry]}{" "}
+              <span className="text-gray-500">
+                {templates.filter((template) => template.industry === industry).length}
+              </span>
+            </Link>
+          ))}
+        </div>
+      </section>
+
       <section>
         <h2 className="text-xl font-semibold mb-4">All Templates</h2>
         {loading ? (
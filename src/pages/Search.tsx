@@ -0,0 +1,319 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { useTemplates } from "../templates/_core/TemplateProvider";
+import {
+  INDUSTRY_NAMES,
+  TemplateSearchOptions,
+  TemplateSortOrder,
+} from "../templates/_core/TemplateSearch";
+import { ExportFormat, IndustryType } from "../templates/_core/types";
+import { EXPORT_FORMATS } from "../utils/exportFormats";
+
+const SORT_NAMES: Record<TemplateSortOrder, string> = {
+  relevance: "Best match",
+  name: "Name",
+  industry: "Industry",
+};
+
+const inputClasses =
+  "w-full rounded border border-latte-surface1 bg-white px-3 py-2 text-sm text-latte-text focus:outline-none focus:border-latte-pink";
+
+const facetButtonClasses = "flex w-full justify-between rounded px-2 py-1 text-sm text-left transition-colors duration-150";
+
+/**
+ * Reads the search and filters from the URL
+ * (/search?q=&industry=&tags=&format=&hasBackSide=&sort=, lists comma-separated)
+ */
+const readSearchOptions = (params: URLSearchParams): TemplateSearchOptions => {
+  const readList = (key: string): string[] =>
+    (params.get(key) ?? "")
+      .split(",")
+      .map((value) => value.trim())
+      .filter(Boolean);
+  const industry = params.get("industry") ?? "";
+  const hasBackSide = params.get("hasBackSide");
+  const sort = params.get("sort") ?? "";
+
+  return {
+    query: params.get("q") ?? "",
+    industry: Object.keys(INDUSTRY_NAMES).includes(industry) ? (industry as IndustryType) : undefined,
+    tags: readList("tags"),
+    formats: readList("format").filter((format) => Object.keys(EXPORT_FORMATS).includes(format)) as ExportFormat[],
+    hasBackSide: hasBackSide === "true" ? true : hasBackSide === "false" ? false : undefined,
+    sort: Object.keys(SORT_NAMES).includes(sort) ? (sort as TemplateSortOrder) : undefined,
+  };
+};
+
+/**
+ * Adds a value to a list, or removes it when it's already there
+ */
+const toggle = (list: string[], value: string): string[] =>
+  list.includes(value) ? list.filter((item) => item !== value) : [...list, value];
+
+/**
+ * Template search with facet filters (industry, tags, export formats, sides) and sorting
+ * The search and filters live in the URL, so results can be bookmarked and shared
+ */
+const Search: React.FC = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { searchTemplates, loading } = useTemplates();
+  const options = useMemo(() => readSearchOptions(searchParams), [searchParams]);
+  const [query, setQuery] = useState<string>(options.query ?? "");
+  const { results, facets } = useMemo(() => searchTemplates(options), [searchTemplates, options]);
+
+  // Follow the URL when it changes from outside (e.g. the navbar or back button)
+  useEffect(() => {
+    setQuery(options.query ?? "");
+  }, [options.query]);
+
+  /**
+   * Sets or clears URL parameters, keeping the others
+   */
+  const updateParams = (changes: Record<string, string | string[] | undefined>, replace = false): void => {
+    setSearchParams(
+      (current) => {
+        const next = new URLSearchParams(current);
+        Object.entries(changes).forEach(([key, value]) => {
+          const text = Array.isArray(value) ? value.join(",") : value;
+          if (text) next.set(key, text);
+          else next.delete(key);
+        });
+        return next;
+      },
+      { replace }
+    );
+  };
+
+  const clearFilters = (): void =>
+    updateParams({ industry: undefined, tags: undefined, format: undefined, hasBackSide: undefined });
+
+  const selectedTags = options.tags ?? [];
+  const selectedFormats = options.formats ?? [];
+  const hasFilters =
+    !!options.industry || selectedTags.length > 0 || selectedFormats.length > 0 || options.hasBackSide !== undefined;
+
+  // Selected tags first, then the most common
+  const tagFacets = Array.from(new Set([...selectedTags, ...Object.keys(facets.tags)])).sort(
+    (a, b) =>
+      Number(selectedTags.includes(b)) - Number(selectedTags.includes(a)) ||
+      (facets.tags[b] ?? 0) - (facets.tags[a] ?? 0) ||
+      a.localeCompare(b)
+  );
+  const formatFacets = (Object.keys(EXPORT_FORMATS) as ExportFormat[]).filter(
+    (format) => facets.formats[format] || selectedFormats.includes(format)
+  );
+  const totalInIndustries = Object.values(facets.industries).reduce((total, count) => total + count, 0);
+
+  const sideOptions: { value?: boolean; label: string; count: number }[] = [
+    { label: "Any", count: facets.singleSided + facets.doubleSided },
+    { value: false, label: "Single-sided", count: facets.singleSided },
+    { value: true, label: "Double-sided", count: facets.doubleSided },
+  ];
+
+  const facetClasses = (selected: boolean, count: number): string =>
+    `${facetButtonClasses} ${
+      selected
+        ? "bg-latte-pink/10 text-latte-pink font-semibold"
+        : count === 0
+          ? "text-gray-400 hover:bg-gray-50"
+          : "text-gray-700 hover:bg-gray-100"
+    }`;
+
+  return (
+    <div className="container mx-auto">
+      <h1 className="text-3xl font-bold mb-6">Search Templates</h1>
+
+      <div className="flex flex-col sm:flex-row gap-3 mb-6">
+        <input
+          type="search"
+          className={inputClasses}
+          placeholder="Search by name, description or tag"
+          aria-label="Search templates"
+          value={query}
+          autoFocus
+          onChange={(event) => {
+            setQuery(event.target.value);
+            updateParams({ q: event.target.value }, true);
+          }}
+        />
+        <label className="flex items-center gap-2 text-sm text-gray-600 shrink-0">
+          Sort by
+          <select
+            className={inputClasses}
+            value={options.sort ?? "relevance"}
+            onChange={(event) =>
+              updateParams({ sort: event.target.value === "relevance" ? undefined : event.target.value })
+            }
+          >
+            {(Object.keys(SORT_NAMES) as TemplateSortOrder[]).map((sort) => (
+              <option key={sort} value={sort}>
+                {SORT_NAMES[sort]}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-8">
+        <aside className="md:w-56 shrink-0 space-y-6">
+          <section>
+            <h2 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">Industry</h2>
+            <ul>
+              <li>
+                <button
+                  type="button"
+                  className={facetClasses(!options.industry, totalInIndustries)}
+                  onClick={() => updateParams({ industry: undefined })}
+                >
+                  <span>All industries</span>
+                  <span>{totalInIndustries}</span>
+                </button>
+              </li>
+              {(Object.keys(INDUSTRY_NAMES) as IndustryType[]).map((industry) => (
+                <li key={industry}>
+                  <button
+                    type="button"
+                    className={facetClasses(options.industry === industry, facets.industries[industry])}
+                    onClick={() => updateParams({ industry: options.industry === industry ? undefined : industry })}
+                  >
+                    <span>{INDUSTRY_NAMES[industry]}</span>
+                    <span>{facets.industries[industry]}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </section>
+
+          {tagFacets.length > 0 && (
+            <section>
+              <h2 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">Tags</h2>
+              <ul className="space-y-1">
+                {tagFacets.map((tag) => (
+                  <li key={tag}>
+                    <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        className="accent-latte-pink"
+                        checked={selectedTags.includes(tag)}
+                        onChange={() => updateParams({ tags: toggle(selectedTags, tag) })}
+                      />
+                      <span className="flex-1">{tag}</span>
+                      <span className="text-gray-500">{facets.tags[tag] ?? 0}</span>
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          {formatFacets.length > 0 && (
+            <section>
+              <h2 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">Export formats</h2>
+              <ul className="space-y-1">
+                {formatFacets.map((format) => (
+                  <li key={format}>
+                    <label className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        className="accent-latte-pink"
+                        checked={selectedFormats.includes(format)}
+                        onChange={() => updateParams({ format: toggle(selectedFormats, format) })}
+                      />
+                      <span className="flex-1">{EXPORT_FORMATS[format].name}</span>
+                      <span className="text-gray-500">{facets.formats[format] ?? 0}</span>
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            </section>
+          )}
+
+          <section>
+            <h2 className="text-xs font-semibold uppercase tracking-wide text-gray-500 mb-2">Sides</h2>
+            <ul>
+              {sideOptions.map((option) => (
+                <li key={option.label}>
+                  <button
+                    type="button"
+                    className={facetClasses(options.hasBackSide === option.value, option.count)}
+                    onClick={() =>
+                      updateParams({ hasBackSide: option.value === undefined ? undefined : String(option.value) })
+                    }
+                  >
+                    <span>{option.label}</span>
+                    <span>{option.count}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </section>
+        </aside>
+
+        <section className="flex-1">
+          {loading ? (
+            <div className="flex justify-center">
+              <p>Loading templates...</p>
+            </div>
+          ) : results.length === 0 ? (
+            <div className="text-center py-8">
+              <p className="text-xl text-gray-600">No templates match your search.</p>
+              {hasFilters && (
+                <button
+                  type="button"
+                  className="mt-4 inline-block text-indigo-600 hover:underline"
+                  onClick={clearFilters}
+                >
+                  Clear filters
+                </button>
+              )}
+            </div>
+          ) : (
+            <>
+              <p className="text-sm text-gray-600 mb-4">
+                {results.length} {results.length === 1 ? "template" : "templates"}
+                {hasFilters && (
+                  <button
+                    type="button"
+                    className="ml-3 text-indigo-600 hover:underline"
+                    onClick={clearFilters}
+                  >
+                    Clear filters
+                  </button>
+                )}
+              </p>
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+                {results.map(({ template }) => (
+                  <Link
+                    key={template.id}
+                    to={`/editor/${template.id}`}
+                    className="bg-white rounded-lg overflow-hidden shadow-md hover:shadow-lg transition-shadow"
+                  >
+                    <div className="h-32 bg-gray-200 flex items-center justify-center">
+                      <span className="text-4xl">{template.icon}</span>
+                    </div>
+                    <div className="p-4">
+                      <h3 className="font-semibold">{template.name}</h3>
+                      <p className="text-gray-600 text-sm">{template.description}</p>
+                      <div className="mt-2 flex flex-wrap gap-2">
+                        <span className="bg-latte-pink/10 text-latte-pink text-xs px-2 py-1 rounded-full">
+                          {INDUSTRY_NAMES[template.industry]}
+                        </span>
+                        {template.tags.map((tag) => (
+                          <span key={tag} className="bg-gray-100 text-gray-600 text-xs px-2 py-1 rounded-full">
+                            {tag}
+                          </span>
+                        ))}
+                      </div>
+                    </div>
+                  </Link>
+                ))}
+              </div>
+            </>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Search;
@@ -1,87 +1,444 @@
 import React, { useRef, useState, useEffect } from "react";
-import { useParams, useNavigate } from "react-router-dom";
+import { useParams, useNavigate, useLocation } from "react-router-dom";
 import { toPng } from "html-to-image";
-import html2canvas from "html2canvas-pro";
-import jsPDF from "jspdf";
 import useTemplateValues from "../hooks/useTemplateValues";
+import useDocumentAutosave from "../hooks/useDocumentAutosave";
+import useUndoRedoShortcuts from "../hooks/useUndoRedoShortcuts";
+import useFieldValidation from "../hooks/useFieldValidation";
+import useExportJobs from "../hooks/useExportJobs";
 import TemplateRenderer from "../components/TemplateRenderer";
 import TemplateControls from "../components/navigation/TemplateControls";
+import FieldValidationContext from "../components/editor/FieldValidationContext";
+import FieldPanel from "../components/editor/FieldPanel";
+import BulkPanel from "../components/editor/BulkPanel";
+import PrintGuides from "../components/editor/PrintGuides";
+import ImpositionPanel from "../components/editor/ImpositionPanel";
+import SizeMatrixPanel from "../components/editor/SizeMatrixPanel";
+import ExportToasts from "../components/editor/ExportToasts";
 import { TransformWrapper, TransformComponent } from "react-zoom-pan-pinch";
-import { exportElementAsImage } from "../utils/exportElementAsImage"; // Adjust path
+import {
+  DEFAULT_DPI,
+  DPI_OPTIONS,
+  ExportElementAsImageOptions,
+  exportElementAsImage,
+  renderElementToCanvas,
+} from "../utils/exportElementAsImage";
+import {
+  canvasToPngBytes,
+  combineCanvasesSideBySide,
+  createZip,
+  downloadBlob,
+} from "../utils/bulkExport";
+import {
+  OffscreenTemplateOptions,
+  renderBothSidesOffscreen,
+  renderTemplateOffscreen,
+} from "../utils/renderTemplateOffscreen";
+import { createDocument, updateDocument } from "../utils/documentStore";
+import { exportElementAsSvg, renderElementToSvg } from "../utils/exportElementAsSvg";
+import { exportElementAsHtml } from "../utils/exportElementAsHtml";
+import {
+  addElementToPdf,
+  createTemplatePdf,
+  getPrintPages,
+  getTrimSize,
+} from "../utils/pdfExport";
+import { renderMatrixImages } from "../utils/sizeMatrix";
+import { scaleProgress, throwIfCancelled } from "../utils/exportJob";
+import {
+  DEFAULT_EXPORT_QUALITY,
+  EXPORT_FORMATS,
+  ExportSettings,
+  isFormatSupported,
+} from "../utils/exportFormats";
+import {
+  createProjectFile,
+  downloadProjectFile,
+  getProjectValues,
+  readProjectFile,
+  validateProjectFile,
+} from "../utils/projectFile";
+import {
+  createSharedState,
+  createShareUrl,
+  encodeSharedState,
+  getSharedStateFromHash,
+} from "../utils/shareLink";
+import { useTemplates } from "../templates/_core/TemplateProvider";
+import { getTemplateVersion } from "../templates/_core/TemplateValueLoader";
+import { ExportFormat, TemplateValues } from "../templates/_core/types";
+
+// Side panels that can be opened from the controls
+type EditorPanel = "fields" | "bulk" | "imposition" | "sizes";
 
 /**
  * Template Editor page component
  * Allows users to edit and preview templates
  */
 const TemplateEditor: React.FC = () => {
-  const { templateId } = useParams<{ templateId: string }>();
+  const { templateId, documentId } = useParams<{
+    templateId: string;
+    documentId?: string;
+  }>();
   const navigate = useNavigate();
+  const location = useLocation();
+  const { getTemplateById } = useTemplates();
   const [activeTab, setActiveTab] = useState<"edit" | "preview">("edit");
   const [previewSize, setPreviewSize] = useState<string>("default");
   const [variant, setVariant] = useState<string>("standard");
   const [showBackSide, setShowBackSide] = useState<boolean>(false);
+  const [shareLabel, setShareLabel] = useState<string>("Copy Share Link");
+  // Only one side panel is open at a time
+  const [activePanel, setActivePanel] = useState<EditorPanel | null>(null);
+  // Values of the spreadsheet row shown while bulk mode is open
+  const [bulkPreview, setBulkPreview] = useState<TemplateValues | null>(null);
+  const [showPrintGuides, setShowPrintGuides] = useState<boolean>(true);
+  // Resolution of PNGs exported from templates with a print size
+  const [exportDpi, setExportDpi] = useState<number>(DEFAULT_DPI);
+  // Choices made in the export dialog, offered again the next time it opens
+  const [lastExportSettings, setLastExportSettings] = useState<ExportSettings | null>(null);
   const templateRef = useRef<HTMLDivElement | null>(null);
 
   // Use custom hook to manage template values
-  const { template, values, updateValue, loading, error } = useTemplateValues(
-    templateId || ""
+  const {
+    template,
+    document,
+    shared,
+    values,
+    quarantine,
+    updateValue,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
+    loading,
+    error,
+    templateError,
+    retryTemplate,
+  } = useTemplateValues(
+    templateId || "",
+    documentId,
+    getSharedStateFromHash(location.hash)
   );
 
+  // Check the values against the fields' validation rules
+  const { issues, issuesByField, hasBlockingIssues } = useFieldValidation(
+    template,
+    values
+  );
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z step through the edit history
+  useUndoRedoShortcuts(undo, redo, activeTab === "edit");
+
+  // Exports run as jobs with progress, cancel and a toast with the result
+  const { jobs: exportJobs, runJob, cancelJob, dismissJob } = useExportJobs();
+
+  // Restore the editor state that was saved with the document
+  useEffect(() => {
+    if (document) {
+      setVariant(document.variant);
+      setPreviewSize(document.size);
+      setShowBackSide(document.showBackSide);
+    }
+  }, [document]);
+
+  // Restore the editor state from a share link
+  useEffect(() => {
+    if (shared) {
+      setVariant(shared.variant);
+      setPreviewSize(shared.size);
+    }
+  }, [shared]);
+
+  // Keep the open document in sync with the editor
+  const saveStatus = useDocumentAutosave(document, values, {
+    variant,
+    size: previewSize,
+    showBackSide,
+  });
+
+  // A template that exists but couldn't be downloaded can be retried in place
+  const templateLoadFailed = !!templateError && !!getTemplateById(templateId || "");
+
   // Use useEffect for navigation to prevent state updates during render
   useEffect(() => {
-    if (!loading && (error || !template)) {
+    if (!loading && (error || !template) && !templateLoadFailed) {
       navigate("/");
     }
-  }, [loading, error, template, navigate]);
+  }, [loading, error, template, templateLoadFailed, navigate]);
 
   // Early return if no template or still loading
   if (!template && !loading) {
-    return null;
+    return templateLoadFailed ? (
+      <div className="flex flex-col justify-center items-center h-64 gap-4">
+        <p className="text-latte-red">{templateError}</p>
+        <button
+          type="button"
+          className="px-4 py-2 rounded bg-latte-pink text-white hover:opacity-90"
+          onClick={retryTemplate}
+        >
+          Try Again
+        </button>
+      </div>
+    ) : null;
   }
 
 
 
-  // No helper function needed
+  /**
+   * Save the current values and editor state as a document
+   * Unsaved templates are saved as a new document and the URL is updated
+   */
+  const saveTemplateDocument = async (): Promise<void> => {
+    if (!template) return;
+
+    const editorState = { variant, size: previewSize, showBackSide };
+
+    try {
+      if (document) {
+        await updateDocument(document.id, { values, ...editorState });
+        return;
+      }
+
+      const name = window.prompt("Document name", template.name);
+      if (name === null) return;
+
+      const created = await createDocument(
+        template.id,
+        name.trim() || template.name,
+        values,
+        editorState,
+        { templateVersion: getTemplateVersion(template), quarantine }
+      );
+      navigate(`/editor/${template.id}/${created.id}`, { replace: true });
+    } catch (error) {
+      console.error("Error saving document:", error);
+    }
+  };
+
+  /**
+   * Copy a link that reproduces the current design to the clipboard
+   * Large images can't be encoded in the URL and are left out
+   */
+  const shareTemplate = async (): Promise<void> => {
+    if (!template) return;
+
+    try {
+      const state = createSharedState(template, values, variant, previewSize);
+      const url = createShareUrl(template.id, await encodeSharedState(state));
+
+      try {
+        await navigator.clipboard.writeText(url);
+        setShareLabel("Link copied!");
+        setTimeout(() => setShareLabel("Copy Share Link"), 2000);
+      } catch {
+        window.prompt("Copy this link to share your design", url);
+      }
+
+      if (state.omittedFields.length > 0) {
+        window.alert(
+          `These images are too large to include in a link and will show their defaults: ${getFieldLabels(state.omittedFields)}`
+        );
+      }
+    } catch (error) {
+      console.error("Error creating share link:", error);
+    }
+  };
+
+  /**
+   * Export the current values and editor state as a portable project file
+   */
+  const exportProject = async (): Promise<void> => {
+    if (!template) return;
+
+    try {
+      const project = await createProjectFile(
+        template,
+        document?.name ?? template.name,
+        values,
+        { variant, size: previewSize, showBackSide },
+        quarantine
+      );
+      downloadProjectFile(project);
+    } catch (error) {
+      console.error("Error exporting project:", error);
+    }
+  };
+
+  /**
+   * Open a project file as a new document
+   * Fields that don't match the template are reported before opening
+   */
+  const openProject = async (file: File): Promise<void> => {
+    try {
+      const project = await readProjectFile(file);
+      const projectTemplate = getTemplateById(project.templateId);
+
+      if (!projectTemplate) {
+        window.alert(
+          `"${file.name}" uses the template "${project.templateId}", which isn't available.`
+        );
+        return;
+      }
+
+      const { unknownFields, missingFields, invalidFields } =
+        validateProjectFile(project, projectTemplate);
+      const problems = [
+        unknownFields.length > 0 &&
+          `Unknown fields (kept aside, not shown): ${unknownFields.join(", ")}`,
+        missingFields.length > 0 &&
+          `Missing fields (defaults will be used): ${missingFields.join(", ")}`,
+        invalidFields.length > 0 &&
+          `Invalid values (defaults will be used): ${invalidFields.join(", ")}`,
+      ].filter(Boolean);
+
+      if (
+        problems.length > 0 &&
+        !window.confirm(
+          `"${file.name}" doesn't fully match the ${projectTemplate.name} template.\n\n${problems.join("\n")}\n\nOpen it anyway?`
+        )
+      ) {
+        return;
+      }
+
+      const { values: projectValues, ...schemaState } = getProjectValues(project, projectTemplate);
+      const created = await createDocument(
+        projectTemplate.id,
+        project.name,
+        projectValues,
+        {
+          variant: project.variant,
+          size: project.size,
+          showBackSide: project.showBackSide,
+        },
+        schemaState
+      );
+      navigate(`/editor/${projectTemplate.id}/${created.id}`);
+    } catch (error) {
+      console.error("Error opening project:", error);
+      window.alert(error instanceof Error ? error.message : "Could not open the project.");
+    }
+  };
+
+  /**
+   * Check the values before exporting
+   * Problems with required fields block the export; other problems ask for confirmation
+   */
+  const confirmExport = (): boolean => {
+    if (issues.length === 0) return true;
+
+    const problems = issues
+      .map((issue) => `- ${issue.label}: ${issue.message}`)
+      .join("\n");
+
+    if (hasBlockingIssues) {
+      window.alert(`Please fix these problems before exporting:\n\n${problems}`);
+      return false;
+    }
+
+    return window.confirm(`Some fields have problems:\n\n${problems}\n\nExport anyway?`);
+  };
+
+  /**
+   * Remove validation highlights from the copy of the template that gets exported
+   */
+  const removeValidationHighlights = (root: ParentNode): void => {
+    root.querySelectorAll("[data-invalid]").forEach((element) => {
+      element.removeAttribute("data-invalid");
+    });
+  };
+
+  // Templates sized in inches, millimetres or points can be exported at a chosen DPI
+  const hasPhysicalSize = !!template?.printConfig?.dimensions && template.printConfig.dimensions.unit !== "px";
+
+  /**
+   * Size and resolution of exported PNGs
+   * Templates with a print size are rendered at exactly that size at the chosen DPI;
+   * those sized in pixels are rendered at exactly that many pixels
+   */
+  const getImageOptions = (dpi: number = exportDpi): ExportElementAsImageOptions =>
+    template?.printConfig?.dimensions
+      ? { printSize: getTrimSize(template.printConfig), ...(hasPhysicalSize && { dpi }) }
+      : {};
 
   /**
    * Download the template as a PNG image
    */
   const downloadTemplateAsPng = async (): Promise<void> => {
     if (!templateRef.current) return;
-    // const element = templateRef.current;
-    // const ogTransform = element.style.transform;
+    if (!confirmExport()) return;
+    const element = templateRef.current;
+
+    await runJob("PNG", ({ signal, onProgress }) =>
+      exportElementAsImage(element, {
+        modifyClone: removeValidationHighlights,
+        ...getImageOptions(),
+        filename: `${template?.id}-template`,
+        signal,
+        onProgress,
+      })
+    );
+  };
 
-    try {
-      const element = templateRef.current;
-      exportElementAsImage(element);
-
-      // element.style.transform = "scale(1)";
-
-      // const canvas = await html2canvas(element, {
-      //   scale: 2,
-      //   useCORS: true,
-      //   allowTaint: true,
-      //   backgroundColor: null,
-      //   logging: false,
-      // });
-
-      // const dataUrl = canvas.toDataURL("image/png");
-      // const link = document.createElement("a");
-      // link.download = `${template?.id}-template.png`;
-      // link.href = dataUrl;
-      // link.click();
-    } catch (error) {
-      console.error("Error generating image:", error);
-    } // finally {
-    //   element.style.transform = ogTransform;
-    // }
+  /**
+   * Options for rendering the template offscreen, matching the preview
+   */
+  const getOffscreenOptions = (): OffscreenTemplateOptions => ({
+    values,
+    variant,
+    size: previewSize,
+    wrapperStyle: { aspectRatio },
+  });
+
+  /**
+   * Download both sides of a double-sided template as PNGs, without flipping the preview
+   * @param layout - "zip" for one file per side, "composite" for one image with the sides next to each other
+   */
+  const downloadBothSidesAsPng = async (layout: "zip" | "composite"): Promise<void> => {
+    if (!template) return;
+    if (!confirmExport()) return;
+
+    await runJob("Front and back PNGs", async ({ signal, onProgress }) => {
+      const imageOptions = { ...getImageOptions(), signal };
+      onProgress(0, "Rendering both sides");
+      const sides = await renderBothSidesOffscreen(template, getOffscreenOptions());
+      try {
+        const front = await renderElementToCanvas(sides[0].element, {
+          ...imageOptions,
+          onProgress: scaleProgress(onProgress, 0.1, 0.45),
+        });
+        const back = await renderElementToCanvas(sides[1].element, {
+          ...imageOptions,
+          onProgress: scaleProgress(onProgress, 0.45, 0.8),
+        });
+
+        onProgress(0.8, "Encoding");
+        if (layout === "zip") {
+          const zip = createZip([
+            { name: `${template.id}-front.png`, data: await canvasToPngBytes(front, imageOptions.dpi, signal) },
+            { name: `${template.id}-back.png`, data: await canvasToPngBytes(back, imageOptions.dpi, signal) },
+          ]);
+          downloadBlob(zip, `${template.id}-both-sides.zip`);
+        } else {
+          const combined = combineCanvasesSideBySide([front, back], Math.round(front.width * 0.05));
+          const png = await canvasToPngBytes(combined, imageOptions.dpi, signal);
+          downloadBlob(new Blob([png], { type: "image/png" }), `${template.id}-front-and-back.png`);
+        }
+      } finally {
+        sides.forEach((side) => side.dispose());
+      }
+    });
   };
 
   /**
    * Download the template as a PDF document
+   * Double-sided templates get the front on page 1 and the back on page 2,
+   * and templates laid out over several pages get one PDF page for each
+   * @param filename - File name without extension; defaults to one based on the template ID
    */
-  const downloadTemplateAsPdf = async (): Promise<void> => {
+  const downloadTemplateAsPdf = async (filename?: string): Promise<void> => {
     if (!templateRef.current || !template?.printConfig) return;
+    if (!confirmExport()) return;
 
     // Get print configuration
     const printConfig = template.printConfig;
@@ -92,63 +449,183 @@ const TemplateEditor: React.FC = () => {
       return;
     }
 
-    // Use default A4 dimensions if not specified
-    const dimensions = printConfig.dimensions || {
-      width: 210,
-      height: 297,
-      unit: "mm",
+    const element = templateRef.current;
+
+    await runJob("PDF", async ({ signal, onProgress }) => {
+      // Create a PDF sized and laid out from the print configuration,
+      // with the template drawn as real text and vector shapes
+      const pdf = createTemplatePdf(printConfig);
+
+      if (template.hasBackSide) {
+        // Render both sides offscreen, so the preview keeps showing the current side
+        onProgress(0, "Rendering both sides");
+        const sides = await renderBothSidesOffscreen(template, getOffscreenOptions());
+        try {
+          onProgress(0.2, "Drawing the front");
+          await addElementToPdf(pdf, sides[0].element, printConfig);
+          throwIfCancelled(signal);
+          pdf.addPage();
+          onProgress(0.6, "Drawing the back");
+          await addElementToPdf(pdf, sides[1].element, printConfig);
+        } finally {
+          sides.forEach((side) => side.dispose());
+        }
+      } else {
+        // Long templates can lay themselves out over several pages
+        const pages = getPrintPages(element);
+        for (const [index, page] of pages.entries()) {
+          throwIfCancelled(signal);
+          onProgress(index / pages.length, `Drawing page ${index + 1} of ${pages.length}`);
+          if (index > 0) pdf.addPage();
+          await addElementToPdf(pdf, page, printConfig, removeValidationHighlights);
+        }
+      }
+
+      // Save the PDF
+      throwIfCancelled(signal);
+      pdf.save(`${filename ?? `${template.id}-template`}.pdf`);
+    });
+  };
+
+  /**
+   * Download the template as an SVG file for design tools
+   * Double-sided templates are downloaded as a zip with one SVG per side
+   * @param filename - File name without extension; defaults to one based on the template ID
+   */
+  const downloadTemplateAsSvg = async (filename?: string): Promise<void> => {
+    if (!templateRef.current || !template) return;
+    if (!confirmExport()) return;
+
+    // Give the SVG the template's print size when it has one
+    const printConfig = template.printConfig;
+    const svgOptions = {
+      size: printConfig?.dimensions ? getTrimSize(printConfig) : undefined,
+      fonts: printConfig?.fonts,
     };
 
-    // Get orientation
-    const orientation = printConfig.orientation || "portrait";
+    const element = templateRef.current;
+
+    await runJob("SVG", async ({ signal, onProgress }) => {
+      if (template.hasBackSide) {
+        // Render both sides offscreen, so the preview keeps showing the current side
+        onProgress(0, "Rendering both sides");
+        const sides = await renderBothSidesOffscreen(template, getOffscreenOptions());
+        try {
+          const encoder = new TextEncoder();
+          onProgress(0.2, "Converting the front");
+          const front = await renderElementToSvg(sides[0].element, svgOptions);
+          throwIfCancelled(signal);
+          onProgress(0.6, "Converting the back");
+          const back = await renderElementToSvg(sides[1].element, svgOptions);
+          throwIfCancelled(signal);
+          const zip = createZip([
+            { name: `${filename ?? template.id}-front.svg`, data: encoder.encode(front) },
+            { name: `${filename ?? template.id}-back.svg`, data: encoder.encode(back) },
+          ]);
+          downloadBlob(zip, filename ? `${filename}.zip` : `${template.id}-svg.zip`);
+        } finally {
+          sides.forEach((side) => side.dispose());
+        }
+      } else {
+        onProgress(0, "Converting");
+        await exportElementAsSvg(element, {
+          ...svgOptions,
+          filename: filename ?? `${template.id}-template`,
+          modifyClone: removeValidationHighlights,
+        });
+      }
+    });
+  };
 
-    try {
-      // Create a clone of the template element to work with
-      const element = templateRef.current;
-
-      // Don't change the active tab - keep the editing UI visible
-      // This ensures text remains visible in the browser
-
-      const canvas = await html2canvas(element, {
-        scale: 1,
-        useCORS: true,
-        allowTaint: true,
-        backgroundColor: "#ffffff",
-        logging: false,
-      });
-
-      // Calculate dimensions based on configuration
-      const { width, height, unit } = dimensions;
-
-      // Create PDF document with the specified dimensions
-      const pdf = new jsPDF(orientation as any, unit as any, [width, height]);
-
-      // Calculate image dimensions to fit in the PDF
-      let imgWidth = width;
-      let imgHeight = (canvas.height * imgWidth) / canvas.width;
-
-      // Apply margins if specified
-      let xPosition = 0;
-      let yPosition = 0;
-
-      if (printConfig.margins) {
-        const { left, top } = printConfig.margins;
-        xPosition = left;
-        yPosition = top;
-        imgWidth = width - (left + printConfig.margins.right);
-        imgHeight = (canvas.height * imgWidth) / canvas.width;
+  /**
+   * Download the template as a self-contained HTML file, e.g. for email signatures or archiving
+   * It is rendered read-only, so no edit controls end up in the file; double-sided templates show both sides
+   * @param filename - File name without extension; defaults to one based on the template ID
+   */
+  const downloadTemplateAsHtml = async (filename?: string): Promise<void> => {
+    if (!template) return;
+    if (!confirmExport()) return;
+
+    await runJob("HTML", async ({ signal, onProgress }) => {
+      onProgress(0, "Rendering");
+      const sides = template.hasBackSide
+        ? await renderBothSidesOffscreen(template, getOffscreenOptions())
+        : [await renderTemplateOffscreen(template, getOffscreenOptions())];
+      try {
+        throwIfCancelled(signal);
+        onProgress(0.3, "Embedding styles, images and fonts");
+        await exportElementAsHtml(
+          sides.map((side) => side.element),
+          {
+            filename: filename ?? `${template.id}-template`,
+            title: template.name,
+            fonts: template.printConfig?.fonts,
+          }
+        );
+      } finally {
+        sides.forEach((side) => side.dispose());
       }
+    });
+  };
 
-      const imgData = canvas.toDataURL("image/jpeg", 0.98);
+  /**
+   * Export the template with the format, quality, background and file name chosen in the export dialog
+   * Raster images show the current side; PDFs, SVGs and HTML files include both sides of double-sided templates
+   */
+  const exportWithSettings = async (settings: ExportSettings): Promise<void> => {
+    setLastExportSettings(settings);
+    setExportDpi(settings.dpi);
 
-      // Add the image to the PDF
-      pdf.addImage(imgData, "JPEG", xPosition, yPosition, imgWidth, imgHeight);
+    if (settings.format === "pdf") return downloadTemplateAsPdf(settings.filename);
+    if (settings.format === "svg") return downloadTemplateAsSvg(settings.filename);
+    if (settings.format === "html") return downloadTemplateAsHtml(settings.filename);
 
-      // Save the PDF
-      pdf.save(`${template.id}-template.pdf`);
-    } catch (error) {
-      console.error("Error generating PDF:", error);
-    }
+    if (!templateRef.current) return;
+    if (!confirmExport()) return;
+    const element = templateRef.current;
+
+    await runJob(EXPORT_FORMATS[settings.format].name, ({ signal, onProgress }) =>
+      exportElementAsImage(element, {
+        modifyClone: removeValidationHighlights,
+        ...getImageOptions(settings.dpi),
+        filename: settings.filename,
+        format: EXPORT_FORMATS[settings.format].mimeType,
+        quality: settings.quality,
+        html2canvasOptions: {
+          backgroundColor: settings.background === "filled" ? settings.backgroundColor : null,
+        },
+        signal,
+        onProgress,
+      })
+    );
+  };
+
+  /**
+   * Download the template at every preview size, in the current style, as one zip
+   */
+  const exportAllSizes = async (): Promise<void> => {
+    if (!template?.previewSizes) return;
+    if (!confirmExport()) return;
+
+    const previewSizes = template.previewSizes;
+
+    await runJob("All sizes", async ({ signal, onProgress }) => {
+      const cells = previewSizes.map((size) => ({ variant, size: size.id }));
+      const { files, failed } = await renderMatrixImages(
+        template,
+        cells,
+        getOffscreenOptions(),
+        (done, total) => onProgress(done / total, `${done} of ${total} sizes`),
+        signal
+      );
+
+      if (files.length > 0) {
+        downloadBlob(createZip(files), `${template.id}-all-sizes.zip`);
+      }
+      if (failed.length > 0) {
+        throw new Error(`These images could not be exported: ${failed.join(", ")}`);
+      }
+    });
   };
 
   // Determine if we should show size options based on template's previewSizes
@@ -156,13 +633,42 @@ const TemplateEditor: React.FC = () => {
     template?.previewSizes && template.previewSizes.length > 0;
 
   // Determine which export formats are available
-  const supportedFormats = template?.printConfig?.formats || ["png"];
+  const supportedFormats: ExportFormat[] = template?.printConfig?.formats || ["png"];
   const supportsPdf = supportedFormats.includes("pdf");
   const supportsPng = supportedFormats.includes("png");
+  const supportsSvg = supportedFormats.includes("svg");
+  // The export dialog opens with the last choices made, when the template allows that format
+  const exportSettings: ExportSettings =
+    lastExportSettings && supportedFormats.includes(lastExportSettings.format)
+      ? { ...lastExportSettings, dpi: exportDpi }
+      : {
+          format: supportedFormats.find(isFormatSupported) ?? supportedFormats[0],
+          quality: DEFAULT_EXPORT_QUALITY,
+          background: "transparent",
+          backgroundColor: "#ffffff",
+          dpi: exportDpi,
+          filename: `${template?.id}-template`,
+        };
   const dimensions = {
     width: template?.printConfig?.dimensions?.width,
     height: template?.printConfig?.dimensions?.height,
   };
+  // Templates with a print size and PDF export can be tiled onto Letter/A4 sheets
+  const canImpose =
+    !!template?.printConfig?.dimensions && !!template.printConfig.formats.includes("pdf");
+
+  /**
+   * Opens a side panel, or closes it if it's already open
+   */
+  const togglePanel = (panel: EditorPanel): void => {
+    setActivePanel(activePanel === panel ? null : panel);
+  };
+
+  // Templates with a bleed or safe zone get trim and safe-area guides in the preview
+  const hasPrintGuides =
+    !!template?.printConfig?.dimensions &&
+    !!(template.printConfig.bleed || template.printConfig.safeZone);
+
   const aspectRatio =
     template?.printConfig?.orientation === "landscape"
       ? `${dimensions.width} / ${dimensions.height}`
@@ -188,8 +694,23 @@ const TemplateEditor: React.FC = () => {
     return [{ id: "standard", name: "Standard" }];
   };
 
+  // Turn field IDs into the labels shown to users
+  const getFieldLabels = (fieldIds: string[]): string =>
+    fieldIds
+      .map((id) => template?.fields.find((field) => field.id === id)?.label ?? id)
+      .join(", ");
+
+  const saveLabels = {
+    idle: "Save Document",
+    saving: "Saving...",
+    saved: "Saved",
+    error: "Save failed - click to retry",
+  };
+
   const previewOptions = getPreviewOptions();
   const variantOptions = getVariantOptions();
+  // Templates with several sizes or styles can be exported at many of them at once
+  const canExportSizes = supportsPng && (previewOptions.length > 1 || variantOptions.length > 1);
 
   if (loading) {
     return (
@@ -206,14 +727,48 @@ const TemplateEditor: React.FC = () => {
           <h1 className="text-latte-pink text-5xl font-stretch-ultra-condensed font-extrabold italic">
             {template?.name}
           </h1>
-          <p className="text-latte-overlay2 mt-1">{template?.description}</p>
+          <p className="text-latte-overlay2 mt-1">
+            {document ? document.name : template?.description}
+          </p>
+          {shared && shared.omittedFields.length > 0 && (
+            <p className="text-sm text-latte-peach mt-1">
+              Some images weren't included in this link and show their defaults:{" "}
+              {getFieldLabels(shared.omittedFields)}
+            </p>
+          )}
+          {activeTab === "edit" && issues.length > 0 && (
+            <div className="mt-2 max-w-sm bg-white/90 rounded-lg shadow p-3 text-sm">
+              <p className="font-semibold text-latte-red">
+                {issues.length === 1 ? "1 problem" : `${issues.length} problems`}
+                {hasBlockingIssues && " (fix required fields to export)"}
+              </p>
+              <ul className="mt-1 space-y-0.5 text-latte-subtext1">
+                {issues.map((issue) => (
+                  <li key={`${issue.fieldId}-${issue.message}`}>
+                    <span className="font-medium">{issue.label}:</span>{" "}
+                    {issue.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
         </div>
       </div>
 
       {/* Template Controls */}
       <TemplateControls
         onDownload={supportsPng ? downloadTemplateAsPng : undefined}
-        onDownloadPdf={supportsPdf ? downloadTemplateAsPdf : undefined}
+        onDownloadBothSides={
+          supportsPng && template?.hasBackSide ? downloadBothSidesAsPng : undefined
+        }
+        onDownloadPdf={supportsPdf ? () => downloadTemplateAsPdf() : undefined}
+        exportDpi={exportDpi}
+        dpiOptions={DPI_OPTIONS}
+        onExportDpiChange={hasPhysicalSize ? setExportDpi : undefined}
+        onDownloadSvg={supportsSvg ? () => downloadTemplateAsSvg() : undefined}
+        exportFormats={supportedFormats}
+        exportSettings={exportSettings}
+        onExport={template ? exportWithSettings : undefined}
         showSizeOptions={showSizeOptions}
         previewSize={previewSize}
         previewOptions={previewOptions}
@@ -227,7 +782,69 @@ const TemplateEditor: React.FC = () => {
         showBackSide={showBackSide}
         onFlipCard={() => setShowBackSide(!showBackSide)}
         canFlip={!!template?.hasBackSide}
+        onSave={saveTemplateDocument}
+        saveLabel={document ? saveLabels[saveStatus] : "Save Document"}
+        onToggleFields={() => togglePanel("fields")}
+        showFields={activePanel === "fields"}
+        onToggleBulk={() => togglePanel("bulk")}
+        showBulk={activePanel === "bulk"}
+        onToggleImposition={canImpose ? () => togglePanel("imposition") : undefined}
+        showImposition={activePanel === "imposition"}
+        onExportAllSizes={supportsPng && showSizeOptions ? exportAllSizes : undefined}
+        onToggleSizeMatrix={canExportSizes ? () => togglePanel("sizes") : undefined}
+        showSizeMatrix={activePanel === "sizes"}
+        onToggleGuides={hasPrintGuides ? () => setShowPrintGuides(!showPrintGuides) : undefined}
+        showGuides={showPrintGuides}
+        onShare={shareTemplate}
+        shareLabel={shareLabel}
+        onExportProject={exportProject}
+        onOpenProject={openProject}
+        onUndo={undo}
+        onRedo={redo}
+        canUndo={canUndo}
+        canRedo={canRedo}
       />
+      {activePanel === "fields" && template && (
+        <FieldValidationContext.Provider value={issuesByField}>
+          <FieldPanel
+            fields={template.fields}
+            values={values}
+            onValueChange={updateValue}
+            onClose={() => setActivePanel(null)}
+          />
+        </FieldValidationContext.Provider>
+      )}
+      {activePanel === "bulk" && template && (
+        <BulkPanel
+          template={template}
+          baseValues={values}
+          previewRef={templateRef}
+          onPreviewRow={setBulkPreview}
+          prepareExport={removeValidationHighlights}
+          getRenderOptions={getOffscreenOptions}
+          getImageOptions={getImageOptions}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+      {activePanel === "imposition" && canImpose && (
+        <ImpositionPanel
+          template={template!}
+          getRenderOptions={getOffscreenOptions}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+      {activePanel === "sizes" && canExportSizes && (
+        <SizeMatrixPanel
+          template={template!}
+          variantOptions={variantOptions}
+          sizeOptions={previewOptions}
+          currentVariant={variant}
+          getRenderOptions={getOffscreenOptions}
+          confirmExport={confirmExport}
+          onClose={() => setActivePanel(null)}
+        />
+      )}
+      <ExportToasts jobs={exportJobs} onCancel={cancelJob} onDismiss={dismissJob} />
       <div className="justify-center gap-12 w-full">
         <div className="p-6 flex w-screen relative justify-center items-center h-screen">
           <div
@@ -235,16 +852,21 @@ const TemplateEditor: React.FC = () => {
             ref={templateRef}
             style={{ aspectRatio }}
           >
-            <TemplateRenderer
-              template={template!}
-              values={values}
-              onValueChange={updateValue}
-              isEditMode={activeTab === "edit"}
-              size={previewSize}
-              variant={variant}
-              showBackSide={showBackSide}
-            />
+            <FieldValidationContext.Provider value={bulkPreview ? {} : issuesByField}>
+              <TemplateRenderer
+                template={template!}
+                values={bulkPreview ?? values}
+                onValueChange={updateValue}
+                isEditMode={activeTab === "edit" && !bulkPreview}
+                size={previewSize}
+                variant={variant}
+                showBackSide={showBackSide}
+              />
+            </FieldValidationContext.Provider>
           </div>
+          {hasPrintGuides && showPrintGuides && (
+            <PrintGuides printConfig={template!.printConfig!} targetRef={templateRef} />
+          )}
         </div>
       </div>
     </>
@@ -1,12 +1,12 @@
 import { useState, useEffect } from "react";
 import { Link, useParams } from "react-router-dom";
 import { useTemplates } from "../templates/_core/TemplateProvider";
-import { TemplateDefinition } from "../templates/_core/types";
+import { TemplateMetadata } from "../templates/_core/types";
 import React from "react";
 
 const TemplateList: React.FC = () => {
   const { industry } = useParams<{ industry?: string }>();
-  const [templates, setTemplates] = useState<TemplateDefinition[]>([]);
+  const [templates, setTemplates] = useState<TemplateMetadata[]>([]);
   const { getTemplatesByIndustry, loading: contextLoading } = useTemplates();
   const [loading, setLoading] = useState<boolean>(true);
 
@@ -49,7 +49,7 @@ const TemplateList: React.FC = () => {
         </div>
       ) : (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {templates.map((template: TemplateDefinition) => (
+          {templates.map((template: TemplateMetadata) => (
             <Link
               key={template.id}
               to={`/editor/${template.id}`}
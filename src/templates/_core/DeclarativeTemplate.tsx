@@ -0,0 +1,200 @@
+import React, { useLayoutEffect } from "react";
+import EditableText from "../../components/editor/EditableText";
+import ImageUploadOverlay from "../../components/editor/ImageUploadOverlay";
+import { convertLength } from "../../utils/pdfExport";
+import { createQrCodeDataUrl } from "../../utils/qrCode";
+import {
+  DeclarativeColor,
+  DeclarativeLayer,
+  DeclarativeTemplateSpec,
+  PdfFontSource,
+  TemplateComponentProps,
+  TemplateValues,
+} from "./types";
+
+interface DeclarativeTemplateProps extends TemplateComponentProps {
+  spec: DeclarativeTemplateSpec;
+}
+
+// Pages are laid out at their printed size, so point sizes match the printed piece
+const PIXELS_PER_INCH = 96;
+
+const justifyByAlignment = {
+  top: "flex-start",
+  middle: "center",
+  bottom: "flex-end",
+};
+
+/**
+ * Adds @font-face rules for a template's fonts to the page (once per template).
+ * They live in the document head rather than the template, so exports don't copy them
+ * and the HTML export can inline the font files like any other page font.
+ */
+const useFontFaces = (templateId: string, fonts: PdfFontSource[] = []): void => {
+  useLayoutEffect(() => {
+    if (fonts.length === 0) return;
+    if (document.head.querySelector(`style[data-template-fonts="${templateId}"]`)) return;
+
+    const style = document.createElement("style");
+    style.dataset.templateFonts = templateId;
+    style.textContent = fonts
+      .map(
+        (font) =>
+          `@font-face { font-family: "${font.family}"; src: url("${font.url}"); ` +
+          `font-weight: ${font.weight ?? "normal"}; font-style: ${font.style ?? "normal"}; }`
+      )
+      .join("\n");
+    document.head.appendChild(style);
+  }, [templateId, fonts]);
+};
+
+/**
+ * Replaces {fieldId} placeholders in fixed text with the fields' values
+ */
+const fillText = (text: string, values: TemplateValues): string =>
+  text.replace(/\{(\w+)\}/g, (_match, id: string) => String(values[id] ?? ""));
+
+/**
+ * Generic renderer for templates defined in JSON (template.json)
+ * Draws the layers of the current side at their positions on the page
+ */
+const DeclarativeTemplate: React.FC<DeclarativeTemplateProps> = ({
+  spec,
+  values,
+  onValueChange,
+  isEditMode,
+  showBackSide = false,
+}) => {
+  useFontFaces(spec.id, spec.fonts);
+
+  const { page } = spec;
+  const pixelsPerUnit = convertLength(1, page.unit, "in") * PIXELS_PER_INCH;
+  const side = showBackSide ? "back" : "front";
+
+  const resolveColor = (color?: DeclarativeColor): string | undefined => {
+    if (!color) return undefined;
+    if (typeof color === "object") return values[color.field] || undefined;
+    return spec.colors?.[color] ?? color;
+  };
+
+  const getBoxStyle = (layer: DeclarativeLayer): React.CSSProperties => ({
+    position: "absolute",
+    left: layer.x * pixelsPerUnit,
+    top: layer.y * pixelsPerUnit,
+    width: layer.width * pixelsPerUnit,
+    height: layer.height * pixelsPerUnit,
+    transform: layer.rotation ? `rotate(${layer.rotation}deg)` : undefined,
+    opacity: layer.opacity,
+  });
+
+  const renderLayer = (layer: DeclarativeLayer, index: number): React.ReactNode => {
+    const boxStyle = getBoxStyle(layer);
+
+    switch (layer.type) {
+      case "text":
+        return (
+          <div
+            key={index}
+            style={{
+              ...boxStyle,
+              display: "flex",
+              flexDirection: "column",
+              justifyContent: justifyByAlignment[layer.verticalAlign ?? "top"],
+              textAlign: layer.align ?? "left",
+              fontFamily: layer.font,
+              fontSize: `${layer.fontSize ?? 10}pt`,
+              fontWeight: layer.fontWeight,
+              fontStyle: layer.fontStyle,
+              color: resolveColor(layer.color) ?? "#000000",
+              lineHeight: layer.lineHeight ?? 1.2,
+              letterSpacing: layer.letterSpacing ? `${layer.letterSpacing}em` : undefined,
+              textTransform: layer.uppercase ? "uppercase" : undefined,
+              whiteSpace: "pre-wrap",
+              overflowWrap: "break-word",
+            }}
+          >
+            {layer.field ? (
+              <EditableText
+                value={String(values[layer.field] ?? "")}
+                fieldId={layer.field}
+                className="block"
+                onValueChange={onValueChange}
+                isEditMode={isEditMode}
+              />
+            ) : (
+              <span>{fillText(layer.text ?? "", values)}</span>
+            )}
+          </div>
+        );
+
+      case "image": {
+        const src = layer.field ? values[layer.field] : layer.src;
+        return (
+          <div
+            key={index}
+            style={{ ...boxStyle, overflow: "hidden", borderRadius: layer.radius ? `${layer.radius}pt` : undefined }}
+          >
+            {src && (
+              <img
+                src={src}
+                alt=""
+                style={{ width: "100%", height: "100%", objectFit: layer.fit ?? "cover" }}
+              />
+            )}
+            {layer.field && (
+              <ImageUploadOverlay fieldId={layer.field} onValueChange={onValueChange} isEditMode={isEditMode} />
+            )}
+          </div>
+        );
+      }
+
+      case "qr": {
+        const data = layer.field ? String(values[layer.field] ?? "") : fillText(layer.text ?? "", values);
+        const size = Math.round(Math.max(layer.width, layer.height) * pixelsPerUnit * 2);
+        const src = data ? createQrCodeDataUrl(data, size) : null;
+        return (
+          <div key={index} style={boxStyle}>
+            {src && (
+              <img
+                src={src}
+                alt="QR code"
+                style={{ width: "100%", height: "100%", objectFit: "contain" }}
+              />
+            )}
+          </div>
+        );
+      }
+
+      default: {
+        const stroke = resolveColor(layer.stroke);
+        return (
+          <div
+            key={index}
+            style={{
+              ...boxStyle,
+              boxSizing: "border-box",
+              backgroundColor: resolveColor(layer.fill),
+              border: stroke ? `${layer.strokeWidth ?? 1}pt solid ${stroke}` : undefined,
+              borderRadius: layer.type === "ellipse" ? "50%" : layer.radius ? `${layer.radius}pt` : undefined,
+            }}
+          />
+        );
+      }
+    }
+  };
+
+  return (
+    <div
+      className="relative overflow-hidden"
+      style={{
+        width: page.width * pixelsPerUnit,
+        height: page.height * pixelsPerUnit,
+        backgroundColor: resolveColor(page.background) ?? "#ffffff",
+      }}
+    >
+      {spec.layers.filter((layer) => (layer.side ?? "front") === side).map(renderLayer)}
+    </div>
+  );
+};
+
+export default DeclarativeTemplate;
@@ -0,0 +1,152 @@
+import React from 'react';
+import {
+  DeclarativeColor,
+  DeclarativeLayer,
+  DeclarativeTemplateSpec,
+  ExportFormat,
+  FieldType,
+  TemplateDefinition,
+  TemplateMetadata
+} from './types';
+
+const LAYER_TYPES = ['text', 'image', 'rect', 'ellipse', 'qr'];
+const PAGE_UNITS = ['in', 'mm', 'pt'];
+const ALL_FORMATS: ExportFormat[] = ['pdf', 'png', 'jpeg', 'webp', 'avif', 'svg', 'html'];
+
+// Field types each kind of binding accepts
+const TEXT_FIELD_TYPES: FieldType[] = ['text', 'number', 'calculated', 'color'];
+const IMAGE_FIELD_TYPES: FieldType[] = ['image'];
+const COLOR_FIELD_TYPES: FieldType[] = ['color', 'text'];
+
+/**
+ * Checks a template.json against the declarative template format
+ * Field references are checked too, so mistakes show up when the app starts rather than
+ * as blank layers in the editor
+ * @param spec Parsed contents of the template.json (not yet known to match the format)
+ * @returns A description of each problem (empty when the template is valid)
+ */
+export const validateDeclarativeTemplate = (spec: DeclarativeTemplateSpec): string[] => {
+  const problems: string[] = [];
+  if (!spec || typeof spec !== 'object') return ['the file must contain an object'];
+
+  (['id', 'name', 'description', 'industry', 'icon'] as const).forEach(key => {
+    if (typeof spec[key] !== 'string' || !spec[key]) problems.push(`"${key}" must be a non-empty string`);
+  });
+  if (!Array.isArray(spec.tags)) problems.push('"tags" must be a list');
+
+  const page = spec.page;
+  if (!page || !(page.width > 0) || !(page.height > 0) || !PAGE_UNITS.includes(page.unit)) {
+    problems.push(`"page" needs a positive width and height, and a unit (${PAGE_UNITS.join(', ')})`);
+  }
+  (spec.formats ?? []).forEach(format => {
+    if (!ALL_FORMATS.includes(format)) problems.push(`unknown export format "${format}"`);
+  });
+  (spec.fonts ?? []).forEach((font, index) => {
+    if (!font?.family || !font?.url) problems.push(`fonts[${index}] needs a family and a url`);
+  });
+
+  if (!Array.isArray(spec.fields)) {
+    problems.push('"fields" must be a list');
+    return problems;
+  }
+  const fieldTypes = new Map(spec.fields.map(field => [field?.id, field?.type]));
+
+  const checkField = (where: string, id: string, allowed: FieldType[]): void => {
+    const type = fieldTypes.get(id);
+    if (!type) {
+      problems.push(`${where} uses the field "${id}", which isn't defined`);
+    } else if (!allowed.includes(type)) {
+      problems.push(`${where} can't show the ${type} field "${id}"`);
+    }
+  };
+  const checkColor = (where: string, color: DeclarativeColor | undefined): void => {
+    if (color && typeof color === 'object') checkField(where, color.field, COLOR_FIELD_TYPES);
+  };
+  const checkText = (where: string, text: string | undefined): void => {
+    Array.from(text?.matchAll(/\{(\w+)\}/g) ?? []).forEach(match =>
+      checkField(where, match[1], TEXT_FIELD_TYPES)
+    );
+  };
+
+  checkColor('page.background', page?.background);
+
+  if (!Array.isArray(spec.layers)) {
+    problems.push('"layers" must be a list');
+    return problems;
+  }
+  spec.layers.forEach((layer: DeclarativeLayer, index) => {
+    const where = `layers[${index}]`;
+    if (!LAYER_TYPES.includes(layer?.type)) {
+      problems.push(`${where} has an unknown type "${layer?.type}" (use ${LAYER_TYPES.join(', ')})`);
+      return;
+    }
+    if (![layer.x, layer.y, layer.width, layer.height].every(value => typeof value === 'number')) {
+      problems.push(`${where} needs a numeric x, y, width and height`);
+    }
+
+    switch (layer.type) {
+      case 'text':
+      case 'qr':
+        if (layer.field) checkField(where, layer.field, TEXT_FIELD_TYPES);
+        else if (typeof layer.text === 'string') checkText(where, layer.text);
+        else problems.push(`${where} needs a field or text`);
+        if (layer.type === 'text') checkColor(where, layer.color);
+        break;
+      case 'image':
+        if (layer.field) checkField(where, layer.field, IMAGE_FIELD_TYPES);
+        else if (!layer.src) problems.push(`${where} needs a field or src`);
+        break;
+      default:
+        checkColor(where, layer.fill);
+        checkColor(where, layer.stroke);
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Builds the registry metadata for a declarative template
+ * @param spec A valid declarative template
+ * @returns The template's metadata
+ */
+export const getDeclarativeMetadata = (spec: DeclarativeTemplateSpec): TemplateMetadata => {
+  const { page } = spec;
+
+  return {
+    id: spec.id,
+    name: spec.name,
+    description: spec.description,
+    industry: spec.industry,
+    tags: spec.tags,
+    icon: spec.icon,
+    version: spec.version,
+    fields: spec.fields,
+    printConfig: {
+      formats: spec.formats ?? ALL_FORMATS,
+      aspectRatio: `${page.width}/${page.height}`,
+      initialScale: 1,
+      dimensions: { width: page.width, height: page.height, unit: page.unit },
+      orientation: page.width >= page.height ? 'landscape' : 'portrait',
+      bleed: page.bleed,
+      safeZone: page.safeZone,
+      cropMarks: page.cropMarks,
+      fonts: spec.fonts
+    },
+    hasBackSide: spec.layers.some(layer => layer.side === 'back')
+  };
+};
+
+/**
+ * Loads the generic renderer and combines it with a declarative template
+ * @param spec A valid declarative template
+ * @returns The full template definition, drawn by DeclarativeTemplate
+ */
+export const loadDeclarativeTemplate = async (spec: DeclarativeTemplateSpec): Promise<TemplateDefinition> => {
+  const { default: DeclarativeTemplate } = await import('./DeclarativeTemplate');
+
+  return {
+    ...getDeclarativeMetadata(spec),
+    component: props => React.createElement(DeclarativeTemplate, { ...props, spec })
+  };
+};
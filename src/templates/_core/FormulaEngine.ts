@@ -0,0 +1,450 @@
+import { TemplateField, TemplateValues } from './types';
+
+/**
+ * Formula syntax
+ * - Numbers, field references (`subtotal`, `items.amount`) and parentheses
+ * - Operators: + - * / and unary minus
+ * - Functions: sum, avg, min, max, count, round, abs, floor, ceil
+ *
+ * A reference into an array field (`items.amount`) yields one number per row,
+ * which the aggregate functions flatten.
+ */
+
+type FormulaNode =
+  | { type: 'number'; value: number }
+  | { type: 'reference'; path: string[] }
+  | { type: 'unary'; operand: FormulaNode }
+  | { type: 'binary'; operator: string; left: FormulaNode; right: FormulaNode }
+  | { type: 'call'; name: string; args: FormulaNode[] };
+
+type FormulaResult = number | number[];
+
+interface Token {
+  type: 'number' | 'identifier' | 'operator' | 'paren' | 'comma';
+  value: string;
+}
+
+// Decimal places kept in results, which hides floating point noise like 0.1 + 0.2
+const RESULT_PRECISION = 10;
+
+const FUNCTIONS: Record<string, (args: FormulaResult[]) => number> = {
+  sum: args => flatten(args).reduce((total, value) => total + value, 0),
+  avg: args => {
+    const values = flatten(args);
+    return values.length ? values.reduce((total, value) => total + value, 0) / values.length : 0;
+  },
+  min: args => (flatten(args).length ? Math.min(...flatten(args)) : 0),
+  max: args => (flatten(args).length ? Math.max(...flatten(args)) : 0),
+  count: args => flatten(args).length,
+  round: ([value, digits]) => {
+    const factor = 10 ** scalar(digits ?? 0);
+    return Math.round(scalar(value) * factor) / factor;
+  },
+  abs: ([value]) => Math.abs(scalar(value)),
+  floor: ([value]) => Math.floor(scalar(value)),
+  ceil: ([value]) => Math.ceil(scalar(value)),
+};
+
+const flatten = (args: FormulaResult[]): number[] =>
+  args.flatMap(arg => (Array.isArray(arg) ? arg : [arg]));
+
+const scalar = (value: FormulaResult | undefined): number => {
+  if (value === undefined) return 0;
+  if (Array.isArray(value)) throw new Error('Expected a single value but got a list; use sum() or another aggregate');
+  return value;
+};
+
+/**
+ * Converts a template value into a number.
+ * Percentages become fractions ("10%" -> 0.1) and currency symbols and thousands separators are ignored.
+ */
+const toNumber = (value: any): number => {
+  if (typeof value === 'number') return isFinite(value) ? value : 0;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value !== 'string') return 0;
+
+  const text = value.trim().replace(/[,\s$€£¥]/g, '');
+  const number = parseFloat(text);
+  if (isNaN(number)) return 0;
+  return text.endsWith('%') ? number / 100 : number;
+};
+
+/**
+ * Splits a formula into tokens.
+ */
+const tokenize = (source: string): Token[] => {
+  const tokens: Token[] = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (/[0-9.]/.test(char)) {
+      const match = /^\d*\.?\d+(e[+-]?\d+)?|^\d+\.?/i.exec(source.slice(index));
+      if (!match) throw new Error(`Unexpected "${char}" at position ${index + 1}`);
+      tokens.push({ type: 'number', value: match[0] });
+      index += match[0].length;
+    } else if (/[A-Za-z_]/.test(char)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z0-9_]+)*/.exec(source.slice(index))!;
+      tokens.push({ type: 'identifier', value: match[0] });
+      index += match[0].length;
+    } else if ('+-*/'.includes(char)) {
+      tokens.push({ type: 'operator', value: char });
+      index++;
+    } else if (char === '(' || char === ')') {
+      tokens.push({ type: 'paren', value: char });
+      index++;
+    } else if (char === ',') {
+      tokens.push({ type: 'comma', value: char });
+      index++;
+    } else {
+      throw new Error(`Unexpected "${char}" at position ${index + 1}`);
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * Parses a formula into a syntax tree.
+ * @throws {Error} If the formula is malformed or calls an unknown function.
+ */
+export const parseFormula = (source: string): FormulaNode => {
+  const tokens = tokenize(source);
+  let position = 0;
+
+  const peek = (): Token | undefined => tokens[position];
+  const expect = (type: Token['type'], value?: string): Token => {
+    const token = tokens[position];
+    if (!token || token.type !== type || (value !== undefined && token.value !== value)) {
+      throw new Error(`Expected "${value ?? type}" but found ${token ? `"${token.value}"` : 'the end of the formula'}`);
+    }
+    position++;
+    return token;
+  };
+
+  // expression := term (('+' | '-') term)*
+  const parseExpression = (): FormulaNode => {
+    let node = parseTerm();
+    while (peek()?.type === 'operator' && (peek()!.value === '+' || peek()!.value === '-')) {
+      const operator = tokens[position++].value;
+      node = { type: 'binary', operator, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  // term := factor (('*' | '/') factor)*
+  const parseTerm = (): FormulaNode => {
+    let node = parseFactor();
+    while (peek()?.type === 'operator' && (peek()!.value === '*' || peek()!.value === '/')) {
+      const operator = tokens[position++].value;
+      node = { type: 'binary', operator, left: node, right: parseFactor() };
+    }
+    return node;
+  };
+
+  // factor := number | reference | call | '(' expression ')' | '-' factor
+  const parseFactor = (): FormulaNode => {
+    const token = peek();
+    if (!token) throw new Error('Unexpected end of the formula');
+
+    if (token.type === 'operator' && token.value === '-') {
+      position++;
+      return { type: 'unary', operand: parseFactor() };
+    }
+    if (token.type === 'number') {
+      position++;
+      return { type: 'number', value: parseFloat(token.value) };
+    }
+    if (token.type === 'paren' && token.value === '(') {
+      position++;
+      const node = parseExpression();
+      expect('paren', ')');
+      return node;
+    }
+    if (token.type === 'identifier') {
+      position++;
+      const next = peek();
+      if (next?.type === 'paren' && next.value === '(') {
+        const name = token.value.toLowerCase();
+        if (!FUNCTIONS[name]) throw new Error(`Unknown function "${token.value}"`);
+
+        position++;
+        const args: FormulaNode[] = [];
+        if (!(peek()?.type === 'paren' && peek()!.value === ')')) {
+          args.push(parseExpression());
+          while (peek()?.type === 'comma') {
+            position++;
+            args.push(parseExpression());
+          }
+        }
+        expect('paren', ')');
+        return { type: 'call', name, args };
+      }
+      return { type: 'reference', path: token.value.split('.') };
+    }
+
+    throw new Error(`Unexpected "${token.value}"`);
+  };
+
+  const node = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+  return node;
+};
+
+/**
+ * Lists the top-level fields a formula reads.
+ */
+export const getFormulaDependencies = (node: FormulaNode): string[] => {
+  switch (node.type) {
+    case 'reference':
+      return [node.path[0]];
+    case 'unary':
+      return getFormulaDependencies(node.operand);
+    case 'binary':
+      return [...getFormulaDependencies(node.left), ...getFormulaDependencies(node.right)];
+    case 'call':
+      return node.args.flatMap(getFormulaDependencies);
+    default:
+      return [];
+  }
+};
+
+/**
+ * Resolves a reference path against a scope.
+ * Paths that pass through an array return one value per row.
+ */
+const resolveReference = (scope: any, path: string[]): FormulaResult => {
+  let current: any = scope;
+
+  for (let i = 0; i < path.length; i++) {
+    if (Array.isArray(current) && isNaN(Number(path[i]))) {
+      const rest = path.slice(i);
+      return current.flatMap(row => resolveReference(row, rest));
+    }
+    current = current?.[path[i]];
+  }
+
+  if (Array.isArray(current)) return current.map(toNumber);
+  return toNumber(current);
+};
+
+/**
+ * Evaluates a parsed formula.
+ * @param node - The parsed formula.
+ * @param lookup - Resolves a reference path to a value.
+ */
+const evaluate = (node: FormulaNode, lookup: (path: string[]) => FormulaResult): FormulaResult => {
+  switch (node.type) {
+    case 'number':
+      return node.value;
+    case 'reference':
+      return lookup(node.path);
+    case 'unary':
+      return -scalar(evaluate(node.operand, lookup));
+    case 'binary': {
+      const left = scalar(evaluate(node.left, lookup));
+      const right = scalar(evaluate(node.right, lookup));
+      switch (node.operator) {
+        case '+':
+          return left + right;
+        case '-':
+          return left - right;
+        case '*':
+          return left * right;
+        default:
+          return right === 0 ? 0 : left / right;
+      }
+    }
+    case 'call':
+      return FUNCTIONS[node.name](node.args.map(arg => evaluate(arg, lookup)));
+  }
+};
+
+/**
+ * Rounds away floating point noise and guards against invalid results.
+ */
+const normalizeResult = (result: FormulaResult): number => {
+  const value = scalar(result);
+  if (!isFinite(value)) return 0;
+  return Number(value.toFixed(RESULT_PRECISION));
+};
+
+interface CompiledFormula {
+  fieldId: string;
+  node: FormulaNode;
+  dependencies: string[];
+}
+
+interface CompiledRowFormulas {
+  fieldId: string;
+  columns: { column: string; node: FormulaNode }[];
+  // Top-level fields (other than the array itself) that the row formulas read
+  dependencies: string[];
+}
+
+/**
+ * Evaluates the formulas declared by a template's fields
+ * Calculated fields use `formula`; sub-fields of an array's item schema can use `formula` to compute a value per row
+ */
+export class FormulaEngine {
+  private formulas: CompiledFormula[] = [];
+  private rowFormulas: CompiledRowFormulas[] = [];
+
+  constructor(fields: TemplateField[]) {
+    fields.forEach(field => {
+      const itemFormulas = field.type === 'array'
+        ? (field.item?.fields ?? []).filter(subField => subField.formula)
+        : [];
+
+      if (itemFormulas.length > 0) {
+        const columns = itemFormulas
+          .map(subField => ({ column: subField.id, node: this.compile(field.id, subField.formula!, subField.id) }))
+          .filter((entry): entry is { column: string; node: FormulaNode } => entry.node !== null);
+
+        if (columns.length > 0) {
+          const columnNames = new Set(columns.map(entry => entry.column));
+          this.rowFormulas.push({
+            fieldId: field.id,
+            columns,
+            dependencies: columns
+              .flatMap(entry => getFormulaDependencies(entry.node))
+              .filter(dependency => !columnNames.has(dependency)),
+          });
+        }
+      }
+
+      if (field.formula) {
+        const node = this.compile(field.id, field.formula);
+        if (node) {
+          this.formulas.push({ fieldId: field.id, node, dependencies: getFormulaDependencies(node) });
+        }
+      }
+    });
+
+    this.formulas = this.sortByDependencies(this.formulas);
+  }
+
+  /**
+   * Whether any field declares a formula
+   */
+  get hasFormulas(): boolean {
+    return this.formulas.length > 0 || this.rowFormulas.length > 0;
+  }
+
+  /**
+   * Recomputes calculated values after a change
+   * @param values - Values after the change (not modified)
+   * @param changedPath - The path that changed; omit to recompute everything
+   * @returns Values with derived fields brought up to date
+   */
+  recalculate(values: TemplateValues, changedPath?: string): TemplateValues {
+    if (!this.hasFormulas) return values;
+
+    const changed = new Set<string>();
+    if (changedPath) changed.add(changedPath.split('.')[0]);
+    const isDirty = (dependencies: string[]): boolean =>
+      !changedPath || dependencies.some(dependency => changed.has(dependency));
+
+    let result = values;
+
+    this.rowFormulas.forEach(({ fieldId, columns, dependencies }) => {
+      const rows = result[fieldId];
+      if (!Array.isArray(rows) || !isDirty([fieldId, ...dependencies])) return;
+
+      let rowsChanged = false;
+      const newRows = rows.map(row => {
+        let newRow = row;
+        columns.forEach(({ column, node }) => {
+          try {
+            // Row values take precedence over top-level fields with the same name
+            const value = normalizeResult(
+              evaluate(node, path =>
+                newRow && path[0] in newRow
+                  ? resolveReference(newRow, path)
+                  : resolveReference(result, path)
+              )
+            );
+            if (newRow?.[column] !== value) {
+              newRow = { ...newRow, [column]: value };
+            }
+          } catch (error) {
+            console.error(`Error evaluating formula for field "${fieldId}.${column}":`, error);
+          }
+        });
+        if (newRow !== row) rowsChanged = true;
+        return newRow;
+      });
+
+      if (rowsChanged) {
+        result = { ...result, [fieldId]: newRows };
+        changed.add(fieldId);
+      }
+    });
+
+    this.formulas.forEach(({ fieldId, node, dependencies }) => {
+      if (!isDirty(dependencies)) return;
+
+      try {
+        const value = normalizeResult(evaluate(node, path => resolveReference(result, path)));
+        if (result[fieldId] !== value) {
+          result = { ...result, [fieldId]: value };
+          changed.add(fieldId);
+        }
+      } catch (error) {
+        console.error(`Error evaluating formula for field "${fieldId}":`, error);
+      }
+    });
+
+    return result;
+  }
+
+  private compile(fieldId: string, source: string, column?: string): FormulaNode | null {
+    try {
+      return parseFormula(source);
+    } catch (error) {
+      const target = column ? `${fieldId}.${column}` : fieldId;
+      console.error(`Invalid formula for field "${target}":`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Orders formulas so each one runs after the formulas it reads
+   * Formulas that are part of a cycle are dropped
+   */
+  private sortByDependencies(formulas: CompiledFormula[]): CompiledFormula[] {
+    const byId = new Map(formulas.map(formula => [formula.fieldId, formula]));
+    const sorted: CompiledFormula[] = [];
+    const state = new Map<string, 'visiting' | 'sorted' | 'dropped'>();
+
+    const visit = (formula: CompiledFormula, trail: string[]): boolean => {
+      const current = state.get(formula.fieldId);
+      if (current === 'sorted') return true;
+      if (current === 'dropped') return false;
+      if (current === 'visiting') {
+        console.error(`Circular formula: ${[...trail, formula.fieldId].join(' -> ')}`);
+        return false;
+      }
+
+      state.set(formula.fieldId, 'visiting');
+      const resolved = formula.dependencies.every(dependency => {
+        const dependencyFormula = byId.get(dependency);
+        return !dependencyFormula || visit(dependencyFormula, [...trail, formula.fieldId]);
+      });
+      state.set(formula.fieldId, resolved ? 'sorted' : 'dropped');
+
+      if (resolved) sorted.push(formula);
+      return resolved;
+    };
+
+    formulas.forEach(formula => visit(formula, []));
+    return sorted;
+  }
+}
+
+export type { FormulaNode };
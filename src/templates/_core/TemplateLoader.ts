@@ -7,7 +7,7 @@ import { initializeTemplates } from './initTemplates';
  * and registering them with the template registry
  * 
  * Note: This class is kept for compatibility with existing code,
- * but we now use manual initialization via initTemplates.ts
+ * but templates are now discovered by initTemplates.ts
  * 
  * @deprecated Use initializeTemplates() from initTemplates.ts instead
  */
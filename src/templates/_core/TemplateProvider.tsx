@@ -1,15 +1,30 @@
-import React, { createContext, useContext, useState, useEffect, ReactNode } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, ReactNode } from 'react';
 import { templateRegistry } from './TemplateRegistry';
-import { TemplateDefinition, IndustryType } from './types';
+import { TemplateDefinition, TemplateMetadata, IndustryType } from './types';
 import { initializeTemplates } from './initTemplates';
+import { searchTemplates, TemplateSearchOptions, TemplateSearchResponse } from './TemplateSearch';
+
+// Progress of loading one template's component and styles
+export interface TemplateLoadState {
+  template: TemplateDefinition | null;
+  loading: boolean;
+  error: string | null;
+}
 
 interface TemplateContextType {
-  templates: TemplateDefinition[];
+  // Metadata of every template, for browsing
+  templates: TemplateMetadata[];
   loading: boolean;
   error: string | null;
-  getTemplateById: (id: string) => TemplateDefinition | undefined;
-  getTemplatesByIndustry: (industry: IndustryType) => TemplateDefinition[];
-  getTemplatesByTags: (tags: string[]) => TemplateDefinition[];
+  getTemplateById: (id: string) => TemplateMetadata | undefined;
+  getTemplatesByIndustry: (industry: IndustryType) => TemplateMetadata[];
+  getTemplatesByTags: (tags: string[]) => TemplateMetadata[];
+  // Ranked, typo-tolerant search with filters and facet counts
+  searchTemplates: (options: TemplateSearchOptions) => TemplateSearchResponse;
+  // Templates whose component has been requested, by ID
+  templateLoads: Record<string, TemplateLoadState>;
+  // Load a template's component (cached); resolves to undefined if it fails
+  loadTemplate: (id: string) => Promise<TemplateDefinition | undefined>;
 }
 
 // Create the context
@@ -24,16 +39,17 @@ interface TemplateProviderProps {
  * Provider component that manages template loading and access
  */
 export const TemplateProvider: React.FC<TemplateProviderProps> = ({ children }) => {
-  const [templates, setTemplates] = useState<TemplateDefinition[]>([]);
+  const [templates, setTemplates] = useState<TemplateMetadata[]>([]);
   const [loading, setLoading] = useState<boolean>(true);
   const [error, setError] = useState<string | null>(null);
+  const [templateLoads, setTemplateLoads] = useState<Record<string, TemplateLoadState>>({});
 
   // Load templates on mount
   useEffect(() => {
     try {
-      // Make sure templates are initialized
+      // Discover the templates (only their metadata is loaded here)
       initializeTemplates();
-      
+
       // Get all templates from the registry
       const loadedTemplates = templateRegistry.getAllTemplates();
       setTemplates(loadedTemplates);
@@ -45,10 +61,35 @@ export const TemplateProvider: React.FC<TemplateProviderProps> = ({ children })
     }
   }, []);
 
-  // Wrapper functions for registry methods
-  const getTemplateById = (id: string) => templateRegistry.getTemplateById(id);
-  const getTemplatesByIndustry = (industry: IndustryType) => templateRegistry.getTemplatesByIndustry(industry);
-  const getTemplatesByTags = (tags: string[]) => templateRegistry.getTemplatesByTags(tags);
+  const loadTemplate = useCallback(async (id: string): Promise<TemplateDefinition | undefined> => {
+    const cached = templateRegistry.getLoadedTemplate(id);
+    if (cached) {
+      setTemplateLoads(current => ({ ...current, [id]: { template: cached, loading: false, error: null } }));
+      return cached;
+    }
+
+    setTemplateLoads(current => ({ ...current, [id]: { template: null, loading: true, error: null } }));
+    try {
+      const template = await templateRegistry.loadTemplate(id);
+      setTemplateLoads(current => ({ ...current, [id]: { template, loading: false, error: null } }));
+      return template;
+    } catch (err) {
+      console.error(`Failed to load template "${id}":`, err);
+      // Unknown IDs keep their message; anything else is most likely a failed download
+      const message = templateRegistry.getTemplateById(id)
+        ? 'Failed to load the template. Check your connection and try again.'
+        : `Template with ID "${id}" not found`;
+      setTemplateLoads(current => ({ ...current, [id]: { template: null, loading: false, error: message } }));
+      return undefined;
+    }
+  }, []);
+
+  // Wrapper functions for registry methods (stable so they can be used as effect dependencies)
+  const getTemplateById = useCallback((id: string) => templateRegistry.getTemplateById(id), []);
+  const getTemplatesByIndustry = useCallback((industry: IndustryType) => templateRegistry.getTemplatesByIndustry(industry), []);
+  const getTemplatesByTags = useCallback((tags: string[]) => templateRegistry.getTemplatesByTags(tags), []);
+  // Changes once the templates are discovered, so searches made before then are redone
+  const search = useCallback((options: TemplateSearchOptions) => searchTemplates(templates, options), [templates]);
 
   // Context value
   const contextValue: TemplateContextType = {
@@ -57,7 +98,10 @@ export const TemplateProvider: React.FC<TemplateProviderProps> = ({ children })
     error,
     getTemplateById,
     getTemplatesByIndustry,
-    getTemplatesByTags
+    getTemplatesByTags,
+    searchTemplates: search,
+    templateLoads,
+    loadTemplate
   };
 
   return (
@@ -72,10 +116,10 @@ export const TemplateProvider: React.FC<TemplateProviderProps> = ({ children })
  */
 export const useTemplates = (): TemplateContextType => {
   const context = useContext(TemplateContext);
-  
+
   if (context === undefined) {
     throw new Error('useTemplates must be used within a TemplateProvider');
   }
-  
+
   return context;
 };
\ No newline at end of file
@@ -1,11 +1,22 @@
-import { TemplateDefinition, IndustryType } from './types';
+import { TemplateDefinition, TemplateMetadata, IndustryType } from './types';
+import { searchTemplates, TemplateSearchOptions, TemplateSearchResponse } from './TemplateSearch';
+
+// Loads a template's full definition (its component and styles)
+export type TemplateLoaderFn = () => Promise<TemplateDefinition>;
 
 /**
  * Central registry for all templates in the application
  * This class manages the collection of templates and provides methods to access them
+ *
+ * Templates are registered with their metadata and a loader for the rest, so browsing
+ * doesn't pull every template's component into the page. loadTemplate() fetches the
+ * component when a template is opened and caches it.
  */
 class TemplateRegistry {
-  private templates: TemplateDefinition[] = [];
+  private templates: TemplateMetadata[] = [];
+  private loaders = new Map<string, TemplateLoaderFn>();
+  private loaded = new Map<string, Promise<TemplateDefinition>>();
+  private definitions = new Map<string, TemplateDefinition>();
   private initialized: boolean = false;
 
   /**
@@ -13,16 +24,30 @@ class TemplateRegistry {
    * @param template Template definition to register
    */
   register(template: TemplateDefinition): void {
+    this.registerLazy(template, () => Promise.resolve(template));
+    this.definitions.set(template.id, template);
+  }
+
+  /**
+   * Register a template whose component is loaded on demand
+   * @param metadata Template metadata (everything except the component)
+   * @param loader Function that loads the full template definition
+   */
+  registerLazy(metadata: TemplateMetadata, loader: TemplateLoaderFn): void {
     // Check if a template with this ID already exists
-    const existingIndex = this.templates.findIndex(t => t.id === template.id);
-    
+    const existingIndex = this.templates.findIndex(t => t.id === metadata.id);
+
     if (existingIndex >= 0) {
       // Replace existing template
-      this.templates[existingIndex] = template;
+      this.templates[existingIndex] = metadata;
     } else {
       // Add new template
-      this.templates.push(template);
+      this.templates.push(metadata);
     }
+
+    this.loaders.set(metadata.id, loader);
+    this.loaded.delete(metadata.id);
+    this.definitions.delete(metadata.id);
   }
 
   /**
@@ -37,7 +62,7 @@ class TemplateRegistry {
    * Retrieve all templates
    * @returns Array of all registered templates
    */
-  getAllTemplates(): TemplateDefinition[] {
+  getAllTemplates(): TemplateMetadata[] {
     return [...this.templates];
   }
 
@@ -46,16 +71,54 @@ class TemplateRegistry {
    * @param id Template ID
    * @returns Template or undefined if not found
    */
-  getTemplateById(id: string): TemplateDefinition | undefined {
+  getTemplateById(id: string): TemplateMetadata | undefined {
     return this.templates.find(t => t.id === id);
   }
 
+  /**
+   * Get a template's full definition if its component has already been loaded
+   * @param id Template ID
+   * @returns Template definition or undefined if it isn't loaded (yet)
+   */
+  getLoadedTemplate(id: string): TemplateDefinition | undefined {
+    return this.definitions.get(id);
+  }
+
+  /**
+   * Load a template's full definition, including its component and styles
+   * The result is cached; a failed load is forgotten so it can be retried
+   * @param id Template ID
+   * @returns Promise resolving to the template definition
+   */
+  loadTemplate(id: string): Promise<TemplateDefinition> {
+    const cached = this.loaded.get(id);
+    if (cached) return cached;
+
+    const loader = this.loaders.get(id);
+    if (!loader) {
+      return Promise.reject(new Error(`Template with ID "${id}" not found`));
+    }
+
+    const loading = loader().then(
+      definition => {
+        this.definitions.set(id, definition);
+        return definition;
+      },
+      error => {
+        this.loaded.delete(id);
+        throw error;
+      }
+    );
+    this.loaded.set(id, loading);
+    return loading;
+  }
+
   /**
    * Get templates filtered by industry
    * @param industry Industry type to filter by
    * @returns Array of templates for the specified industry
    */
-  getTemplatesByIndustry(industry: IndustryType): TemplateDefinition[] {
+  getTemplatesByIndustry(industry: IndustryType): TemplateMetadata[] {
     return this.templates.filter(t => t.industry === industry);
   }
 
@@ -64,12 +127,21 @@ class TemplateRegistry {
    * @param tags Tags to filter by (any match)
    * @returns Array of templates with any of the specified tags
    */
-  getTemplatesByTags(tags: string[]): TemplateDefinition[] {
-    return this.templates.filter(t => 
+  getTemplatesByTags(tags: string[]): TemplateMetadata[] {
+    return this.templates.filter(t =>
       t.tags.some(tag => tags.includes(tag))
     );
   }
 
+  /**
+   * Search templates by name, description and tags, with filters and facet counts
+   * @param options Query, filters and sort order
+   * @returns Matching templates, best first, and how many each filter would leave
+   */
+  searchTemplates(options: TemplateSearchOptions): TemplateSearchResponse {
+    return searchTemplates(this.templates, options);
+  }
+
   /**
    * Mark the registry as initialized
    */
@@ -0,0 +1,260 @@
+import { ExportFormat, IndustryType, TemplateMetadata } from './types';
+
+/**
+ * Search over template names, descriptions, tags and industries
+ *
+ * Every word of the query has to match a template for it to be found. Words match
+ * exactly, as the start of a word ("invo" finds "invoice"), inside a longer word, or
+ * with a typo (one mistake in words of 4-7 letters, two in longer ones). Matches in
+ * the name count for more than matches in the tags, industry and description.
+ */
+
+// Display names of all industries, including those without templates yet
+export const INDUSTRY_NAMES: Record<IndustryType, string> = {
+  business: 'Business',
+  marketing: 'Marketing',
+  education: 'Education',
+  healthcare: 'Healthcare',
+  technology: 'Technology',
+  hospitality: 'Hospitality',
+};
+
+export type TemplateSortOrder = 'relevance' | 'name' | 'industry';
+
+export interface TemplateSearchOptions {
+  // Free text matched against names, descriptions and tags (typos are tolerated)
+  query?: string;
+  industry?: IndustryType;
+  // Templates must have every one of these tags
+  tags?: string[];
+  // Templates must export to every one of these formats
+  formats?: ExportFormat[];
+  // Only double-sided (true) or single-sided (false) templates
+  hasBackSide?: boolean;
+  // Defaults to relevance, which falls back to name order without a query
+  sort?: TemplateSortOrder;
+}
+
+export interface TemplateSearchResult {
+  template: TemplateMetadata;
+  // How well the template matches the query (higher is better, 0 without a query)
+  score: number;
+}
+
+// How many templates each filter value would leave. Industry and sides counts ignore
+// their own filter so the other choices stay visible; tag and format counts are for
+// the current results, since selecting another one narrows them down further.
+export interface TemplateSearchFacets {
+  industries: Record<IndustryType, number>;
+  tags: Record<string, number>;
+  formats: Partial<Record<ExportFormat, number>>;
+  doubleSided: number;
+  singleSided: number;
+}
+
+export interface TemplateSearchResponse {
+  results: TemplateSearchResult[];
+  facets: TemplateSearchFacets;
+}
+
+type SearchableField = 'name' | 'tags' | 'industry' | 'description';
+
+// How much a match in each field counts
+const FIELD_WEIGHTS: Record<SearchableField, number> = {
+  name: 4,
+  tags: 3,
+  industry: 2,
+  description: 1,
+};
+
+// How well a query word matches a word of the template
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.8;
+const SUBSTRING_MATCH = 0.5;
+const TYPO_MATCH = 0.4;
+const TYPO_PREFIX_MATCH = 0.3;
+
+// Words of each template's searchable fields, worked out once per template
+const wordCache = new WeakMap<TemplateMetadata, Record<SearchableField, string[]>>();
+
+/**
+ * Splits text into lowercase words without accents
+ */
+const tokenize = (text: string): string[] =>
+  text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+const getWords = (template: TemplateMetadata): Record<SearchableField, string[]> => {
+  let words = wordCache.get(template);
+  if (!words) {
+    words = {
+      name: tokenize(template.name),
+      tags: tokenize(template.tags.join(' ')),
+      industry: tokenize(`${template.industry} ${INDUSTRY_NAMES[template.industry] ?? ''}`),
+      description: tokenize(template.description),
+    };
+    wordCache.set(template, words);
+  }
+  return words;
+};
+
+/**
+ * Counts the edits (insertions, deletions, substitutions and swaps of neighbouring
+ * letters) that turn one word into another, giving up once it exceeds `limit`
+ */
+const editDistance = (a: string, b: string, limit: number): number => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let beforePrevious: number[] = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMinimum = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, beforePrevious[j - 2] + 1);
+      }
+      current.push(distance);
+      rowMinimum = Math.min(rowMinimum, distance);
+    }
+    if (rowMinimum > limit) return limit + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Scores how well one query word matches a list of words
+ * @returns 0 when it doesn't match any of them
+ */
+const matchTerm = (term: string, words: string[]): number => {
+  const typoLimit = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+  let best = 0;
+
+  for (const word of words) {
+    if (word === term) return EXACT_MATCH;
+    if (word.startsWith(term)) {
+      best = Math.max(best, PREFIX_MATCH);
+    } else if (term.length >= 3 && word.includes(term)) {
+      best = Math.max(best, SUBSTRING_MATCH);
+    } else if (typoLimit > 0 && best < TYPO_MATCH) {
+      if (editDistance(term, word, typoLimit) <= typoLimit) {
+        best = TYPO_MATCH;
+      } else if (word.length > term.length && editDistance(term, word.slice(0, term.length), typoLimit) <= typoLimit) {
+        best = Math.max(best, TYPO_PREFIX_MATCH);
+      }
+    }
+  }
+  return best;
+};
+
+/**
+ * Scores a template against the words of a query
+ * @returns 0 when any of the words doesn't match
+ */
+const scoreTemplate = (template: TemplateMetadata, terms: string[], phrase: string): number => {
+  const words = getWords(template);
+  let score = 0;
+
+  for (const term of terms) {
+    const termScore = Math.max(
+      ...(Object.keys(FIELD_WEIGHTS) as SearchableField[]).map(
+        field => FIELD_WEIGHTS[field] * matchTerm(term, words[field])
+      )
+    );
+    if (termScore === 0) return 0;
+    score += termScore;
+  }
+
+  // Names containing the query as typed come first
+  if (template.name.toLowerCase().includes(phrase)) score += FIELD_WEIGHTS.name;
+  return score;
+};
+
+type SearchFilter = 'industry' | 'tags' | 'formats' | 'hasBackSide';
+
+/**
+ * Checks a template against the filters, except the one being counted
+ */
+const matchesFilters = (template: TemplateMetadata, options: TemplateSearchOptions, ignore?: SearchFilter): boolean => {
+  const { industry, tags = [], formats = [], hasBackSide } = options;
+  const templateFormats = template.printConfig?.formats ?? [];
+
+  return (
+    (ignore === 'industry' || !industry || template.industry === industry) &&
+    (ignore === 'tags' || tags.every(tag => template.tags.includes(tag))) &&
+    (ignore === 'formats' || formats.every(format => templateFormats.includes(format))) &&
+    (ignore === 'hasBackSide' || hasBackSide === undefined || !!template.hasBackSide === hasBackSide)
+  );
+};
+
+const compareNames = (a: TemplateSearchResult, b: TemplateSearchResult): number =>
+  a.template.name.localeCompare(b.template.name);
+
+const SORTERS: Record<TemplateSortOrder, (a: TemplateSearchResult, b: TemplateSearchResult) => number> = {
+  relevance: (a, b) => b.score - a.score || compareNames(a, b),
+  name: compareNames,
+  industry: (a, b) =>
+    INDUSTRY_NAMES[a.template.industry].localeCompare(INDUSTRY_NAMES[b.template.industry]) || compareNames(a, b),
+};
+
+/**
+ * Searches templates and counts what each filter would leave
+ * @param templates Templates to search
+ * @param options Query, filters and sort order
+ * @returns The matching templates in order, and the facet counts
+ */
+export const searchTemplates = (
+  templates: TemplateMetadata[],
+  options: TemplateSearchOptions = {}
+): TemplateSearchResponse => {
+  const phrase = (options.query ?? '').trim().toLowerCase();
+  const terms = tokenize(phrase);
+
+  // Templates that match the query, before any filters
+  const matches: TemplateSearchResult[] = templates
+    .map(template => ({ template, score: terms.length > 0 ? scoreTemplate(template, terms, phrase) : 0 }))
+    .filter(result => terms.length === 0 || result.score > 0);
+
+  const results = matches
+    .filter(({ template }) => matchesFilters(template, options))
+    .sort(SORTERS[options.sort ?? 'relevance']);
+
+  const facets: TemplateSearchFacets = {
+    industries: Object.fromEntries(
+      Object.keys(INDUSTRY_NAMES).map(industry => [industry, 0])
+    ) as Record<IndustryType, number>,
+    tags: {},
+    formats: {},
+    doubleSided: 0,
+    singleSided: 0,
+  };
+
+  matches.forEach(({ template }) => {
+    if (matchesFilters(template, options, 'industry')) {
+      facets.industries[template.industry] = (facets.industries[template.industry] ?? 0) + 1;
+    }
+    if (matchesFilters(template, options, 'hasBackSide')) {
+      if (template.hasBackSide) facets.doubleSided++;
+      else facets.singleSided++;
+    }
+  });
+
+  results.forEach(({ template }) => {
+    template.tags.forEach(tag => {
+      facets.tags[tag] = (facets.tags[tag] ?? 0) + 1;
+    });
+    (template.printConfig?.formats ?? []).forEach(format => {
+      facets.formats[format] = (facets.formats[format] ?? 0) + 1;
+    });
+  });
+
+  return { results, facets };
+};
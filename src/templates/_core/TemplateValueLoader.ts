@@ -0,0 +1,88 @@
+import { StoredTemplateValues, TemplateMetadata, TemplateValues } from './types';
+
+// Result of loading stored values against the current template schema
+export interface LoadedTemplateValues {
+  // Values for the fields the template defines (missing fields are left out)
+  values: TemplateValues;
+  // Values of fields the template doesn't define, kept so they aren't lost
+  quarantine: TemplateValues;
+  // Schema version the values now match
+  templateVersion: number;
+  // Whether the values differ from what was stored (migrated or newly quarantined)
+  changed: boolean;
+}
+
+/**
+ * Returns a template's current schema version
+ * @param template Template definition
+ * @returns The template's version (1 when not set)
+ */
+export const getTemplateVersion = (template: TemplateMetadata): number => template.version ?? 1;
+
+/**
+ * Central loader that brings stored values up to date with a template's schema
+ *
+ * Values saved with an earlier version are passed through each migration in turn.
+ * Fields the template doesn't define (renamed, removed, or from a newer version) are
+ * moved into a quarantine bag instead of being dropped; quarantined values are given
+ * back to later migrations, so a field can be restored from them.
+ *
+ * @param template Template definition the values belong to
+ * @param stored The stored values, their schema version and any quarantined values
+ * @returns The upgraded values and quarantine
+ * @throws {Error} If a migration fails
+ */
+export const loadTemplateValues = (
+  template: TemplateMetadata,
+  stored: StoredTemplateValues
+): LoadedTemplateValues => {
+  const currentVersion = getTemplateVersion(template);
+  const storedVersion = stored.templateVersion ?? 1;
+  const storedQuarantine = stored.quarantine ?? {};
+
+  let combined: TemplateValues = { ...storedQuarantine, ...stored.values };
+
+  if (storedVersion > currentVersion) {
+    console.warn(
+      `Values for "${template.id}" were saved with version ${storedVersion}, newer than ${currentVersion}; unknown fields will be quarantined.`
+    );
+  }
+
+  const migrations = (template.migrations ?? [])
+    .filter(migration => migration.version > storedVersion && migration.version <= currentVersion)
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach(migration => {
+    try {
+      combined = migration.migrate(structuredClone(combined));
+    } catch (error) {
+      throw new Error(
+        `Failed to upgrade "${template.name}" values to version ${migration.version}: ${
+          error instanceof Error ? error.message : String(error)
+        }`
+      );
+    }
+  });
+
+  const fieldIds = new Set(template.fields.map(field => field.id));
+  const values: TemplateValues = {};
+  const quarantine: TemplateValues = {};
+
+  Object.entries(combined).forEach(([id, value]) => {
+    if (fieldIds.has(id)) {
+      values[id] = value;
+    } else {
+      quarantine[id] = value;
+    }
+  });
+
+  const changed =
+    migrations.length > 0 || JSON.stringify(quarantine) !== JSON.stringify(storedQuarantine);
+
+  return {
+    values,
+    quarantine,
+    templateVersion: Math.max(storedVersion, currentVersion),
+    changed,
+  };
+};
@@ -8,6 +8,30 @@ export { templateRegistry };
 // Export BaseTemplate component
 export { default as BaseTemplate } from './BaseTemplate';
 
+// Export the loader that migrates stored values to the current template schema
+export { loadTemplateValues, getTemplateVersion } from './TemplateValueLoader';
+export type { LoadedTemplateValues } from './TemplateValueLoader';
+
+// Export the loader for templates defined in JSON (template.json)
+export {
+  validateDeclarativeTemplate,
+  getDeclarativeMetadata,
+  loadDeclarativeTemplate
+} from './DeclarativeTemplateLoader';
+
+// Export formula engine for calculated fields
+export { FormulaEngine, parseFormula, getFormulaDependencies } from './FormulaEngine';
+
+// Export template search
+export { searchTemplates, INDUSTRY_NAMES } from './TemplateSearch';
+export type {
+  TemplateSearchOptions,
+  TemplateSearchResult,
+  TemplateSearchFacets,
+  TemplateSearchResponse,
+  TemplateSortOrder
+} from './TemplateSearch';
+
 // Export template provider
 export { TemplateProvider, useTemplates } from './TemplateProvider';
 
@@ -1,47 +1,88 @@
 import { templateRegistry } from './TemplateRegistry';
-import standardBusinessCardTemplate from '../business-cards/standard';
-import doubleSidedBusinessCardTemplate from '../business-cards/double-sided';
-import qrCodeBusinessCardTemplate from '../business-cards/qr-code';
-import socialPostTemplate from '../social-posts/standard';
-import invoiceTemplate from '../invoices/standard';
-import etsyDisplayColoringSheetTemplate from '../coloring-sheets/etsy-display';
+import {
+  getDeclarativeMetadata,
+  loadDeclarativeTemplate,
+  validateDeclarativeTemplate
+} from './DeclarativeTemplateLoader';
+import {
+  DeclarativeTemplateSpec,
+  TemplateDefinition,
+  TemplateField,
+  TemplateMetadata,
+  TemplateMigration
+} from './types';
+
+// What a template's metadata.ts exports
+interface TemplateMetadataModule {
+  metadata: Omit<TemplateMetadata, 'fields' | 'migrations'>;
+  fields: TemplateField[];
+  migrations?: TemplateMigration[];
+}
+
+// Metadata is small and only imports types, so it's bundled with the app for browsing
+const metadataModules = import.meta.glob<TemplateMetadataModule>('../*/*/metadata.ts', { eager: true });
+
+// Each template's index.ts (its component and styles) becomes a separate chunk
+const templateModules = import.meta.glob<{ default: TemplateDefinition }>('../*/*/index.ts');
+
+// Templates defined in JSON are drawn by the generic DeclarativeTemplate component
+const declarativeTemplates = import.meta.glob<DeclarativeTemplateSpec>('../*/*/template.json', {
+  eager: true,
+  import: 'default'
+});
 
 /**
  * Initialize the template registry with all available templates
- * 
- * This function manually registers all templates to avoid issues with
- * dynamic imports that may not work in all environments.
- * 
- * As new templates are added, they should be imported and registered here.
+ *
+ * Templates are discovered from src/templates/<category>/<name>/index.ts. Each one's
+ * metadata.ts is registered right away, and its index.ts is loaded when the template
+ * is opened (see templateRegistry.loadTemplate).
+ *
+ * Directories with a template.json instead are declarative templates. They are checked
+ * when discovered; invalid ones are reported in the console and left out.
+ *
+ * Calling this again does nothing.
  */
 export function initializeTemplates(): void {
-  // Register all templates
-  templateRegistry.registerMany([
-    // Business cards
-    standardBusinessCardTemplate,
-    doubleSidedBusinessCardTemplate,
-    qrCodeBusinessCardTemplate,
-    
-    // Social media posts
-    socialPostTemplate,
-    
-    // Invoices
-    invoiceTemplate,
-    
-    // Coloring sheets
-    etsyDisplayColoringSheetTemplate,
-    
-    // Add more templates here as they are developed
-  ]);
-  
+  if (templateRegistry.isInitialized()) return;
+
+  Object.entries(templateModules).forEach(([path, loadModule]) => {
+    const directory = path.slice(0, -'index.ts'.length);
+    const metadataModule = metadataModules[`${directory}metadata.ts`];
+
+    if (!metadataModule?.metadata || !Array.isArray(metadataModule.fields)) {
+      console.error(`Skipping the template in ${directory}: its metadata.ts must export metadata and fields.`);
+      return;
+    }
+
+    templateRegistry.registerLazy(
+      {
+        ...metadataModule.metadata,
+        fields: metadataModule.fields,
+        migrations: metadataModule.migrations
+      },
+      () => loadModule().then(module => module.default)
+    );
+  });
+
+  Object.entries(declarativeTemplates).forEach(([path, spec]) => {
+    const directory = path.slice(0, -'template.json'.length);
+    if (templateModules[`${directory}index.ts`]) {
+      console.warn(`Ignoring ${path}: the template in ${directory} already has an index.ts.`);
+      return;
+    }
+
+    const problems = validateDeclarativeTemplate(spec);
+    if (problems.length > 0) {
+      console.error(`Skipping the template in ${path}:\n- ${problems.join('\n- ')}`);
+      return;
+    }
+
+    templateRegistry.registerLazy(getDeclarativeMetadata(spec), () => loadDeclarativeTemplate(spec));
+  });
+
   // Mark the registry as initialized
   templateRegistry.setInitialized();
 }
 
-/**
- * Manually initialize the templates when this module is imported
- * This ensures templates are registered before they are needed
- */
-initializeTemplates();
-
-export default initializeTemplates;
\ No newline at end of file
+export default initializeTemplates;
@@ -10,7 +10,25 @@ export type IndustryType =
   | 'hospitality';
 
 // Field types
-export type FieldType = 'text' | 'image' | 'color' | 'array' | 'calculated';
+export type FieldType = 'text' | 'number' | 'image' | 'color' | 'array' | 'calculated';
+
+// Built-in formats that text values can be checked against
+export type ValidationFormat = 'email' | 'phone' | 'url' | 'date' | 'number';
+
+// Declarative validation rules for a field
+export interface FieldValidation {
+  // Value must not be empty (blocks export when broken)
+  required?: boolean;
+  // Value must be changed from the placeholder default (e.g. "Client Name")
+  notDefault?: boolean;
+  minLength?: number;
+  maxLength?: number;
+  // Regular expression the value must match
+  pattern?: string;
+  // Message shown when the pattern doesn't match
+  patternMessage?: string;
+  format?: ValidationFormat;
+}
 
 // Template field definition
 export interface TemplateField {
@@ -19,6 +37,22 @@ export interface TemplateField {
   type: FieldType;
   default: any;
   options?: string[];
+  validation?: FieldValidation;
+  // Formula for 'calculated' fields, e.g. 'sum(items.amount)' or 'subtotal * taxRate'
+  // (inside an item schema, formulas read the row's own fields, e.g. 'quantity * rate')
+  formula?: string;
+  // Row schema for 'array' fields
+  item?: ArrayItemSchema;
+}
+
+// Describes the rows of an 'array' field
+export interface ArrayItemSchema {
+  // The columns of each row
+  fields: TemplateField[];
+  minItems?: number;
+  maxItems?: number;
+  // Values for newly added rows (falls back to each sub-field's default)
+  defaultItem?: TemplateValues;
 }
 
 // Template values (data entered by users)
@@ -26,6 +60,23 @@ export interface TemplateValues {
   [key: string]: any;
 }
 
+// Upgrades stored values from the previous schema version to `version`
+export interface TemplateMigration {
+  version: number;
+  description?: string;
+  // Receives a copy of the values (including any quarantined ones) and returns the upgraded values
+  migrate: (values: TemplateValues) => TemplateValues;
+}
+
+// Values and schema version as they were stored (document, project file or share link)
+export interface StoredTemplateValues {
+  values: TemplateValues;
+  // Schema version the values were saved with (defaults to 1)
+  templateVersion?: number;
+  // Values of fields the template no longer defines
+  quarantine?: TemplateValues;
+}
+
 // Preview size configuration
 export interface PreviewSize {
   id: string;
@@ -35,18 +86,25 @@ export interface PreviewSize {
   className?: string;
 }
 
+// File formats a template can be exported as.
+// png, jpeg, webp and avif are raster images; pdf and svg are vector documents;
+// html is a self-contained web page
+export type ExportFormat = 'pdf' | 'png' | 'jpeg' | 'webp' | 'avif' | 'svg' | 'html';
+
 // Print configuration
 export interface PrintConfig {
   // Allowed export formats
-  formats: Array<'pdf' | 'png'>;
+  formats: ExportFormat[];
   aspectRatio: string;
   initialScale: number;
   
-  // Paper dimensions (when exporting to PDF)
+  // Paper dimensions (when exporting to PDF). With bleed, this is the trim size:
+  // the size of the finished piece once the printer has cut it. Images made for
+  // screens use 'px' for an exact pixel size, which doesn't depend on the DPI
   dimensions?: {
     width: number;
     height: number;
-    unit: 'mm' | 'in' | 'pt';
+    unit: 'mm' | 'in' | 'pt' | 'px';
   };
   
   // Orientation (when exporting to PDF)
@@ -59,6 +117,31 @@ export interface PrintConfig {
     bottom: number;
     left: number;
   };
+
+  // How far backgrounds and images extend past the trim line (in the dimensions' unit).
+  // Cutting is never exact, so printers ask for artwork that runs past the edge and
+  // trim it off; 1/8" (0.125in, about 3mm) is the usual amount
+  bleed?: number;
+
+  // Distance inside the trim line that text should stay within (in the dimensions' unit),
+  // so a cut that drifts inwards doesn't clip it. Also usually 1/8"
+  safeZone?: number;
+
+  // Print marks drawn around the trimmed page in print-ready PDFs
+  cropMarks?: boolean;
+  registrationMarks?: boolean;
+
+  // Font files to embed in exported PDFs (TTF or OTF)
+  fonts?: PdfFontSource[];
+}
+
+// A font file that can be embedded in PDFs
+export interface PdfFontSource {
+  // CSS font-family name the template uses
+  family: string;
+  url: string;
+  weight?: 'normal' | 'bold';
+  style?: 'normal' | 'italic';
 }
 
 // Template component props
@@ -81,6 +164,11 @@ export interface TemplateDefinition {
   industry: IndustryType;
   tags: string[];
   icon: string;
+
+  // Schema version, bumped whenever the fields change (defaults to 1)
+  version?: number;
+  // Upgrades for values saved with earlier versions, one per version bump
+  migrations?: TemplateMigration[];
   
   // Template structure
   fields: TemplateField[];
@@ -104,4 +192,151 @@ export interface TemplateDefinition {
   
   // Does this template have front/back sides?
   hasBackSide?: boolean;
-}
\ No newline at end of file
+}
+
+// Everything about a template except its component. This is loaded up front for
+// browsing, while the component and its styles are loaded when the template is opened.
+export type TemplateMetadata = Omit<TemplateDefinition, 'component'>;
+
+// A colour in a declarative template: any CSS colour, the name of one of the
+// template's `colors`, or { "field": "accentColor" } to use a field's value
+export type DeclarativeColor = string | { field: string };
+
+// Properties shared by every layer of a declarative template
+interface DeclarativeLayerBase {
+  // Position and size in the page's unit, measured from the top-left corner
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+  // Clockwise rotation in degrees
+  rotation?: number;
+  opacity?: number;
+  // Side of a double-sided template the layer is on (defaults to the front)
+  side?: 'front' | 'back';
+}
+
+export interface DeclarativeTextLayer extends DeclarativeLayerBase {
+  type: 'text';
+  // Field whose value is shown and edited in place
+  field?: string;
+  // Fixed text instead, where {fieldId} is replaced with that field's value
+  text?: string;
+  // CSS font family, e.g. one of the template's `fonts`
+  font?: string;
+  // In points
+  fontSize?: number;
+  fontWeight?: 'normal' | 'bold' | number;
+  fontStyle?: 'normal' | 'italic';
+  color?: DeclarativeColor;
+  align?: 'left' | 'center' | 'right';
+  verticalAlign?: 'top' | 'middle' | 'bottom';
+  lineHeight?: number;
+  // In ems
+  letterSpacing?: number;
+  uppercase?: boolean;
+}
+
+export interface DeclarativeImageLayer extends DeclarativeLayerBase {
+  type: 'image';
+  // Image field the picture comes from (replaceable in the editor)
+  field?: string;
+  // Fixed image URL instead
+  src?: string;
+  fit?: 'cover' | 'contain';
+  // Corner radius in points
+  radius?: number;
+}
+
+export interface DeclarativeShapeLayer extends DeclarativeLayerBase {
+  type: 'rect' | 'ellipse';
+  fill?: DeclarativeColor;
+  stroke?: DeclarativeColor;
+  // In points
+  strokeWidth?: number;
+  // Corner radius of rectangles, in points
+  radius?: number;
+}
+
+export interface DeclarativeQrLayer extends DeclarativeLayerBase {
+  type: 'qr';
+  // Field whose value is encoded
+  field?: string;
+  // Fixed text instead, where {fieldId} is replaced with that field's value
+  text?: string;
+}
+
+export type DeclarativeLayer =
+  | DeclarativeTextLayer
+  | DeclarativeImageLayer
+  | DeclarativeShapeLayer
+  | DeclarativeQrLayer;
+
+// A template described in JSON (template.json) and drawn by the generic
+// DeclarativeTemplate component, so it needs no React code
+export interface DeclarativeTemplateSpec {
+  id: string;
+  name: string;
+  description: string;
+  industry: IndustryType;
+  tags: string[];
+  icon: string;
+  version?: number;
+  page: {
+    width: number;
+    height: number;
+    unit: 'mm' | 'in' | 'pt';
+    background?: DeclarativeColor;
+    // Print settings, in the page's unit (see PrintConfig)
+    bleed?: number;
+    safeZone?: number;
+    cropMarks?: boolean;
+  };
+  // Allowed export formats (defaults to all of them)
+  formats?: ExportFormat[];
+  // Font files the layers use; they are loaded in the page and embedded in PDFs
+  fonts?: PdfFontSource[];
+  // Named colours that layers can refer to
+  colors?: Record<string, string>;
+  fields: TemplateField[];
+  // Drawn in order, so later layers are on top
+  layers: DeclarativeLayer[];
+}
+
+// Editor state that is saved alongside a template's values
+export interface EditorState {
+  variant: string;
+  size: string;
+  showBackSide: boolean;
+}
+
+// A named, saved instance of a template (stored in IndexedDB)
+export interface TemplateDocument extends EditorState, StoredTemplateValues {
+  id: string;
+  name: string;
+  templateId: string;
+  createdAt: number;
+  updatedAt: number;
+}
+// Portable project file used to move documents between machines
+export interface ProjectFile extends EditorState, StoredTemplateValues {
+  format: 'template-af-project';
+  formatVersion: number;
+  templateId: string;
+  templateVersion: number;
+  name: string;
+  exportedAt: string;
+}
+
+// Editor state encoded into a share link's URL fragment
+export interface SharedEditorState {
+  version: number;
+  // Schema version of the template the values were shared from
+  templateVersion: number;
+  variant: string;
+  size: string;
+  // Only values that differ from the template defaults
+  values: TemplateValues;
+  // Fields that were too large to include in the link
+  omittedFields: string[];
+}
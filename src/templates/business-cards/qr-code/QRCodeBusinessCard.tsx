@@ -2,6 +2,7 @@ import React, { useState, useEffect } from "react";
 import EditableText from "../../../components/editor/EditableText";
 import ImageUploadOverlay from "../../../components/editor/ImageUploadOverlay";
 import { TemplateComponentProps } from "../../_core/types";
+import { createQrCodeDataUrl } from "../../../utils/qrCode";
 import "./styles.css";
 
 /**
@@ -23,10 +24,7 @@ const QRCodeBusinessCard: React.FC<TemplateComponentProps> = ({
 
   // Generate QR code on load and when data changes
   useEffect(() => {
-    // Simple QR code generation by using an external service
-    // In a production app, you might want to use a library for this
-    const encodedData = encodeURIComponent(values.qrCodeData);
-    setQrCodeImage(`https://chart.googleapis.com/chart?cht=qr&chl=${encodedData}&chs=150x150&choe=UTF-8&chld=L|2`);
+    setQrCodeImage(values.qrCodeData ? createQrCodeDataUrl(values.qrCodeData) ?? "" : "");
   }, [values.qrCodeData]);
 
   const handleFlip = () => {
@@ -1,4 +1,4 @@
-import { TemplateField, IndustryType } from '../../_core/types';
+import { TemplateField, IndustryType, ExportFormat } from '../../_core/types';
 
 // Template metadata
 export const metadata = {
@@ -10,19 +10,16 @@ export const metadata = {
   icon: '🪪',
   // Standard business card dimensions: 3.5" x 2"
   printConfig: {
-    formats: ['pdf', 'png'] as Array<'pdf' | 'png'>,
+    formats: ['pdf', 'png', 'jpeg', 'svg', 'html'] as ExportFormat[],
     dimensions: {
       width: 3.5,
       height: 2,
       unit: 'in' as 'in' | 'mm' | 'pt'
     },
     orientation: 'landscape' as 'portrait' | 'landscape',
-    margins: {
-      top: 0.125,
-      right: 0.125,
-      bottom: 0.125,
-      left: 0.125
-    }
+    bleed: 0.125,
+    safeZone: 0.125,
+    cropMarks: true
   },
   hasBackSide: false
 };
@@ -33,7 +30,8 @@ export const fields: TemplateField[] = [
     id: 'name', 
     label: 'Full Name', 
     type: 'text', 
-    default: 'John Doe' 
+    default: 'John Doe',
+    validation: { required: true, maxLength: 40 },
   },
   {
     id: 'title',
@@ -52,18 +50,21 @@ export const fields: TemplateField[] = [
     label: 'Email',
     type: 'text',
     default: 'john.doe@example.com',
+    validation: { required: true, format: 'email' },
   },
   {
     id: 'phone',
     label: 'Phone',
     type: 'text',
     default: '(555) 123-4567',
+    validation: { format: 'phone' },
   },
   {
     id: 'website',
     label: 'Website',
     type: 'text',
     default: 'www.example.com',
+    validation: { format: 'url' },
   },
   {
     id: 'address',
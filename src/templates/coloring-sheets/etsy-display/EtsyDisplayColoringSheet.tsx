@@ -1,6 +1,7 @@
-import React from "react";
+import React, { useRef } from "react";
 // import EditableText from "../../../components/web-components/editable-text";
 import ImageUploadOverlay from "../../../components/editor/ImageUploadOverlay";
+import useWebComponentChanges from "../../../hooks/useWebComponentChanges";
 import { TemplateComponentProps } from "../../_core/types";
 import "./styles.css";
 
@@ -34,7 +35,11 @@ const EtsyDisplayColoringSheet: React.FC<TemplateComponentProps> = ({
     image12,
   } = values;
 
-  // Create an array of images that exist
+  // Edits made inside the web components are written back to the template values
+  const displayRef = useRef<HTMLElement | null>(null);
+  useWebComponentChanges(displayRef, onValueChange);
+
+  // Create an array of images that exist, keeping the field each one belongs to
   const images = [
     image1,
     image2,
@@ -48,24 +53,40 @@ const EtsyDisplayColoringSheet: React.FC<TemplateComponentProps> = ({
     image10,
     image11,
     image12,
-  ].filter((img) => img);
+  ]
+    .map((src, index) => ({ fieldId: `image${index + 1}`, src }))
+    .filter((image) => image.src);
 
   return (
     <>
-      <color-changer id="change-colorid" persist>
+      <color-changer
+        id="change-colorid"
+        ref={displayRef}
+        data-field-id="backgroundColor"
+        color={backgroundColor}
+      >
         {/* Main container */}
         <div className="coloring-sheet-display-container">
           {/* Title section */}
 
           <div className="coloring-sheet-title-container">
             <div>
-              <editable-text id="coloring-sheet-title" persist toolbar>
-                <h1 className="coloring-sheet-title">{title}</h1>
+              <editable-text
+                id="coloring-sheet-title"
+                data-field-id="title"
+                value={title}
+                toolbar
+              >
+                <h1 className="coloring-sheet-title" />
               </editable-text>
             </div>
             <div>
-              <editable-text id="coloring-sheet-subtitle" persist>
-                <h2 className="coloring-sheet-subtitle">{subtitle}</h2>
+              <editable-text
+                id="coloring-sheet-subtitle"
+                data-field-id="subtitle"
+                value={subtitle}
+              >
+                <h2 className="coloring-sheet-subtitle" />
               </editable-text>
             </div>
           </div>
@@ -74,13 +95,13 @@ const EtsyDisplayColoringSheet: React.FC<TemplateComponentProps> = ({
           <div className="coloring-sheet-images-container">
             {images.map((image, index) => (
               <div
-                key={index}
+                key={image.fieldId}
                 className={`coloring-sheet-image image-${index}`}
               >
-                <editable-image persist>
+                <editable-image data-field-id={image.fieldId} src={image.src}>
                   <img
-                    id={`image${index + 1}`}
-                    src={image}
+                    id={image.fieldId}
+                    src={image.src}
                     alt="Coloring sheet 1"
                     className="coloring-image"
                   />
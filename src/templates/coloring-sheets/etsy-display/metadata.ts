@@ -1,4 +1,4 @@
-import { TemplateField, IndustryType } from '../../_core/types';
+import { TemplateField, IndustryType, ExportFormat } from '../../_core/types';
 
 // Template metadata
 export const metadata = {
@@ -10,14 +10,15 @@ export const metadata = {
   icon: '🖼️',
   // Responsive dimensions - approximately 50% of viewport
   printConfig: {
-    formats: ['png'],
+    // Etsy listing photos are usually JPEGs
+    formats: ['png', 'jpeg'] as ExportFormat[],
     initialScale: 0.5,
     dimensions: {
       width: 2000,
       height: 1500,
-      unit: 'px'
+      unit: 'px' as const
     },
-    orientation: 'landscape',
+    orientation: 'landscape' as 'portrait' | 'landscape',
     margins: {
       top: 0,
       right: 0,
@@ -34,7 +35,8 @@ export const fields: TemplateField[] = [
     id: 'title', 
     label: 'Title', 
     type: 'text', 
-    default: 'Coloring Pages Bundle' 
+    default: 'Coloring Pages Bundle',
+    validation: { required: true },
   },
   {
     id: 'subtitle',
@@ -2,8 +2,20 @@ import React from "react";
 import EditableText from "../../../components/editor/EditableText";
 import ImageUploadOverlay from "../../../components/editor/ImageUploadOverlay";
 import { TemplateComponentProps } from "../../_core/types";
+import {
+  addArrayItem,
+  canAddArrayItem,
+  canRemoveArrayItem,
+  getArrayItems,
+  removeArrayItem,
+} from "../../../utils/arrayField";
+import usePagination from "../../../hooks/usePagination";
+import { fields } from "./metadata";
 import "./styles.css";
 
+// Item schema (sub-fields and row limits) for the invoice rows
+const itemsField = fields.find((field) => field.id === "items")!;
+
 // Invoice item interface
 interface InvoiceItem {
   description: string;
@@ -14,227 +26,250 @@ interface InvoiceItem {
 
 /**
  * Invoice template component
+ * Items that don't fit on one page continue on the next, with the table header repeated,
+ * running subtotals at each page break, and the totals and notes on the last page
  */
 const InvoiceTemplate: React.FC<TemplateComponentProps> = ({
   values,
   onValueChange,
   isEditMode,
 }) => {
+  const items = getArrayItems(values.items);
+  const canAddItem = canAddArrayItem(itemsField, items);
+  const canRemoveItem = canRemoveArrayItem(itemsField, items);
+  // Long invoices continue over several A4 pages
+  const { containerRef, pages } = usePagination(items.length);
+
   // Add a new row to the invoice items
   const addInvoiceItem = (): void => {
-    if (!isEditMode) return;
-
-    const items = [...(values.items || [])];
-    items.push({
-      description: "New Item",
-      quantity: 1,
-      rate: 0,
-      amount: 0,
-    });
-
-    onValueChange("items", items);
-    updateInvoiceTotals(items, values.tax, onValueChange);
+    if (!isEditMode || !canAddItem) return;
+    onValueChange("items", addArrayItem(itemsField, items));
   };
 
   // Remove a row from the invoice items
   const removeInvoiceItem = (index: number): void => {
-    if (!isEditMode) return;
-
-    const items = [...(values.items || [])];
-    items.splice(index, 1);
-
-    onValueChange("items", items);
-    updateInvoiceTotals(items, values.tax, onValueChange);
+    if (!isEditMode || !canRemoveItem) return;
+    onValueChange("items", removeArrayItem(itemsField, items, index));
   };
 
-  return (
-    <div className="invoice p-6 rounded-lg scale-90">
-      <div className="flex justify-between items-center mb-8">
-        <div>
-          <h2 className="text-2xl font-bold text-gray-800">
-            <EditableText
-              value={values.companyName}
-              fieldId="companyName"
-              className="block"
-              onValueChange={onValueChange}
-              isEditMode={isEditMode}
-            />
-          </h2>
-          <p className="text-gray-600 whitespace-pre-line">
-            <EditableText
-              value={values.companyInfo}
-              fieldId="companyInfo"
-              className="block"
-              onValueChange={onValueChange}
-              isEditMode={isEditMode}
-            />
-          </p>
-        </div>
-        <div className="relative">
-          {values.logo && (
-            <>
-              <img
-                src={values.logo}
-                alt="Logo"
-                className="invoice-company-logo"
-              />
-              <ImageUploadOverlay
-                fieldId="logo"
-                onValueChange={onValueChange}
-                isEditMode={isEditMode}
-              />
-            </>
-          )}
-        </div>
-      </div>
+  // Amount of the rows before the given one, carried from page to page
+  const getRunningTotal = (end: number): number =>
+    items.slice(0, end).reduce((sum: number, item: InvoiceItem) => sum + (Number(item.amount) || 0), 0);
 
-      <div className="flex justify-between mb-8">
-        <div>
-          <h3 className="text-lg font-semibold mb-2">Bill To:</h3>
-          <p className="text-gray-800">
-            <EditableText
-              value={values.clientName}
-              fieldId="clientName"
-              className="block"
-              onValueChange={onValueChange}
-              isEditMode={isEditMode}
-            />
-          </p>
-          <p className="text-gray-600 whitespace-pre-line">
-            <EditableText
-              value={values.clientAddress}
-              fieldId="clientAddress"
-              className="block"
-              onValueChange={onValueChange}
-              isEditMode={isEditMode}
-            />
-          </p>
-        </div>
-        <div className="text-right">
-          <div className="mb-2">
-            <span className="font-semibold">Invoice #: </span>
-            <EditableText
-              value={values.invoiceNumber}
-              fieldId="invoiceNumber"
-              className="inline"
-              onValueChange={onValueChange}
-              isEditMode={isEditMode}
-            />
-          </div>
-          <div className="mb-2">
-            <span className="font-semibold">Date: </span>
-            <EditableText
-              value={values.invoiceDate}
-              fieldId="invoiceDate"
-              className="inline"
-              onValueChange={onValueChange}
-              isEditMode={isEditMode}
-            />
-          </div>
-          <div>
-            <span className="font-semibold">Due Date: </span>
-            <EditableText
-              value={values.dueDate}
-              fieldId="dueDate"
-              className="inline"
-              onValueChange={onValueChange}
-              isEditMode={isEditMode}
-            />
-          </div>
-        </div>
-      </div>
+  // Running subtotal row at the top or bottom of a page; it spans the columns before the amount
+  const renderCarryRow = (label: string, amount: number): React.ReactNode => (
+    <tr className="invoice-carry-row" data-page-carry>
+      <td colSpan={3} className="text-right">{label}</td>
+      <td className="text-right">${amount.toFixed(2)}</td>
+      {isEditMode && <td></td>}
+    </tr>
+  );
 
-      <div className="mb-8">
-        <table className="invoice-table">
-          <thead>
-            <tr>
-              <th>Description</th>
-              <th className="text-center">Quantity</th>
-              <th className="text-center">Rate</th>
-              <th className="text-right">Amount</th>
-              {isEditMode && <th className="w-10"></th>}
-            </tr>
-          </thead>
-          <tbody>
-            {values.items &&
-              values.items.map((item: InvoiceItem, index: number) => (
-                <tr key={index}>
-                  <td>
-                    <EditableText
-                      value={item.description}
-                      fieldId={`items.${index}.description`}
-                      className="block"
-                      onValueChange={onValueChange}
-                      isEditMode={isEditMode}
-                    />
-                  </td>
-                  <td className="text-center">
-                    <EditableText
-                      value={String(item.quantity)}
-                      fieldId={`items.${index}.quantity`}
-                      className="block text-center"
-                      onValueChange={(fieldId: string, value: any) => {
-                        const numValue = Number(value) || 0;
-                        onValueChange(fieldId, numValue);
+  return (
+    <div ref={containerRef} className="invoice-pages scale-90">
+      {pages.map((page, pageIndex) => {
+        const isFirstPage = pageIndex === 0;
+        const isLastPage = pageIndex === pages.length - 1;
 
-                        // Update the amount
-                        const newAmount = numValue * item.rate;
-                        onValueChange(`items.${index}.amount`, newAmount);
+        return (
+          <div key={pageIndex} className="invoice p-6 rounded-lg" data-print-page>
+            <div className="invoice-page-body" data-page-body>
+              {isFirstPage ? (
+                <>
+                  <div className="flex justify-between items-center mb-8">
+                    <div>
+                      <h2 className="text-2xl font-bold text-gray-800">
+                        <EditableText
+                          value={values.companyName}
+                          fieldId="companyName"
+                          className="block"
+                          onValueChange={onValueChange}
+                          isEditMode={isEditMode}
+                        />
+                      </h2>
+                      <p className="text-gray-600 whitespace-pre-line">
+                        <EditableText
+                          value={values.companyInfo}
+                          fieldId="companyInfo"
+                          className="block"
+                          onValueChange={onValueChange}
+                          isEditMode={isEditMode}
+                        />
+                      </p>
+                    </div>
+                    <div className="relative">
+                      {values.logo && (
+                        <>
+                          <img
+                            src={values.logo}
+                            alt="Logo"
+                            className="invoice-company-logo"
+                          />
+                          <ImageUploadOverlay
+                            fieldId="logo"
+                            onValueChange={onValueChange}
+                            isEditMode={isEditMode}
+                          />
+                        </>
+                      )}
+                    </div>
+                  </div>
 
-                        // Update totals
-                        setTimeout(() => {
-                          const updatedItems = [...values.items];
-                          updatedItems[index].quantity = numValue;
-                          updatedItems[index].amount = newAmount;
-                          updateInvoiceTotals(
-                            updatedItems,
-                            values.tax,
-                            onValueChange
-                          );
-                        }, 0);
-                      }}
-                      isEditMode={isEditMode}
-                    />
-                  </td>
-                  <td className="text-center">
-                    $
-                    <EditableText
-                      value={String(item.rate)}
-                      fieldId={`items.${index}.rate`}
-                      className="inline"
-                      onValueChange={(fieldId: string, value: any) => {
-                        const numValue = Number(value) || 0;
-                        onValueChange(fieldId, numValue);
+                  <div className="flex justify-between mb-8">
+                    <div>
+                      <h3 className="text-lg font-semibold mb-2">Bill To:</h3>
+                      <p className="text-gray-800">
+                        <EditableText
+                          value={values.clientName}
+                          fieldId="clientName"
+                          className="block"
+                          onValueChange={onValueChange}
+                          isEditMode={isEditMode}
+                        />
+                      </p>
+                      <p className="text-gray-600 whitespace-pre-line">
+                        <EditableText
+                          value={values.clientAddress}
+                          fieldId="clientAddress"
+                          className="block"
+                          onValueChange={onValueChange}
+                          isEditMode={isEditMode}
+                        />
+                      </p>
+                    </div>
+                    <div className="text-right">
+                      <div className="mb-2">
+                        <span className="font-semibold">Invoice #: </span>
+                        <EditableText
+                          value={values.invoiceNumber}
+                          fieldId="invoiceNumber"
+                          className="inline"
+                          onValueChange={onValueChange}
+                          isEditMode={isEditMode}
+                        />
+                      </div>
+                      <div className="mb-2">
+                        <span className="font-semibold">Date: </span>
+                        <EditableText
+                          value={values.invoiceDate}
+                          fieldId="invoiceDate"
+                          className="inline"
+                          onValueChange={onValueChange}
+                          isEditMode={isEditMode}
+                        />
+                      </div>
+                      <div>
+                        <span className="font-semibold">Due Date: </span>
+                        <EditableText
+                          value={values.dueDate}
+                          fieldId="dueDate"
+                          className="inline"
+                          onValueChange={onValueChange}
+                          isEditMode={isEditMode}
+                        />
+                      </div>
+                    </div>
+                  </div>
+                </>
+              ) : (
+                <p className="invoice-continued">
+                  {values.companyName} &middot; Invoice #{values.invoiceNumber} (continued)
+                </p>
+              )}
 
-                        // Update the amount
-                        const newAmount = item.quantity * numValue;
-                        onValueChange(`items.${index}.amount`, newAmount);
+              <table className="invoice-table" data-page-table>
+                <thead>
+                  <tr>
+                    <th>Description</th>
+                    <th className="text-center">Quantity</th>
+                    <th className="text-center">Rate</th>
+                    <th className="text-right">Amount</th>
+                    {isEditMode && <th className="w-10"></th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {!isFirstPage && renderCarryRow("Brought forward", getRunningTotal(page.start))}
+                  {items.slice(page.start, page.end).map((item: InvoiceItem, offset: number) => {
+                    const index = page.start + offset;
+                    return (
+                      <tr key={index} data-page-row>
+                        <td>
+                          <EditableText
+                            value={item.description}
+                            fieldId={`items.${index}.description`}
+                            className="block"
+                            onValueChange={onValueChange}
+                            isEditMode={isEditMode}
+                          />
+                        </td>
+                        <td className="text-center">
+                          <EditableText
+                            value={String(item.quantity)}
+                            fieldId={`items.${index}.quantity`}
+                            className="block text-center"
+                            onValueChange={(fieldId: string, value: any) =>
+                              onValueChange(fieldId, Number(value) || 0)
+                            }
+                            isEditMode={isEditMode}
+                          />
+                        </td>
+                        <td className="text-center">
+                          $
+                          <EditableText
+                            value={String(item.rate)}
+                            fieldId={`items.${index}.rate`}
+                            className="inline"
+                            onValueChange={(fieldId: string, value: any) =>
+                              onValueChange(fieldId, Number(value) || 0)
+                            }
+                            isEditMode={isEditMode}
+                          />
+                        </td>
+                        <td className="text-right">
+                          ${Number(item.amount).toFixed(2)}
+                        </td>
+                        {isEditMode && (
+                          <td className="text-center">
+                            {canRemoveItem && (
+                              <button
+                                type="button"
+                                className="invoice-remove-item"
+                                onClick={() => removeInvoiceItem(index)}
+                                title="Remove item"
+                              >
+                                <svg
+                                  className="w-4 h-4"
+                                  fill="currentColor"
+                                  viewBox="0 0 20 20"
+                                  xmlns="http://www.w3.org/2000/svg"
+                                >
+                                  <path
+                                    fillRule="evenodd"
+                                    d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z"
+                                    clipRule="evenodd"
+                                  />
+                                </svg>
+                              </button>
+                            )}
+                          </td>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+                {!isLastPage && (
+                  <tfoot>{renderCarryRow("Carried forward", getRunningTotal(page.end))}</tfoot>
+                )}
+              </table>
 
-                        // Update totals
-                        setTimeout(() => {
-                          const updatedItems = [...values.items];
-                          updatedItems[index].rate = numValue;
-                          updatedItems[index].amount = newAmount;
-                          updateInvoiceTotals(
-                            updatedItems,
-                            values.tax,
-                            onValueChange
-                          );
-                        }, 0);
-                      }}
-                      isEditMode={isEditMode}
-                    />
-                  </td>
-                  <td className="text-right">
-                    ${item.amount.toFixed(2)}
-                  </td>
-                  {isEditMode && (
-                    <td className="text-center">
+              {isLastPage && (
+                <div data-page-end>
+                  {isEditMode && canAddItem && (
+                    <div className="pt-2 text-right">
                       <button
                         type="button"
-                        className="invoice-remove-item"
-                        onClick={() => removeInvoiceItem(index)}
-                        title="Remove item"
+                        className="invoice-add-item"
+                        onClick={addInvoiceItem}
                       >
                         <svg
                           className="w-4 h-4"
@@ -244,133 +279,66 @@ const InvoiceTemplate: React.FC<TemplateComponentProps> = ({
                         >
                           <path
                             fillRule="evenodd"
-                            d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z"
+                            d="M10 5a1 1 0 011 1v3h3a1 1 0 110 2h-3v3a1 1 0 11-2 0v-3H6a1 1 0 110-2h3V6a1 1 0 011-1z"
                             clipRule="evenodd"
                           />
                         </svg>
+                        Add Item
                       </button>
-                    </td>
+                    </div>
                   )}
-                </tr>
-              ))}
-          </tbody>
-        </table>
 
-        {isEditMode && (
-          <div className="mt-2 text-right">
-            <button
-              type="button"
-              className="invoice-add-item"
-              onClick={addInvoiceItem}
-            >
-              <svg
-                className="w-4 h-4"
-                fill="currentColor"
-                viewBox="0 0 20 20"
-                xmlns="http://www.w3.org/2000/svg"
-              >
-                <path
-                  fillRule="evenodd"
-                  d="M10 5a1 1 0 011 1v3h3a1 1 0 110 2h-3v3a1 1 0 11-2 0v-3H6a1 1 0 110-2h3V6a1 1 0 011-1z"
-                  clipRule="evenodd"
-                />
-              </svg>
-              Add Item
-            </button>
-          </div>
-        )}
-      </div>
+                  <div className="flex justify-end pt-8 mb-8">
+                    <div className="invoice-totals">
+                      <div className="invoice-totals-row">
+                        <span className="font-semibold">Subtotal:</span>
+                        <span>${Number(values.subtotal).toFixed(2)}</span>
+                      </div>
+                      <div className="invoice-totals-row">
+                        <span className="font-semibold">
+                          Tax (
+                          <EditableText
+                            value={String(values.taxRate)}
+                            fieldId="taxRate"
+                            className="inline"
+                            onValueChange={onValueChange}
+                            isEditMode={isEditMode}
+                          />
+                          ):
+                        </span>
+                        <span>${Number(values.tax).toFixed(2)}</span>
+                      </div>
+                      <div className="invoice-totals-row invoice-total">
+                        <span>Total:</span>
+                        <span>${Number(values.total).toFixed(2)}</span>
+                      </div>
+                    </div>
+                  </div>
 
-      <div className="flex justify-end mb-8">
-        <div className="invoice-totals">
-          <div className="invoice-totals-row">
-            <span className="font-semibold">Subtotal:</span>
-            <span>
-              $
-              <EditableText
-                value={String(values.subtotal)}
-                fieldId="subtotal"
-                className="inline"
-                onValueChange={onValueChange}
-                isEditMode={isEditMode}
-              />
-            </span>
-          </div>
-          <div className="invoice-totals-row">
-            <span className="font-semibold">Tax:</span>
-            <EditableText
-              value={String(values.tax)}
-              fieldId="tax"
-              className="inline"
-              onValueChange={(fieldId: string, value: any) => {
-                onValueChange(fieldId, value);
+                  <div className="border-t border-gray-300 pt-4">
+                    <h3 className="font-semibold mb-2">Notes:</h3>
+                    <p className="text-gray-700 whitespace-pre-line">
+                      <EditableText
+                        value={values.notes}
+                        fieldId="notes"
+                        className="block"
+                        onValueChange={onValueChange}
+                        isEditMode={isEditMode}
+                      />
+                    </p>
+                  </div>
+                </div>
+              )}
+            </div>
 
-                // Update total when tax changes
-                setTimeout(() => {
-                  updateInvoiceTotals(values.items, value, onValueChange);
-                }, 0);
-              }}
-              isEditMode={isEditMode}
-            />
-          </div>
-          <div className="invoice-totals-row invoice-total">
-            <span>Total:</span>
-            <span>
-              $
-              <EditableText
-                value={String(values.total)}
-                fieldId="total"
-                className="inline"
-                onValueChange={onValueChange}
-                isEditMode={isEditMode}
-              />
-            </span>
+            <div className="invoice-page-number">
+              {pages.length > 1 && `Page ${pageIndex + 1} of ${pages.length}`}
+            </div>
           </div>
-        </div>
-      </div>
-
-      <div className="border-t border-gray-300 pt-4">
-        <h3 className="font-semibold mb-2">Notes:</h3>
-        <p className="text-gray-700 whitespace-pre-line">
-          <EditableText
-            value={values.notes}
-            fieldId="notes"
-            className="block"
-            onValueChange={onValueChange}
-            isEditMode={isEditMode}
-          />
-        </p>
-      </div>
+        );
+      })}
     </div>
   );
 };
 
-/**
- * Helper function to update invoice totals
- */
-const updateInvoiceTotals = (
-  items: InvoiceItem[] | undefined,
-  tax: string | number,
-  onValueChange: (id: string, value: any) => void
-): void => {
-  if (!items) return;
-
-  const subtotal = items.reduce(
-    (sum: number, item: InvoiceItem) => sum + (item.amount || 0),
-    0
-  );
-  onValueChange("subtotal", subtotal);
-
-  // Parse tax value, handling percentage or fixed amount
-  let taxValue = 0;
-  if (typeof tax === "string" && tax.includes("%")) {
-    const percentage = parseFloat(tax) || 0;
-    taxValue = subtotal * (percentage / 100);
-  } else {
-    taxValue = parseFloat(tax as string) || 0;
-  }
-
-  onValueChange("total", subtotal + taxValue);
-};
-
 export default InvoiceTemplate;
\ No newline at end of file
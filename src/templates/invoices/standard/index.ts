@@ -1,11 +1,12 @@
 import { TemplateDefinition } from '../../_core/types';
 import InvoiceTemplate from './InvoiceTemplate';
-import { metadata, fields } from './metadata';
+import { metadata, fields, migrations } from './metadata';
 
-// Combine component, metadata, and fields into a complete template definition
+// Combine component, metadata, fields, and migrations into a complete template definition
 const invoiceTemplate: TemplateDefinition = {
   ...metadata,
   fields,
+  migrations,
   component: InvoiceTemplate
 };
 
@@ -1,4 +1,4 @@
-import { TemplateField, IndustryType } from '../../_core/types';
+import { TemplateField, TemplateMigration, IndustryType, ExportFormat } from '../../_core/types';
 
 // Template metadata
 export const metadata = {
@@ -8,8 +8,9 @@ export const metadata = {
   industry: 'business' as IndustryType,
   tags: ['finance', 'billing', 'professional', 'invoice'],
   icon: '📝',
+  version: 2,
   printConfig: {
-    formats: ['pdf', 'png'] as Array<'pdf' | 'png'>,
+    formats: ['pdf', 'png', 'html'] as ExportFormat[],
     dimensions: {
       width: 210,
       height: 297,
@@ -25,6 +26,17 @@ export const metadata = {
   }
 };
 
+// Upgrades for documents saved with earlier versions of the fields
+export const migrations: TemplateMigration[] = [
+  {
+    // 'tax' used to hold the rate as text ('10%'); it is now the calculated amount
+    version: 2,
+    description: 'Move the tax rate to taxRate',
+    migrate: ({ tax, ...values }) =>
+      typeof tax === 'string' ? { ...values, taxRate: tax } : { ...values, tax },
+  },
+];
+
 // Template fields schema
 export const fields: TemplateField[] = [
   {
@@ -32,6 +44,7 @@ export const fields: TemplateField[] = [
     label: 'Your Company',
     type: 'text',
     default: 'Your Business Name',
+    validation: { required: true, notDefault: true },
   },
   {
     id: 'companyInfo',
@@ -44,30 +57,35 @@ export const fields: TemplateField[] = [
     label: 'Invoice #',
     type: 'text',
     default: 'INV-001',
+    validation: { required: true },
   },
   {
     id: 'invoiceDate',
     label: 'Date',
     type: 'text',
     default: '04/14/2025',
+    validation: { required: true, format: 'date' },
   },
   {
     id: 'dueDate',
     label: 'Due Date',
     type: 'text',
     default: '04/28/2025',
+    validation: { format: 'date' },
   },
   {
     id: 'clientName',
     label: 'Bill To',
     type: 'text',
     default: 'Client Name',
+    validation: { required: true, notDefault: true },
   },
   {
     id: 'clientAddress',
     label: 'Client Address',
     type: 'text',
     default: 'Client Address',
+    validation: { notDefault: true },
   },
   {
     id: 'items',
@@ -77,24 +95,45 @@ export const fields: TemplateField[] = [
       { description: 'Service 1', quantity: 1, rate: 100, amount: 100 },
       { description: 'Service 2', quantity: 2, rate: 50, amount: 100 },
     ],
+    item: {
+      fields: [
+        { id: 'description', label: 'Description', type: 'text', default: 'New Item', validation: { required: true } },
+        { id: 'quantity', label: 'Quantity', type: 'number', default: 1 },
+        { id: 'rate', label: 'Rate', type: 'number', default: 0 },
+        { id: 'amount', label: 'Amount', type: 'calculated', default: 0, formula: 'quantity * rate' },
+      ],
+      minItems: 1,
+      maxItems: 100,
+      defaultItem: { description: 'New Item', quantity: 1, rate: 0, amount: 0 },
+    },
   },
   { 
     id: 'subtotal', 
     label: 'Subtotal', 
     type: 'calculated', 
-    default: 200 
+    default: 200,
+    formula: 'sum(items.amount)',
+  },
+  {
+    id: 'taxRate',
+    label: 'Tax Rate',
+    type: 'text',
+    default: '10%',
+    validation: { pattern: '^\\d+(\\.\\d+)?%$', patternMessage: 'Enter a percentage (e.g. 10%)' },
   },
   { 
     id: 'tax', 
     label: 'Tax', 
-    type: 'text', 
-    default: '10%' 
+    type: 'calculated', 
+    default: 20,
+    formula: 'subtotal * taxRate',
   },
   { 
     id: 'total', 
     label: 'Total', 
     type: 'calculated', 
-    default: 220 
+    default: 220,
+    formula: 'subtotal + tax',
   },
   {
     id: 'notes',
@@ -1,4 +1,4 @@
-import { TemplateField, IndustryType, PreviewSize } from '../../_core/types';
+import { TemplateField, IndustryType, PreviewSize, ExportFormat } from '../../_core/types';
 
 // Template metadata
 export const metadata = {
@@ -16,9 +16,9 @@ export const metadata = {
     { id: 'twitter', name: 'Twitter' },
     { id: 'linkedin', name: 'LinkedIn' }
   ] as PreviewSize[],
-  // Print configuration - social media posts only support PNG export
+  // Print configuration - social media posts are exported as images (SVG for design tools)
   printConfig: {
-    formats: ['png'] as Array<'pdf' | 'png'>
+    formats: ['png', 'jpeg', 'webp', 'avif', 'svg', 'html'] as ExportFormat[]
   }
 };
 
@@ -29,6 +29,7 @@ export const fields: TemplateField[] = [
     label: 'Headline',
     type: 'text',
     default: 'Introducing Our New Service',
+    validation: { required: true, maxLength: 60 },
   },
   {
     id: 'subtext',
@@ -41,6 +42,7 @@ export const fields: TemplateField[] = [
     label: 'Call to Action',
     type: 'text',
     default: 'Learn More',
+    validation: { maxLength: 25 },
   },
   {
     id: 'brandColor',
@@ -0,0 +1,132 @@
+import { TemplateField, TemplateValues } from '../templates/_core/types';
+
+/**
+ * Returns the rows of an array field value.
+ * @param {any} value - The field value.
+ * @returns {TemplateValues[]} The rows, or an empty list when the value isn't an array.
+ */
+export const getArrayItems = (value: any): TemplateValues[] =>
+  Array.isArray(value) ? value : [];
+
+/**
+ * Returns the sub-fields of an array field's rows.
+ * Arrays without an item schema get text sub-fields named after the keys of their first row.
+ * @param {TemplateField} field - The array field.
+ * @param {TemplateValues[]} [items] - The current rows.
+ * @returns {TemplateField[]} The sub-fields.
+ */
+export const getArrayItemFields = (field: TemplateField, items: TemplateValues[] = []): TemplateField[] => {
+  if (field.item) return field.item.fields;
+
+  const firstRow = items[0] ?? getArrayItems(field.default)[0] ?? {};
+  return Object.keys(firstRow).map(key => ({
+    id: key,
+    label: key.charAt(0).toUpperCase() + key.slice(1),
+    type: typeof firstRow[key] === 'number' ? 'number' : 'text',
+    default: typeof firstRow[key] === 'number' ? 0 : '',
+  }));
+};
+
+/**
+ * Creates a new row for an array field from its item schema.
+ * Uses the schema's `defaultItem`, falling back to each sub-field's default.
+ * @param {TemplateField} field - The array field.
+ * @returns {TemplateValues} A new row.
+ */
+export const createArrayItem = (field: TemplateField): TemplateValues => {
+  const item: TemplateValues = {};
+
+  getArrayItemFields(field).forEach(subField => {
+    item[subField.id] = subField.default;
+  });
+
+  return structuredClone({ ...item, ...(field.item?.defaultItem ?? {}) });
+};
+
+/**
+ * Checks whether another row can be added to an array field.
+ * @param {TemplateField} field - The array field.
+ * @param {TemplateValues[]} items - The current rows.
+ * @returns {boolean} True when the field is below its maximum.
+ */
+export const canAddArrayItem = (field: TemplateField, items: TemplateValues[]): boolean =>
+  field.item?.maxItems === undefined || items.length < field.item.maxItems;
+
+/**
+ * Checks whether a row can be removed from an array field.
+ * @param {TemplateField} field - The array field.
+ * @param {TemplateValues[]} items - The current rows.
+ * @returns {boolean} True when the field is above its minimum.
+ */
+export const canRemoveArrayItem = (field: TemplateField, items: TemplateValues[]): boolean =>
+  items.length > (field.item?.minItems ?? 0);
+
+/**
+ * Returns the rows with a new row inserted.
+ * @param {TemplateField} field - The array field.
+ * @param {TemplateValues[]} items - The current rows.
+ * @param {number} [index] - Where to insert the row (defaults to the end).
+ * @returns {TemplateValues[]} The updated rows, or the same rows when the maximum is reached.
+ */
+export const addArrayItem = (
+  field: TemplateField,
+  items: TemplateValues[],
+  index: number = items.length
+): TemplateValues[] => {
+  if (!canAddArrayItem(field, items)) return items;
+  return [...items.slice(0, index), createArrayItem(field), ...items.slice(index)];
+};
+
+/**
+ * Returns the rows without the row at `index`.
+ * @param {TemplateField} field - The array field.
+ * @param {TemplateValues[]} items - The current rows.
+ * @param {number} index - The row to remove.
+ * @returns {TemplateValues[]} The updated rows, or the same rows when the minimum is reached.
+ */
+export const removeArrayItem = (
+  field: TemplateField,
+  items: TemplateValues[],
+  index: number
+): TemplateValues[] => {
+  if (!canRemoveArrayItem(field, items)) return items;
+  return items.filter((_, itemIndex) => itemIndex !== index);
+};
+
+/**
+ * Returns the rows with a copy of the row at `index` inserted after it.
+ * @param {TemplateField} field - The array field.
+ * @param {TemplateValues[]} items - The current rows.
+ * @param {number} index - The row to copy.
+ * @returns {TemplateValues[]} The updated rows, or the same rows when the maximum is reached.
+ */
+export const duplicateArrayItem = (
+  field: TemplateField,
+  items: TemplateValues[],
+  index: number
+): TemplateValues[] => {
+  if (!canAddArrayItem(field, items) || !items[index]) return items;
+  return [...items.slice(0, index + 1), structuredClone(items[index]), ...items.slice(index + 1)];
+};
+
+/**
+ * Returns the rows with one row moved to another position.
+ * @param {TemplateValues[]} items - The current rows.
+ * @param {number} from - The row to move.
+ * @param {number} to - Its new position.
+ * @returns {TemplateValues[]} The updated rows.
+ */
+export const moveArrayItem = (
+  items: TemplateValues[],
+  from: number,
+  to: number
+): TemplateValues[] => {
+  if (from === to || from < 0 || from >= items.length || to < 0 || to >= items.length) {
+    return items;
+  }
+
+  const moved = [...items];
+  const [item] = moved.splice(from, 1);
+  moved.splice(to, 0, item);
+  return moved;
+};
@@ -0,0 +1,106 @@
+import { zipSync } from 'fflate';
+import { encodeCanvas } from './imageEncoder';
+
+interface ZipEntry {
+  name: string;
+  data: Uint8Array;
+}
+
+/**
+ * Encodes a canvas as PNG bytes, off the page where the browser supports it.
+ * @param {HTMLCanvasElement} canvas - The rendered canvas.
+ * @param {number} [dpi] - Resolution to record in the file.
+ * @param {AbortSignal} [signal] - Cancels the encoding.
+ * @returns {Promise<Uint8Array>} The PNG file contents.
+ * @throws {Error} If the browser can't encode the canvas.
+ */
+export const canvasToPngBytes = async (
+  canvas: HTMLCanvasElement,
+  dpi?: number,
+  signal?: AbortSignal
+): Promise<Uint8Array> => {
+  const blob = await encodeCanvas(canvas, 'image/png', { dpi, signal });
+  return new Uint8Array(await blob.arrayBuffer());
+};
+
+/**
+ * Places canvases next to each other on one canvas, top-aligned, with a transparent gap.
+ * Used to show the front and back of a card in one image.
+ * @param {HTMLCanvasElement[]} canvases - The images, left to right.
+ * @param {number} gap - Space between images, in pixels.
+ * @returns {HTMLCanvasElement} The combined image.
+ */
+export const combineCanvasesSideBySide = (canvases: HTMLCanvasElement[], gap: number): HTMLCanvasElement => {
+  const combined = document.createElement('canvas');
+  combined.width = canvases.reduce((width, canvas) => width + canvas.width, 0) + gap * (canvases.length - 1);
+  combined.height = Math.max(...canvases.map(canvas => canvas.height));
+
+  const context = combined.getContext('2d');
+  if (!context) throw new Error('Failed to create the combined image.');
+
+  let x = 0;
+  canvases.forEach(canvas => {
+    context.drawImage(canvas, x, 0);
+    x += canvas.width + gap;
+  });
+  return combined;
+};
+
+/**
+ * Packs files into a zip archive.
+ * Files are stored without compression, since PNGs and PDFs are already compressed.
+ * @param {ZipEntry[]} entries - The files to add; duplicate names get a numeric suffix.
+ * @returns {Blob} The zip file.
+ */
+export const createZip = (entries: ZipEntry[]): Blob => {
+  const files: Record<string, Uint8Array> = {};
+
+  entries.forEach(({ name, data }) => {
+    let uniqueName = name;
+    for (let copy = 2; uniqueName in files; copy++) {
+      uniqueName = name.replace(/(\.[^.]+)?$/, `-${copy}$1`);
+    }
+    files[uniqueName] = data;
+  });
+
+  return new Blob([zipSync(files, { level: 0 })], { type: 'application/zip' });
+};
+
+/**
+ * Downloads a Blob as a file.
+ * @param {Blob} blob - The file contents.
+ * @param {string} filename - Name for the downloaded file.
+ */
+export const downloadBlob = (blob: Blob, filename: string): void => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = filename;
+  link.href = url;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Waits until the browser has painted and every image inside an element has loaded.
+ * Used after swapping the values shown in the preview, before capturing it.
+ * @param {HTMLElement} element - The element about to be captured.
+ * @returns {Promise<void>}
+ */
+export const waitForRender = async (element: HTMLElement): Promise<void> => {
+  await new Promise(resolve => requestAnimationFrame(() => requestAnimationFrame(resolve)));
+
+  const images = Array.from(element.querySelectorAll('img')).filter(image => !image.complete);
+  await Promise.all(
+    images.map(
+      image =>
+        new Promise(resolve => {
+          image.addEventListener('load', resolve, { once: true });
+          image.addEventListener('error', resolve, { once: true });
+        })
+    )
+  );
+};
+
+export type { ZipEntry };
@@ -0,0 +1,122 @@
+import { FormulaEngine } from '../templates/_core/FormulaEngine';
+import { TemplateField, TemplateValues } from '../templates/_core/types';
+import { FieldIssue, validateValues } from './fieldValidation';
+
+// Maps field IDs to the index of the column that fills them
+type ColumnMapping = Record<string, number>;
+
+interface BulkRow {
+  // Position of the row in the file (0-based, not counting the header)
+  index: number;
+  values: TemplateValues;
+  issues: FieldIssue[];
+  // True when a required field is invalid, so the row can't be exported
+  blocked: boolean;
+}
+
+/**
+ * Normalizes a header or field name for matching ('Phone Number' -> 'phonenumber').
+ * @param {string} name - The name to normalize.
+ * @returns {string} The lowercased name without spaces or punctuation.
+ */
+const normalizeName = (name: string): string => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Returns the fields that can be filled from a spreadsheet column.
+ * Calculated fields are computed and array fields need more than one cell, so neither can be mapped.
+ * @param {TemplateField[]} fields - The template fields.
+ * @returns {TemplateField[]} The mappable fields.
+ */
+export const getMappableFields = (fields: TemplateField[]): TemplateField[] =>
+  fields.filter(field => field.type !== 'calculated' && field.type !== 'array');
+
+/**
+ * Matches columns to fields by comparing headers with field IDs and labels.
+ * @param {TemplateField[]} fields - The template fields.
+ * @param {string[]} headers - The column headers.
+ * @returns {ColumnMapping} The columns that were matched.
+ */
+export const suggestColumnMapping = (fields: TemplateField[], headers: string[]): ColumnMapping => {
+  const normalizedHeaders = headers.map(normalizeName);
+  const mapping: ColumnMapping = {};
+
+  getMappableFields(fields).forEach(field => {
+    const index = normalizedHeaders.findIndex(
+      header => header === normalizeName(field.id) || header === normalizeName(field.label)
+    );
+    if (index >= 0) mapping[field.id] = index;
+  });
+
+  return mapping;
+};
+
+/**
+ * Converts a cell to the value type of a field.
+ * @param {TemplateField} field - The field being filled.
+ * @param {string} cell - The cell text.
+ * @returns {any} The field value.
+ */
+const toFieldValue = (field: TemplateField, cell: string): any => {
+  const text = cell.trim();
+
+  if (field.type === 'number') {
+    const number = Number(text.replace(/,/g, ''));
+    return text === '' || isNaN(number) ? text : number;
+  }
+  return field.type === 'text' ? cell : text;
+};
+
+/**
+ * Builds the template values for every spreadsheet row and validates them.
+ * Unmapped fields keep the values from the editor, and calculated fields are recomputed.
+ * @param {TemplateField[]} fields - The template fields.
+ * @param {TemplateValues} baseValues - Values for fields without a column (usually the editor's values).
+ * @param {string[][]} rows - The spreadsheet rows.
+ * @param {ColumnMapping} mapping - Which column fills each field.
+ * @returns {BulkRow[]} One entry per spreadsheet row.
+ */
+export const createBulkRows = (
+  fields: TemplateField[],
+  baseValues: TemplateValues,
+  rows: string[][],
+  mapping: ColumnMapping
+): BulkRow[] => {
+  const formulas = new FormulaEngine(fields);
+  const mappedFields = getMappableFields(fields).filter(field => mapping[field.id] !== undefined);
+
+  return rows.map((row, index) => {
+    let values: TemplateValues = { ...baseValues };
+    mappedFields.forEach(field => {
+      values[field.id] = toFieldValue(field, row[mapping[field.id]] ?? '');
+    });
+    values = formulas.recalculate(values);
+
+    const issues = validateValues(fields, values);
+    return { index, values, issues, blocked: issues.some(issue => issue.blocking) };
+  });
+};
+
+/**
+ * Builds a file name for a row, from a column's text or the row number.
+ * @param {string} prefix - Prefix used when there is no column text (e.g. the template ID).
+ * @param {string[]} row - The spreadsheet row.
+ * @param {number} index - The row's position in the file.
+ * @param {number} [column] - Column to name the file after.
+ * @returns {string} A file name without extension.
+ */
+export const getBulkRowFileName = (
+  prefix: string,
+  row: string[],
+  index: number,
+  column?: number
+): string => {
+  const number = String(index + 1).padStart(3, '0');
+  const slug = (column !== undefined ? row[column] ?? '' : '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+  return slug ? `${number}-${slug}` : `${prefix}-${number}`;
+};
+
+export type { BulkRow, ColumnMapping };
@@ -0,0 +1,107 @@
+interface CsvData {
+  headers: string[];
+  rows: string[][];
+}
+
+// Delimiters used by spreadsheet exports, in order of preference
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guesses the delimiter from the first line of a file.
+ * Spreadsheets in some locales export with semicolons, and "text" exports use tabs.
+ * @param {string} text - The file contents.
+ * @returns {string} The most frequent delimiter outside quotes.
+ */
+const detectDelimiter = (text: string): string => {
+  const counts = new Map<string, number>(DELIMITERS.map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (char === '\n' || char === '\r')) break;
+    else if (!inQuotes && counts.has(char)) counts.set(char, counts.get(char)! + 1);
+  }
+
+  return DELIMITERS.reduce((best, delimiter) =>
+    counts.get(delimiter)! > counts.get(best)! ? delimiter : best
+  );
+};
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, escaped quotes, line breaks inside quotes).
+ * The first row is used as the headers, and blank lines are skipped.
+ * @param {string} text - The file contents.
+ * @param {string} [delimiter] - Field delimiter (detected when omitted).
+ * @returns {CsvData} The headers and the data rows, padded to the header length.
+ * @throws {Error} If the file has no header row.
+ */
+export const parseCsv = (text: string, delimiter: string = detectDelimiter(text)): CsvData => {
+  const records: string[][] = [];
+  let record: string[] = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const endCell = (): void => {
+    record.push(cell);
+    cell = '';
+  };
+  const endRecord = (): void => {
+    endCell();
+    if (record.some(value => value.trim() !== '')) records.push(record);
+    record = [];
+  };
+
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      endRecord();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || record.length > 0) endRecord();
+
+  if (records.length === 0) {
+    throw new Error('The file is empty or has no header row.');
+  }
+
+  const headers = records[0].map((header, index) => header.trim() || `Column ${index + 1}`);
+  const rows = records
+    .slice(1)
+    .map(row => headers.map((_, index) => row[index] ?? ''));
+
+  return { headers, rows };
+};
+
+/**
+ * Serializes rows as CSV, quoting cells where needed.
+ * @param {string[][]} rows - The rows to write (including any header row).
+ * @returns {string} The CSV text.
+ */
+export const toCsv = (rows: string[][]): string =>
+  rows
+    .map(row =>
+      row
+        .map(cell => (/[",\n\r]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell))
+        .join(',')
+    )
+    .join('\r\n');
+
+export type { CsvData };
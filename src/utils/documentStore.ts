@@ -0,0 +1,196 @@
+import {
+  EditorState,
+  StoredTemplateValues,
+  TemplateDocument,
+  TemplateValues,
+} from '../templates/_core/types';
+
+const DB_NAME = 'template-af';
+const DB_VERSION = 1;
+const STORE_NAME = 'documents';
+
+let dbPromise: Promise<IDBDatabase> | null = null;
+
+/**
+ * Opens (and upgrades if needed) the IndexedDB database holding saved documents.
+ * The connection is shared between calls.
+ * @returns {Promise<IDBDatabase>} The open database.
+ */
+const openDatabase = (): Promise<IDBDatabase> => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this environment.'));
+  }
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          store.createIndex('templateId', 'templateId', { unique: false });
+          store.createIndex('updatedAt', 'updatedAt', { unique: false });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error ?? new Error('Failed to open the document database.'));
+      };
+    });
+  }
+
+  return dbPromise;
+};
+
+/**
+ * Runs a single request against the documents store and resolves with its result.
+ * @param {IDBTransactionMode} mode - Transaction mode.
+ * @param {(store: IDBObjectStore) => IDBRequest<T>} run - Creates the request to execute.
+ * @returns {Promise<T>} The request result.
+ */
+const withStore = async <T>(
+  mode: IDBTransactionMode,
+  run: (store: IDBObjectStore) => IDBRequest<T>
+): Promise<T> => {
+  const db = await openDatabase();
+
+  return new Promise<T>((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = run(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error ?? request.error);
+    transaction.onabort = () => reject(transaction.error ?? new Error('Transaction aborted.'));
+  });
+};
+
+/**
+ * Generates a unique document ID.
+ * @returns {string} A new ID.
+ */
+const generateDocumentId = (): string => {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `doc-${Date.now().toString(36)}-${Math.random().toString(36).substring(2, 9)}`;
+};
+
+/**
+ * Lists all saved documents, most recently updated first.
+ * @returns {Promise<TemplateDocument[]>} Saved documents.
+ */
+export const listDocuments = async (): Promise<TemplateDocument[]> => {
+  const documents = await withStore<TemplateDocument[]>('readonly', store => store.getAll());
+  return documents.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+/**
+ * Gets a single document by ID.
+ * @param {string} id - Document ID.
+ * @returns {Promise<TemplateDocument | undefined>} The document, or undefined if it does not exist.
+ */
+export const getDocument = async (id: string): Promise<TemplateDocument | undefined> => {
+  return withStore<TemplateDocument | undefined>('readonly', store => store.get(id));
+};
+
+/**
+ * Creates a new document for a template.
+ * @param {string} templateId - ID of the template the document is an instance of.
+ * @param {string} name - Display name of the document.
+ * @param {TemplateValues} values - Template values to store.
+ * @param {EditorState} editorState - Variant, preview size and back-side state.
+ * @param {Omit<StoredTemplateValues, 'values'>} [schemaState] - Schema version of the values and quarantined values.
+ * @returns {Promise<TemplateDocument>} The created document.
+ */
+export const createDocument = async (
+  templateId: string,
+  name: string,
+  values: TemplateValues,
+  editorState: EditorState,
+  schemaState: Omit<StoredTemplateValues, 'values'> = {}
+): Promise<TemplateDocument> => {
+  const now = Date.now();
+  const document: TemplateDocument = {
+    id: generateDocumentId(),
+    name,
+    templateId,
+    values,
+    ...schemaState,
+    ...editorState,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  await withStore('readwrite', store => store.put(document));
+  return document;
+};
+
+/**
+ * Updates an existing document with the given changes.
+ * @param {string} id - Document ID.
+ * @param {Partial<TemplateDocument>} changes - Fields to overwrite.
+ * @returns {Promise<TemplateDocument>} The updated document.
+ * @throws {Error} If the document does not exist.
+ */
+export const updateDocument = async (
+  id: string,
+  changes: Partial<Omit<TemplateDocument, 'id' | 'createdAt'>>
+): Promise<TemplateDocument> => {
+  const existing = await getDocument(id);
+  if (!existing) {
+    throw new Error(`Document with ID "${id}" not found`);
+  }
+
+  const document: TemplateDocument = {
+    ...existing,
+    ...changes,
+    id,
+    updatedAt: Date.now(),
+  };
+
+  await withStore('readwrite', store => store.put(document));
+  return document;
+};
+
+/**
+ * Renames a document.
+ * @param {string} id - Document ID.
+ * @param {string} name - New display name.
+ * @returns {Promise<TemplateDocument>} The renamed document.
+ */
+export const renameDocument = (id: string, name: string): Promise<TemplateDocument> => {
+  return updateDocument(id, { name });
+};
+
+/**
+ * Creates a copy of a document under a new ID.
+ * @param {string} id - ID of the document to copy.
+ * @returns {Promise<TemplateDocument>} The new copy.
+ * @throws {Error} If the document does not exist.
+ */
+export const duplicateDocument = async (id: string): Promise<TemplateDocument> => {
+  const existing = await getDocument(id);
+  if (!existing) {
+    throw new Error(`Document with ID "${id}" not found`);
+  }
+
+  const { variant, size, showBackSide, templateVersion, quarantine } = existing;
+  return createDocument(
+    existing.templateId,
+    `${existing.name} (copy)`,
+    structuredClone(existing.values),
+    { variant, size, showBackSide },
+    { templateVersion, quarantine: quarantine && structuredClone(quarantine) }
+  );
+};
+
+/**
+ * Deletes a document.
+ * @param {string} id - Document ID.
+ * @returns {Promise<void>}
+ */
+export const deleteDocument = async (id: string): Promise<void> => {
+  await withStore('readwrite', store => store.delete(id));
+};
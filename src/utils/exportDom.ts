@@ -0,0 +1,362 @@
+import { waitForRender } from './bulkExport';
+
+// Helpers for reading the layout of a rendered template, shared by the vector exporters
+
+interface Rgba {
+  r: number;
+  g: number;
+  b: number;
+  a: number;
+}
+
+const colorCache = new Map<string, Rgba | null>();
+let colorContext: CanvasRenderingContext2D | null = null;
+let measureContext: CanvasRenderingContext2D | null = null;
+
+/**
+ * Resolves any CSS color (including oklch, which Tailwind uses) to RGBA.
+ * The browser's canvas does the parsing, so every color the page can use is supported.
+ * @param {string} color - A computed CSS color.
+ * @returns {Rgba | null} The color, or null when it's fully transparent.
+ */
+export const parseColor = (color: string): Rgba | null => {
+  if (!color || color === 'transparent') return null;
+  if (colorCache.has(color)) return colorCache.get(color)!;
+
+  if (!colorContext) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    colorContext = canvas.getContext('2d', { willReadFrequently: true });
+  }
+  if (!colorContext) return null;
+
+  colorContext.clearRect(0, 0, 1, 1);
+  colorContext.fillStyle = '#000000';
+  colorContext.fillStyle = color;
+  colorContext.fillRect(0, 0, 1, 1);
+  const [r, g, b, alpha] = colorContext.getImageData(0, 0, 1, 1).data;
+  const parsed = alpha === 0 ? null : { r, g, b, a: alpha / 255 };
+
+  colorCache.set(color, parsed);
+  return parsed;
+};
+
+/**
+ * Returns the color of an element's background, using the first color stop of gradients,
+ * which the vector exporters can't reproduce.
+ * @param {CSSStyleDeclaration} style - Computed style.
+ * @returns {Rgba | null} The color, or null when there is none.
+ */
+export const getBackgroundColor = (style: CSSStyleDeclaration): Rgba | null => {
+  const color = parseColor(style.backgroundColor);
+  if (color || !style.backgroundImage.includes('gradient(')) return color;
+
+  const firstStop = /(rgba?|hsla?|oklch|oklab|lab|lch|color)\([^)]*\)|#[0-9a-f]{3,8}\b/i.exec(
+    style.backgroundImage
+  );
+  return firstStop ? parseColor(firstStop[0]) : null;
+};
+
+/**
+ * Loads an image URL into an HTMLImageElement.
+ * @param {string} src - The image URL.
+ * @returns {Promise<HTMLImageElement>} The loaded image.
+ */
+export const loadImage = (src: string): Promise<HTMLImageElement> =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    image.crossOrigin = 'anonymous';
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error(`Failed to load image "${src.slice(0, 80)}"`));
+    image.src = src;
+  });
+
+/**
+ * Splits a computed font-family value into lowercase family names.
+ * @param {string} fontFamily - The computed font-family.
+ * @returns {string[]} The families in order of preference.
+ */
+export const getFontFamilies = (fontFamily: string): string[] =>
+  fontFamily.split(',').map(family => family.trim().replace(/^["']|["']$/g, '').toLowerCase());
+
+/**
+ * Sets up the shared canvas used to measure text in a font.
+ * @param {CSSStyleDeclaration} style - Computed style of the text.
+ * @returns {CanvasRenderingContext2D | null} The context, or null when canvas isn't available.
+ */
+const getMeasureContext = (style: CSSStyleDeclaration): CanvasRenderingContext2D | null => {
+  if (!measureContext) {
+    measureContext = document.createElement('canvas').getContext('2d');
+  }
+  if (measureContext) {
+    measureContext.font = `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+  }
+  return measureContext;
+};
+
+/**
+ * Measures a font's ascent and descent in pixels.
+ * @param {CSSStyleDeclaration} style - Computed style of the text.
+ * @returns {{ ascent: number; descent: number }} The font metrics.
+ */
+export const measureFont = (style: CSSStyleDeclaration): { ascent: number; descent: number } => {
+  const fontSize = parseFloat(style.fontSize) || 16;
+  const context = getMeasureContext(style);
+  if (!context) return { ascent: fontSize * 0.8, descent: fontSize * 0.2 };
+
+  const metrics = context.measureText('Hg');
+  return {
+    ascent: metrics.fontBoundingBoxAscent ?? fontSize * 0.8,
+    descent: metrics.fontBoundingBoxDescent ?? fontSize * 0.2,
+  };
+};
+
+/**
+ * Works out where the baseline of a line of text is, centred in its line box like CSS does.
+ * @param {CSSStyleDeclaration} style - Computed style of the text.
+ * @param {DOMRect} rect - The line's bounds.
+ * @returns {number} Distance from the top of the line to the baseline, in pixels.
+ */
+export const getBaselineOffset = (style: CSSStyleDeclaration, rect: DOMRect): number => {
+  const { ascent, descent } = measureFont(style);
+  return (rect.height - (ascent + descent)) / 2 + ascent;
+};
+
+/**
+ * Applies CSS text-transform to a string.
+ * @param {string} text - The source text.
+ * @param {string} transform - The computed text-transform.
+ * @returns {string} The text as displayed.
+ */
+export const applyTextTransform = (text: string, transform: string): string => {
+  switch (transform) {
+    case 'uppercase':
+      return text.toUpperCase();
+    case 'lowercase':
+      return text.toLowerCase();
+    case 'capitalize':
+      return text.replace(/(^|\s)(\S)/g, (_, space, letter) => space + letter.toUpperCase());
+    default:
+      return text;
+  }
+};
+
+/**
+ * Splits a text node into the fragments the browser laid out on each line.
+ * @param {Text} node - The text node.
+ * @returns {{ text: string; rect: DOMRect }[]} One entry per line, with its text and bounds.
+ */
+export const getLineFragments = (node: Text): { text: string; rect: DOMRect }[] => {
+  const fragments: { text: string; left: number; right: number; top: number; bottom: number }[] = [];
+  const range = document.createRange();
+  const content = node.data;
+
+  for (let i = 0; i < content.length; i++) {
+    range.setStart(node, i);
+    range.setEnd(node, i + 1);
+    const rect = Array.from(range.getClientRects()).find(clientRect => clientRect.height > 0);
+    if (!rect) continue;
+
+    const current = fragments[fragments.length - 1];
+    const onSameLine =
+      current && Math.abs(rect.top - current.top) < rect.height / 2 && rect.left >= current.left - 1;
+
+    if (onSameLine) {
+      current.text += content[i];
+      current.right = Math.max(current.right, rect.right);
+      current.bottom = Math.max(current.bottom, rect.bottom);
+    } else {
+      fragments.push({ text: content[i], left: rect.left, right: rect.right, top: rect.top, bottom: rect.bottom });
+    }
+  }
+
+  return fragments
+    .map(({ text, left, right, top, bottom }) => ({
+      text: text.replace(/\s+/g, ' ').trimEnd(),
+      rect: new DOMRect(left, top, right - left, bottom - top),
+    }))
+    .filter(fragment => fragment.text.trim() !== '');
+};
+
+/**
+ * Works out the text shown in a form control and the line it sits on.
+ * @param {HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement} element - The control.
+ * @param {CSSStyleDeclaration} style - Its computed style.
+ * @param {DOMRect} rect - Its bounds.
+ * @returns {{ text: string; rect: DOMRect } | null} The value and its line, or null when it's empty.
+ */
+export const getFormValueLine = (
+  element: HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement,
+  style: CSSStyleDeclaration,
+  rect: DOMRect
+): { text: string; rect: DOMRect } | null => {
+  const text =
+    element instanceof HTMLSelectElement
+      ? element.selectedOptions[0]?.text ?? ''
+      : element.type === 'password'
+        ? '•'.repeat(element.value.length)
+        : element.value;
+  if (!text) return null;
+
+  const paddingLeft = parseFloat(style.paddingLeft) || 0;
+  const borderLeft = parseFloat(style.borderLeftWidth) || 0;
+  const lineHeight = (parseFloat(style.fontSize) || 16) * 1.2;
+  const lineWidth = rect.width - paddingLeft * 2 - borderLeft * 2;
+
+  // Keep the text's natural width rather than stretching it to the whole control
+  const measuredWidth = getMeasureContext(style)?.measureText(text).width ?? lineWidth;
+
+  return {
+    text,
+    rect: new DOMRect(
+      rect.left + paddingLeft + borderLeft,
+      rect.top + (rect.height - lineHeight) / 2,
+      Math.min(measuredWidth, lineWidth),
+      lineHeight
+    ),
+  };
+};
+
+/**
+ * Checks whether a form control shows a text value (rather than e.g. a checkbox).
+ * @param {Element} element - The element.
+ * @returns {boolean} True for text inputs, textareas and selects.
+ */
+export const isTextControl = (
+  element: Element
+): element is HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement => {
+  if (element instanceof HTMLTextAreaElement || element instanceof HTMLSelectElement) return true;
+  return (
+    element instanceof HTMLInputElement &&
+    !['checkbox', 'radio', 'file', 'hidden', 'range', 'color'].includes(element.type)
+  );
+};
+
+/**
+ * Returns the nodes that are rendered as an element's children,
+ * following open shadow roots and slots (used by the editable web components).
+ * @param {Element} element - The element.
+ * @returns {Node[]} The rendered child nodes.
+ */
+export const getRenderedChildren = (element: Element): Node[] => {
+  if (element instanceof HTMLSlotElement) {
+    const assigned = element.assignedNodes({ flatten: true });
+    return assigned.length > 0 ? assigned : Array.from(element.childNodes);
+  }
+  return Array.from((element.shadowRoot ?? element).childNodes);
+};
+
+/**
+ * Collects the lowercase font families used by text inside an element.
+ * @param {Element} root - The element being exported.
+ * @returns {Set<string>} The families.
+ */
+export const collectFontFamilies = (root: Element): Set<string> => {
+  const families = new Set<string>();
+  const visit = (element: Element): void => {
+    getFontFamilies(getComputedStyle(element).fontFamily).forEach(family => families.add(family));
+    getRenderedChildren(element).forEach(child => {
+      if (child instanceof Element) visit(child);
+    });
+  };
+  visit(root);
+  return families;
+};
+
+/**
+ * Encodes bytes as base64.
+ * @param {ArrayBuffer} buffer - The bytes.
+ * @returns {string} The base64 string.
+ */
+export const toBase64 = (buffer: ArrayBuffer): string => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Reads a blob as a data URL.
+ * @param {Blob} blob - The data.
+ * @returns {Promise<string>} The data URL.
+ */
+export const blobToDataUrl = (blob: Blob): Promise<string> =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result as string);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+/**
+ * Fetches an image so it can be embedded in an exported file, keeping its original encoding.
+ * @param {string} src - The image URL.
+ * @returns {Promise<string | null>} A data URL, or null when the image can't be fetched.
+ */
+export const fetchImageAsDataUrl = async (src: string): Promise<string | null> => {
+  if (src.startsWith('data:')) return src;
+
+  try {
+    const response = await fetch(src);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await blobToDataUrl(await response.blob());
+  } catch (error) {
+    // Cross-origin images without CORS headers can't be read
+    console.warn('Skipping image that could not be embedded:', error);
+    return null;
+  }
+};
+
+/**
+ * Makes a laid-out copy of an element for a vector exporter to read,
+ * so editor-only markup can be removed without touching the page.
+ * The copy is added to the page offscreen; remove it once it has been read.
+ * @param {HTMLElement} element - The element to export.
+ * @param {(clonedElement: HTMLElement) => void} [modifyClone] - Changes to make to the copy.
+ * @returns {Promise<HTMLElement>} The copy, once it has painted and its images have loaded.
+ * @throws {Error} If the element has no size.
+ */
+export const cloneForExport = async (
+  element: HTMLElement,
+  modifyClone?: (clonedElement: HTMLElement) => void
+): Promise<HTMLElement> => {
+  const clone = element.cloneNode(true) as HTMLElement;
+  clone.style.position = 'absolute';
+  clone.style.left = '-9999px';
+  clone.style.top = '0';
+  clone.style.width = `${element.offsetWidth}px`;
+  clone.style.height = `${element.offsetHeight}px`;
+  clone.style.transform = 'none';
+  clone.setAttribute('aria-hidden', 'true');
+
+  // cloneNode doesn't copy what has been typed into form controls
+  const sourceControls = element.querySelectorAll('input, textarea, select');
+  clone.querySelectorAll('input, textarea, select').forEach((control, index) => {
+    (control as HTMLInputElement).value = (sourceControls[index] as HTMLInputElement).value;
+  });
+  // ...or what has been drawn on canvases (e.g. QR codes)
+  const sourceCanvases = element.querySelectorAll('canvas');
+  clone.querySelectorAll('canvas').forEach((canvas, index) => {
+    const source = sourceCanvases[index];
+    if (source.width > 0 && source.height > 0) canvas.getContext('2d')?.drawImage(source, 0, 0);
+  });
+  modifyClone?.(clone);
+  document.body.appendChild(clone);
+
+  try {
+    await waitForRender(clone);
+    const rect = clone.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) {
+      throw new Error('The element to export has no size.');
+    }
+    return clone;
+  } catch (error) {
+    clone.remove();
+    throw error;
+  }
+};
+
+export type { Rgba };
@@ -0,0 +1,294 @@
+import { PdfFontSource } from '../templates/_core/types';
+import { downloadBlob } from './bulkExport';
+import { cloneForExport, fetchImageAsDataUrl } from './exportDom';
+import { buildFontStyles } from './exportFonts';
+
+interface ExportElementAsHtmlOptions {
+  filename?: string;
+  modifyClone?: (clonedElement: HTMLElement) => void;
+  // Title of the HTML document
+  title?: string;
+  // Font files to inline, in addition to the @font-face rules found in the page
+  fonts?: PdfFontSource[];
+}
+
+const DEFAULT_FILENAME = 'download';
+
+// Markup that templates only show while editing (e.g. image upload overlays)
+const EDIT_ONLY_SELECTOR = '[data-edit-only]';
+
+// Class names that EditableText adds for its hover and focus outlines
+const EDIT_CLASS_PATTERN = /^(cursor-|outline-|transition|duration-|bg-blue-20$|data-invalid:)/;
+
+// Styles that the editable web components give their host elements from inside their shadow
+// DOM. The shadow DOM (with its toolbars and buttons) isn't exported, so these are inlined.
+const HOST_STYLE_PROPERTIES = [
+  'display',
+  'position',
+  'vertical-align',
+  'box-sizing',
+  'padding',
+  'border-radius',
+  'overflow',
+  'background-color',
+];
+
+// Text styles the exported element inherits from the page
+const INHERITED_STYLE_PROPERTIES = ['color', 'font-family', 'font-size', 'font-weight', 'line-height', 'letter-spacing'];
+
+/**
+ * Replaces the url() references in CSS with data URLs, so the file works offline.
+ * @param {string} css - The CSS text.
+ * @param {string} baseUrl - URL that relative references are resolved against.
+ * @returns {Promise<string>} The CSS with its images inlined.
+ */
+const inlineCssUrls = async (css: string, baseUrl: string): Promise<string> => {
+  const pattern = /url\(\s*(["']?)([^"')]+)\1\s*\)/g;
+  const urls = new Set(Array.from(css.matchAll(pattern), match => match[2]).filter(url => !url.startsWith('data:')));
+
+  const inlined = new Map<string, string>();
+  for (const url of urls) {
+    const absoluteUrl = new URL(url, baseUrl).href;
+    inlined.set(url, (await fetchImageAsDataUrl(absoluteUrl)) ?? absoluteUrl);
+  }
+
+  return css.replace(pattern, (match, _quote, url: string) => (inlined.has(url) ? `url("${inlined.get(url)}")` : match));
+};
+
+/**
+ * Checks whether a style rule applies to anything inside the exported element.
+ * Pseudo-classes and pseudo-elements are ignored, so hover styles and ::before content are kept,
+ * as are global rules (:root, :host and *) that set the variables utility classes rely on.
+ * @param {string} selectorText - The rule's selectors.
+ * @param {HTMLElement} root - The exported element.
+ * @returns {boolean} True when the rule is needed.
+ */
+const isSelectorUsed = (selectorText: string, root: HTMLElement): boolean =>
+  selectorText
+    .replace(/(?<!\\)::?[a-zA-Z-]+(\((?:[^()]|\([^()]*\))*\))?/g, '')
+    .split(',')
+    .some(selector => {
+      const base = selector.trim().replace(/[\s>+~]+$/, '');
+      if (!base) return true;
+      try {
+        return root.matches(base) || root.querySelector(base) !== null;
+      } catch {
+        // Keep selectors the browser can't test rather than risk losing styles
+        return true;
+      }
+    });
+
+/**
+ * Serializes the rules that apply to the exported element, keeping their @media, @supports
+ * and @layer blocks. Font faces are left out; the fonts in use are inlined separately.
+ * @param {CSSRuleList} rules - The rules.
+ * @param {HTMLElement} root - The exported element.
+ * @returns {string} The CSS text.
+ */
+const filterRules = (rules: CSSRuleList, root: HTMLElement): string =>
+  Array.from(rules)
+    .map(rule => {
+      if (rule instanceof CSSStyleRule) return isSelectorUsed(rule.selectorText, root) ? rule.cssText : '';
+      if (rule instanceof CSSFontFaceRule || rule instanceof CSSImportRule) return '';
+      if (rule instanceof CSSGroupingRule) {
+        const inner = filterRules(rule.cssRules, root);
+        return inner ? `${rule.cssText.slice(0, rule.cssText.indexOf('{'))}{\n${inner}\n}` : '';
+      }
+      return rule.cssText;
+    })
+    .filter(Boolean)
+    .join('\n');
+
+/**
+ * Collects the page's CSS (the app styles and each template's styles.css) that the exported
+ * element uses, with its images inlined. Cross-origin stylesheets that can't be read are skipped.
+ * @param {HTMLElement} root - The exported element.
+ * @returns {Promise<string>} The CSS text.
+ */
+const collectStyles = async (root: HTMLElement): Promise<string> => {
+  const parts: string[] = [];
+
+  for (const sheet of Array.from(document.styleSheets)) {
+    let rules: CSSRuleList;
+    try {
+      rules = sheet.cssRules;
+    } catch {
+      continue;
+    }
+    const css = filterRules(rules, root);
+    if (css) parts.push(await inlineCssUrls(css, sheet.href ?? document.baseURI));
+  }
+
+  return parts.join('\n');
+};
+
+/**
+ * Copies what the page shows for an element onto its copy in the exported document:
+ * form values, images and canvases as data URLs, and the styles of web component hosts.
+ * Edit affordances (contenteditable, outlines, validation highlights) are removed.
+ * @param {Element} source - The laid-out element (in the copy made by cloneForExport, which
+ * carries over form values and canvas pixels).
+ * @param {Element} copy - Its copy in the exported document.
+ * @returns {Promise<void>}
+ */
+const inlineElement = async (source: Element, copy: Element): Promise<void> => {
+  if (copy.hasAttribute('contenteditable')) {
+    copy.removeAttribute('contenteditable');
+    copy.removeAttribute('title');
+    const classes = Array.from(copy.classList).filter(name => EDIT_CLASS_PATTERN.test(name));
+    copy.classList.remove(...classes);
+  }
+  copy.removeAttribute('data-invalid');
+
+  const style = copy.getAttribute('style');
+  if (style?.includes('url(')) copy.setAttribute('style', await inlineCssUrls(style, document.baseURI));
+
+  if (source.shadowRoot) {
+    const computed = getComputedStyle(source);
+    const hostStyle = HOST_STYLE_PROPERTIES.map(property => `${property}: ${computed.getPropertyValue(property)}`);
+    copy.setAttribute('style', `${hostStyle.join('; ')}; ${copy.getAttribute('style') ?? ''}`.trim());
+  }
+
+  if (source instanceof HTMLImageElement && copy instanceof HTMLImageElement) {
+    const src = source.currentSrc || source.src;
+    if (src) copy.setAttribute('src', (await fetchImageAsDataUrl(src)) ?? src);
+    copy.removeAttribute('srcset');
+    copy.removeAttribute('loading');
+  } else if (source instanceof SVGImageElement) {
+    const href = source.href.baseVal;
+    if (href) copy.setAttribute('href', (await fetchImageAsDataUrl(new URL(href, document.baseURI).href)) ?? href);
+  } else if (source instanceof HTMLCanvasElement) {
+    // Canvases (e.g. QR codes) become images of what they show
+    try {
+      const image = copy.ownerDocument.createElement('img');
+      Array.from(copy.attributes).forEach(attribute => image.setAttribute(attribute.name, attribute.value));
+      const rect = source.getBoundingClientRect();
+      image.setAttribute('src', source.toDataURL('image/png'));
+      image.style.width = `${rect.width}px`;
+      image.style.height = `${rect.height}px`;
+      copy.replaceWith(image);
+    } catch (error) {
+      console.warn('Skipping canvas that could not be embedded:', error);
+    }
+  } else if (source instanceof HTMLAnchorElement && source.href) {
+    copy.setAttribute('href', source.href);
+  } else if (source instanceof HTMLTextAreaElement) {
+    copy.textContent = source.value;
+  } else if (source instanceof HTMLSelectElement) {
+    Array.from(copy.querySelectorAll('option')).forEach((option, index) =>
+      option.toggleAttribute('selected', index === source.selectedIndex)
+    );
+  } else if (source instanceof HTMLInputElement) {
+    if (source.type === 'checkbox' || source.type === 'radio') {
+      copy.toggleAttribute('checked', source.checked);
+    } else {
+      copy.setAttribute('value', source.value);
+    }
+  }
+};
+
+/**
+ * Serializes rendered HTML elements to a standalone HTML document that looks the same offline.
+ *
+ * The markup keeps its classes, with the CSS rules that apply to it (including each template's
+ * styles.css) inlined in a style element. Images and canvases are embedded as data URLs and the
+ * fonts the text uses are inlined as @font-face rules when their files can be fetched.
+ * Edit affordances are stripped: contenteditable and its outlines, validation highlights,
+ * elements marked with data-edit-only, and the toolbars of the editable web components.
+ *
+ * @param {HTMLElement | HTMLElement[] | null} element - The HTML element to serialize, or several
+ * (e.g. both sides of a card) to show one after another.
+ * @param {ExportElementAsHtmlOptions} [options={}] - Optional configuration (filename is ignored).
+ * @returns {Promise<string>} The HTML document.
+ * @throws {Error} If element is invalid or has no size.
+ */
+export const renderElementToHtml = async (
+  element: HTMLElement | HTMLElement[] | null,
+  options: ExportElementAsHtmlOptions = {}
+): Promise<string> => {
+  const elements = Array.isArray(element) ? element : [element];
+  if (elements.length === 0 || !elements.every(item => item instanceof HTMLElement)) {
+    console.error("Invalid element provided:", element);
+    throw new Error("Invalid HTML element provided. Must be a valid DOM element.");
+  }
+
+  const { modifyClone, title = document.title, fonts = [] } = options;
+  const clones: HTMLElement[] = [];
+
+  try {
+    for (const item of elements) {
+      clones.push(await cloneForExport(item, modifyClone));
+    }
+
+    // A separate document doesn't upgrade custom elements, so their light DOM is copied as is
+    const output = document.implementation.createHTMLDocument(title);
+    const container = output.createElement('div');
+    const inherited = getComputedStyle(document.body);
+    container.setAttribute(
+      'style',
+      [
+        ...INHERITED_STYLE_PROPERTIES.map(property => `${property}: ${inherited.getPropertyValue(property)}`),
+        'display: flex',
+        'flex-direction: column',
+        'align-items: flex-start',
+        'gap: 24px',
+      ].join('; ')
+    );
+
+    const styles: string[] = [];
+    for (const clone of clones) {
+      const copy = output.importNode(clone, true);
+      const sources = [clone, ...Array.from(clone.querySelectorAll('*'))];
+      const copies = [copy, ...Array.from(copy.querySelectorAll('*'))];
+      for (const [index, source] of sources.entries()) {
+        await inlineElement(source, copies[index]);
+      }
+      copy.querySelectorAll(EDIT_ONLY_SELECTOR).forEach(editOnly => editOnly.remove());
+
+      // Undo cloneForExport's offscreen positioning, keeping the size it fixed
+      ['position', 'left', 'top'].forEach(property => copy.style.removeProperty(property));
+      copy.removeAttribute('aria-hidden');
+      container.appendChild(copy);
+
+      styles.push(await buildFontStyles(clone, fonts), await collectStyles(clone));
+    }
+
+    const charset = output.createElement('meta');
+    charset.setAttribute('charset', 'utf-8');
+    const viewport = output.createElement('meta');
+    viewport.setAttribute('name', 'viewport');
+    viewport.setAttribute('content', 'width=device-width, initial-scale=1');
+    const style = output.createElement('style');
+    // Styles shared by several elements are only written once
+    style.textContent = [...new Set(styles.filter(Boolean)), 'body { margin: 0; }'].join('\n');
+    output.head.prepend(charset, viewport);
+    output.head.appendChild(style);
+    output.body.appendChild(container);
+
+    return `<!DOCTYPE html>\n${output.documentElement.outerHTML}`;
+  } finally {
+    clones.forEach(clone => clone.remove());
+  }
+};
+
+/**
+ * Exports HTML elements as a self-contained HTML file.
+ *
+ * Serializes the elements with renderElementToHtml and triggers a download.
+ *
+ * @param {HTMLElement | HTMLElement[] | null} element - The HTML element to export, or several.
+ * @param {ExportElementAsHtmlOptions} [options={}] - Optional configuration.
+ * @returns {Promise<void>} A promise that resolves when download is initiated, or rejects on error.
+ * @throws {Error} If element is invalid or has no size.
+ */
+export const exportElementAsHtml = async (
+  element: HTMLElement | HTMLElement[] | null,
+  options: ExportElementAsHtmlOptions = {}
+): Promise<void> => {
+  const { filename = DEFAULT_FILENAME } = options;
+
+  const html = await renderElementToHtml(element, options);
+  downloadBlob(new Blob([html], { type: 'text/html' }), `${filename}.html`);
+};
+
+export type { ExportElementAsHtmlOptions };
@@ -1,6 +1,10 @@
 import html2canvas from 'html2canvas-pro';
 // If using TypeScript and have @types/html2canvas installed:
 import type { Options } from 'html2canvas-pro';
+import { downloadBlob } from './bulkExport';
+import { ExportProgressCallback, scaleProgress, throwIfCancelled } from './exportJob';
+import { encodeCanvas } from './imageEncoder';
+import { convertLength, LengthUnit } from './pdfExport';
 
 // Interface definition as above...
 interface ExportElementAsImageOptions {
@@ -10,8 +14,21 @@ interface ExportElementAsImageOptions {
   renderDelay?: number;
   format?: string;
   quality?: number;
+  // Physical size of the image (e.g. the template's print dimensions). With dpi,
+  // the image is rendered at exactly that many pixels, whatever the screen size.
+  // Sizes in px are rendered at exactly that many pixels without a dpi
+  printSize?: { width: number; height: number; unit: LengthUnit };
+  // Resolution written into PNG and JPEG files
+  dpi?: number;
+  // Cancels the export between steps; it then rejects with an AbortError
+  signal?: AbortSignal;
+  onProgress?: ExportProgressCallback;
 }
 
+// Resolutions offered for print-sized images
+export const DPI_OPTIONS = [150, 300, 600];
+export const DEFAULT_DPI = 300;
+
 const DEFAULT_H2C_OPTIONS: Partial<Options> = {
   scale: 2, // Consider if this high scale is always needed, affects performance/size
   useCORS: true,
@@ -51,22 +68,45 @@ const getExtensionFromFormat = (format: string): string => {
 };
 
 /**
- * Exports a given HTML element as an image in the specified format.
+ * Works out the pixel size of an image from its physical size and resolution,
+ * e.g. 1050 × 600 for a 3.5 × 2 in card at 300 DPI. Sizes in px are used as they are.
+ * @param {{ width: number; height: number; unit: LengthUnit }} printSize - The physical size.
+ * @param {number} [dpi] - The resolution in dots per inch (ignored for sizes in px).
+ * @returns {{ width: number; height: number } | null} The size in pixels, or null without a DPI for a physical size.
+ */
+export const getPixelSize = (
+  printSize: { width: number; height: number; unit: LengthUnit },
+  dpi?: number
+): { width: number; height: number } | null => {
+  if (printSize.unit === 'px') {
+    return { width: Math.round(printSize.width), height: Math.round(printSize.height) };
+  }
+  if (!dpi) return null;
+  return {
+    width: Math.round(convertLength(printSize.width, printSize.unit, 'in') * dpi),
+    height: Math.round(convertLength(printSize.height, printSize.unit, 'in') * dpi),
+  };
+};
+
+/**
+ * Renders a given HTML element to a canvas.
  *
- * Clones the element, applies optional modifications, renders using html2canvas,
- * encodes the canvas to the desired format/quality, and triggers a download.
+ * Clones the element, applies optional modifications, and renders the clone
+ * using html2canvas. The clone is always removed afterwards.
  *
- * @param {HTMLElement | null} element - The HTML element to export.
- * @param {ExportElementAsImageOptions} [options={}] - Optional configuration.
- * @returns {Promise<void>} A promise that resolves when download is initiated, or rejects on error.
+ * @param {HTMLElement | null} element - The HTML element to render.
+ * @param {ExportElementAsImageOptions} [options={}] - Optional configuration (filename, format and quality are ignored).
+ * With printSize and dpi, the canvas is exactly the print size at that resolution
+ * (or exactly printSize, when it's in px).
+ * @returns {Promise<HTMLCanvasElement>} The rendered canvas.
  * @throws {Error} If element is invalid or html2canvas fails.
  */
-export const exportElementAsImage = async (
+export const renderElementToCanvas = async (
   element: HTMLElement | null,
   options: ExportElementAsImageOptions = {}
-): Promise<void> => {
+): Promise<HTMLCanvasElement> => {
   if (typeof window === 'undefined' || typeof document === 'undefined') {
-    throw new Error("exportElementAsImage can only be run in a browser environment.");
+    throw new Error("renderElementToCanvas can only be run in a browser environment.");
   }
   if (!(element instanceof HTMLElement)) {
     console.error("Invalid element provided:", element);
@@ -74,12 +114,13 @@ export const exportElementAsImage = async (
   }
 
   const {
-    filename = DEFAULT_FILENAME,
     html2canvasOptions = {},
     modifyClone,
     renderDelay = DEFAULT_RENDER_DELAY,
-    format = DEFAULT_FORMAT, // Use the default format
-    quality = DEFAULT_QUALITY // Quality remains optional
+    printSize,
+    dpi,
+    signal,
+    onProgress,
   } = options;
 
   const originalElement = element;
@@ -105,51 +146,93 @@ export const exportElementAsImage = async (
     if (renderDelay > 0) {
       await delay(renderDelay);
     }
+    throwIfCancelled(signal);
+    onProgress?.(0.1, 'Rendering');
+
+    // Print-sized images are scaled to their exact pixel size rather than the screen size
+    const pixelSize = printSize ? getPixelSize(printSize, dpi) : null;
+    // Content that isn't the shape of the print size (e.g. an invoice laid out over
+    // several pages) keeps its own height instead of being squashed into it
+    if (pixelSize) {
+      const height = Math.round((pixelSize.width * clonedElement.offsetHeight) / clonedElement.offsetWidth);
+      if (Math.abs(height - pixelSize.height) > pixelSize.height * 0.01) pixelSize.height = height;
+    }
 
     const finalH2cOptions: Partial<Options> = {
       ...DEFAULT_H2C_OPTIONS,
       width: html2canvasOptions.width ?? clonedElement.offsetWidth,
       height: html2canvasOptions.height ?? clonedElement.offsetHeight,
+      ...(pixelSize && { scale: pixelSize.width / clonedElement.offsetWidth }),
       ...html2canvasOptions,
     };
 
     // --- 8. Render Clone with html2canvas ---
     const canvas = await html2canvas(clonedElement, finalH2cOptions);
-
-    // --- 9. Generate Data URL with specified format & quality ---
-    let dataUrl: string;
-    // Check if quality is provided (not null/undefined) and is a number
-    // Pass quality only if it's explicitly provided and valid for the format type
-    // Note: toDataURL ignores quality for PNG. Browsers handle invalid quality values gracefully (clamping).
-    if (typeof quality === 'number' && quality >= 0 && quality <= 1) {
-        console.log(`Exporting as ${format} with quality ${quality}`);
-        dataUrl = canvas.toDataURL(format, quality);
-    } else {
-        console.log(`Exporting as ${format} with default quality`);
-        dataUrl = canvas.toDataURL(format); // Use browser default quality or ignore if PNG
+    // html2canvas can't be stopped part-way, so a cancelled render is dropped here
+    throwIfCancelled(signal);
+    onProgress?.(1, 'Rendering');
+    if (!pixelSize || (canvas.width === pixelSize.width && canvas.height === pixelSize.height)) {
+      return canvas;
     }
 
-
-    // --- 10. Determine File Extension and Trigger Download ---
-    const extension = getExtensionFromFormat(format);
-    const link = document.createElement('a');
-    link.download = `${filename}.${extension}`; // Use dynamic extension
-    link.href = dataUrl;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    link.remove(); // Extra cleanup just in case
-
-  } catch (error) {
-    console.error("Error exporting element as image:", error);
-    throw error;
+    // Rounding can leave the render a pixel off; resample it to the exact size
+    const exact = document.createElement('canvas');
+    exact.width = pixelSize.width;
+    exact.height = pixelSize.height;
+    exact.getContext('2d')?.drawImage(canvas, 0, 0, exact.width, exact.height);
+    return exact;
   } finally {
-    // --- 11. Cleanup: ALWAYS Remove the Clone ---
+    // --- 9. Cleanup: ALWAYS Remove the Clone ---
     if (clonedElement) {
       clonedElement.remove();
     }
   }
 };
 
+/**
+ * Exports a given HTML element as an image in the specified format.
+ *
+ * Renders the element with renderElementToCanvas, encodes the canvas to the
+ * desired format/quality in a Web Worker where supported (recording the DPI, when given),
+ * and triggers a download. Errors are passed on to the caller to report.
+ *
+ * @param {HTMLElement | null} element - The HTML element to export.
+ * @param {ExportElementAsImageOptions} [options={}] - Optional configuration.
+ * @returns {Promise<void>} A promise that resolves when download is initiated, or rejects on error.
+ * @throws {Error} If element is invalid or html2canvas fails; an AbortError (DOMException) when cancelled.
+ */
+export const exportElementAsImage = async (
+  element: HTMLElement | null,
+  options: ExportElementAsImageOptions = {}
+): Promise<void> => {
+  const {
+    filename = DEFAULT_FILENAME,
+    format = DEFAULT_FORMAT, // Use the default format
+    quality = DEFAULT_QUALITY, // Quality remains optional
+    dpi,
+    signal,
+    onProgress,
+  } = options;
+
+  // Rendering is most of the work; encoding happens in a worker where supported
+  const canvas = await renderElementToCanvas(element, {
+    ...options,
+    onProgress: scaleProgress(onProgress, 0, 0.8),
+  });
+
+  // --- Encode with specified format & quality ---
+  // Pass quality only if it's valid for the format type (it's ignored for PNG).
+  // The resolution is written into the file, so it opens at its print size.
+  onProgress?.(0.8, 'Encoding');
+  const validQuality =
+    typeof quality === 'number' && quality >= 0 && quality <= 1 ? quality : undefined;
+  const blob = await encodeCanvas(canvas, format, { quality: validQuality, dpi, signal });
+
+  // --- Determine File Extension and Trigger Download ---
+  const extension = getExtensionFromFormat(blob.type);
+  downloadBlob(blob, `${filename}.${extension}`);
+  onProgress?.(1, 'Done');
+};
+
 // Optional: Export the type for consumers if needed
 export type { ExportElementAsImageOptions };
\ No newline at end of file
@@ -0,0 +1,417 @@
+import { PdfFontSource } from '../templates/_core/types';
+import { downloadBlob } from './bulkExport';
+import {
+  applyTextTransform,
+  cloneForExport,
+  fetchImageAsDataUrl,
+  getBackgroundColor,
+  getBaselineOffset,
+  getFormValueLine,
+  getLineFragments,
+  getRenderedChildren,
+  isTextControl,
+  parseColor,
+  Rgba,
+} from './exportDom';
+import { buildFontStyles } from './exportFonts';
+import { LengthUnit } from './pdfExport';
+
+interface ExportElementAsSvgOptions {
+  filename?: string;
+  modifyClone?: (clonedElement: HTMLElement) => void;
+  // Physical size of the document (e.g. the template's print dimensions);
+  // defaults to the element's size in pixels
+  size?: { width: number; height: number; unit: LengthUnit };
+  // Font files to inline, in addition to the @font-face rules found in the page
+  fonts?: PdfFontSource[];
+}
+
+interface SvgContext {
+  // Root element's top-left corner in the viewport
+  rootLeft: number;
+  rootTop: number;
+  parts: string[];
+  nextClipId: number;
+}
+
+const DEFAULT_FILENAME = 'download';
+
+/**
+ * Escapes text for use in SVG markup and attribute values.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+const escapeXml = (text: string): string =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Rounds a coordinate so the markup stays short.
+ * @param {number} value - The number.
+ * @returns {string} The number with at most two decimals.
+ */
+const formatNumber = (value: number): string => String(Math.round(value * 100) / 100);
+
+/**
+ * Builds SVG attributes from a map, skipping empty values.
+ * @param {Record<string, string | number | undefined>} attributes - Attribute names and values.
+ * @returns {string} The attributes, each with a leading space.
+ */
+const toAttributes = (attributes: Record<string, string | number | undefined>): string =>
+  Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([name, value]) => ` ${name}="${escapeXml(typeof value === 'number' ? formatNumber(value) : value!)}"`)
+    .join('');
+
+/**
+ * Returns the fill (or stroke) attributes for a color.
+ * Hex colors are used because design tools read them more reliably than modern CSS colors.
+ * @param {Rgba} color - The color.
+ * @param {'fill' | 'stroke'} [property='fill'] - Which paint to set.
+ * @returns {Record<string, string | number | undefined>} The paint attributes.
+ */
+const paint = (color: Rgba, property: 'fill' | 'stroke' = 'fill'): Record<string, string | number | undefined> => ({
+  [property]: `#${[color.r, color.g, color.b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`,
+  [`${property}-opacity`]: color.a < 1 ? color.a : undefined,
+});
+
+/**
+ * Returns an element's box relative to the exported root, in CSS pixels.
+ * @param {SvgContext} context - The export context.
+ * @param {DOMRect} rect - A viewport rectangle.
+ * @returns {{ x: number; y: number; width: number; height: number }} The box in the SVG.
+ */
+const toSvgBox = (context: SvgContext, rect: DOMRect) => ({
+  x: rect.left - context.rootLeft,
+  y: rect.top - context.rootTop,
+  width: rect.width,
+  height: rect.height,
+});
+
+/**
+ * Reads the corner radius (of the top-left corner, which SVG rectangles use for every corner).
+ * @param {CSSStyleDeclaration} style - Computed style.
+ * @param {DOMRect} rect - The element's bounds.
+ * @returns {number} The radius in pixels.
+ */
+const getRadius = (style: CSSStyleDeclaration, rect: DOMRect): number => {
+  const value = style.borderTopLeftRadius;
+  const radius = value.endsWith('%')
+    ? (parseFloat(value) / 100) * Math.min(rect.width, rect.height)
+    : parseFloat(value) || 0;
+  return Math.min(radius, rect.width / 2, rect.height / 2);
+};
+
+/**
+ * Maps object-fit or background-size to an SVG preserveAspectRatio value.
+ * @param {string} fit - 'fill', 'contain', 'cover', 'scale-down' or 'none'.
+ * @returns {string} The preserveAspectRatio value.
+ */
+const getAspectRatio = (fit: string): string =>
+  fit === 'contain' || fit === 'scale-down' ? 'xMidYMid meet' : fit === 'cover' ? 'xMidYMid slice' : 'none';
+
+/**
+ * Adds an embedded image.
+ */
+const addImage = (
+  context: SvgContext,
+  href: string,
+  rect: DOMRect,
+  fit: string,
+  radius: number
+): void => {
+  const box = toSvgBox(context, rect);
+
+  // Rounded images are clipped to their corners
+  let clipPath: string | undefined;
+  if (radius > 0) {
+    const id = `clip-${context.nextClipId++}`;
+    context.parts.push(`<clipPath id="${id}"><rect${toAttributes({ ...box, rx: radius })}/></clipPath>`);
+    clipPath = `url(#${id})`;
+  }
+
+  context.parts.push(
+    `<image${toAttributes({ ...box, href, preserveAspectRatio: getAspectRatio(fit), 'clip-path': clipPath })}/>`
+  );
+};
+
+/**
+ * Adds an element's background color and borders.
+ * Uniform borders are stroked as one (rounded) rectangle; mixed borders are drawn side by side.
+ */
+const addBox = (context: SvgContext, style: CSSStyleDeclaration, rect: DOMRect, radius: number): void => {
+  const box = toSvgBox(context, rect);
+  const background = getBackgroundColor(style);
+  if (background) {
+    context.parts.push(`<rect${toAttributes({ ...box, rx: radius || undefined, ...paint(background) })}/>`);
+  }
+
+  const sides = (['top', 'right', 'bottom', 'left'] as const).map(side => ({
+    side,
+    width: parseFloat(style.getPropertyValue(`border-${side}-width`)) || 0,
+    lineStyle: style.getPropertyValue(`border-${side}-style`),
+    color: parseColor(style.getPropertyValue(`border-${side}-color`)),
+  }));
+  const visible = sides.filter(
+    ({ width, lineStyle, color }) => width > 0 && color && lineStyle !== 'none' && lineStyle !== 'hidden'
+  );
+  if (visible.length === 0) return;
+
+  const first = visible[0];
+  const uniform =
+    visible.length === 4 &&
+    visible.every(
+      ({ width, lineStyle, color }) =>
+        width === first.width &&
+        lineStyle === first.lineStyle &&
+        color!.r === first.color!.r &&
+        color!.g === first.color!.g &&
+        color!.b === first.color!.b &&
+        color!.a === first.color!.a
+    );
+
+  if (uniform) {
+    const inset = first.width / 2;
+    const dashes =
+      first.lineStyle === 'dashed'
+        ? `${first.width * 3} ${first.width * 2}`
+        : first.lineStyle === 'dotted'
+          ? `${first.width} ${first.width}`
+          : undefined;
+
+    context.parts.push(
+      `<rect${toAttributes({
+        x: box.x + inset,
+        y: box.y + inset,
+        width: box.width - first.width,
+        height: box.height - first.width,
+        rx: radius > inset ? radius - inset : undefined,
+        fill: 'none',
+        ...paint(first.color!, 'stroke'),
+        'stroke-width': first.width,
+        'stroke-dasharray': dashes,
+      })}/>`
+    );
+    return;
+  }
+
+  visible.forEach(({ side, width, color }) => {
+    const edge =
+      side === 'top'
+        ? { x: box.x, y: box.y, width: box.width, height: width }
+        : side === 'bottom'
+          ? { x: box.x, y: box.y + box.height - width, width: box.width, height: width }
+          : side === 'left'
+            ? { x: box.x, y: box.y, width, height: box.height }
+            : { x: box.x + box.width - width, y: box.y, width, height: box.height };
+    context.parts.push(`<rect${toAttributes({ ...edge, ...paint(color!) })}/>`);
+  });
+};
+
+/**
+ * Adds a line of text as an SVG text element, so it stays editable in design tools.
+ */
+const addTextRun = (context: SvgContext, style: CSSStyleDeclaration, text: string, rect: DOMRect): void => {
+  const color = parseColor(style.color);
+  if (!color) return;
+
+  const box = toSvgBox(context, rect);
+  const letterSpacing = parseFloat(style.letterSpacing);
+  const displayText = applyTextTransform(text.trimStart(), style.textTransform);
+
+  context.parts.push(
+    `<text${toAttributes({
+      x: box.x,
+      // Place the baseline where the browser did
+      y: box.y + getBaselineOffset(style, rect),
+      // Quote family names with single quotes so they survive as an attribute
+      'font-family': style.fontFamily.replace(/"/g, "'"),
+      'font-size': parseFloat(style.fontSize) || 16,
+      'font-weight': style.fontWeight !== '400' ? style.fontWeight : undefined,
+      'font-style': style.fontStyle !== 'normal' ? style.fontStyle : undefined,
+      'letter-spacing': letterSpacing || undefined,
+      'text-decoration': style.textDecorationLine.includes('underline') ? 'underline' : undefined,
+      ...paint(color),
+    })} xml:space="preserve">${escapeXml(displayText)}</text>`
+  );
+};
+
+/**
+ * Adds an inline SVG (e.g. an icon) as a nested SVG, keeping it as vector artwork.
+ */
+const addInlineSvg = (context: SvgContext, svg: SVGSVGElement, style: CSSStyleDeclaration, rect: DOMRect): void => {
+  const copy = svg.cloneNode(true) as SVGSVGElement;
+  const box = toSvgBox(context, rect);
+  copy.setAttribute('x', formatNumber(box.x));
+  copy.setAttribute('y', formatNumber(box.y));
+  copy.setAttribute('width', formatNumber(box.width));
+  copy.setAttribute('height', formatNumber(box.height));
+  copy.removeAttribute('class');
+
+  // Keep currentColor working without the page's stylesheets
+  const color = parseColor(style.color);
+  if (color) copy.setAttribute('color', paint(color).fill as string);
+
+  context.parts.push(new XMLSerializer().serializeToString(copy));
+};
+
+/**
+ * Adds an element and its descendants, in document order.
+ */
+const addNode = async (context: SvgContext, node: Node): Promise<void> => {
+  if (node.nodeType === Node.TEXT_NODE) {
+    const parent = (node.parentElement ?? (node.parentNode as ShadowRoot | null)?.host) as Element | null;
+    if (!parent) return;
+
+    const style = getComputedStyle(parent);
+    if (style.visibility === 'hidden') return;
+
+    getLineFragments(node as Text).forEach(({ text, rect }) => addTextRun(context, style, text, rect));
+    return;
+  }
+
+  if (!(node instanceof Element)) return;
+
+  const style = getComputedStyle(node);
+  if (style.display === 'none') return;
+
+  const opacity = parseFloat(style.opacity) || 0;
+  if (opacity === 0) return;
+
+  const rect = node.getBoundingClientRect();
+  const radius = getRadius(style, rect);
+  const isVisible = style.visibility !== 'hidden' && style.display !== 'contents';
+  const hasSize = rect.width > 0 && rect.height > 0;
+
+  // Opacity is kept as a group, so it applies to the element as a whole like in CSS
+  if (opacity < 1) context.parts.push(`<g opacity="${formatNumber(opacity)}">`);
+
+  if (isVisible && hasSize) {
+    addBox(context, style, rect, radius);
+
+    const backgroundUrl = /url\(["']?(.*?)["']?\)/.exec(style.backgroundImage)?.[1];
+    if (backgroundUrl) {
+      const href = await fetchImageAsDataUrl(backgroundUrl);
+      const size = style.backgroundSize;
+      if (href) addImage(context, href, rect, size === 'cover' || size === 'contain' ? size : 'fill', radius);
+    }
+  }
+
+  if (node instanceof HTMLImageElement) {
+    if (isVisible && hasSize && node.complete && node.naturalWidth > 0) {
+      const href = await fetchImageAsDataUrl(node.currentSrc || node.src);
+      if (href) addImage(context, href, rect, style.objectFit, radius);
+    }
+  } else if (node instanceof HTMLCanvasElement) {
+    if (isVisible && hasSize) {
+      try {
+        addImage(context, node.toDataURL('image/png'), rect, style.objectFit, radius);
+      } catch (error) {
+        console.warn('Skipping canvas that could not be embedded in the SVG:', error);
+      }
+    }
+  } else if (node instanceof SVGSVGElement) {
+    if (isVisible && hasSize) addInlineSvg(context, node, style, rect);
+  } else if (isTextControl(node)) {
+    // Form controls are written as their value
+    const line = isVisible ? getFormValueLine(node, style, rect) : null;
+    if (line) addTextRun(context, style, line.text, line.rect);
+  } else {
+    const clips = style.overflow !== 'visible' && style.display !== 'contents' && hasSize;
+    if (clips) {
+      const id = `clip-${context.nextClipId++}`;
+      context.parts.push(
+        `<clipPath id="${id}"><rect${toAttributes({ ...toSvgBox(context, rect), rx: radius || undefined })}/></clipPath>`,
+        `<g clip-path="url(#${id})">`
+      );
+    }
+
+    for (const child of getRenderedChildren(node)) {
+      await addNode(context, child);
+    }
+
+    if (clips) context.parts.push('</g>');
+  }
+
+  if (opacity < 1) context.parts.push('</g>');
+};
+
+/**
+ * Serializes a rendered HTML element to a standalone SVG document.
+ *
+ * The SVG is made of native shapes, so it can be edited in design tools such as Figma or
+ * Illustrator: text is written as text elements, backgrounds and borders as rectangles,
+ * inline SVGs (icons) as nested vector artwork, and images and canvases are embedded.
+ * The fonts the text uses are inlined as @font-face rules when their files can be fetched.
+ *
+ * @param {HTMLElement | null} element - The HTML element to serialize.
+ * @param {ExportElementAsSvgOptions} [options={}] - Optional configuration (filename is ignored).
+ * @returns {Promise<string>} The SVG markup.
+ * @throws {Error} If element is invalid or has no size.
+ */
+export const renderElementToSvg = async (
+  element: HTMLElement | null,
+  options: ExportElementAsSvgOptions = {}
+): Promise<string> => {
+  if (!(element instanceof HTMLElement)) {
+    console.error("Invalid element provided:", element);
+    throw new Error("Invalid HTML element provided. Must be a valid DOM element.");
+  }
+
+  const { modifyClone, size, fonts = [] } = options;
+  const clone = await cloneForExport(element, modifyClone);
+
+  try {
+    const rect = clone.getBoundingClientRect();
+    const context: SvgContext = { rootLeft: rect.left, rootTop: rect.top, parts: [], nextClipId: 0 };
+    await addNode(context, clone);
+
+    const fontStyles = await buildFontStyles(clone, fonts);
+    const svgAttributes = toAttributes({
+      xmlns: 'http://www.w3.org/2000/svg',
+      width: size ? `${formatNumber(size.width)}${size.unit}` : rect.width,
+      height: size ? `${formatNumber(size.height)}${size.unit}` : rect.height,
+      viewBox: `0 0 ${formatNumber(rect.width)} ${formatNumber(rect.height)}`,
+    });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg${svgAttributes}>`,
+      ...(fontStyles ? [`<defs><style>${escapeXml(fontStyles)}</style></defs>`] : []),
+      ...context.parts,
+      '</svg>',
+    ].join('\n');
+  } finally {
+    clone.remove();
+  }
+};
+
+/**
+ * Exports a given HTML element as an SVG file.
+ *
+ * Serializes the element with renderElementToSvg and triggers a download.
+ *
+ * @param {HTMLElement | null} element - The HTML element to export.
+ * @param {ExportElementAsSvgOptions} [options={}] - Optional configuration.
+ * @returns {Promise<void>} A promise that resolves when download is initiated, or rejects on error.
+ * @throws {Error} If element is invalid or has no size.
+ */
+export const exportElementAsSvg = async (
+  element: HTMLElement | null,
+  options: ExportElementAsSvgOptions = {}
+): Promise<void> => {
+  const { filename = DEFAULT_FILENAME } = options;
+
+  try {
+    const svg = await renderElementToSvg(element, options);
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${filename}.svg`);
+  } catch (error) {
+    console.error("Error exporting element as SVG:", error);
+    throw error;
+  }
+};
+
+export type { ExportElementAsSvgOptions };
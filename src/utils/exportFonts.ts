@@ -0,0 +1,244 @@
+import { PdfFontSource } from '../templates/_core/types';
+import { applyTextTransform, getFontFamilies, getRenderedChildren, isTextControl, toBase64 } from './exportDom';
+
+// Finds the fonts an exported element uses and inlines their files, for the SVG and HTML exporters
+
+// A font face that can be inlined, as declared by @font-face
+interface FontFaceSource {
+  family: string;
+  url: string;
+  // The font-weight descriptor, e.g. '400', 'bold' or a range such as '300 800'
+  weight: string;
+  style: string;
+  unicodeRange: string;
+}
+
+// A weight and style of a family that the exported text uses, with the characters it shows
+interface FontUsage {
+  family: string;
+  weight: number;
+  italic: boolean;
+  characters: Set<number>;
+}
+
+const FONT_FORMATS: Record<string, { mimeType: string; format: string }> = {
+  woff2: { mimeType: 'font/woff2', format: 'woff2' },
+  woff: { mimeType: 'font/woff', format: 'woff' },
+  ttf: { mimeType: 'font/ttf', format: 'truetype' },
+  otf: { mimeType: 'font/otf', format: 'opentype' },
+};
+
+const fontDataCache = new Map<string, Promise<string | null>>();
+
+/**
+ * Checks whether a font-weight descriptor (a keyword, a number or a range) covers a weight.
+ * @param {string} descriptor - The @font-face font-weight.
+ * @param {number} weight - The weight used by the text.
+ * @returns {number} 0 when it's covered, otherwise how far off the closest weight is.
+ */
+const getWeightDistance = (descriptor: string, weight: number): number => {
+  const [low, high = low] = descriptor
+    .split(/\s+/)
+    .map(value => (value === 'bold' ? 700 : parseInt(value, 10) || 400));
+  return weight < low ? low - weight : weight > high ? weight - high : 0;
+};
+
+/**
+ * Checks whether a unicode-range descriptor covers any of the given characters.
+ * @param {string} unicodeRange - The @font-face unicode-range (empty means every character).
+ * @param {Set<number>} characters - Code points used by the text.
+ * @returns {boolean} True when the face is needed for at least one character.
+ */
+const coversCharacters = (unicodeRange: string, characters: Set<number>): boolean => {
+  if (!unicodeRange) return true;
+
+  const ranges = unicodeRange.split(',').map(part => {
+    const [start, end] = part.trim().replace(/^u\+/i, '').split('-');
+    // Wildcards such as U+4?? cover every digit in their place
+    const low = parseInt(start.replace(/\?/g, '0'), 16);
+    const high = end ? parseInt(end, 16) : parseInt(start.replace(/\?/g, 'F'), 16);
+    return [low, high];
+  });
+  return Array.from(characters).some(code => ranges.some(([low, high]) => code >= low && code <= high));
+};
+
+/**
+ * Reads the font faces declared in a stylesheet's rules.
+ * @param {CSSRuleList} rules - The rules.
+ * @param {string} baseUrl - URL that relative font URLs are resolved against.
+ * @returns {FontFaceSource[]} The font faces.
+ */
+const readFontFaceRules = (rules: CSSRuleList, baseUrl: string): FontFaceSource[] =>
+  Array.from(rules).flatMap(rule => {
+    if (!(rule instanceof CSSFontFaceRule)) return [];
+
+    const src = rule.style.getPropertyValue('src');
+    const url = /url\(["']?([^"')]+\.(?:woff2?|ttf|otf))["']?\)/i.exec(src)?.[1];
+    if (!url) return [];
+
+    return [
+      {
+        family: rule.style.getPropertyValue('font-family').replace(/^["']|["']$/g, ''),
+        url: new URL(url, baseUrl).href,
+        weight: rule.style.getPropertyValue('font-weight') || '400',
+        style: rule.style.getPropertyValue('font-style') || 'normal',
+        unicodeRange: rule.style.getPropertyValue('unicode-range'),
+      },
+    ];
+  });
+
+/**
+ * Finds the font faces declared in the page's stylesheets.
+ * Cross-origin stylesheets (such as Google Fonts) are fetched and parsed when they allow it.
+ * @returns {Promise<FontFaceSource[]>} The font faces found.
+ */
+const findFontFaces = async (): Promise<FontFaceSource[]> => {
+  const faces: FontFaceSource[] = [];
+
+  for (const sheet of Array.from(document.styleSheets)) {
+    try {
+      faces.push(...readFontFaceRules(sheet.cssRules, sheet.href ?? document.baseURI));
+    } catch {
+      if (!sheet.href) continue;
+      try {
+        const response = await fetch(sheet.href);
+        if (!response.ok) continue;
+        const copy = new CSSStyleSheet();
+        copy.replaceSync(await response.text());
+        faces.push(...readFontFaceRules(copy.cssRules, sheet.href));
+      } catch (error) {
+        console.warn(`Could not read fonts from "${sheet.href}":`, error);
+      }
+    }
+  }
+
+  return faces;
+};
+
+/**
+ * Lists the weights and styles of each family that text inside an element uses,
+ * with the characters shown in each.
+ * @param {Element} root - The element being exported.
+ * @returns {FontUsage[]} The fonts used.
+ */
+const collectFontUsage = (root: Element): FontUsage[] => {
+  const usage = new Map<string, FontUsage>();
+
+  const visit = (node: Node): void => {
+    let element: Element | null;
+    let text: string;
+
+    if (node instanceof Element) {
+      if (!isTextControl(node)) {
+        getRenderedChildren(node).forEach(visit);
+        return;
+      }
+      element = node;
+      text = node.value;
+    } else if (node.nodeType === Node.TEXT_NODE) {
+      element = (node.parentElement ?? (node.parentNode as ShadowRoot | null)?.host) as Element | null;
+      text = (node as Text).data;
+    } else {
+      return;
+    }
+    if (!element || !text.trim()) return;
+
+    const style = getComputedStyle(element);
+    const weight = parseInt(style.fontWeight, 10) || 400;
+    const italic = style.fontStyle === 'italic' || style.fontStyle.startsWith('oblique');
+    const displayText = applyTextTransform(text, style.textTransform);
+
+    getFontFamilies(style.fontFamily).forEach(family => {
+      const key = `${family}|${weight}|${italic}`;
+      if (!usage.has(key)) usage.set(key, { family, weight, italic, characters: new Set() });
+      Array.from(displayText).forEach(character => usage.get(key)!.characters.add(character.codePointAt(0)!));
+    });
+  };
+
+  visit(root);
+  return Array.from(usage.values());
+};
+
+/**
+ * Picks the font faces needed to show the exported text: for each family, weight and style
+ * used, the closest declared weight, limited to the unicode ranges the text needs.
+ * @param {FontFaceSource[]} faces - Every font face available.
+ * @param {FontUsage[]} usage - The fonts the text uses.
+ * @returns {FontFaceSource[]} The faces to inline.
+ */
+const selectFontFaces = (faces: FontFaceSource[], usage: FontUsage[]): FontFaceSource[] => {
+  const selected = new Map<string, FontFaceSource>();
+
+  usage.forEach(({ family, weight, italic, characters }) => {
+    const familyFaces = faces.filter(face => face.family.toLowerCase() === family);
+    const styled = familyFaces.filter(face => (face.style !== 'normal') === italic);
+    const candidates = styled.length > 0 ? styled : familyFaces;
+    if (candidates.length === 0) return;
+
+    const closest = Math.min(...candidates.map(face => getWeightDistance(face.weight, weight)));
+    candidates
+      .filter(face => getWeightDistance(face.weight, weight) === closest)
+      .filter(face => coversCharacters(face.unicodeRange, characters))
+      .forEach(face => selected.set(`${face.url}|${face.unicodeRange}`, face));
+  });
+
+  return Array.from(selected.values());
+};
+
+/**
+ * Fetches a font file as a data URL (cached between exports).
+ * @param {string} url - URL of a WOFF2, WOFF, TTF or OTF file.
+ * @returns {Promise<string | null>} The font data, or null when it can't be fetched.
+ */
+const fetchFontData = (url: string): Promise<string | null> => {
+  if (!fontDataCache.has(url)) {
+    const extension = /\.(woff2?|ttf|otf)(\?|#|$)/i.exec(url)?.[1].toLowerCase() ?? 'ttf';
+    fontDataCache.set(
+      url,
+      fetch(url)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.arrayBuffer();
+        })
+        .then(buffer => `data:${FONT_FORMATS[extension].mimeType};base64,${toBase64(buffer)}`)
+        .catch(error => {
+          console.warn(`Could not inline font "${url}":`, error);
+          return null;
+        })
+    );
+  }
+  return fontDataCache.get(url)!;
+};
+
+/**
+ * Builds @font-face rules with the font data inlined, for the fonts the exported text uses,
+ * so SVG and HTML exports show the same fonts when opened offline.
+ * @param {Element} root - The element being exported.
+ * @param {PdfFontSource[]} fonts - Font files listed in the template's print settings.
+ * @returns {Promise<string>} The CSS rules.
+ */
+export const buildFontStyles = async (root: Element, fonts: PdfFontSource[]): Promise<string> => {
+  const listed: FontFaceSource[] = fonts.map(font => ({
+    family: font.family,
+    url: new URL(font.url, document.baseURI).href,
+    weight: font.weight === 'bold' ? '700' : '400',
+    style: font.style ?? 'normal',
+    unicodeRange: '',
+  }));
+  const faces = selectFontFaces([...listed, ...(await findFontFaces())], collectFontUsage(root));
+
+  const rules: string[] = [];
+  for (const face of faces) {
+    const data = await fetchFontData(face.url);
+    if (!data) continue;
+
+    const extension = /\.(woff2?|ttf|otf)(\?|#|$)/i.exec(face.url)?.[1].toLowerCase() ?? 'ttf';
+    rules.push(
+      `@font-face { font-family: "${face.family}"; font-weight: ${face.weight}; font-style: ${face.style};` +
+        (face.unicodeRange ? ` unicode-range: ${face.unicodeRange};` : '') +
+        ` src: url(${data}) format("${FONT_FORMATS[extension].format}"); }`
+    );
+  }
+
+  return rules.join('\n');
+};
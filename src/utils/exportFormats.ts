@@ -0,0 +1,69 @@
+import { ExportFormat } from '../templates/_core/types';
+
+interface ExportFormatInfo {
+  name: string;
+  extension: string;
+  // MIME type of raster formats, which are encoded by the browser's canvas
+  mimeType?: string;
+  // Lossy formats have a quality setting
+  lossy: boolean;
+  // Formats without an alpha channel always get a filled background
+  transparency: boolean;
+}
+
+// Choices made in the export dialog
+interface ExportSettings {
+  format: ExportFormat;
+  // Between 0 and 1, for lossy formats
+  quality: number;
+  // Raster formats only: keep transparent areas, or fill them with backgroundColor
+  background: 'transparent' | 'filled';
+  backgroundColor: string;
+  // Raster formats of templates with a print size
+  dpi: number;
+  // Without extension
+  filename: string;
+}
+
+export const EXPORT_FORMATS: Record<ExportFormat, ExportFormatInfo> = {
+  png: { name: 'PNG', extension: 'png', mimeType: 'image/png', lossy: false, transparency: true },
+  jpeg: { name: 'JPEG', extension: 'jpeg', mimeType: 'image/jpeg', lossy: true, transparency: false },
+  webp: { name: 'WebP', extension: 'webp', mimeType: 'image/webp', lossy: true, transparency: true },
+  avif: { name: 'AVIF', extension: 'avif', mimeType: 'image/avif', lossy: true, transparency: true },
+  pdf: { name: 'PDF', extension: 'pdf', lossy: false, transparency: true },
+  svg: { name: 'SVG', extension: 'svg', lossy: false, transparency: true },
+  html: { name: 'HTML', extension: 'html', lossy: false, transparency: true },
+};
+
+export const DEFAULT_EXPORT_QUALITY = 0.92;
+
+const encoderSupport = new Map<string, boolean>();
+
+/**
+ * Checks whether a format is a raster image (encoded from a canvas).
+ * @param {ExportFormat} format - The format.
+ * @returns {boolean} True for PNG, JPEG, WebP and AVIF.
+ */
+export const isRasterFormat = (format: ExportFormat): boolean => !!EXPORT_FORMATS[format].mimeType;
+
+/**
+ * Checks whether this browser can create files in a format.
+ * Canvases silently fall back to PNG for image types they can't encode (AVIF in most browsers),
+ * so raster formats are tested by encoding a tiny canvas.
+ * @param {ExportFormat} format - The format.
+ * @returns {boolean} True when the format can be exported.
+ */
+export const isFormatSupported = (format: ExportFormat): boolean => {
+  const { mimeType } = EXPORT_FORMATS[format];
+  if (!mimeType || mimeType === 'image/png') return true;
+
+  if (!encoderSupport.has(mimeType)) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+    encoderSupport.set(mimeType, canvas.toDataURL(mimeType).startsWith(`data:${mimeType}`));
+  }
+  return encoderSupport.get(mimeType)!;
+};
+
+export type { ExportFormatInfo, ExportSettings };
@@ -0,0 +1,45 @@
+// Progress reporting and cancellation shared by the export functions
+
+// Reports how far an export is, as a fraction between 0 and 1, and what it is doing
+type ExportProgressCallback = (progress: number, stage?: string) => void;
+
+/**
+ * Creates the error that cancelled exports reject with, the same one fetch uses.
+ * @returns {DOMException} An AbortError.
+ */
+export const createCancelledError = (): DOMException =>
+  new DOMException('The export was cancelled.', 'AbortError');
+
+/**
+ * Stops an export between steps once it has been cancelled.
+ * @param {AbortSignal} [signal] - The export's cancel signal.
+ * @throws {DOMException} An AbortError when the signal has been aborted.
+ */
+export const throwIfCancelled = (signal?: AbortSignal): void => {
+  if (signal?.aborted) throw createCancelledError();
+};
+
+/**
+ * Checks whether an export failed because it was cancelled.
+ * @param {unknown} error - The error the export rejected with.
+ * @returns {boolean} True for an AbortError.
+ */
+export const isCancelledError = (error: unknown): boolean =>
+  error instanceof DOMException && error.name === 'AbortError';
+
+/**
+ * Maps the progress of one step onto part of the whole export,
+ * e.g. the third of five pages reporting into 40%–60%.
+ * @param {ExportProgressCallback | undefined} onProgress - Progress of the whole export.
+ * @param {number} from - Where the step starts (0–1).
+ * @param {number} to - Where the step ends (0–1).
+ * @returns {ExportProgressCallback | undefined} Progress of the step.
+ */
+export const scaleProgress = (
+  onProgress: ExportProgressCallback | undefined,
+  from: number,
+  to: number
+): ExportProgressCallback | undefined =>
+  onProgress && ((progress, stage) => onProgress(from + (to - from) * progress, stage));
+
+export type { ExportProgressCallback };
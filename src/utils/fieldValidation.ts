@@ -0,0 +1,150 @@
+import {
+  TemplateField,
+  TemplateValues,
+  ValidationFormat,
+} from '../templates/_core/types';
+
+interface FieldIssue {
+  fieldId: string;
+  label: string;
+  message: string;
+  // Issues on required fields block exporting; others only warn
+  blocking: boolean;
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s().-]+$/;
+const URL_PATTERN = /^(https?:\/\/)?([a-z0-9-]+\.)+[a-z]{2,}(:\d+)?([/?#]\S*)?$/i;
+
+/**
+ * Checks a value against one of the built-in formats.
+ * @param {ValidationFormat} format - The format to check.
+ * @param {string} value - The trimmed value.
+ * @returns {string | null} An error message, or null when the value is valid.
+ */
+const checkFormat = (format: ValidationFormat, value: string): string | null => {
+  switch (format) {
+    case 'email':
+      return EMAIL_PATTERN.test(value) ? null : 'Enter a valid email address';
+    case 'phone': {
+      const digits = value.replace(/\D/g, '');
+      return PHONE_PATTERN.test(value) && digits.length >= 7 && digits.length <= 15
+        ? null
+        : 'Enter a valid phone number';
+    }
+    case 'url':
+      return URL_PATTERN.test(value) ? null : 'Enter a valid web address';
+    case 'date':
+      return isNaN(Date.parse(value)) ? 'Enter a valid date' : null;
+    case 'number':
+      return isNaN(Number(value.replace(/,/g, ''))) ? 'Enter a number' : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validates a single value against its field's rules.
+ * @param {TemplateField} field - The field definition.
+ * @param {any} value - The current value.
+ * @returns {string[]} Error messages (empty when the value is valid).
+ */
+export const validateField = (field: TemplateField, value: any): string[] => {
+  const rules = field.validation;
+  if (!rules) return [];
+
+  const text = value === null || value === undefined ? '' : String(value).trim();
+
+  if (!text) {
+    return rules.required ? [`${field.label} is required`] : [];
+  }
+
+  const messages: string[] = [];
+
+  if (rules.notDefault && text === String(field.default ?? '').trim()) {
+    messages.push(`${field.label} still contains the placeholder text`);
+  }
+  if (rules.minLength !== undefined && text.length < rules.minLength) {
+    messages.push(`${field.label} must be at least ${rules.minLength} characters`);
+  }
+  if (rules.maxLength !== undefined && text.length > rules.maxLength) {
+    messages.push(`${field.label} must be at most ${rules.maxLength} characters`);
+  }
+  if (rules.pattern) {
+    try {
+      if (!new RegExp(rules.pattern).test(text)) {
+        messages.push(rules.patternMessage ?? `${field.label} is not in the expected format`);
+      }
+    } catch (error) {
+      console.error(`Invalid validation pattern for field "${field.id}":`, error);
+    }
+  }
+  if (rules.format) {
+    const formatMessage = checkFormat(rules.format, text);
+    if (formatMessage) messages.push(formatMessage);
+  }
+
+  return messages;
+};
+
+/**
+ * Validates the rows of an array field against its item schema.
+ * Row issues use the row's path (e.g. 'items.0.description') as their field ID.
+ * @param {TemplateField} field - The array field.
+ * @param {any} value - The current rows.
+ * @returns {FieldIssue[]} Problems with the row count and with each row's values.
+ */
+const validateArrayItems = (field: TemplateField, value: any): FieldIssue[] => {
+  const schema = field.item;
+  if (!schema) return [];
+
+  const rows: TemplateValues[] = Array.isArray(value) ? value : [];
+  const issues: FieldIssue[] = [];
+  const countIssue = (message: string): FieldIssue => ({
+    fieldId: field.id,
+    label: field.label,
+    message,
+    blocking: !!field.validation?.required,
+  });
+
+  if (schema.minItems !== undefined && rows.length < schema.minItems) {
+    issues.push(countIssue(`Add at least ${schema.minItems} ${schema.minItems === 1 ? 'row' : 'rows'}`));
+  }
+  if (schema.maxItems !== undefined && rows.length > schema.maxItems) {
+    issues.push(countIssue(`Use at most ${schema.maxItems} rows`));
+  }
+
+  rows.forEach((row, index) => {
+    schema.fields.forEach(subField => {
+      validateField(subField, row?.[subField.id]).forEach(message => {
+        issues.push({
+          fieldId: `${field.id}.${index}.${subField.id}`,
+          label: `${field.label} row ${index + 1}`,
+          message,
+          blocking: !!subField.validation?.required,
+        });
+      });
+    });
+  });
+
+  return issues;
+};
+
+/**
+ * Validates all template values against their fields' rules.
+ * @param {TemplateField[]} fields - The template fields.
+ * @param {TemplateValues} values - The current values.
+ * @returns {FieldIssue[]} Every problem found, in field order.
+ */
+export const validateValues = (fields: TemplateField[], values: TemplateValues): FieldIssue[] =>
+  fields.flatMap(field => [
+    ...validateField(field, values[field.id]).map(message => ({
+      fieldId: field.id,
+      label: field.label,
+      message,
+      blocking: !!field.validation?.required,
+    })),
+    ...validateArrayItems(field, values[field.id]),
+  ]);
+
+export type { FieldIssue };
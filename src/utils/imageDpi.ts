@@ -0,0 +1,129 @@
+// Writes the print resolution into PNG and JPEG files, so image editors and
+// print software open them at the intended physical size
+
+const INCHES_PER_METER = 1 / 0.0254;
+
+let crcTable: Uint32Array | null = null;
+
+/**
+ * Computes the CRC-32 that PNG chunks end with.
+ * @param {Uint8Array} bytes - The chunk type and data.
+ * @returns {number} The checksum.
+ */
+const crc32 = (bytes: Uint8Array): number => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Sets the resolution of a PNG file with a pHYs chunk (pixels per meter),
+ * replacing any resolution it already has.
+ * @param {Uint8Array} png - The PNG file contents.
+ * @param {number} dpi - The resolution in dots per inch.
+ * @returns {Uint8Array} The updated file.
+ * @throws {Error} If the bytes aren't a PNG file.
+ */
+export const setPngDpi = (png: Uint8Array, dpi: number): Uint8Array => {
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const type = (offset: number): string => String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+
+  if (png.length < 33 || view.getUint32(0) !== 0x89504e47 || type(8) !== 'IHDR') {
+    throw new Error('Not a PNG file.');
+  }
+
+  // The pHYs chunk: 4-byte length, type, 9 bytes of data and the CRC
+  const pixelsPerMeter = Math.round(dpi * INCHES_PER_METER);
+  const chunk = new Uint8Array(21);
+  const chunkView = new DataView(chunk.buffer);
+  chunkView.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  chunkView.setUint32(8, pixelsPerMeter);
+  chunkView.setUint32(12, pixelsPerMeter);
+  chunk[16] = 1; // Unit: meters
+  chunkView.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  // Insert it straight after IHDR (it has to come before the image data), dropping any existing one
+  const parts: Uint8Array[] = [png.subarray(0, 8)];
+  let offset = 8;
+  while (offset + 12 <= png.length) {
+    const end = offset + 12 + view.getUint32(offset);
+    const chunkType = type(offset);
+    if (chunkType !== 'pHYs') parts.push(png.subarray(offset, end));
+    if (chunkType === 'IHDR') parts.push(chunk);
+    offset = end;
+  }
+
+  const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+  parts.reduce((position, part) => {
+    result.set(part, position);
+    return position + part.length;
+  }, 0);
+  return result;
+};
+
+/**
+ * Sets the resolution of a JPEG file in its JFIF header, adding the header when it's missing.
+ * @param {Uint8Array} jpeg - The JPEG file contents.
+ * @param {number} dpi - The resolution in dots per inch.
+ * @returns {Uint8Array} The updated file.
+ * @throws {Error} If the bytes aren't a JPEG file.
+ */
+export const setJpegDpi = (jpeg: Uint8Array, dpi: number): Uint8Array => {
+  if (jpeg.length < 4 || jpeg[0] !== 0xff || jpeg[1] !== 0xd8) {
+    throw new Error('Not a JPEG file.');
+  }
+
+  const density = Math.min(Math.round(dpi), 0xffff);
+  const hasJfif =
+    jpeg[2] === 0xff && jpeg[3] === 0xe0 && String.fromCharCode(...jpeg.subarray(6, 11)) === 'JFIF\0';
+
+  if (hasJfif) {
+    const result = jpeg.slice();
+    const view = new DataView(result.buffer);
+    result[13] = 1; // Units: dots per inch
+    view.setUint16(14, density);
+    view.setUint16(16, density);
+    return result;
+  }
+
+  // APP0 segment: marker, length, "JFIF\0", version 1.1, units, densities and no thumbnail
+  const header = new Uint8Array(18);
+  const headerView = new DataView(header.buffer);
+  header.set([0xff, 0xe0, 0x00, 0x10, 0x4a, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x01]);
+  headerView.setUint16(12, density);
+  headerView.setUint16(14, density);
+
+  const result = new Uint8Array(jpeg.length + header.length);
+  result.set(jpeg.subarray(0, 2));
+  result.set(header, 2);
+  result.set(jpeg.subarray(2), 2 + header.length);
+  return result;
+};
+
+/**
+ * Sets the resolution of an image file, when its format can store one (PNG and JPEG).
+ * @param {Uint8Array} bytes - The file contents.
+ * @param {string} mimeType - The file's MIME type.
+ * @param {number} dpi - The resolution in dots per inch.
+ * @returns {Uint8Array} The updated file, or the same bytes for other formats.
+ */
+export const setImageDpi = (bytes: Uint8Array, mimeType: string, dpi: number): Uint8Array => {
+  switch (mimeType) {
+    case 'image/png':
+      return setPngDpi(bytes, dpi);
+    case 'image/jpeg':
+      return setJpegDpi(bytes, dpi);
+    default:
+      return bytes;
+  }
+};
@@ -0,0 +1,144 @@
+import { createCancelledError, throwIfCancelled } from './exportJob';
+import { setImageDpi } from './imageDpi';
+
+interface EncodeOptions {
+  // Between 0 and 1, for lossy formats
+  quality?: number;
+  // Resolution to record in PNG and JPEG files
+  dpi?: number;
+  // Cancels the encoding; the promise rejects with an AbortError
+  signal?: AbortSignal;
+}
+
+interface PendingEncode {
+  resolve: (blob: Blob) => void;
+  reject: (error: unknown) => void;
+  // Encodes on the page instead, if the worker turns out not to work
+  fallback: () => Promise<Blob>;
+}
+
+// Created on first use; null when this browser can't encode in a worker
+let worker: Worker | null | undefined;
+let nextRequestId = 0;
+const pending = new Map<number, PendingEncode>();
+
+/**
+ * Encodes a canvas on the page. Used where workers or OffscreenCanvas aren't available.
+ * @param {HTMLCanvasElement} canvas - The rendered canvas.
+ * @param {string} type - The image MIME type.
+ * @param {EncodeOptions} options - Quality and resolution.
+ * @returns {Promise<Blob>} The image file.
+ */
+const encodeOnPage = async (
+  canvas: HTMLCanvasElement,
+  type: string,
+  { quality, dpi }: EncodeOptions
+): Promise<Blob> => {
+  const blob = await new Promise<Blob>((resolve, reject) => {
+    canvas.toBlob(
+      result => (result ? resolve(result) : reject(new Error('Failed to encode the image.'))),
+      type,
+      quality
+    );
+  });
+  if (!dpi) return blob;
+
+  // Browsers fall back to PNG for formats they can't encode, so go by the blob's actual type
+  const bytes = setImageDpi(new Uint8Array(await blob.arrayBuffer()), blob.type, dpi);
+  return new Blob([bytes], { type: blob.type });
+};
+
+/**
+ * Returns the encoding worker, starting it the first time.
+ * @returns {Worker | null} The worker, or null when encoding has to happen on the page.
+ */
+const getWorker = (): Worker | null => {
+  if (worker !== undefined) return worker;
+
+  const supported =
+    typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof createImageBitmap !== 'undefined';
+  if (!supported) return (worker = null);
+
+  try {
+    worker = new Worker(new URL('../workers/imageEncoder.worker.ts', import.meta.url), { type: 'module' });
+  } catch (error) {
+    console.error('Error starting the image encoder:', error);
+    return (worker = null);
+  }
+
+  worker.onmessage = (event: MessageEvent<{ id: number; bytes?: Uint8Array; type?: string; error?: string }>) => {
+    const { id, bytes, type, error } = event.data;
+    const request = pending.get(id);
+    if (!request) return; // Cancelled
+    pending.delete(id);
+
+    if (bytes && type) {
+      request.resolve(new Blob([bytes], { type }));
+    } else {
+      request.reject(new Error(error || 'Failed to encode the image.'));
+    }
+  };
+
+  // A worker that fails to load (e.g. no module worker support) hands its work back to the page
+  worker.onerror = (event) => {
+    event.preventDefault();
+    console.error('Image encoder failed, encoding on the page instead:', event.message);
+    worker?.terminate();
+    worker = null;
+    pending.forEach(request => request.fallback().then(request.resolve, request.reject));
+    pending.clear();
+  };
+
+  return worker;
+};
+
+/**
+ * Encodes a canvas as an image file in a Web Worker with an OffscreenCanvas, so the page stays
+ * responsive while large images are compressed. Falls back to encoding on the page in browsers
+ * without worker support. The resolution is written into PNG and JPEG files when given.
+ * @param {HTMLCanvasElement} canvas - The rendered canvas.
+ * @param {string} type - The image MIME type.
+ * @param {EncodeOptions} [options={}] - Quality, resolution and cancel signal.
+ * @returns {Promise<Blob>} The image file.
+ * @throws {DOMException} An AbortError when cancelled.
+ */
+export const encodeCanvas = async (
+  canvas: HTMLCanvasElement,
+  type: string,
+  options: EncodeOptions = {}
+): Promise<Blob> => {
+  const { quality, dpi, signal } = options;
+  throwIfCancelled(signal);
+
+  const encoder = getWorker();
+  if (!encoder) return encodeOnPage(canvas, type, options);
+
+  const bitmap = await createImageBitmap(canvas);
+  throwIfCancelled(signal);
+
+  const id = nextRequestId++;
+  return new Promise<Blob>((resolve, reject) => {
+    const onAbort = (): void => {
+      pending.delete(id);
+      reject(createCancelledError());
+    };
+
+    pending.set(id, {
+      resolve: blob => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(blob);
+      },
+      reject: error => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      },
+      fallback: () => encodeOnPage(canvas, type, options),
+    });
+    signal?.addEventListener('abort', onAbort, { once: true });
+    encoder.postMessage({ id, bitmap, type, quality, dpi }, [bitmap]);
+  });
+};
+
+export type { EncodeOptions };
@@ -0,0 +1,189 @@
+import jsPDF from 'jspdf';
+import { PrintConfig } from '../templates/_core/types';
+import { convertLength, getTrimSize, LengthUnit } from './pdfExport';
+import { PdfBox } from './vectorPdf';
+
+type SheetSizeId = 'letter' | 'a4';
+
+interface SheetSize {
+  name: string;
+  width: number;
+  height: number;
+  unit: LengthUnit;
+}
+
+// Which edge the sheet is turned over on when printing double-sided
+type FlipEdge = 'long' | 'short';
+
+interface ImpositionOptions {
+  sheet: SheetSizeId;
+  // 'auto' picks the orientation that fits the most pieces
+  orientation: 'auto' | 'portrait' | 'landscape';
+  // Space between pieces, in the sheet's unit
+  gutter: number;
+  // Minimum space around the grid, in the sheet's unit
+  margin: number;
+  cutMarks: boolean;
+  flipEdge: FlipEdge;
+}
+
+interface ImpositionLayout {
+  sheet: SheetSize;
+  orientation: 'portrait' | 'landscape';
+  // Sheet size with the orientation applied
+  sheetWidth: number;
+  sheetHeight: number;
+  columns: number;
+  rows: number;
+  // Position of each piece on the front sheet, in reading order
+  cells: PdfBox[];
+}
+
+export const SHEET_SIZES: Record<SheetSizeId, SheetSize> = {
+  letter: { name: 'Letter (8.5 × 11 in)', width: 8.5, height: 11, unit: 'in' },
+  a4: { name: 'A4 (210 × 297 mm)', width: 210, height: 297, unit: 'mm' },
+};
+
+// Cut mark sizes, in points
+const CUT_MARK_LENGTH = 12;
+const CUT_MARK_GAP = 2;
+const CUT_MARK_LINE_WIDTH = 0.25;
+
+// Tolerance for pieces that fit a sheet exactly (e.g. two A5 on A4)
+const EPSILON = 1e-6;
+
+/**
+ * Counts how many pieces fit along one side of a sheet.
+ * @param {number} available - Space on the sheet, after margins.
+ * @param {number} piece - Size of one piece.
+ * @param {number} gutter - Space between pieces.
+ * @returns {number} The number of pieces.
+ */
+const countFitting = (available: number, piece: number, gutter: number): number =>
+  Math.max(0, Math.floor((available + gutter) / (piece + gutter) + EPSILON));
+
+/**
+ * Works out how to tile a template on a sheet.
+ * With automatic orientation, both are tried and the one that fits the most pieces wins
+ * (portrait on a tie); the grid is centred on the sheet.
+ * @param {PrintConfig} printConfig - The template's print settings (its dimensions are the piece size).
+ * @param {ImpositionOptions} options - Sheet size, orientation, gutter and margin.
+ * @returns {ImpositionLayout} Where each piece goes.
+ * @throws {Error} If the template doesn't fit on the sheet at all.
+ */
+export const getImpositionLayout = (
+  printConfig: PrintConfig,
+  options: ImpositionOptions
+): ImpositionLayout => {
+  const sheet = SHEET_SIZES[options.sheet];
+  const trim = getTrimSize(printConfig);
+  const pieceWidth = convertLength(trim.width, trim.unit, sheet.unit);
+  const pieceHeight = convertLength(trim.height, trim.unit, sheet.unit);
+  const { gutter, margin } = options;
+
+  const orientations =
+    options.orientation === 'auto' ? (['portrait', 'landscape'] as const) : [options.orientation];
+
+  const candidates = orientations.map(orientation => {
+    const sheetWidth = orientation === 'portrait' ? sheet.width : sheet.height;
+    const sheetHeight = orientation === 'portrait' ? sheet.height : sheet.width;
+    const columns = countFitting(sheetWidth - 2 * margin, pieceWidth, gutter);
+    const rows = countFitting(sheetHeight - 2 * margin, pieceHeight, gutter);
+    return { orientation, sheetWidth, sheetHeight, columns, rows };
+  });
+  const best = candidates.reduce((a, b) => (b.columns * b.rows > a.columns * a.rows ? b : a));
+
+  if (best.columns * best.rows === 0) {
+    throw new Error(`The template doesn't fit on ${sheet.name} paper with this margin and gutter.`);
+  }
+
+  const gridWidth = best.columns * pieceWidth + (best.columns - 1) * gutter;
+  const gridHeight = best.rows * pieceHeight + (best.rows - 1) * gutter;
+  const left = (best.sheetWidth - gridWidth) / 2;
+  const top = (best.sheetHeight - gridHeight) / 2;
+
+  const cells: PdfBox[] = [];
+  for (let row = 0; row < best.rows; row++) {
+    for (let column = 0; column < best.columns; column++) {
+      cells.push({
+        x: left + column * (pieceWidth + gutter),
+        y: top + row * (pieceHeight + gutter),
+        width: pieceWidth,
+        height: pieceHeight,
+      });
+    }
+  }
+
+  return { sheet, ...best, cells };
+};
+
+/**
+ * Returns where each piece's back goes on the back sheet, so the two sides line up after a duplex print.
+ * Turning a sheet over swaps left and right when it flips sideways (long edge of a portrait
+ * sheet, short edge of a landscape one), and top and bottom otherwise.
+ * @param {ImpositionLayout} layout - The front sheet layout.
+ * @param {FlipEdge} flipEdge - The edge the printer turns the sheet on.
+ * @returns {PdfBox[]} The back position of each front cell, in the same order.
+ */
+export const getBackCells = (layout: ImpositionLayout, flipEdge: FlipEdge): PdfBox[] => {
+  const flipsSideways = (layout.orientation === 'portrait') === (flipEdge === 'long');
+
+  return layout.cells.map(cell =>
+    flipsSideways
+      ? { ...cell, x: layout.sheetWidth - cell.x - cell.width }
+      : { ...cell, y: layout.sheetHeight - cell.y - cell.height }
+  );
+};
+
+/**
+ * Creates an empty PDF for an imposed sheet.
+ * @param {ImpositionLayout} layout - The sheet layout.
+ * @returns {jsPDF} A PDF with one blank page.
+ */
+export const createImpositionPdf = (layout: ImpositionLayout): jsPDF =>
+  new jsPDF(layout.orientation, layout.sheet.unit, [layout.sheet.width, layout.sheet.height]);
+
+/**
+ * Draws cut marks in the sheet margin, in line with every piece edge,
+ * so the sheet can be cut with a guillotine or a ruler.
+ * Marks are left out when the margin is too narrow for them.
+ * @param {jsPDF} pdf - The PDF.
+ * @param {PdfBox[]} cells - The pieces on the current page.
+ */
+export const drawCutMarks = (pdf: jsPDF, cells: PdfBox[]): void => {
+  if (cells.length === 0) return;
+
+  const unit = 1 / pdf.internal.scaleFactor;
+  const sheetWidth = pdf.internal.pageSize.getWidth();
+  const sheetHeight = pdf.internal.pageSize.getHeight();
+  const gridLeft = Math.min(...cells.map(cell => cell.x));
+  const gridTop = Math.min(...cells.map(cell => cell.y));
+  const gridRight = Math.max(...cells.map(cell => cell.x + cell.width));
+  const gridBottom = Math.max(...cells.map(cell => cell.y + cell.height));
+  const gap = CUT_MARK_GAP * unit;
+
+  const xs = [...new Set(cells.flatMap(cell => [cell.x, cell.x + cell.width]))];
+  const ys = [...new Set(cells.flatMap(cell => [cell.y, cell.y + cell.height]))];
+
+  pdf.setDrawColor(0, 0, 0);
+  pdf.setLineWidth(CUT_MARK_LINE_WIDTH * unit);
+  pdf.setLineDashPattern([], 0);
+
+  const verticalLength = Math.min(CUT_MARK_LENGTH * unit, gridTop - gap, sheetHeight - gridBottom - gap);
+  if (verticalLength > 0) {
+    xs.forEach(x => {
+      pdf.line(x, gridTop - gap, x, gridTop - gap - verticalLength);
+      pdf.line(x, gridBottom + gap, x, gridBottom + gap + verticalLength);
+    });
+  }
+
+  const horizontalLength = Math.min(CUT_MARK_LENGTH * unit, gridLeft - gap, sheetWidth - gridRight - gap);
+  if (horizontalLength > 0) {
+    ys.forEach(y => {
+      pdf.line(gridLeft - gap, y, gridLeft - gap - horizontalLength, y);
+      pdf.line(gridRight + gap, y, gridRight + gap + horizontalLength, y);
+    });
+  }
+};
+
+export type { FlipEdge, ImpositionLayout, ImpositionOptions, SheetSize, SheetSizeId };
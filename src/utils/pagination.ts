@@ -0,0 +1,59 @@
+// Splits table rows (e.g. invoice line items) across fixed-height pages
+
+interface PageSpace {
+  // Height left for rows on the first page, after everything above the table
+  firstPage: number;
+  // Height left for rows on every later page
+  otherPages: number;
+  // Space a page needs below its rows when the table continues on the next page (e.g. a carried-forward subtotal)
+  breakSpace: number;
+  // Space needed below the final row (e.g. totals and notes)
+  endSpace: number;
+}
+
+// Rows shown on a page: items start to end (exclusive)
+interface PageRange {
+  start: number;
+  end: number;
+}
+
+/**
+ * Works out which rows go on which page.
+ * Rows are never split. The final row always shares a page with what follows the table,
+ * so totals are never left alone on a page. A row taller than a whole page gets a page to itself.
+ * @param {number[]} rowHeights - Height of each row, in the same unit as the page space.
+ * @param {PageSpace} space - The room available on each page.
+ * @returns {PageRange[]} The rows on each page; always at least one page.
+ */
+export const paginateRows = (rowHeights: number[], space: PageSpace): PageRange[] => {
+  const pages: PageRange[] = [{ start: 0, end: 0 }];
+  let used = 0;
+
+  rowHeights.forEach((height, index) => {
+    const page = pages[pages.length - 1];
+    const available = pages.length === 1 ? space.firstPage : space.otherPages;
+    const isLastRow = index === rowHeights.length - 1;
+    const needed = height + (isLastRow ? space.endSpace : space.breakSpace);
+
+    if (page.end > page.start && used + needed > available) {
+      pages.push({ start: index, end: index + 1 });
+      used = height;
+    } else {
+      page.end = index + 1;
+      used += height;
+    }
+  });
+
+  return pages;
+};
+
+/**
+ * Checks whether two paginations put the same rows on each page.
+ * @param {PageRange[]} a - The first pagination.
+ * @param {PageRange[]} b - The second pagination.
+ * @returns {boolean} True when they match.
+ */
+export const isSamePagination = (a: PageRange[], b: PageRange[]): boolean =>
+  a.length === b.length && a.every((page, index) => page.start === b[index].start && page.end === b[index].end);
+
+export type { PageSpace, PageRange };
@@ -0,0 +1,242 @@
+import jsPDF from 'jspdf';
+import { PrintConfig } from '../templates/_core/types';
+import { drawElementToPdf, PdfBox } from './vectorPdf';
+
+interface PrintLayout {
+  // The finished size, after cutting
+  trim: PdfBox;
+  // The trim box plus the bleed; backgrounds are drawn up to here
+  bleed: PdfBox;
+  // The trim box minus the margins; the template is fitted into this
+  content: PdfBox;
+}
+
+type LengthUnit = NonNullable<PrintConfig['dimensions']>['unit'];
+
+// Page size used when a template doesn't specify one (A4)
+const DEFAULT_DIMENSIONS: NonNullable<PrintConfig['dimensions']> = {
+  width: 210,
+  height: 297,
+  unit: 'mm',
+};
+
+const POINTS_PER_UNIT: Record<LengthUnit, number> = {
+  pt: 1,
+  in: 72,
+  mm: 72 / 25.4,
+  // CSS pixels, 96 to the inch
+  px: 72 / 96,
+};
+
+// Print mark sizes, in points
+const MARK_LENGTH = 18;
+const MARK_GAP = 3;
+const MARK_LINE_WIDTH = 0.25;
+
+/**
+ * Converts a length between PDF units.
+ * @param {number} value - The length.
+ * @param {LengthUnit} from - Its unit.
+ * @param {LengthUnit} to - The unit to convert to.
+ * @returns {number} The converted length.
+ */
+export const convertLength = (value: number, from: LengthUnit, to: LengthUnit): number =>
+  (value * POINTS_PER_UNIT[from]) / POINTS_PER_UNIT[to];
+
+/**
+ * Returns a template's trim size with its orientation applied
+ * (landscape puts the longer side horizontally, portrait vertically).
+ * @param {PrintConfig} printConfig - The template's print settings.
+ * @returns {{ width: number; height: number; unit: LengthUnit }} The finished size.
+ */
+export const getTrimSize = (
+  printConfig: PrintConfig
+): { width: number; height: number; unit: LengthUnit } => {
+  const { width, height, unit } = printConfig.dimensions || DEFAULT_DIMENSIONS;
+  const isLandscape = printConfig.orientation === 'landscape';
+  return {
+    width: isLandscape ? Math.max(width, height) : Math.min(width, height),
+    height: isLandscape ? Math.min(width, height) : Math.max(width, height),
+    unit,
+  };
+};
+
+/**
+ * Returns the space around the bleed that print marks need (the slug), in the dimensions' unit.
+ * @param {PrintConfig} printConfig - The template's print settings.
+ * @returns {number} The slug width, or 0 when no marks are drawn.
+ */
+const getSlugSize = (printConfig: PrintConfig): number => {
+  if (!printConfig.cropMarks && !printConfig.registrationMarks) return 0;
+  const { unit } = printConfig.dimensions || DEFAULT_DIMENSIONS;
+  return convertLength(MARK_GAP + MARK_LENGTH, 'pt', unit);
+};
+
+/**
+ * Creates an empty PDF sized for a template's print configuration.
+ * The page is the trim size plus the bleed, plus room for print marks when they are enabled.
+ * @param {PrintConfig} printConfig - The template's print settings.
+ * @returns {jsPDF} A PDF with one blank page.
+ */
+export const createTemplatePdf = (printConfig: PrintConfig): jsPDF => {
+  const { width, height, unit } = printConfig.dimensions || DEFAULT_DIMENSIONS;
+  const outset = 2 * ((printConfig.bleed || 0) + getSlugSize(printConfig));
+  return new jsPDF(printConfig.orientation || 'portrait', unit, [width + outset, height + outset]);
+};
+
+/**
+ * Works out where the trim, bleed and printable areas are on a PDF page.
+ * The page size is read from the PDF, so orientation is already applied.
+ * @param {jsPDF} pdf - A PDF created with createTemplatePdf.
+ * @param {PrintConfig} printConfig - The template's print settings.
+ * @returns {PrintLayout} The page areas, in the PDF's unit.
+ */
+export const getPrintLayout = (pdf: jsPDF, printConfig: PrintConfig): PrintLayout => {
+  const bleed = printConfig.bleed || 0;
+  const outset = bleed + getSlugSize(printConfig);
+  const margins = printConfig.margins || { top: 0, right: 0, bottom: 0, left: 0 };
+
+  const trim = {
+    x: outset,
+    y: outset,
+    width: pdf.internal.pageSize.getWidth() - 2 * outset,
+    height: pdf.internal.pageSize.getHeight() - 2 * outset,
+  };
+
+  return {
+    trim,
+    bleed: {
+      x: trim.x - bleed,
+      y: trim.y - bleed,
+      width: trim.width + 2 * bleed,
+      height: trim.height + 2 * bleed,
+    },
+    content: {
+      x: trim.x + margins.left,
+      y: trim.y + margins.top,
+      width: trim.width - (margins.left + margins.right),
+      height: trim.height - (margins.top + margins.bottom),
+    },
+  };
+};
+
+/**
+ * Records the trim and bleed boxes in the current page's dictionary,
+ * so prepress software knows where to cut.
+ * @param {jsPDF} pdf - The PDF.
+ * @param {PrintLayout} layout - The page areas.
+ */
+const setPageBoxes = (pdf: jsPDF, layout: PrintLayout): void => {
+  const scaleFactor = pdf.internal.scaleFactor;
+  const pageHeight = pdf.internal.pageSize.getHeight();
+
+  // PDF boxes are in points, measured from the bottom-left corner
+  const toPdfBox = ({ x, y, width, height }: PdfBox) => ({
+    bottomLeftX: x * scaleFactor,
+    bottomLeftY: (pageHeight - y - height) * scaleFactor,
+    topRightX: (x + width) * scaleFactor,
+    topRightY: (pageHeight - y) * scaleFactor,
+  });
+
+  const { pageContext } = pdf.getPageInfo(pdf.getCurrentPageInfo().pageNumber);
+  pageContext.trimBox = toPdfBox(layout.trim);
+  pageContext.bleedBox = toPdfBox(layout.bleed);
+};
+
+/**
+ * Draws crop marks at the trim corners and registration targets beside each edge.
+ * Marks sit outside the bleed, in registration color (100% of every ink).
+ * @param {jsPDF} pdf - The PDF.
+ * @param {PrintLayout} layout - The page areas.
+ * @param {PrintConfig} printConfig - The template's print settings.
+ */
+const drawPrintMarks = (pdf: jsPDF, layout: PrintLayout, printConfig: PrintConfig): void => {
+  const unit = 1 / pdf.internal.scaleFactor;
+  const { trim } = layout;
+  const offset = (printConfig.bleed || 0) + MARK_GAP * unit;
+  const length = MARK_LENGTH * unit;
+  const left = trim.x;
+  const top = trim.y;
+  const right = trim.x + trim.width;
+  const bottom = trim.y + trim.height;
+
+  pdf.setDrawColor(1, 1, 1, 1);
+  pdf.setLineWidth(MARK_LINE_WIDTH * unit);
+  pdf.setLineDashPattern([], 0);
+
+  if (printConfig.cropMarks) {
+    [left, right].forEach((x, column) => {
+      const outward = column === 0 ? -1 : 1;
+      [top, bottom].forEach((y, row) => {
+        const downward = row === 0 ? -1 : 1;
+        pdf.line(x + outward * offset, y, x + outward * (offset + length), y);
+        pdf.line(x, y + downward * offset, x, y + downward * (offset + length));
+      });
+    });
+  }
+
+  if (printConfig.registrationMarks) {
+    const distance = offset + length / 2;
+    const radius = length / 4;
+    const centerX = trim.x + trim.width / 2;
+    const centerY = trim.y + trim.height / 2;
+
+    [
+      [centerX, top - distance],
+      [centerX, bottom + distance],
+      [left - distance, centerY],
+      [right + distance, centerY],
+    ].forEach(([x, y]) => {
+      pdf.circle(x, y, radius, 'S');
+      pdf.line(x - radius * 1.5, y, x + radius * 1.5, y);
+      pdf.line(x, y - radius * 1.5, x, y + radius * 1.5);
+    });
+  }
+};
+
+/**
+ * Draws a rendered template onto the current PDF page.
+ * The template is written as vector content with real text (see drawElementToPdf),
+ * scaled to fit inside the margins. When the template has a bleed, backgrounds that
+ * touch its edges are extended into the bleed, and the trim box, bleed box and any
+ * print marks are added to the page.
+ * @param {jsPDF} pdf - A PDF created with createTemplatePdf.
+ * @param {HTMLElement} element - The rendered template.
+ * @param {PrintConfig} printConfig - The template's print settings.
+ * @param {(clonedElement: HTMLElement) => void} [modifyClone] - Changes to make before drawing, e.g. hiding editor markup.
+ * @returns {Promise<void>}
+ */
+export const addElementToPdf = async (
+  pdf: jsPDF,
+  element: HTMLElement,
+  printConfig: PrintConfig,
+  modifyClone?: (clonedElement: HTMLElement) => void
+): Promise<void> => {
+  const layout = getPrintLayout(pdf, printConfig);
+  const hasBleed = !!printConfig.bleed;
+
+  await drawElementToPdf(pdf, element, layout.content, {
+    fonts: printConfig.fonts,
+    bleedBox: hasBleed ? layout.bleed : undefined,
+    modifyClone,
+  });
+
+  if (hasBleed || getSlugSize(printConfig) > 0) {
+    setPageBoxes(pdf, layout);
+    drawPrintMarks(pdf, layout, printConfig);
+  }
+};
+
+/**
+ * Returns the pages of a rendered template. Templates that lay themselves out over
+ * several pages (e.g. long invoices) mark each page with `data-print-page`; any other
+ * template is a single page.
+ * @param {HTMLElement} element - The rendered template.
+ * @returns {HTMLElement[]} One element per PDF page.
+ */
+export const getPrintPages = (element: HTMLElement): HTMLElement[] => {
+  const pages = Array.from(element.querySelectorAll<HTMLElement>('[data-print-page]'));
+  return pages.length > 0 ? pages : [element];
+};
+
+export type { LengthUnit, PrintLayout };
@@ -0,0 +1,21 @@
+/**
+ * Opens a file picker and reads the chosen image as a data URL.
+ * @param {(dataUrl: string) => void} onPick - Called with the image once it has been read.
+ * @returns {void}
+ */
+export const pickImage = (onPick: (dataUrl: string) => void): void => {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = 'image/*';
+  input.onchange = (e: Event) => {
+    const file = (e.target as HTMLInputElement).files?.[0];
+    if (file) {
+      const reader = new FileReader();
+      reader.onload = (event: ProgressEvent<FileReader>) => {
+        onPick(event.target?.result as string);
+      };
+      reader.readAsDataURL(file);
+    }
+  };
+  input.click();
+};
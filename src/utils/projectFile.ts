@@ -0,0 +1,227 @@
+import { getTemplateVersion, loadTemplateValues } from '../templates/_core/TemplateValueLoader';
+import {
+  EditorState,
+  ProjectFile,
+  StoredTemplateValues,
+  TemplateMetadata,
+  TemplateValues,
+} from '../templates/_core/types';
+
+const PROJECT_FORMAT = 'template-af-project';
+const PROJECT_FORMAT_VERSION = 1;
+const PROJECT_FILE_EXTENSION = '.taf.json';
+
+interface ProjectValidationResult {
+  // Values in the file that the template doesn't define (kept in the quarantine)
+  unknownFields: string[];
+  // Template fields that the file has no value for
+  missingFields: string[];
+  // Values whose type doesn't match the field type
+  invalidFields: string[];
+}
+
+/**
+ * Reads a Blob as a data URL.
+ * @param {Blob} blob - The blob to read.
+ * @returns {Promise<string>} The data URL.
+ */
+const blobToDataUrl = (blob: Blob): Promise<string> =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result as string);
+    reader.onerror = () => reject(reader.error ?? new Error('Failed to read image.'));
+    reader.readAsDataURL(blob);
+  });
+
+/**
+ * Embeds an image value as a data URL so the project file is self-contained.
+ * Images that can't be fetched (e.g. blocked by CORS) keep their original URL.
+ * @param {any} value - The image field value.
+ * @returns {Promise<any>} The embedded image, or the original value.
+ */
+const embedImage = async (value: any): Promise<any> => {
+  if (typeof value !== 'string' || !value || value.startsWith('data:')) {
+    return value;
+  }
+
+  try {
+    const response = await fetch(value);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await blobToDataUrl(await response.blob());
+  } catch (error) {
+    console.warn(`Could not embed image "${value}", keeping the URL instead:`, error);
+    return value;
+  }
+};
+
+/**
+ * Checks whether a value has the right shape for a field type.
+ * @param {string} type - The field type.
+ * @param {any} value - The value to check.
+ * @returns {boolean} True when the value can be used for the field.
+ */
+const isValidFieldValue = (type: string, value: any): boolean => {
+  if (value === null || value === undefined) return true;
+
+  switch (type) {
+    case 'array':
+      return Array.isArray(value);
+    case 'image':
+    case 'color':
+      return typeof value === 'string';
+    default:
+      return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+  }
+};
+
+/**
+ * Builds a project file from a template's values and editor state.
+ * Image fields are embedded as data URLs.
+ * @param {TemplateMetadata} template - The template being exported.
+ * @param {string} name - Name for the project.
+ * @param {TemplateValues} values - Current template values.
+ * @param {EditorState} editorState - Current variant, size and side.
+ * @param {TemplateValues} [quarantine] - Values of fields the template no longer defines.
+ * @returns {Promise<ProjectFile>} The project file contents.
+ */
+export const createProjectFile = async (
+  template: TemplateMetadata,
+  name: string,
+  values: TemplateValues,
+  editorState: EditorState,
+  quarantine: TemplateValues = {}
+): Promise<ProjectFile> => {
+  const embeddedValues: TemplateValues = { ...values };
+
+  for (const field of template.fields) {
+    if (field.type === 'image') {
+      embeddedValues[field.id] = await embedImage(values[field.id]);
+    }
+  }
+
+  return {
+    format: PROJECT_FORMAT,
+    formatVersion: PROJECT_FORMAT_VERSION,
+    templateId: template.id,
+    templateVersion: getTemplateVersion(template),
+    name,
+    variant: editorState.variant,
+    size: editorState.size,
+    showBackSide: editorState.showBackSide,
+    values: embeddedValues,
+    ...(Object.keys(quarantine).length > 0 && { quarantine }),
+    exportedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Downloads a project file as JSON.
+ * @param {ProjectFile} project - The project to download.
+ */
+export const downloadProjectFile = (project: ProjectFile): void => {
+  const slug = project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.download = `${slug || project.templateId}${PROJECT_FILE_EXTENSION}`;
+  link.href = url;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Reads and parses a project file.
+ * @param {File} file - The file chosen by the user.
+ * @returns {Promise<ProjectFile>} The parsed project.
+ * @throws {Error} If the file isn't a project file or uses a newer format version.
+ */
+export const readProjectFile = async (file: File): Promise<ProjectFile> => {
+  let data: any;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`"${file.name}" is not a valid JSON file.`);
+  }
+
+  if (!data || typeof data !== 'object' || data.format !== PROJECT_FORMAT) {
+    throw new Error(`"${file.name}" is not a project file.`);
+  }
+  if (typeof data.formatVersion !== 'number' || data.formatVersion > PROJECT_FORMAT_VERSION) {
+    throw new Error(`"${file.name}" was created by a newer version of the app.`);
+  }
+  if (typeof data.templateId !== 'string' || !data.values || typeof data.values !== 'object') {
+    throw new Error(`"${file.name}" is missing its template or values.`);
+  }
+
+  return {
+    format: PROJECT_FORMAT,
+    formatVersion: data.formatVersion,
+    templateId: data.templateId,
+    templateVersion: typeof data.templateVersion === 'number' ? data.templateVersion : 1,
+    name: typeof data.name === 'string' && data.name.trim() ? data.name : file.name,
+    variant: typeof data.variant === 'string' ? data.variant : 'standard',
+    size: typeof data.size === 'string' ? data.size : 'default',
+    showBackSide: data.showBackSide === true,
+    values: data.values,
+    quarantine: data.quarantine && typeof data.quarantine === 'object' ? data.quarantine : undefined,
+    exportedAt: typeof data.exportedAt === 'string' ? data.exportedAt : '',
+  };
+};
+
+/**
+ * Compares a project's values against the template's fields schema.
+ * Values are first upgraded to the template's current version.
+ * @param {ProjectFile} project - The imported project.
+ * @param {TemplateMetadata} template - The template it belongs to.
+ * @returns {ProjectValidationResult} Unknown, missing and invalid fields.
+ * @throws {Error} If the values can't be upgraded.
+ */
+export const validateProjectFile = (
+  project: ProjectFile,
+  template: TemplateMetadata
+): ProjectValidationResult => {
+  const { values, quarantine } = loadTemplateValues(template, project);
+  const previousQuarantine = project.quarantine ?? {};
+
+  return {
+    unknownFields: Object.keys(quarantine).filter(id => !(id in previousQuarantine)),
+    missingFields: template.fields
+      .filter(field => !(field.id in values))
+      .map(field => field.id),
+    invalidFields: template.fields
+      .filter(field => field.id in values)
+      .filter(field => !isValidFieldValue(field.type, values[field.id]))
+      .map(field => field.id),
+  };
+};
+
+/**
+ * Builds the values to open from an imported project.
+ * Values are upgraded to the template's current version; missing and invalid fields fall
+ * back to the template defaults, and unknown fields are kept in the quarantine.
+ * @param {ProjectFile} project - The imported project.
+ * @param {TemplateMetadata} template - The template it belongs to.
+ * @returns {Required<StoredTemplateValues>} Values that match the template's fields, their version and the quarantine.
+ * @throws {Error} If the values can't be upgraded.
+ */
+export const getProjectValues = (
+  project: ProjectFile,
+  template: TemplateMetadata
+): Required<StoredTemplateValues> => {
+  const loaded = loadTemplateValues(template, project);
+  const values: TemplateValues = {};
+
+  template.fields.forEach(field => {
+    const value = loaded.values[field.id];
+    values[field.id] =
+      field.id in loaded.values && isValidFieldValue(field.type, value) ? value : field.default;
+  });
+
+  return { values, templateVersion: loaded.templateVersion, quarantine: loaded.quarantine };
+};
+
+export { PROJECT_FILE_EXTENSION };
+export type { ProjectValidationResult };
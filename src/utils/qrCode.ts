@@ -0,0 +1,30 @@
+import qrcode from 'qrcode-generator';
+
+// Blank modules around the code (the "quiet zone" scanners need)
+const QUIET_ZONE = 2;
+
+/**
+ * Draws a QR code for some text as an SVG data URL, without any network access.
+ * @param {string} data - The text to encode (UTF-8).
+ * @param {number} [size=150] - Width and height of the image in pixels.
+ * @returns {string | null} The image as a data URL, or null when the text is too long for a QR code.
+ */
+export const createQrCodeDataUrl = (data: string, size: number = 150): string | null => {
+  const code = qrcode(0, 'L');
+  // The encoder reads one byte per character, so the text is passed as its UTF-8 bytes
+  const bytes = new TextEncoder().encode(data);
+  code.addData(Array.from(bytes, byte => String.fromCharCode(byte)).join(''), 'Byte');
+
+  try {
+    code.make();
+  } catch (error) {
+    console.warn('Could not create a QR code:', error);
+    return null;
+  }
+
+  // One unit per module, scaled to exactly `size` pixels (quiet zone included)
+  const svg = code
+    .createSvgTag({ cellSize: 1, margin: QUIET_ZONE, scalable: true })
+    .replace('<svg ', `<svg width="${size}" height="${size}" `);
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+};
@@ -0,0 +1,101 @@
+import React from 'react';
+import { flushSync } from 'react-dom';
+import { createRoot } from 'react-dom/client';
+import TemplateRenderer from '../components/TemplateRenderer';
+import { TemplateDefinition, TemplateValues } from '../templates/_core/types';
+import { waitForRender } from './bulkExport';
+
+interface OffscreenTemplateOptions {
+  values: TemplateValues;
+  variant?: string;
+  size?: string;
+  showBackSide?: boolean;
+  // Style for the wrapper element, matching the editor's preview wrapper
+  wrapperStyle?: React.CSSProperties;
+}
+
+interface OffscreenTemplate {
+  // The wrapper element, ready to be captured
+  element: HTMLElement;
+  // Unmounts the template and removes it from the page
+  dispose: () => void;
+}
+
+/**
+ * Renders a template outside the visible page, e.g. to capture the side that isn't
+ * currently shown in the editor without changing what the user sees.
+ * The template is rendered read-only, without validation highlights.
+ * Call `dispose` once the element has been captured.
+ * @param {TemplateDefinition} template - The template to render.
+ * @param {OffscreenTemplateOptions} options - Values and display settings.
+ * @returns {Promise<OffscreenTemplate>} The rendered element, once it has painted and its images have loaded.
+ */
+export const renderTemplateOffscreen = async (
+  template: TemplateDefinition,
+  options: OffscreenTemplateOptions
+): Promise<OffscreenTemplate> => {
+  const { values, variant, size, showBackSide = false, wrapperStyle } = options;
+
+  const container = document.createElement('div');
+  container.style.position = 'fixed';
+  container.style.left = '-10000px';
+  container.style.top = '0';
+  container.style.pointerEvents = 'none';
+  container.setAttribute('aria-hidden', 'true');
+  document.body.appendChild(container);
+
+  const root = createRoot(container);
+  const dispose = (): void => {
+    root.unmount();
+    container.remove();
+  };
+
+  try {
+    flushSync(() =>
+      root.render(
+        React.createElement(
+          'div',
+          { className: 'relative print', style: wrapperStyle },
+          React.createElement(TemplateRenderer, {
+            template,
+            values,
+            onValueChange: () => {},
+            isEditMode: false,
+            variant,
+            size,
+            showBackSide,
+          })
+        )
+      )
+    );
+
+    const element = container.firstElementChild as HTMLElement;
+    await waitForRender(element);
+    return { element, dispose };
+  } catch (error) {
+    dispose();
+    throw error;
+  }
+};
+
+/**
+ * Renders the front and back of a double-sided template offscreen.
+ * @param {TemplateDefinition} template - The template to render.
+ * @param {OffscreenTemplateOptions} options - Values and display settings (showBackSide is ignored).
+ * @returns {Promise<[OffscreenTemplate, OffscreenTemplate]>} The front, then the back.
+ */
+export const renderBothSidesOffscreen = async (
+  template: TemplateDefinition,
+  options: OffscreenTemplateOptions
+): Promise<[OffscreenTemplate, OffscreenTemplate]> => {
+  const front = await renderTemplateOffscreen(template, { ...options, showBackSide: false });
+  try {
+    const back = await renderTemplateOffscreen(template, { ...options, showBackSide: true });
+    return [front, back];
+  } catch (error) {
+    front.dispose();
+    throw error;
+  }
+};
+
+export type { OffscreenTemplate, OffscreenTemplateOptions };
@@ -0,0 +1,172 @@
+import {
+  SharedEditorState,
+  TemplateDefinition,
+  TemplateValues,
+} from '../templates/_core/types';
+import { getTemplateVersion } from '../templates/_core/TemplateValueLoader';
+
+const SHARE_HASH_KEY = 'share';
+const SHARE_STATE_VERSION = 1;
+
+// Image values longer than this (e.g. uploaded data URLs) are left out of links
+const MAX_SHARED_IMAGE_LENGTH = 2048;
+
+// Prefixes marking how the payload was encoded
+const COMPRESSED_PREFIX = 'z';
+const PLAIN_PREFIX = 'j';
+
+/**
+ * Encodes bytes as URL-safe base64 without padding.
+ * @param {Uint8Array} bytes - The bytes to encode.
+ * @returns {string} The encoded string.
+ */
+const toBase64Url = (bytes: Uint8Array): string => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decodes URL-safe base64 into bytes.
+ * @param {string} encoded - The encoded string.
+ * @returns {Uint8Array} The decoded bytes.
+ */
+const fromBase64Url = (encoded: string): Uint8Array => {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+/**
+ * Pipes bytes through a compression or decompression stream.
+ * @param {Uint8Array} bytes - The input bytes.
+ * @param {CompressionStream | DecompressionStream} stream - The transform to apply.
+ * @returns {Promise<Uint8Array>} The transformed bytes.
+ */
+const transformBytes = async (
+  bytes: Uint8Array,
+  stream: CompressionStream | DecompressionStream
+): Promise<Uint8Array> => {
+  const output = new Blob([bytes]).stream().pipeThrough(stream);
+  return new Uint8Array(await new Response(output).arrayBuffer());
+};
+
+/**
+ * Checks whether a value is too large to put in a link.
+ * @param {any} value - The image field value.
+ * @returns {boolean} True when the image should be left out.
+ */
+const isLargeImage = (value: any): boolean =>
+  typeof value === 'string' && value.length > MAX_SHARED_IMAGE_LENGTH;
+
+/**
+ * Builds the state to share for a template.
+ * Only values that differ from the defaults are kept, and large images are left out.
+ * @param {TemplateDefinition} template - The template being shared.
+ * @param {TemplateValues} values - Current template values.
+ * @param {string} variant - Current variant.
+ * @param {string} size - Current preview size.
+ * @returns {SharedEditorState} The state to encode.
+ */
+export const createSharedState = (
+  template: TemplateDefinition,
+  values: TemplateValues,
+  variant: string,
+  size: string
+): SharedEditorState => {
+  const sharedValues: TemplateValues = {};
+  const omittedFields: string[] = [];
+
+  template.fields.forEach(field => {
+    const value = values[field.id];
+    if (JSON.stringify(value) === JSON.stringify(field.default)) return;
+
+    if (field.type === 'image' && isLargeImage(value)) {
+      omittedFields.push(field.id);
+      return;
+    }
+    sharedValues[field.id] = value;
+  });
+
+  return {
+    version: SHARE_STATE_VERSION,
+    templateVersion: getTemplateVersion(template),
+    variant,
+    size,
+    values: sharedValues,
+    omittedFields,
+  };
+};
+
+/**
+ * Compresses shared state into a string that can be used in a URL fragment.
+ * @param {SharedEditorState} state - The state to encode.
+ * @returns {Promise<string>} The encoded state.
+ */
+export const encodeSharedState = async (state: SharedEditorState): Promise<string> => {
+  const bytes = new TextEncoder().encode(JSON.stringify(state));
+
+  if (typeof CompressionStream === 'undefined') {
+    return PLAIN_PREFIX + toBase64Url(bytes);
+  }
+  return COMPRESSED_PREFIX + toBase64Url(await transformBytes(bytes, new CompressionStream('deflate-raw')));
+};
+
+/**
+ * Decodes state created by encodeSharedState.
+ * @param {string} encoded - The encoded state.
+ * @returns {Promise<SharedEditorState>} The shared state.
+ * @throws {Error} If the link is damaged or was created by a newer version.
+ */
+export const decodeSharedState = async (encoded: string): Promise<SharedEditorState> => {
+  let data: any;
+
+  try {
+    let bytes = fromBase64Url(encoded.slice(1));
+    if (encoded.startsWith(COMPRESSED_PREFIX)) {
+      bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (!encoded.startsWith(PLAIN_PREFIX)) {
+      throw new Error('Unknown encoding');
+    }
+    data = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error('This share link is damaged or incomplete.');
+  }
+
+  if (!data || typeof data !== 'object' || typeof data.values !== 'object') {
+    throw new Error('This share link is damaged or incomplete.');
+  }
+  if (data.version > SHARE_STATE_VERSION) {
+    throw new Error('This share link was created by a newer version of the app.');
+  }
+
+  return {
+    version: data.version,
+    templateVersion: typeof data.templateVersion === 'number' ? data.templateVersion : 1,
+    variant: typeof data.variant === 'string' ? data.variant : 'standard',
+    size: typeof data.size === 'string' ? data.size : 'default',
+    values: data.values ?? {},
+    omittedFields: Array.isArray(data.omittedFields) ? data.omittedFields : [],
+  };
+};
+
+/**
+ * Builds a share link for a template.
+ * @param {string} templateId - The template to open.
+ * @param {string} encoded - State from encodeSharedState.
+ * @returns {string} An absolute URL.
+ */
+export const createShareUrl = (templateId: string, encoded: string): string =>
+  `${window.location.origin}/editor/${templateId}#${SHARE_HASH_KEY}=${encoded}`;
+
+/**
+ * Reads the encoded state from a URL fragment.
+ * @param {string} hash - The location hash (e.g. '#share=...').
+ * @returns {string | null} The encoded state, or null if the URL isn't a share link.
+ */
+export const getSharedStateFromHash = (hash: string): string | null => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  return params.get(SHARE_HASH_KEY);
+};
@@ -0,0 +1,101 @@
+import { TemplateDefinition } from '../templates/_core/types';
+import { canvasToPngBytes, ZipEntry } from './bulkExport';
+import { isCancelledError, throwIfCancelled } from './exportJob';
+import { renderElementToCanvas } from './exportElementAsImage';
+import {
+  OffscreenTemplate,
+  OffscreenTemplateOptions,
+  renderBothSidesOffscreen,
+  renderTemplateOffscreen,
+} from './renderTemplateOffscreen';
+
+// One image in a variants × sizes export
+interface MatrixCell {
+  variant: string;
+  size: string;
+}
+
+/**
+ * Turns a display name into a file-name-safe slug, e.g. "Instagram (Square)" into "instagram-square".
+ * @param {string} name - The display name.
+ * @returns {string} The slug.
+ */
+const slugify = (name: string): string =>
+  name
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+/**
+ * Builds the file name of one image in a matrix export, after the template, variant and size,
+ * e.g. "social-media-post-instagram-story". The variant and size are only included when the
+ * template defines them.
+ * @param {TemplateDefinition} template - The template.
+ * @param {MatrixCell} cell - The variant and size.
+ * @returns {string} A file name without extension.
+ */
+export const getMatrixFileName = (template: TemplateDefinition, cell: MatrixCell): string => {
+  const variantName = template.variants?.[cell.variant]?.name;
+  const sizeName = template.previewSizes?.find(size => size.id === cell.size)?.name;
+
+  return [template.id, variantName, sizeName]
+    .filter((part): part is string => !!part)
+    .map(slugify)
+    .join('-');
+};
+
+/**
+ * Renders a template offscreen at each variant and size, and captures each as a PNG.
+ * Double-sided templates get a front and a back image for each cell.
+ * A cell that fails is skipped and reported, so one bad size doesn't stop the export.
+ * @param {TemplateDefinition} template - The template.
+ * @param {MatrixCell[]} cells - The variants and sizes to export.
+ * @param {OffscreenTemplateOptions} options - Values and display settings (variant and size are replaced for each cell).
+ * @param {(done: number, total: number) => void} [onProgress] - Called after each cell.
+ * @param {AbortSignal} [signal] - Cancels the export; it then rejects with an AbortError.
+ * @returns {Promise<{ files: ZipEntry[]; failed: string[] }>} The images, and the names of cells that failed.
+ */
+export const renderMatrixImages = async (
+  template: TemplateDefinition,
+  cells: MatrixCell[],
+  options: OffscreenTemplateOptions,
+  onProgress?: (done: number, total: number) => void,
+  signal?: AbortSignal
+): Promise<{ files: ZipEntry[]; failed: string[] }> => {
+  const files: ZipEntry[] = [];
+  const failed: string[] = [];
+
+  for (const [index, cell] of cells.entries()) {
+    throwIfCancelled(signal);
+    const name = getMatrixFileName(template, cell);
+    const cellOptions = { ...options, variant: cell.variant, size: cell.size };
+
+    try {
+      const faces: { side: OffscreenTemplate; suffix: string }[] = template.hasBackSide
+        ? (await renderBothSidesOffscreen(template, cellOptions)).map((side, sideIndex) => ({
+            side,
+            suffix: sideIndex === 0 ? '-front' : '-back',
+          }))
+        : [{ side: await renderTemplateOffscreen(template, cellOptions), suffix: '' }];
+
+      try {
+        for (const { side, suffix } of faces) {
+          const canvas = await renderElementToCanvas(side.element, { signal });
+          files.push({ name: `${name}${suffix}.png`, data: await canvasToPngBytes(canvas, undefined, signal) });
+        }
+      } finally {
+        faces.forEach(({ side }) => side.dispose());
+      }
+    } catch (error) {
+      if (isCancelledError(error)) throw error;
+      console.error(`Error exporting ${name}:`, error);
+      failed.push(name);
+    }
+
+    onProgress?.(index + 1, cells.length);
+  }
+
+  return { files, failed };
+};
+
+export type { MatrixCell };
@@ -0,0 +1,49 @@
+import { TemplateValues } from '../templates/_core/types';
+
+/**
+ * Returns the value at `path` (dot notation, e.g. 'items.0.description').
+ *
+ * @param {TemplateValues} values - The values to read.
+ * @param {string} path - Field ID or dot-separated path.
+ * @returns {unknown} The value, or undefined when the path doesn't exist.
+ */
+export const getValueAtPath = (values: TemplateValues, path: string): unknown =>
+  path.split('.').reduce<unknown>((current, part) => (current as TemplateValues | undefined)?.[part], values);
+
+/**
+ * Returns a copy of `values` with the value at `path` replaced.
+ *
+ * Paths use dot notation for nested values (e.g. 'items.0.description').
+ * Every object and array along the path is copied rather than mutated, so
+ * earlier versions of `values` stay intact (which the edit history relies on).
+ *
+ * @param {TemplateValues} values - The values to update.
+ * @param {string} path - Field ID or dot-separated path.
+ * @param {any} value - The new value.
+ * @returns {TemplateValues} The updated copy.
+ */
+export const setValueAtPath = (
+  values: TemplateValues,
+  path: string,
+  value: any
+): TemplateValues => {
+  const parts = path.split('.');
+  const newValues: TemplateValues = { ...values };
+
+  let current: any = newValues;
+  for (let i = 0; i < parts.length - 1; i++) {
+    const part = parts[i];
+    const next = current[part];
+
+    if (next === undefined || next === null) {
+      // Create the missing object/array
+      current[part] = isNaN(Number(parts[i + 1])) ? {} : [];
+    } else {
+      current[part] = Array.isArray(next) ? [...next] : { ...next };
+    }
+    current = current[part];
+  }
+
+  current[parts[parts.length - 1]] = value;
+  return newValues;
+};
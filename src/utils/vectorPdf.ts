@@ -0,0 +1,712 @@
+import { GState, jsPDF } from 'jspdf';
+import { PdfFontSource } from '../templates/_core/types';
+import {
+  applyTextTransform,
+  cloneForExport,
+  collectFontFamilies,
+  getBackgroundColor,
+  getBaselineOffset,
+  getFontFamilies,
+  getFormValueLine,
+  getLineFragments,
+  getRenderedChildren,
+  isTextControl,
+  loadImage,
+  measureFont,
+  parseColor,
+  toBase64,
+} from './exportDom';
+
+interface PdfBox {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+interface VectorPdfOptions {
+  // Fonts to embed, in addition to TTF/OTF @font-face rules found in the page
+  fonts?: PdfFontSource[];
+  // Called on the copy that is drawn, e.g. to remove editor-only markup
+  modifyClone?: (clonedElement: HTMLElement) => void;
+  // Backgrounds and images on the element's edges are extended out to this box
+  bleedBox?: PdfBox;
+}
+
+type PdfFontStyle = 'normal' | 'bold' | 'italic' | 'bolditalic';
+
+interface DrawContext {
+  pdf: jsPDF;
+  // Page position of the root element's top-left corner
+  originX: number;
+  originY: number;
+  // Page units per CSS pixel
+  scale: number;
+  // Root element's viewport edges
+  rootLeft: number;
+  rootTop: number;
+  rootRight: number;
+  rootBottom: number;
+  bleedBox?: PdfBox;
+  // Embedded fonts, keyed by lowercase family name
+  fonts: Map<string, Set<PdfFontStyle>>;
+}
+
+// Largest side, in pixels, that images are rasterized at
+const MAX_IMAGE_SIZE = 2400;
+
+// Inline SVGs are rasterized at this multiple of their CSS size
+const SVG_RASTER_SCALE = 4;
+
+const fontDataCache = new Map<string, Promise<string | null>>();
+
+/**
+ * Sets the opacity used for the next fill and stroke operations.
+ * @param {DrawContext} context - The drawing context.
+ * @param {number} opacity - Opacity between 0 and 1.
+ */
+const setOpacity = (context: DrawContext, opacity: number): void => {
+  context.pdf.setGState(new GState({ opacity, 'stroke-opacity': opacity }));
+};
+
+/**
+ * Converts a viewport rectangle to page units.
+ * @param {DrawContext} context - The drawing context.
+ * @param {DOMRect} rect - A rectangle from getBoundingClientRect or getClientRects.
+ * @returns {PdfBox} The rectangle on the page.
+ */
+const toPage = (context: DrawContext, rect: DOMRect | PdfBox): PdfBox => {
+  const left = 'left' in rect ? rect.left : rect.x;
+  const top = 'top' in rect ? rect.top : rect.y;
+  return {
+    x: context.originX + (left - context.rootLeft) * context.scale,
+    y: context.originY + (top - context.rootTop) * context.scale,
+    width: rect.width * context.scale,
+    height: rect.height * context.scale,
+  };
+};
+
+/**
+ * Extends the sides of a box that lie on the root element's edges out to the bleed box,
+ * so edge-to-edge backgrounds and images run past the trim line.
+ * @param {DrawContext} context - The drawing context.
+ * @param {DOMRect} rect - The element's viewport rectangle.
+ * @param {PdfBox} box - The element box on the page.
+ * @returns {PdfBox} The extended box, or the same box when nothing touches an edge.
+ */
+const extendToBleed = (context: DrawContext, rect: DOMRect, box: PdfBox): PdfBox => {
+  const { bleedBox } = context;
+  if (!bleedBox) return box;
+
+  const onEdge = (a: number, b: number): boolean => Math.abs(a - b) < 0.5;
+  const edges = {
+    left: onEdge(rect.left, context.rootLeft),
+    top: onEdge(rect.top, context.rootTop),
+    right: onEdge(rect.right, context.rootRight),
+    bottom: onEdge(rect.bottom, context.rootBottom),
+  };
+  if (!edges.left && !edges.top && !edges.right && !edges.bottom) return box;
+
+  const left = edges.left ? bleedBox.x : box.x;
+  const top = edges.top ? bleedBox.y : box.y;
+  const right = edges.right ? bleedBox.x + bleedBox.width : box.x + box.width;
+  const bottom = edges.bottom ? bleedBox.y + bleedBox.height : box.y + box.height;
+  return { x: left, y: top, width: right - left, height: bottom - top };
+};
+
+/**
+ * Reads the horizontal and vertical radius of the top-left corner.
+ * Per-corner radii aren't supported by jsPDF, so one radius is used for all corners.
+ * @param {CSSStyleDeclaration} style - Computed style.
+ * @param {DrawContext} context - The drawing context.
+ * @param {PdfBox} box - The element box on the page.
+ * @returns {number} The corner radius in page units.
+ */
+const getRadius = (style: CSSStyleDeclaration, context: DrawContext, box: PdfBox): number => {
+  const value = style.borderTopLeftRadius;
+  const radius = value.endsWith('%')
+    ? (parseFloat(value) / 100) * Math.min(box.width, box.height)
+    : (parseFloat(value) || 0) * context.scale;
+  return Math.min(radius, box.width / 2, box.height / 2);
+};
+
+/**
+ * Adds a rectangle path, rounded when a radius is given.
+ * @param {jsPDF} pdf - The PDF.
+ * @param {PdfBox} box - The rectangle.
+ * @param {number} radius - Corner radius.
+ * @param {string | null} style - 'F' to fill, 'S' to stroke, or null to only build the path.
+ */
+const addRect = (pdf: jsPDF, box: PdfBox, radius: number, style: string | null): void => {
+  if (radius > 0) {
+    pdf.roundedRect(box.x, box.y, box.width, box.height, radius, radius, style);
+  } else {
+    pdf.rect(box.x, box.y, box.width, box.height, style);
+  }
+};
+
+/**
+ * Draws an element's background color.
+ */
+const drawBackground = (
+  context: DrawContext,
+  style: CSSStyleDeclaration,
+  box: PdfBox,
+  radius: number,
+  opacity: number
+): void => {
+  const color = getBackgroundColor(style);
+  if (!color) return;
+
+  setOpacity(context, color.a * opacity);
+  context.pdf.setFillColor(color.r, color.g, color.b);
+  addRect(context.pdf, box, radius, 'F');
+};
+
+/**
+ * Draws an element's borders.
+ * Uniform borders are stroked as one (rounded) rectangle; mixed borders are drawn side by side.
+ */
+const drawBorders = (
+  context: DrawContext,
+  style: CSSStyleDeclaration,
+  box: PdfBox,
+  radius: number,
+  opacity: number
+): void => {
+  const sides = (['Top', 'Right', 'Bottom', 'Left'] as const).map(side => ({
+    side,
+    width: parseFloat(style.getPropertyValue(`border-${side.toLowerCase()}-width`)) || 0,
+    lineStyle: style.getPropertyValue(`border-${side.toLowerCase()}-style`),
+    color: parseColor(style.getPropertyValue(`border-${side.toLowerCase()}-color`)),
+  }));
+  const visible = sides.filter(
+    ({ width, lineStyle, color }) => width > 0 && color && lineStyle !== 'none' && lineStyle !== 'hidden'
+  );
+  if (visible.length === 0) return;
+
+  const { pdf, scale } = context;
+  const first = visible[0];
+  const uniform =
+    visible.length === 4 &&
+    visible.every(
+      ({ width, lineStyle, color }) =>
+        width === first.width &&
+        lineStyle === first.lineStyle &&
+        color!.r === first.color!.r &&
+        color!.g === first.color!.g &&
+        color!.b === first.color!.b &&
+        color!.a === first.color!.a
+    );
+
+  if (uniform) {
+    const lineWidth = first.width * scale;
+    const inset = lineWidth / 2;
+    setOpacity(context, first.color!.a * opacity);
+    pdf.setDrawColor(first.color!.r, first.color!.g, first.color!.b);
+    pdf.setLineWidth(lineWidth);
+    pdf.setLineDashPattern(
+      first.lineStyle === 'dashed'
+        ? [lineWidth * 3, lineWidth * 2]
+        : first.lineStyle === 'dotted'
+          ? [lineWidth, lineWidth]
+          : [],
+      0
+    );
+    addRect(
+      pdf,
+      { x: box.x + inset, y: box.y + inset, width: box.width - lineWidth, height: box.height - lineWidth },
+      Math.max(radius - inset, 0),
+      'S'
+    );
+    pdf.setLineDashPattern([], 0);
+    return;
+  }
+
+  visible.forEach(({ side, width, color }) => {
+    const size = width * scale;
+    const edge: PdfBox =
+      side === 'Top'
+        ? { x: box.x, y: box.y, width: box.width, height: size }
+        : side === 'Bottom'
+          ? { x: box.x, y: box.y + box.height - size, width: box.width, height: size }
+          : side === 'Left'
+            ? { x: box.x, y: box.y, width: size, height: box.height }
+            : { x: box.x + box.width - size, y: box.y, width: size, height: box.height };
+
+    setOpacity(context, color!.a * opacity);
+    pdf.setFillColor(color!.r, color!.g, color!.b);
+    pdf.rect(edge.x, edge.y, edge.width, edge.height, 'F');
+  });
+};
+
+/**
+ * Works out where an image is drawn inside its box, following object-fit/background-size.
+ * @param {number} naturalWidth - Image width in pixels.
+ * @param {number} naturalHeight - Image height in pixels.
+ * @param {PdfBox} box - The box the image is drawn in.
+ * @param {string} fit - 'fill', 'contain', 'cover' or 'none'.
+ * @returns {{ target: PdfBox; crop: PdfBox }} The area on the page, and the part of the image shown.
+ */
+const fitImage = (
+  naturalWidth: number,
+  naturalHeight: number,
+  box: PdfBox,
+  fit: string
+): { target: PdfBox; crop: PdfBox } => {
+  const full = { x: 0, y: 0, width: naturalWidth, height: naturalHeight };
+  const imageRatio = naturalWidth / naturalHeight;
+  const boxRatio = box.width / box.height;
+
+  if (fit === 'contain' || fit === 'scale-down') {
+    const width = imageRatio > boxRatio ? box.width : box.height * imageRatio;
+    const height = imageRatio > boxRatio ? box.width / imageRatio : box.height;
+    return {
+      target: { x: box.x + (box.width - width) / 2, y: box.y + (box.height - height) / 2, width, height },
+      crop: full,
+    };
+  }
+
+  if (fit === 'cover') {
+    const width = imageRatio > boxRatio ? naturalHeight * boxRatio : naturalWidth;
+    const height = imageRatio > boxRatio ? naturalHeight : naturalWidth / boxRatio;
+    return {
+      target: box,
+      crop: { x: (naturalWidth - width) / 2, y: (naturalHeight - height) / 2, width, height },
+    };
+  }
+
+  return { target: box, crop: full };
+};
+
+/**
+ * Draws (part of) an image onto the page as raster data.
+ * The image is re-encoded through a canvas, as JPEG when it has no transparency.
+ */
+const drawImage = (
+  context: DrawContext,
+  image: CanvasImageSource & { width: number; height: number },
+  naturalWidth: number,
+  naturalHeight: number,
+  box: PdfBox,
+  fit: string,
+  opacity: number,
+  isOpaque: boolean
+): void => {
+  if (!naturalWidth || !naturalHeight || box.width <= 0 || box.height <= 0) return;
+
+  const { target, crop } = fitImage(naturalWidth, naturalHeight, box, fit);
+  const downscale = Math.min(1, MAX_IMAGE_SIZE / Math.max(crop.width, crop.height));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(crop.width * downscale));
+  canvas.height = Math.max(1, Math.round(crop.height * downscale));
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return;
+
+  ctx.drawImage(image, crop.x, crop.y, crop.width, crop.height, 0, 0, canvas.width, canvas.height);
+
+  try {
+    const format = isOpaque ? 'JPEG' : 'PNG';
+    const data = canvas.toDataURL(isOpaque ? 'image/jpeg' : 'image/png', 0.92);
+    setOpacity(context, opacity);
+    context.pdf.addImage(data, format, target.x, target.y, target.width, target.height, undefined, 'FAST');
+  } catch (error) {
+    // Cross-origin images without CORS headers can't be read back
+    console.warn('Skipping image that could not be embedded in the PDF:', error);
+  }
+};
+
+/**
+ * Checks whether an image source is a format without transparency.
+ * @param {string} src - The image URL.
+ * @returns {boolean} True for JPEG images.
+ */
+const isJpegSource = (src: string): boolean =>
+  /^data:image\/jpe?g/i.test(src) || /\.jpe?g(\?|#|$)/i.test(src);
+
+/**
+ * Rasterizes an inline SVG element at a high resolution.
+ * @param {SVGSVGElement} svg - The SVG element.
+ * @param {CSSStyleDeclaration} style - Its computed style (used for currentColor).
+ * @param {DOMRect} rect - Its size on screen.
+ * @returns {Promise<HTMLImageElement>} The SVG as an image.
+ */
+const svgToImage = (svg: SVGSVGElement, style: CSSStyleDeclaration, rect: DOMRect): Promise<HTMLImageElement> => {
+  const copy = svg.cloneNode(true) as SVGSVGElement;
+  copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  copy.setAttribute('width', String(rect.width * SVG_RASTER_SCALE));
+  copy.setAttribute('height', String(rect.height * SVG_RASTER_SCALE));
+  copy.style.color = style.color;
+
+  const markup = new XMLSerializer().serializeToString(copy);
+  return loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`);
+};
+
+/**
+ * Draws an element's background image (url() only).
+ */
+const drawBackgroundImage = async (
+  context: DrawContext,
+  style: CSSStyleDeclaration,
+  box: PdfBox,
+  opacity: number
+): Promise<void> => {
+  const match = /url\(["']?(.*?)["']?\)/.exec(style.backgroundImage);
+  if (!match) return;
+
+  try {
+    const image = await loadImage(match[1]);
+    const size = style.backgroundSize;
+    const fit = size === 'cover' || size === 'contain' ? size : 'fill';
+    drawImage(context, image, image.naturalWidth, image.naturalHeight, box, fit, opacity, isJpegSource(match[1]));
+  } catch (error) {
+    console.warn('Skipping background image:', error);
+  }
+};
+
+/**
+ * Maps a computed font weight and style to a jsPDF font style.
+ * @param {CSSStyleDeclaration} style - Computed style.
+ * @returns {PdfFontStyle} The matching jsPDF style.
+ */
+const getPdfFontStyle = (style: CSSStyleDeclaration): PdfFontStyle => {
+  const bold = (parseInt(style.fontWeight, 10) || 400) >= 600;
+  const italic = style.fontStyle === 'italic' || style.fontStyle.startsWith('oblique');
+  return bold && italic ? 'bolditalic' : bold ? 'bold' : italic ? 'italic' : 'normal';
+};
+
+/**
+ * Chooses the PDF font for a text run: the first embedded family that matches,
+ * otherwise the closest standard PDF font.
+ * @param {DrawContext} context - The drawing context.
+ * @param {CSSStyleDeclaration} style - Computed style of the text.
+ * @returns {{ name: string; style: PdfFontStyle }} The font to use.
+ */
+const resolveFont = (
+  context: DrawContext,
+  style: CSSStyleDeclaration
+): { name: string; style: PdfFontStyle } => {
+  const fontStyle = getPdfFontStyle(style);
+  const families = getFontFamilies(style.fontFamily);
+
+  for (const family of families) {
+    const styles = context.fonts.get(family);
+    if (styles?.has(fontStyle)) return { name: family, style: fontStyle };
+    if (styles?.has('normal')) return { name: family, style: 'normal' };
+  }
+
+  const isMono = families.some(family => family === 'monospace' || /mono|courier|consolas/.test(family));
+  const isSerif = families.some(
+    family => family === 'serif' || /times|georgia|garamond|serif$/.test(family) && !family.includes('sans')
+  );
+  return { name: isMono ? 'courier' : isSerif ? 'times' : 'helvetica', style: fontStyle };
+};
+
+/**
+ * Writes a line of text as a real (selectable, searchable) text run.
+ * The run is stretched slightly when the PDF font is narrower or wider than the screen font,
+ * so line breaks and alignment match the preview.
+ */
+const drawTextRun = (
+  context: DrawContext,
+  style: CSSStyleDeclaration,
+  text: string,
+  rect: DOMRect,
+  opacity: number
+): void => {
+  const color = parseColor(style.color);
+  if (!color) return;
+
+  const { pdf, scale } = context;
+  const font = resolveFont(context, style);
+  const fontSizePx = parseFloat(style.fontSize) || 16;
+  const { descent } = measureFont(style);
+  const letterSpacing = (parseFloat(style.letterSpacing) || 0) * scale;
+  const displayText = applyTextTransform(text.trimStart(), style.textTransform);
+  const box = toPage(context, rect);
+
+  pdf.setFont(font.name, font.style);
+  pdf.setFontSize(fontSizePx * scale * pdf.internal.scaleFactor);
+  setOpacity(context, color.a * opacity);
+  pdf.setTextColor(color.r, color.g, color.b);
+
+  const naturalWidth =
+    pdf.getTextWidth(displayText) + letterSpacing * Math.max(displayText.length - 1, 0);
+  const horizontalScale =
+    naturalWidth > 0 ? Math.min(Math.max(box.width / naturalWidth, 0.5), 2) : 1;
+
+  // Place the baseline where the browser did
+  const baseline = box.y + getBaselineOffset(style, rect) * scale;
+
+  pdf.text(displayText, box.x, baseline, {
+    baseline: 'alphabetic',
+    charSpace: letterSpacing,
+    horizontalScale,
+  });
+
+  if (style.textDecorationLine.includes('underline')) {
+    pdf.setDrawColor(color.r, color.g, color.b);
+    pdf.setLineWidth(Math.max(fontSizePx / 16, 0.5) * scale);
+    pdf.line(box.x, baseline + descent * 0.4 * scale, box.x + box.width, baseline + descent * 0.4 * scale);
+  }
+};
+
+/**
+ * Draws an element and its descendants, in document order.
+ */
+const drawNode = async (context: DrawContext, node: Node, parentOpacity: number): Promise<void> => {
+  if (node.nodeType === Node.TEXT_NODE) {
+    const parent = (node.parentElement ?? (node.parentNode as ShadowRoot | null)?.host) as Element | null;
+    if (!parent) return;
+
+    const style = getComputedStyle(parent);
+    if (style.visibility === 'hidden') return;
+
+    getLineFragments(node as Text).forEach(({ text, rect }) =>
+      drawTextRun(context, style, text, rect, parentOpacity)
+    );
+    return;
+  }
+
+  if (!(node instanceof Element)) return;
+
+  const style = getComputedStyle(node);
+  if (style.display === 'none') return;
+
+  const opacity = parentOpacity * (parseFloat(style.opacity) || 0);
+  if (opacity === 0) return;
+
+  const { pdf } = context;
+  const rect = node.getBoundingClientRect();
+  const box = toPage(context, rect);
+  const radius = getRadius(style, context, box);
+  const isVisible = style.visibility !== 'hidden' && style.display !== 'contents';
+
+  // Backgrounds on the trim line are painted into the bleed, with square corners
+  const paintBox = extendToBleed(context, rect, box);
+  const isBleeding = paintBox !== box;
+  const paintRadius = isBleeding ? 0 : radius;
+
+  if (isVisible && rect.width > 0 && rect.height > 0) {
+    drawBackground(context, style, paintBox, paintRadius, opacity);
+    if (style.backgroundImage.includes('url(')) {
+      await drawBackgroundImage(context, style, paintBox, opacity);
+    }
+    drawBorders(context, style, box, radius, opacity);
+  }
+
+  if (isVisible && node instanceof HTMLImageElement) {
+    if (node.complete && node.naturalWidth > 0) {
+      drawImage(
+        context,
+        node,
+        node.naturalWidth,
+        node.naturalHeight,
+        paintBox,
+        // Crop rather than stretch images that are extended into the bleed
+        isBleeding && style.objectFit === 'fill' ? 'cover' : style.objectFit,
+        opacity,
+        isJpegSource(node.currentSrc || node.src)
+      );
+    }
+    return;
+  }
+
+  if (isVisible && node instanceof HTMLCanvasElement) {
+    drawImage(context, node, node.width, node.height, box, style.objectFit, opacity, false);
+    return;
+  }
+
+  if (isVisible && node instanceof SVGSVGElement) {
+    if (rect.width > 0 && rect.height > 0) {
+      try {
+        const image = await svgToImage(node, style, rect);
+        drawImage(context, image, image.naturalWidth || rect.width * SVG_RASTER_SCALE, image.naturalHeight || rect.height * SVG_RASTER_SCALE, box, 'fill', opacity, false);
+      } catch (error) {
+        console.warn('Skipping SVG that could not be drawn:', error);
+      }
+    }
+    return;
+  }
+
+  if (isVisible && isTextControl(node)) {
+    // Form controls are drawn as their value
+    const line = getFormValueLine(node, style, rect);
+    if (line) drawTextRun(context, style, line.text, line.rect, opacity);
+    return;
+  }
+
+  const clips = style.overflow !== 'visible' && style.display !== 'contents' && rect.width > 0;
+  if (clips) {
+    pdf.saveGraphicsState();
+    addRect(pdf, paintBox, paintRadius, null);
+    pdf.clip();
+    pdf.discardPath();
+  }
+
+  for (const child of getRenderedChildren(node)) {
+    await drawNode(context, child, opacity);
+  }
+
+  if (clips) {
+    pdf.restoreGraphicsState();
+  }
+};
+
+/**
+ * Fetches a font file as base64 (cached between exports).
+ * @param {string} url - URL of a TTF or OTF file.
+ * @returns {Promise<string | null>} The font data, or null when it can't be fetched.
+ */
+const fetchFontData = (url: string): Promise<string | null> => {
+  if (!fontDataCache.has(url)) {
+    fontDataCache.set(
+      url,
+      fetch(url)
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.arrayBuffer();
+        })
+        .then(toBase64)
+        .catch(error => {
+          console.warn(`Could not load font "${url}" for the PDF, using a standard font instead:`, error);
+          return null;
+        })
+    );
+  }
+  return fontDataCache.get(url)!;
+};
+
+/**
+ * Finds TTF/OTF fonts declared with @font-face in readable (same-origin) stylesheets.
+ * WOFF/WOFF2 files can't be embedded by jsPDF and are skipped.
+ * @returns {PdfFontSource[]} The fonts found.
+ */
+const findFontFaces = (): PdfFontSource[] => {
+  const sources: PdfFontSource[] = [];
+
+  Array.from(document.styleSheets).forEach(sheet => {
+    let rules: CSSRuleList;
+    try {
+      rules = sheet.cssRules;
+    } catch {
+      return; // Cross-origin stylesheet
+    }
+
+    Array.from(rules).forEach(rule => {
+      if (!(rule instanceof CSSFontFaceRule)) return;
+
+      const src = rule.style.getPropertyValue('src');
+      const url = /url\(["']?([^"')]+\.(?:ttf|otf))["']?\)/i.exec(src)?.[1];
+      if (!url) return;
+
+      sources.push({
+        family: rule.style.getPropertyValue('font-family').replace(/^["']|["']$/g, ''),
+        url: new URL(url, sheet.href ?? document.baseURI).href,
+        weight: (parseInt(rule.style.getPropertyValue('font-weight'), 10) || 400) >= 600 ? 'bold' : 'normal',
+        style: rule.style.getPropertyValue('font-style') === 'italic' ? 'italic' : 'normal',
+      });
+    });
+  });
+
+  return sources;
+};
+
+/**
+ * Embeds the fonts that the exported element uses.
+ * @param {jsPDF} pdf - The PDF.
+ * @param {PdfFontSource[]} sources - Available font files.
+ * @param {Set<string>} usedFamilies - Families used by the element.
+ * @returns {Promise<Map<string, Set<PdfFontStyle>>>} The embedded styles of each family.
+ */
+const embedFonts = async (
+  pdf: jsPDF,
+  sources: PdfFontSource[],
+  usedFamilies: Set<string>
+): Promise<Map<string, Set<PdfFontStyle>>> => {
+  const embedded = new Map<string, Set<PdfFontStyle>>();
+
+  for (const source of sources) {
+    const family = source.family.toLowerCase();
+    if (!usedFamilies.has(family)) continue;
+
+    const data = await fetchFontData(source.url);
+    if (!data) continue;
+
+    const bold = source.weight === 'bold';
+    const italic = source.style === 'italic';
+    const fontStyle: PdfFontStyle = bold && italic ? 'bolditalic' : bold ? 'bold' : italic ? 'italic' : 'normal';
+    const fileName = `${family.replace(/\W+/g, '-')}-${fontStyle}.ttf`;
+
+    try {
+      pdf.addFileToVFS(fileName, data);
+      pdf.addFont(fileName, family, fontStyle, undefined, 'Identity-H');
+      embedded.set(family, new Set([...(embedded.get(family) ?? []), fontStyle]));
+    } catch (error) {
+      console.warn(`Could not embed font "${source.family}":`, error);
+    }
+  }
+
+  return embedded;
+};
+
+/**
+ * Draws an HTML element onto the current PDF page as vector content.
+ *
+ * Text is written as real text runs (selectable and searchable), backgrounds and
+ * borders as vector shapes, and only images, canvases and inline SVGs as raster data.
+ * The element is scaled to fit the box, keeping its aspect ratio, and centred horizontally.
+ *
+ * Fonts are embedded when a TTF/OTF file is available (from `options.fonts` or a
+ * same-origin @font-face rule); other text uses the closest standard PDF font.
+ *
+ * @param {jsPDF} pdf - The PDF to draw on.
+ * @param {HTMLElement} element - The element to draw.
+ * @param {PdfBox} box - Where to draw it on the page, in PDF units.
+ * @param {VectorPdfOptions} [options={}] - Fonts, clone modifications and bleed.
+ * @returns {Promise<void>}
+ */
+export const drawElementToPdf = async (
+  pdf: jsPDF,
+  element: HTMLElement,
+  box: PdfBox,
+  options: VectorPdfOptions = {}
+): Promise<void> => {
+  const { fonts = [], modifyClone, bleedBox } = options;
+
+  const clone = await cloneForExport(element, modifyClone);
+
+  try {
+    const rect = clone.getBoundingClientRect();
+    const scale = Math.min(box.width / rect.width, box.height / rect.height);
+    const embeddedFonts = await embedFonts(pdf, [...fonts, ...findFontFaces()], collectFontFamilies(clone));
+
+    const context: DrawContext = {
+      pdf,
+      originX: box.x + (box.width - rect.width * scale) / 2,
+      originY: box.y,
+      scale,
+      rootLeft: rect.left,
+      rootTop: rect.top,
+      rootRight: rect.right,
+      rootBottom: rect.bottom,
+      bleedBox,
+      fonts: embeddedFonts,
+    };
+
+    pdf.saveGraphicsState();
+    if (bleedBox) {
+      // Nothing is drawn past the bleed
+      pdf.rect(bleedBox.x, bleedBox.y, bleedBox.width, bleedBox.height, null);
+      pdf.clip();
+      pdf.discardPath();
+    }
+    await drawNode(context, clone, 1);
+    pdf.restoreGraphicsState();
+  } finally {
+    clone.remove();
+  }
+};
+
+export type { PdfBox, VectorPdfOptions };
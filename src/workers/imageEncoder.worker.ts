@@ -0,0 +1,45 @@
+// Encodes rendered images away from the page, so large exports don't freeze the editor.
+// Receives an ImageBitmap, draws it onto an OffscreenCanvas and sends back the file bytes.
+import { setImageDpi } from '../utils/imageDpi';
+
+interface EncodeRequest {
+  id: number;
+  bitmap: ImageBitmap;
+  type: string;
+  quality?: number;
+  dpi?: number;
+}
+
+interface EncodeResponse {
+  id: number;
+  bytes?: Uint8Array;
+  type?: string;
+  error?: string;
+}
+
+// The worker's global scope (the WebWorker lib isn't part of the app's TypeScript config)
+const scope = self as unknown as {
+  onmessage: ((event: MessageEvent<EncodeRequest>) => void) | null;
+  postMessage: (message: EncodeResponse, transfer?: Transferable[]) => void;
+};
+
+scope.onmessage = async (event) => {
+  const { id, bitmap, type, quality, dpi } = event.data;
+
+  try {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext('2d');
+    if (!context) throw new Error('Failed to create a canvas for encoding.');
+    context.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const blob = await canvas.convertToBlob({ type, quality });
+    // Browsers fall back to PNG for formats they can't encode, so go by the blob's actual type
+    let bytes = new Uint8Array(await blob.arrayBuffer());
+    if (dpi) bytes = setImageDpi(bytes, blob.type, dpi);
+
+    scope.postMessage({ id, bytes, type: blob.type }, [bytes.buffer]);
+  } catch (error) {
+    scope.postMessage({ id, error: error instanceof Error ? error.message : String(error) });
+  }
+};